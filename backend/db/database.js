@@ -40,54 +40,333 @@ function createTables() {
         blockNumber INTEGER,
         gasUsed TEXT,
         createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
+      );
+
+      CREATE TABLE IF NOT EXISTS batches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        merkleRoot TEXT NOT NULL UNIQUE,
+        ipfsCID TEXT NOT NULL,
+        txHash TEXT NOT NULL UNIQUE,
+        issuer TEXT NOT NULL,
+        certificateCount INTEGER NOT NULL,
+        timestamp INTEGER NOT NULL,
+        blockNumber INTEGER,
+        gasUsed TEXT,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS batch_certificates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        docHash TEXT NOT NULL UNIQUE,
+        merkleRoot TEXT NOT NULL,
+        ipfsCID TEXT NOT NULL,
+        proof TEXT NOT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS bulk_jobs (
+        id TEXT PRIMARY KEY,
+        status TEXT DEFAULT 'processing',
+        totalRows INTEGER NOT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completedAt DATETIME
+      );
+
+      CREATE TABLE IF NOT EXISTS bulk_job_rows (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        jobId TEXT NOT NULL,
+        rowNumber INTEGER NOT NULL,
+        filename TEXT,
+        docHash TEXT,
+        status TEXT DEFAULT 'pending',
+        txHash TEXT,
+        ipfsCID TEXT,
+        error TEXT,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (jobId, rowNumber)
+      );
+
+      CREATE TABLE IF NOT EXISTS accounts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        active INTEGER DEFAULT 1,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        accountId INTEGER NOT NULL REFERENCES accounts(id),
+        keyPrefix TEXT NOT NULL,
+        keyHash TEXT NOT NULL UNIQUE,
+        label TEXT,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        lastUsedAt DATETIME,
+        revokedAt DATETIME
+      );
+
+      CREATE TABLE IF NOT EXISTS metadata_keys (
+        ipfsCID TEXT PRIMARY KEY,
+        keyId TEXT NOT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_metadata_keys_keyId ON metadata_keys(keyId);
+
+      CREATE TABLE IF NOT EXISTS data_keys (
+        id TEXT PRIMARY KEY,
+        docHash TEXT NOT NULL,
+        keyId TEXT,
+        wrappedKey TEXT,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        erasedAt DATETIME,
+        erasedBy INTEGER REFERENCES accounts(id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_data_keys_docHash ON data_keys(docHash);
+
+      CREATE TABLE IF NOT EXISTS issuers (
+        address TEXT PRIMARY KEY,
+        authorized INTEGER NOT NULL,
+        addedAt INTEGER,
+        removedAt INTEGER,
+        blockNumber INTEGER NOT NULL,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS proposals (
+        docHash TEXT PRIMARY KEY,
+        proposer TEXT NOT NULL,
+        threshold INTEGER NOT NULL,
+        approvals INTEGER DEFAULT 0,
+        status TEXT NOT NULL,
+        proposedAt INTEGER,
+        resolvedAt INTEGER,
+        blockNumber INTEGER NOT NULL,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS proposal_approvals (
+        docHash TEXT NOT NULL,
+        approver TEXT NOT NULL,
+        approvedAt INTEGER,
+        blockNumber INTEGER NOT NULL,
+        PRIMARY KEY (docHash, approver)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_proposals_status ON proposals(status);
+
+      CREATE TABLE IF NOT EXISTS institutions (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        domain TEXT,
+        metadataCID TEXT,
+        registeredAt INTEGER,
+        profileUpdatedAt INTEGER,
+        blockNumber INTEGER NOT NULL,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS institution_admins (
+        address TEXT PRIMARY KEY,
+        institutionId TEXT NOT NULL,
+        active INTEGER NOT NULL,
+        addedAt INTEGER,
+        removedAt INTEGER,
+        blockNumber INTEGER NOT NULL,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS sync_checkpoints (
+        name TEXT PRIMARY KEY,
+        blockNumber INTEGER NOT NULL,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Every event the indexer applied, so a reorganized chain can be rolled back
+      CREATE TABLE IF NOT EXISTS indexed_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        checkpoint TEXT NOT NULL,
+        blockNumber INTEGER NOT NULL,
+        blockHash TEXT NOT NULL,
+        logIndex INTEGER NOT NULL,
+        txHash TEXT NOT NULL,
+        event TEXT NOT NULL,
+        UNIQUE (checkpoint, blockNumber, logIndex)
+      );
+
+      CREATE TABLE IF NOT EXISTS revocations (
+        docHash TEXT PRIMARY KEY,
+        merkleRoot TEXT,
+        revokedBy TEXT NOT NULL,
+        reasonCode INTEGER NOT NULL,
+        revokedAt INTEGER,
+        txHash TEXT NOT NULL,
+        blockNumber INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS reissues (
+        oldDocHash TEXT PRIMARY KEY,
+        newDocHash TEXT NOT NULL,
+        issuer TEXT NOT NULL,
+        reissuedAt INTEGER,
+        txHash TEXT NOT NULL,
+        blockNumber INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS migrated_certificates (
+        docHash TEXT PRIMARY KEY,
+        issuer TEXT NOT NULL,
+        issuedAt INTEGER,
+        txHash TEXT NOT NULL,
+        blockNumber INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS migrated_batches (
+        merkleRoot TEXT PRIMARY KEY,
+        issuer TEXT NOT NULL,
+        issuedAt INTEGER,
+        txHash TEXT NOT NULL,
+        blockNumber INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS issuance_jobs (
+        id TEXT PRIMARY KEY,
+        docHash TEXT NOT NULL,
+        ipfsCID TEXT NOT NULL,
+        validUntil INTEGER DEFAULT 0,
+        status TEXT DEFAULT 'queued',
+        nonce INTEGER,
+        txHash TEXT,
+        attempts TEXT DEFAULT '[]',
+        retries INTEGER DEFAULT 0,
+        error TEXT,
+        accountId INTEGER,
+        apiKeyId INTEGER,
+        bulkJobId TEXT,
+        bulkRowNumber INTEGER,
+        nextAttemptAt INTEGER DEFAULT 0,
+        broadcastAt INTEGER,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_issuance_jobs_status ON issuance_jobs(status);
+
+      CREATE TABLE IF NOT EXISTS holder_challenges (
+        nonce TEXT PRIMARY KEY,
+        docHash TEXT NOT NULL,
+        expiresAt INTEGER NOT NULL,
+        usedAt DATETIME,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- A document can only be waiting for issuance once
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_issuance_jobs_open_docHash
+        ON issuance_jobs(docHash) WHERE status IN ('queued', 'submitted')
     `;
 
-        db.run(createTableSQL, (err) => {
+        db.exec(createTableSQL, (err) => {
             if (err) {
                 console.error('Table creation failed:', err);
                 reject(err);
             } else {
-                console.log('✅ Database tables ready');
-                resolve();
+                migrateTables()
+                    .then(() => {
+                        console.log('✅ Database tables ready');
+                        resolve();
+                    })
+                    .catch(reject);
             }
         });
     });
 }
 
 /**
- * Insert a new transaction record
- * @param {Object} transaction - Transaction details
- * @returns {Promise<number>} Inserted row ID
+ * Add columns introduced after a table was first created
  */
-function insertTransaction(transaction) {
-    return new Promise((resolve, reject) => {
-        const sql = `
-      INSERT INTO transactions (txHash, docHash, ipfsCID, issuer, timestamp, status, blockNumber, gasUsed)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-
-        const params = [
-            transaction.txHash,
-            transaction.docHash,
-            transaction.ipfsCID,
-            transaction.issuer,
-            transaction.timestamp,
-            transaction.status || 'confirmed',
-            transaction.blockNumber,
-            transaction.gasUsed
-        ];
+async function migrateTables() {
+    await addColumnIfMissing('transactions', 'accountId', 'INTEGER');
+    await addColumnIfMissing('transactions', 'apiKeyId', 'INTEGER');
+    await addColumnIfMissing('batches', 'accountId', 'INTEGER');
+    await addColumnIfMissing('batches', 'apiKeyId', 'INTEGER');
+    await addColumnIfMissing('transactions', 'blockHash', 'TEXT');
+    await addColumnIfMissing('transactions', 'updatedAt', 'DATETIME');
+    await addColumnIfMissing('bulk_jobs', 'accountId', 'INTEGER');
+    await addColumnIfMissing('bulk_jobs', 'apiKeyId', 'INTEGER');
+    await addColumnIfMissing('bulk_job_rows', 'payload', 'TEXT');
+    await addColumnIfMissing('bulk_job_rows', 'issuanceJobId', 'TEXT');
+    await addColumnIfMissing('issuance_jobs', 'holder', 'TEXT');
+    await addColumnIfMissing('issuance_jobs', 'replaces', 'TEXT');
+    await addColumnIfMissing('issuers', 'institutionId', 'TEXT');
+    await addColumnIfMissing('issuance_jobs', 'requiredApprovals', 'INTEGER');
+    await addColumnIfMissing('issuance_jobs', 'signedRequest', 'TEXT');
+    await addColumnIfMissing('issuers', 'compromisedSince', 'INTEGER');
+    await addColumnIfMissing('issuers', 'compromisedAt', 'INTEGER');
+    await addColumnIfMissing('accounts', 'role', "TEXT NOT NULL DEFAULT 'issuer'");
+    await addColumnIfMissing('accounts', 'institutionId', 'TEXT');
+    await addColumnIfMissing('sync_checkpoints', 'blockHash', 'TEXT');
+    await addColumnIfMissing('institutions', 'requiredApprovals', 'INTEGER');
+}
 
-        db.run(sql, params, function (err) {
+/**
+ * Add a column to an existing table unless it is already there
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ */
+function addColumnIfMissing(table, column, definition) {
+    return new Promise((resolve, reject) => {
+        db.all(`PRAGMA table_info(${table})`, (err, columns) => {
             if (err) {
-                reject(err);
-            } else {
-                resolve(this.lastID);
+                return reject(err);
             }
+            if (columns.some(c => c.name === column)) {
+                return resolve();
+            }
+
+            db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
         });
     });
 }
 
+/**
+ * Insert a new transaction record
+ * If the event indexer recorded the transaction first, only the details it
+ * cannot see on-chain (gas used and the submitting account) are added.
+ * @param {Object} transaction - Transaction details
+ * @returns {Promise<number>} Inserted row ID
+ */
+async function insertTransaction(transaction) {
+    const { lastID } = await run(`
+      INSERT INTO transactions (txHash, docHash, ipfsCID, issuer, timestamp, status, blockNumber, blockHash, gasUsed, accountId, apiKeyId)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(txHash) DO UPDATE SET
+        gasUsed = COALESCE(excluded.gasUsed, gasUsed),
+        accountId = COALESCE(excluded.accountId, accountId),
+        apiKeyId = COALESCE(excluded.apiKeyId, apiKeyId)
+    `, [
+        transaction.txHash,
+        transaction.docHash,
+        transaction.ipfsCID,
+        transaction.issuer,
+        transaction.timestamp,
+        transaction.status || 'pending',
+        transaction.blockNumber,
+        transaction.blockHash || null,
+        transaction.gasUsed,
+        transaction.accountId || null,
+        transaction.apiKeyId || null
+    ]);
+    return lastID;
+}
+
 /**
  * Get transaction by hash
  * @param {string} txHash - Transaction hash
@@ -126,6 +405,42 @@ function getTransactionByDocHash(docHash) {
     });
 }
 
+/**
+ * Find the API account that submitted a certificate
+ * The issuance transaction is checked first, then the batch the certificate
+ * was anchored in, then its issuance job: a proposal is issued by its final
+ * approval, which is not sent on the submitter's behalf.
+ * @param {string} docHash - Lowercase document hash
+ * @returns {Promise<number|null>} Account ID, or null if no account submitted it
+ */
+function getSubmittingAccountId(docHash) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+      SELECT accountId FROM (
+        SELECT accountId, 1 AS source FROM transactions
+        WHERE docHash = ? AND accountId IS NOT NULL
+        UNION ALL
+        SELECT batches.accountId, 2 AS source FROM batch_certificates
+        JOIN batches ON batches.merkleRoot = batch_certificates.merkleRoot
+        WHERE batch_certificates.docHash = ? AND batches.accountId IS NOT NULL
+        UNION ALL
+        SELECT accountId, 3 AS source FROM issuance_jobs
+        WHERE docHash = ? AND status != 'failed' AND accountId IS NOT NULL
+      )
+      ORDER BY source
+      LIMIT 1
+    `;
+
+        db.get(sql, [docHash, docHash, docHash], (err, row) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(row ? row.accountId : null);
+            }
+        });
+    });
+}
+
 /**
  * Get all transactions with pagination
  * @param {number} limit - Number of records to return
@@ -169,22 +484,1187 @@ function getTransactionsByIssuer(issuer) {
  * Update transaction status
  * @param {string} txHash - Transaction hash
  * @param {string} status - New status
+ * @param {Object} [inclusion] - blockNumber and blockHash the transaction is now in
+ * @returns {Promise<boolean>} Success status
+ */
+async function updateTransactionStatus(txHash, status, inclusion = null) {
+    const sql = inclusion
+        ? 'UPDATE transactions SET status = ?, blockNumber = ?, blockHash = ?, updatedAt = CURRENT_TIMESTAMP WHERE txHash = ?'
+        : 'UPDATE transactions SET status = ?, updatedAt = CURRENT_TIMESTAMP WHERE txHash = ?';
+    const params = inclusion
+        ? [status, inclusion.blockNumber, inclusion.blockHash, txHash]
+        : [status, txHash];
+
+    const { changes } = await run(sql, params);
+    return changes > 0;
+}
+
+/**
+ * Get transactions in any of the given statuses
+ * @param {string[]} statuses - Transaction statuses
+ * @returns {Promise<Array>} Transaction records, oldest first
+ */
+function getTransactionsByStatus(statuses) {
+    return new Promise((resolve, reject) => {
+        const placeholders = statuses.map(() => '?').join(', ');
+        const sql = `SELECT * FROM transactions WHERE status IN (${placeholders}) ORDER BY id`;
+
+        db.all(sql, statuses, (err, rows) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
+/**
+ * Run a query and get all of its rows
+ * @param {string} sql - SQL query
+ * @param {Array} params - Query parameters
+ * @returns {Promise<Array>} Rows
+ */
+function query(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
+/**
+ * Run a single statement on the connection, without waiting for other writes
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Statement parameters
+ * @returns {Promise<Object>} lastID and changes of the statement
+ */
+function execute(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function (err) {
+            if (err) {
+                reject(err);
+            } else {
+                resolve({ lastID: this.lastID, changes: this.changes });
+            }
+        });
+    });
+}
+
+// Writes share the single connection, so they run one at a time: a statement
+// sent while a transaction is open would otherwise become part of it, and be
+// lost if it rolled back
+let writeQueue = Promise.resolve();
+
+/**
+ * Run a write once every earlier write and transaction has finished
+ * @param {Function} fn - Async function that writes
+ * @returns {Promise<*>} Result of fn
+ */
+function enqueueWrite(fn) {
+    const result = writeQueue.then(fn);
+    writeQueue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Run a single write statement
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Statement parameters
+ * @returns {Promise<Object>} lastID and changes of the statement
+ */
+function run(sql, params = []) {
+    return enqueueWrite(() => execute(sql, params));
+}
+
+/**
+ * Run statements in a transaction, rolling back if any of them fails
+ * fn is given the function to run its statements with; calling run() from
+ * inside fn would wait for the transaction itself and never return.
+ * @param {Function} fn - Async function that runs the statements with its execute argument
+ * @returns {Promise<*>} Result of fn
+ */
+function transaction(fn) {
+    return enqueueWrite(async () => {
+        await execute('BEGIN TRANSACTION');
+
+        try {
+            const value = await fn(execute);
+            await execute('COMMIT');
+            return value;
+        } catch (error) {
+            await execute('ROLLBACK');
+            throw error;
+        }
+    });
+}
+
+/**
+ * Insert an anchored batch and the proofs of its certificates
+ * If the event indexer recorded the batch first, only the details it cannot
+ * see on-chain (gas used and the submitting account) are added.
+ * @param {Object} batch - Batch details
+ * @param {Array<Object>} certificates - Certificates with docHash, ipfsCID and proof
+ * @returns {Promise<number>} Inserted batch row ID
+ */
+async function insertBatch(batch, certificates) {
+    return transaction(async (execute) => {
+        const { lastID } = await execute(`
+      INSERT INTO batches (merkleRoot, ipfsCID, txHash, issuer, certificateCount, timestamp, blockNumber, gasUsed, accountId, apiKeyId)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(merkleRoot) DO UPDATE SET
+        gasUsed = COALESCE(excluded.gasUsed, gasUsed),
+        accountId = COALESCE(excluded.accountId, accountId),
+        apiKeyId = COALESCE(excluded.apiKeyId, apiKeyId)
+    `, [
+            batch.merkleRoot,
+            batch.ipfsCID,
+            batch.txHash,
+            batch.issuer,
+            batch.certificateCount,
+            batch.timestamp,
+            batch.blockNumber,
+            batch.gasUsed,
+            batch.accountId || null,
+            batch.apiKeyId || null
+        ]);
+
+        for (const cert of certificates) {
+            await execute(`
+        INSERT INTO batch_certificates (docHash, merkleRoot, ipfsCID, proof)
+        VALUES (?, ?, ?, ?)
+      `, [cert.docHash.toLowerCase(), batch.merkleRoot, cert.ipfsCID, JSON.stringify(cert.proof)]);
+        }
+
+        return lastID;
+    });
+}
+
+/**
+ * Get the batch record of a certificate issued as part of a batch
+ * @param {string} docHash - Document hash
+ * @returns {Promise<Object|null>} Batch certificate record with parsed proof
+ */
+function getBatchCertificate(docHash) {
+    return new Promise((resolve, reject) => {
+        const sql = 'SELECT * FROM batch_certificates WHERE docHash = ?';
+
+        db.get(sql, [docHash.toLowerCase()], (err, row) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(row ? { ...row, proof: JSON.parse(row.proof) } : null);
+            }
+        });
+    });
+}
+
+/**
+ * Create a bulk issuance job and its rows
+ * @param {string} jobId - Job identifier
+ * @param {Array<Object>} rows - Rows with rowNumber, filename, docHash, status and error
+ * @returns {Promise<string>} Job identifier
+ */
+async function createBulkJob(jobId, rows, auth = {}) {
+    return transaction(async (execute) => {
+        await execute(
+            'INSERT INTO bulk_jobs (id, totalRows, accountId, apiKeyId) VALUES (?, ?, ?, ?)',
+            [jobId, rows.length, auth.accountId || null, auth.apiKeyId || null]
+        );
+
+        for (const row of rows) {
+            await execute(`
+        INSERT INTO bulk_job_rows (jobId, rowNumber, filename, docHash, status, error, payload)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [jobId, row.rowNumber, row.filename, row.docHash, row.status || 'pending', row.error || null, row.payload || null]);
+        }
+
+        return jobId;
+    });
+}
+
+/**
+ * Get the rows of a bulk job that are valid but not yet queued for issuance
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<Array>} Rows with their stored payload
+ */
+function getUnqueuedBulkRows(jobId) {
+    return new Promise((resolve, reject) => {
+        const sql = "SELECT * FROM bulk_job_rows WHERE jobId = ? AND status = 'pending' ORDER BY rowNumber";
+
+        db.all(sql, [jobId], (err, rows) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
+/**
+ * Get bulk jobs in a given status
+ * @param {string} status - Job status
+ * @returns {Promise<Array>} Bulk job records
+ */
+function getBulkJobsByStatus(status) {
+    return new Promise((resolve, reject) => {
+        db.all('SELECT * FROM bulk_jobs WHERE status = ? ORDER BY createdAt', [status], (err, rows) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
+/**
+ * Mark a bulk job finished once none of its rows are waiting
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<string|null>} Final status, or null if rows are still waiting
+ */
+function completeBulkJobIfDone(jobId) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+      SELECT
+        SUM(status IN ('pending', 'queued')) AS waiting,
+        SUM(status IN ('failed', 'invalid')) AS problems
+      FROM bulk_job_rows WHERE jobId = ?
+    `;
+
+        db.get(sql, [jobId], (err, counts) => {
+            if (err) {
+                return reject(err);
+            }
+            if (counts.waiting > 0) {
+                return resolve(null);
+            }
+
+            const status = counts.problems > 0 ? 'completed_with_errors' : 'completed';
+            completeBulkJob(jobId, status).then(() => resolve(status)).catch(reject);
+        });
+    });
+}
+
+/**
+ * Record the outcome of one row of a bulk issuance job
+ * @param {string} jobId - Job identifier
+ * @param {number} rowNumber - CSV line number of the row
+ * @param {Object} result - status plus optional txHash, ipfsCID and error
+ * @returns {Promise<boolean>} Success status
+ */
+async function updateBulkJobRow(jobId, rowNumber, result) {
+    const { changes } = await run(`
+    UPDATE bulk_job_rows
+    SET status = ?, txHash = ?, ipfsCID = ?, error = ?, payload = NULL, updatedAt = CURRENT_TIMESTAMP
+    WHERE jobId = ? AND rowNumber = ?
+  `, [result.status, result.txHash || null, result.ipfsCID || null, result.error || null, jobId, rowNumber]);
+
+    return changes > 0;
+}
+
+/**
+ * Mark a bulk issuance job as finished
+ * @param {string} jobId - Job identifier
+ * @param {string} status - Final job status
  * @returns {Promise<boolean>} Success status
  */
-function updateTransactionStatus(txHash, status) {
+async function completeBulkJob(jobId, status) {
+    const { changes } = await run(
+        "UPDATE bulk_jobs SET status = ?, completedAt = CURRENT_TIMESTAMP WHERE id = ? AND status = 'processing'",
+        [status, jobId]
+    );
+
+    return changes > 0;
+}
+
+/**
+ * Get a bulk issuance job with the status of every row
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<Object|null>} Job record with rows
+ */
+function getBulkJob(jobId) {
     return new Promise((resolve, reject) => {
-        const sql = 'UPDATE transactions SET status = ? WHERE txHash = ?';
+        db.get('SELECT * FROM bulk_jobs WHERE id = ?', [jobId], (err, job) => {
+            if (err) {
+                return reject(err);
+            }
+            if (!job) {
+                return resolve(null);
+            }
+
+            const sql = 'SELECT * FROM bulk_job_rows WHERE jobId = ? ORDER BY rowNumber';
+            db.all(sql, [jobId], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ ...job, rows: rows });
+                }
+            });
+        });
+    });
+}
 
-        db.run(sql, [status, txHash], function (err) {
+/**
+ * Create an issuer account
+ * @param {string} name - Unique account name
+ * @returns {Promise<number>} Inserted account ID
+ */
+async function createAccount(name) {
+    const { lastID } = await run('INSERT INTO accounts (name) VALUES (?)', [name]);
+    return lastID;
+}
+
+/**
+ * Get an issuer account by name
+ * @param {string} name - Account name
+ * @returns {Promise<Object|null>} Account record
+ */
+function getAccountByName(name) {
+    return new Promise((resolve, reject) => {
+        db.get('SELECT * FROM accounts WHERE name = ?', [name], (err, row) => {
             if (err) {
                 reject(err);
             } else {
-                resolve(this.changes > 0);
+                resolve(row || null);
             }
         });
     });
 }
 
+/**
+ * Set what an account may manage through the API
+ * @param {number} accountId - Account ID
+ * @param {string} role - issuer, institution_admin or registry_admin
+ * @param {string|null} institutionId - bytes32 ID of the institution an institution admin manages
+ * @returns {Promise<boolean>} True if the account exists
+ */
+async function setAccountScope(accountId, role, institutionId) {
+    const { changes } = await run(
+        'UPDATE accounts SET role = ?, institutionId = ? WHERE id = ?',
+        [role, institutionId, accountId]
+    );
+    return changes > 0;
+}
+
+/**
+ * Store a new API key for an account
+ * @param {Object} apiKey - accountId, keyPrefix, keyHash and optional label
+ * @returns {Promise<number>} Inserted API key ID
+ */
+async function insertApiKey(apiKey) {
+    const { lastID } = await run(
+        'INSERT INTO api_keys (accountId, keyPrefix, keyHash, label) VALUES (?, ?, ?, ?)',
+        [apiKey.accountId, apiKey.keyPrefix, apiKey.keyHash, apiKey.label || null]
+    );
+    return lastID;
+}
+
+/**
+ * Find an active API key and its account by key hash
+ * @param {string} keyHash - SHA-256 hash of the API key
+ * @returns {Promise<Object|null>} API key record joined with its account
+ */
+function getActiveApiKey(keyHash) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+      SELECT api_keys.id AS apiKeyId, api_keys.keyPrefix, api_keys.label,
+             accounts.id AS accountId, accounts.name AS accountName,
+             accounts.role AS accountRole, accounts.institutionId
+      FROM api_keys
+      JOIN accounts ON accounts.id = api_keys.accountId
+      WHERE api_keys.keyHash = ? AND api_keys.revokedAt IS NULL AND accounts.active = 1
+    `;
+
+        db.get(sql, [keyHash], (err, row) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(row || null);
+            }
+        });
+    });
+}
+
+/**
+ * Record that an API key was just used
+ * @param {number} apiKeyId - API key ID
+ * @returns {Promise<boolean>} Success status
+ */
+async function touchApiKey(apiKeyId) {
+    const { changes } = await run('UPDATE api_keys SET lastUsedAt = CURRENT_TIMESTAMP WHERE id = ?', [apiKeyId]);
+    return changes > 0;
+}
+
+/**
+ * Revoke an API key by its public prefix
+ * @param {string} keyPrefix - API key prefix
+ * @returns {Promise<boolean>} True if a key was revoked
+ */
+async function revokeApiKey(keyPrefix) {
+    const { changes } = await run(
+        'UPDATE api_keys SET revokedAt = CURRENT_TIMESTAMP WHERE keyPrefix = ? AND revokedAt IS NULL',
+        [keyPrefix]
+    );
+    return changes > 0;
+}
+
+/**
+ * List all API keys with their account names, without hashes
+ * @returns {Promise<Array>} API key records
+ */
+function listApiKeys() {
+    return new Promise((resolve, reject) => {
+        const sql = `
+      SELECT api_keys.id, api_keys.keyPrefix, api_keys.label, api_keys.createdAt,
+             api_keys.lastUsedAt, api_keys.revokedAt, accounts.name AS accountName,
+             accounts.role AS accountRole, accounts.institutionId
+      FROM api_keys
+      JOIN accounts ON accounts.id = api_keys.accountId
+      ORDER BY accounts.name, api_keys.createdAt
+    `;
+
+        db.all(sql, (err, rows) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
+/**
+ * Record which encryption key a metadata envelope was written with
+ * @param {string} ipfsCID - CID of the metadata envelope
+ * @param {string} keyId - Encryption key ID
+ * @returns {Promise<boolean>} Success status
+ */
+async function recordMetadataKey(ipfsCID, keyId) {
+    const { changes } = await run(
+        `INSERT INTO metadata_keys (ipfsCID, keyId) VALUES (?, ?)
+         ON CONFLICT(ipfsCID) DO UPDATE SET keyId = excluded.keyId, updatedAt = CURRENT_TIMESTAMP`,
+        [ipfsCID, keyId]
+    );
+    return changes > 0;
+}
+
+/**
+ * Count metadata envelopes per encryption key
+ * @returns {Promise<Array>} Rows of keyId and count
+ */
+function countMetadataKeys() {
+    return new Promise((resolve, reject) => {
+        db.all('SELECT keyId, COUNT(*) AS count FROM metadata_keys GROUP BY keyId ORDER BY keyId', (err, rows) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
+/**
+ * Store a wrapped per-certificate data key
+ * @param {Object} dataKey - id, docHash, keyId of the wrapping key and wrappedKey
+ * @returns {Promise<boolean>} Success status
+ */
+async function insertDataKey(dataKey) {
+    const { changes } = await run(
+        'INSERT INTO data_keys (id, docHash, keyId, wrappedKey) VALUES (?, ?, ?, ?)',
+        [dataKey.id, dataKey.docHash, dataKey.keyId, dataKey.wrappedKey]
+    );
+    return changes > 0;
+}
+
+/**
+ * Get a data key record by ID
+ * @param {string} id - Data key ID
+ * @returns {Promise<Object|null>} Data key record
+ */
+function getDataKey(id) {
+    return new Promise((resolve, reject) => {
+        db.get('SELECT * FROM data_keys WHERE id = ?', [id], (err, row) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(row || null);
+            }
+        });
+    });
+}
+
+/**
+ * Get the data key records for a certificate
+ * @param {string} docHash - Document hash
+ * @returns {Promise<Array>} Data key records
+ */
+function getDataKeysByDocHash(docHash) {
+    return new Promise((resolve, reject) => {
+        db.all('SELECT * FROM data_keys WHERE docHash = ? ORDER BY createdAt', [docHash], (err, rows) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
+/**
+ * Destroy a certificate's data keys so its metadata can no longer be decrypted
+ * @param {string} docHash - Document hash
+ * @param {number} [accountId] - Account requesting the erasure
+ * @returns {Promise<number>} Number of data keys destroyed
+ */
+async function eraseDataKeys(docHash, accountId) {
+    const { changes } = await run(
+        `UPDATE data_keys SET wrappedKey = NULL, keyId = NULL, erasedAt = CURRENT_TIMESTAMP, erasedBy = ?
+         WHERE docHash = ? AND erasedAt IS NULL`,
+        [accountId || null, docHash]
+    );
+    return changes;
+}
+
+/**
+ * Get the live data keys that are not wrapped with a given key
+ * @param {string} keyId - Wrapping key ID to exclude
+ * @returns {Promise<Array>} Data key records
+ */
+function getDataKeysNotWrappedWith(keyId) {
+    return new Promise((resolve, reject) => {
+        db.all('SELECT * FROM data_keys WHERE erasedAt IS NULL AND keyId != ?', [keyId], (err, rows) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
+/**
+ * Replace the wrapped form of a data key after re-wrapping it
+ * @param {string} id - Data key ID
+ * @param {string} keyId - New wrapping key ID
+ * @param {string} wrappedKey - New wrapped key
+ * @returns {Promise<boolean>} True if the key was still live and got updated
+ */
+async function updateWrappedDataKey(id, keyId, wrappedKey) {
+    const { changes } = await run(
+        'UPDATE data_keys SET keyId = ?, wrappedKey = ? WHERE id = ? AND erasedAt IS NULL',
+        [keyId, wrappedKey, id]
+    );
+    return changes > 0;
+}
+
+/**
+ * Count live data keys per wrapping key
+ * @returns {Promise<Array>} Rows of keyId and count
+ */
+function countDataKeysByKey() {
+    return new Promise((resolve, reject) => {
+        db.all('SELECT keyId, COUNT(*) AS count FROM data_keys WHERE erasedAt IS NULL GROUP BY keyId', (err, rows) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
+/**
+ * Queue a certificate for issuance
+ * A job for a bulk row also marks that row queued, in the same transaction,
+ * so a restart neither loses the row nor queues it twice.
+ * @param {Object} job - id, docHash, ipfsCID, validUntil, optional holder, replaces,
+ *     requiredApprovals or signedRequest (issuer, nonce, deadline and signature of
+ *     a relayed request), caller identity and optional bulk row
+ * @returns {Promise<string>} Job ID
+ */
+async function insertIssuanceJob(job) {
+    return transaction(async (execute) => {
+        await execute(`
+      INSERT INTO issuance_jobs (id, docHash, ipfsCID, validUntil, holder, replaces, requiredApprovals, signedRequest, accountId, apiKeyId, bulkJobId, bulkRowNumber)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+            job.id,
+            job.docHash,
+            job.ipfsCID,
+            job.validUntil || 0,
+            job.holder || null,
+            job.replaces || null,
+            job.requiredApprovals || null,
+            job.signedRequest ? JSON.stringify(job.signedRequest) : null,
+            job.accountId || null,
+            job.apiKeyId || null,
+            job.bulkJobId || null,
+            job.bulkRowNumber || null
+        ]);
+
+        if (job.bulkJobId) {
+            await execute(`
+        UPDATE bulk_job_rows
+        SET status = 'queued', issuanceJobId = ?, ipfsCID = ?, payload = NULL, updatedAt = CURRENT_TIMESTAMP
+        WHERE jobId = ? AND rowNumber = ?
+      `, [job.id, job.ipfsCID, job.bulkJobId, job.bulkRowNumber]);
+        }
+
+        return job.id;
+    });
+}
+
+/**
+ * Parse the JSON columns of an issuance job
+ * @param {Object|undefined} row - Database row
+ * @returns {Object|null} Issuance job
+ */
+function toIssuanceJob(row) {
+    if (!row) {
+        return null;
+    }
+
+    return {
+        ...row,
+        attempts: JSON.parse(row.attempts),
+        signedRequest: row.signedRequest ? JSON.parse(row.signedRequest) : null
+    };
+}
+
+/**
+ * Get an issuance job by ID
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} Issuance job
+ */
+function getIssuanceJob(id) {
+    return new Promise((resolve, reject) => {
+        db.get('SELECT * FROM issuance_jobs WHERE id = ?', [id], (err, row) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(toIssuanceJob(row));
+            }
+        });
+    });
+}
+
+/**
+ * Get the queued or submitted issuance job for a document, if any
+ * @param {string} docHash - Document hash
+ * @returns {Promise<Object|null>} Issuance job
+ */
+function getOpenIssuanceJob(docHash) {
+    return new Promise((resolve, reject) => {
+        const sql = "SELECT * FROM issuance_jobs WHERE docHash = ? AND status IN ('queued', 'submitted')";
+
+        db.get(sql, [docHash], (err, row) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(toIssuanceJob(row));
+            }
+        });
+    });
+}
+
+/**
+ * Get the queued or submitted job that reissues a certificate, if any
+ * @param {string} replaces - Document hash of the certificate being reissued
+ * @returns {Promise<Object|null>} Issuance job
+ */
+function getOpenReissueJob(replaces) {
+    return new Promise((resolve, reject) => {
+        const sql = "SELECT * FROM issuance_jobs WHERE replaces = ? AND status IN ('queued', 'submitted')";
+
+        db.get(sql, [replaces], (err, row) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(toIssuanceJob(row));
+            }
+        });
+    });
+}
+
+/**
+ * Get issuance jobs in any of the given statuses, oldest first
+ * @param {string[]} statuses - Job statuses
+ * @returns {Promise<Array>} Issuance jobs
+ */
+function getIssuanceJobsByStatus(statuses) {
+    return new Promise((resolve, reject) => {
+        const placeholders = statuses.map(() => '?').join(', ');
+        const sql = `SELECT * FROM issuance_jobs WHERE status IN (${placeholders}) ORDER BY createdAt, rowid`;
+
+        db.all(sql, statuses, (err, rows) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(rows.map(toIssuanceJob));
+            }
+        });
+    });
+}
+
+// Columns of an issuance job that the queue updates
+const ISSUANCE_JOB_FIELDS = ['status', 'nonce', 'txHash', 'attempts', 'retries', 'error', 'nextAttemptAt', 'broadcastAt'];
+
+/**
+ * Update an issuance job
+ * @param {string} id - Job ID
+ * @param {Object} fields - Columns to change
+ * @returns {Promise<boolean>} Success status
+ */
+async function updateIssuanceJob(id, fields) {
+    const columns = Object.keys(fields).filter(column => ISSUANCE_JOB_FIELDS.includes(column));
+    const values = columns.map(column => (column === 'attempts' ? JSON.stringify(fields[column]) : fields[column]));
+
+    const { changes } = await run(
+        `UPDATE issuance_jobs SET ${columns.map(column => `${column} = ?`).join(', ')}, updatedAt = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...values, id]
+    );
+    return changes > 0;
+}
+
+/**
+ * Store a holder challenge, dropping challenges that have expired
+ * @param {Object} challenge - nonce, docHash and expiresAt (Unix seconds)
+ * @returns {Promise<boolean>} Success status
+ */
+async function insertHolderChallenge(challenge) {
+    await run('DELETE FROM holder_challenges WHERE expiresAt < ?', [Math.floor(Date.now() / 1000)]);
+
+    const { changes } = await run(
+        'INSERT INTO holder_challenges (nonce, docHash, expiresAt) VALUES (?, ?, ?)',
+        [challenge.nonce, challenge.docHash, challenge.expiresAt]
+    );
+    return changes > 0;
+}
+
+/**
+ * Use up a holder challenge so its signature cannot be replayed
+ * @param {string} nonce - Challenge nonce
+ * @param {string} docHash - Document hash the challenge must have been issued for
+ * @returns {Promise<boolean>} True if the challenge was live and is now used
+ */
+async function consumeHolderChallenge(nonce, docHash) {
+    const { changes } = await run(
+        `UPDATE holder_challenges SET usedAt = CURRENT_TIMESTAMP
+         WHERE nonce = ? AND docHash = ? AND usedAt IS NULL AND expiresAt >= ?`,
+        [nonce, docHash, Math.floor(Date.now() / 1000)]
+    );
+    return changes > 0;
+}
+
+/**
+ * Get indexed certificate proposals with the issuers that approved them
+ * @param {Object} [filter] - status ('pending', 'approved' or 'cancelled') and optional docHash
+ * @returns {Promise<Array>} Proposal records, each with an approvers array
+ */
+function getProposals(filter = {}) {
+    return new Promise((resolve, reject) => {
+        const conditions = [];
+        const params = [];
+
+        if (filter.status) {
+            conditions.push('proposals.status = ?');
+            params.push(filter.status);
+        }
+        if (filter.docHash) {
+            conditions.push('proposals.docHash = ?');
+            params.push(filter.docHash.toLowerCase());
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        db.all(`
+      SELECT proposals.*, proposal_approvals.approver, proposal_approvals.approvedAt
+      FROM proposals
+      LEFT JOIN proposal_approvals ON proposal_approvals.docHash = proposals.docHash
+      ${where}
+      ORDER BY proposals.proposedAt DESC, proposals.docHash, proposal_approvals.approvedAt
+    `, params, (err, rows) => {
+            if (err) {
+                return reject(err);
+            }
+
+            const proposals = new Map();
+            rows.forEach(({ approver, approvedAt, ...proposal }) => {
+                if (!proposals.has(proposal.docHash)) {
+                    proposals.set(proposal.docHash, { ...proposal, approvers: [] });
+                }
+                if (approver) {
+                    proposals.get(proposal.docHash).approvers.push({ address: approver, approvedAt: approvedAt });
+                }
+            });
+            resolve([...proposals.values()]);
+        });
+    });
+}
+
+/**
+ * Get indexed institutions with the number of authorized issuers of each
+ * @returns {Promise<Array>} Institution records
+ */
+function getInstitutions() {
+    return new Promise((resolve, reject) => {
+        db.all(`
+      SELECT institutions.*,
+        (SELECT COUNT(*) FROM issuers WHERE issuers.institutionId = institutions.id AND authorized = 1) AS issuerCount
+      FROM institutions
+      ORDER BY registeredAt, id
+    `, (err, rows) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
+/**
+ * Get indexed issuers, optionally of one institution
+ * @param {Object} [filter] - institutionId, includeRemoved to list deauthorized issuers too,
+ *     and compromised to list only issuers marked compromised
+ * @returns {Promise<Array>} Issuer records
+ */
+function getIssuers(filter = {}) {
+    return new Promise((resolve, reject) => {
+        const conditions = [];
+        const params = [];
+
+        if (!filter.includeRemoved) {
+            conditions.push('authorized = 1');
+        }
+        if (filter.compromised) {
+            conditions.push('compromisedSince IS NOT NULL');
+        }
+        if (filter.institutionId) {
+            conditions.push('institutionId = ?');
+            params.push(filter.institutionId);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        db.all(`SELECT * FROM issuers ${where} ORDER BY addedAt, address`, params, (err, rows) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
+/**
+ * Get indexed institution admins, optionally of one institution
+ * @param {Object} [filter] - institutionId, and includeRemoved to list removed admins too
+ * @returns {Promise<Array>} Institution admin records
+ */
+function getInstitutionAdmins(filter = {}) {
+    return new Promise((resolve, reject) => {
+        const conditions = [];
+        const params = [];
+
+        if (!filter.includeRemoved) {
+            conditions.push('active = 1');
+        }
+        if (filter.institutionId) {
+            conditions.push('institutionId = ?');
+            params.push(filter.institutionId);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        db.all(`SELECT * FROM institution_admins ${where} ORDER BY addedAt, address`, params, (err, rows) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
+/**
+ * Get the last block a sync process has fully applied
+ * @param {string} name - Checkpoint name
+ * @returns {Promise<Object|null>} blockNumber and blockHash, or null if never synced
+ */
+function getSyncCheckpoint(name) {
+    return new Promise((resolve, reject) => {
+        db.get('SELECT blockNumber, blockHash FROM sync_checkpoints WHERE name = ?', [name], (err, row) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(row || null);
+            }
+        });
+    });
+}
+
+// Tables only the indexer writes, rebuilt from indexed_events after a rollback
+const INDEXED_TABLES = [
+    'issuers',
+    'proposals',
+    'proposal_approvals',
+    'institutions',
+    'institution_admins',
+    'revocations',
+    'reissues',
+    'migrated_certificates',
+    'migrated_batches'
+];
+
+/**
+ * Apply one indexed contract event to the tables mirroring the chain
+ * @param {Function} execute - Runs a statement in the open transaction
+ * @param {Object} event - Decoded event
+ */
+async function applyEvent(execute, event) {
+    if (event.name === 'CertificateIssued') {
+        // Chain data wins over what the issuing route recorded; the
+        // confirmation tracker decides when the row is confirmed, and an
+        // orphaned transaction seen again has been mined in a new block
+        await execute(`
+      INSERT INTO transactions (txHash, docHash, ipfsCID, issuer, timestamp, status, blockNumber, blockHash)
+      VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)
+      ON CONFLICT(txHash) DO UPDATE SET
+        docHash = excluded.docHash,
+        ipfsCID = excluded.ipfsCID,
+        issuer = excluded.issuer,
+        timestamp = excluded.timestamp,
+        status = CASE WHEN status = 'orphaned' THEN 'pending' ELSE status END,
+        blockNumber = excluded.blockNumber,
+        blockHash = excluded.blockHash
+    `, [event.txHash, event.docHash, event.ipfsCID, event.issuer, event.timestamp, event.blockNumber, event.blockHash]);
+
+        // Issuing a proposed certificate is what completes its proposal
+        await execute(`
+      UPDATE proposals SET status = 'approved', resolvedAt = ?, blockNumber = ?, updatedAt = CURRENT_TIMESTAMP
+      WHERE docHash = ? AND status = 'pending'
+    `, [event.timestamp, event.blockNumber, event.docHash]);
+    } else if (event.name === 'CertificateProposed') {
+        // A document proposed again after a cancellation starts with no approvals
+        await execute('DELETE FROM proposal_approvals WHERE docHash = ?', [event.docHash]);
+        await execute(`
+      INSERT INTO proposals (docHash, proposer, threshold, approvals, status, proposedAt, blockNumber)
+      VALUES (?, ?, ?, 0, 'pending', ?, ?)
+      ON CONFLICT(docHash) DO UPDATE SET
+        proposer = excluded.proposer, threshold = excluded.threshold, approvals = 0, status = 'pending',
+        proposedAt = excluded.proposedAt, resolvedAt = NULL, blockNumber = excluded.blockNumber, updatedAt = CURRENT_TIMESTAMP
+    `, [event.docHash, event.proposer, event.threshold, event.timestamp, event.blockNumber]);
+    } else if (event.name === 'CertificateApproved') {
+        await execute(`
+      INSERT OR IGNORE INTO proposal_approvals (docHash, approver, approvedAt, blockNumber)
+      VALUES (?, ?, ?, ?)
+    `, [event.docHash, event.approver, event.timestamp, event.blockNumber]);
+        await execute(`
+      UPDATE proposals SET approvals = ?, blockNumber = ?, updatedAt = CURRENT_TIMESTAMP WHERE docHash = ?
+    `, [event.approvals, event.blockNumber, event.docHash]);
+    } else if (event.name === 'CertificateProposalCancelled') {
+        await execute(`
+      UPDATE proposals SET status = 'cancelled', resolvedAt = ?, blockNumber = ?, updatedAt = CURRENT_TIMESTAMP
+      WHERE docHash = ?
+    `, [event.timestamp, event.blockNumber, event.docHash]);
+    } else if (event.name === 'IssuerAdded') {
+        await execute(`
+      INSERT INTO issuers (address, authorized, institutionId, addedAt, blockNumber)
+      VALUES (?, 1, ?, ?, ?)
+      ON CONFLICT(address) DO UPDATE SET
+        authorized = 1, institutionId = excluded.institutionId, addedAt = excluded.addedAt, removedAt = NULL,
+        blockNumber = excluded.blockNumber, updatedAt = CURRENT_TIMESTAMP
+    `, [event.issuer, event.institutionId, event.timestamp, event.blockNumber]);
+    } else if (event.name === 'IssuerRemoved') {
+        await execute(`
+      INSERT INTO issuers (address, authorized, removedAt, blockNumber)
+      VALUES (?, 0, ?, ?)
+      ON CONFLICT(address) DO UPDATE SET
+        authorized = 0, removedAt = excluded.removedAt,
+        blockNumber = excluded.blockNumber, updatedAt = CURRENT_TIMESTAMP
+    `, [event.issuer, event.timestamp, event.blockNumber]);
+    } else if (event.name === 'IssuerCompromised') {
+        await execute(`
+      INSERT INTO issuers (address, authorized, compromisedSince, compromisedAt, blockNumber)
+      VALUES (?, 0, ?, ?, ?)
+      ON CONFLICT(address) DO UPDATE SET
+        compromisedSince = excluded.compromisedSince, compromisedAt = excluded.compromisedAt,
+        blockNumber = excluded.blockNumber, updatedAt = CURRENT_TIMESTAMP
+    `, [event.issuer, event.since, event.timestamp, event.blockNumber]);
+    } else if (event.name === 'IssuerCompromiseCleared') {
+        await execute(`
+      UPDATE issuers SET compromisedSince = NULL, compromisedAt = NULL, blockNumber = ?, updatedAt = CURRENT_TIMESTAMP
+      WHERE address = ?
+    `, [event.blockNumber, event.issuer]);
+    } else if (event.name === 'InstitutionRegistered' || event.name === 'InstitutionUpdated') {
+        await execute(`
+      INSERT INTO institutions (id, name, domain, metadataCID, registeredAt, profileUpdatedAt, blockNumber)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        name = excluded.name, domain = excluded.domain, metadataCID = excluded.metadataCID,
+        profileUpdatedAt = excluded.profileUpdatedAt, blockNumber = excluded.blockNumber, updatedAt = CURRENT_TIMESTAMP
+    `, [event.institutionId, event.institutionName, event.domain, event.metadataCID, event.timestamp, event.timestamp, event.blockNumber]);
+    } else if (event.name === 'InstitutionAdminAdded') {
+        await execute(`
+      INSERT INTO institution_admins (address, institutionId, active, addedAt, blockNumber)
+      VALUES (?, ?, 1, ?, ?)
+      ON CONFLICT(address) DO UPDATE SET
+        institutionId = excluded.institutionId, active = 1, addedAt = excluded.addedAt, removedAt = NULL,
+        blockNumber = excluded.blockNumber, updatedAt = CURRENT_TIMESTAMP
+    `, [event.admin, event.institutionId, event.timestamp, event.blockNumber]);
+    } else if (event.name === 'InstitutionAdminRemoved') {
+        await execute(`
+      UPDATE institution_admins SET active = 0, removedAt = ?, blockNumber = ?, updatedAt = CURRENT_TIMESTAMP
+      WHERE address = ?
+    `, [event.timestamp, event.blockNumber, event.admin]);
+    } else if (event.name === 'CertificateRevoked' || event.name === 'BatchCertificateRevoked') {
+        await execute(`
+      INSERT INTO revocations (docHash, merkleRoot, revokedBy, reasonCode, revokedAt, txHash, blockNumber)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(docHash) DO UPDATE SET
+        merkleRoot = excluded.merkleRoot, revokedBy = excluded.revokedBy, reasonCode = excluded.reasonCode,
+        revokedAt = excluded.revokedAt, txHash = excluded.txHash, blockNumber = excluded.blockNumber
+    `, [event.docHash, event.merkleRoot || null, event.revokedBy, event.reasonCode, event.timestamp, event.txHash, event.blockNumber]);
+    } else if (event.name === 'CertificateReissued') {
+        await execute(`
+      INSERT INTO reissues (oldDocHash, newDocHash, issuer, reissuedAt, txHash, blockNumber)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(oldDocHash) DO UPDATE SET
+        newDocHash = excluded.newDocHash, issuer = excluded.issuer, reissuedAt = excluded.reissuedAt,
+        txHash = excluded.txHash, blockNumber = excluded.blockNumber
+    `, [event.oldDocHash, event.newDocHash, event.issuer, event.timestamp, event.txHash, event.blockNumber]);
+    } else if (event.name === 'BatchIssued') {
+        // Like certificates, batches the API anchored keep their gas used and submitting account
+        await execute(`
+      INSERT INTO batches (merkleRoot, ipfsCID, txHash, issuer, certificateCount, timestamp, blockNumber)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(merkleRoot) DO UPDATE SET
+        ipfsCID = excluded.ipfsCID, txHash = excluded.txHash, issuer = excluded.issuer,
+        certificateCount = excluded.certificateCount, timestamp = excluded.timestamp, blockNumber = excluded.blockNumber
+    `, [event.merkleRoot, event.ipfsCID, event.txHash, event.issuer, event.certificateCount, event.timestamp, event.blockNumber]);
+    } else if (event.name === 'CertificateMigrated') {
+        // The timestamp is when the previous registry issued the certificate
+        await execute(`
+      INSERT INTO migrated_certificates (docHash, issuer, issuedAt, txHash, blockNumber)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(docHash) DO UPDATE SET
+        issuer = excluded.issuer, issuedAt = excluded.issuedAt, txHash = excluded.txHash, blockNumber = excluded.blockNumber
+    `, [event.docHash, event.issuer, event.timestamp, event.txHash, event.blockNumber]);
+    } else if (event.name === 'BatchMigrated') {
+        await execute(`
+      INSERT INTO migrated_batches (merkleRoot, issuer, issuedAt, txHash, blockNumber)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(merkleRoot) DO UPDATE SET
+        issuer = excluded.issuer, issuedAt = excluded.issuedAt, txHash = excluded.txHash, blockNumber = excluded.blockNumber
+    `, [event.merkleRoot, event.issuer, event.timestamp, event.txHash, event.blockNumber]);
+    } else if (event.name === 'ApprovalThresholdSet') {
+        await execute(`
+      UPDATE institutions SET requiredApprovals = ?, blockNumber = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?
+    `, [event.threshold, event.blockNumber, event.institutionId]);
+    }
+}
+
+/**
+ * Apply a range of indexed contract events and advance the checkpoint
+ * Events and checkpoint are written in one transaction, so a restart resumes
+ * from exactly the last block that was applied. The events are kept with the
+ * hash of their block, so they can be rolled back if the chain reorganizes.
+ * @param {string} name - Checkpoint name
+ * @param {Array<Object>} events - Decoded events in chain order
+ * @param {number} toBlock - Last block covered by the events
+ * @param {string} blockHash - Hash of toBlock
+ */
+async function applyIndexedEvents(name, events, toBlock, blockHash) {
+    return transaction(async (execute) => {
+        for (const event of events) {
+            await execute(`
+          INSERT OR IGNORE INTO indexed_events (checkpoint, blockNumber, blockHash, logIndex, txHash, event)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `, [name, event.blockNumber, event.blockHash, event.logIndex, event.txHash, JSON.stringify(event)]);
+            await applyEvent(execute, event);
+        }
+
+        await execute(`
+      INSERT INTO sync_checkpoints (name, blockNumber, blockHash) VALUES (?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET blockNumber = excluded.blockNumber, blockHash = excluded.blockHash, updatedAt = CURRENT_TIMESTAMP
+    `, [name, toBlock, blockHash]);
+    });
+}
+
+/**
+ * Get the blocks a sync process indexed events from, newest first
+ * @param {string} name - Checkpoint name
+ * @param {number} beforeBlock - Only blocks below this one
+ * @param {number} [limit=100] - Maximum number of blocks
+ * @returns {Promise<Array>} blockNumber and blockHash of each block
+ */
+function getIndexedBlocks(name, beforeBlock, limit = 100) {
+    return query(`
+      SELECT DISTINCT blockNumber, blockHash FROM indexed_events
+      WHERE checkpoint = ? AND blockNumber < ?
+      ORDER BY blockNumber DESC
+      LIMIT ?
+    `, [name, beforeBlock, limit]);
+}
+
+/**
+ * Roll back the events a sync process indexed after a block
+ * Used when the chain reorganized: the events are dropped and the tables only
+ * the indexer writes are rebuilt from the ones that remain. Transactions of
+ * dropped CertificateIssued events are marked orphaned for the confirmation
+ * tracker to follow, and batches only the indexer recorded are removed.
+ * @param {string} name - Checkpoint name
+ * @param {Object|null} block - blockNumber and blockHash of the newest block still on the chain,
+ *     or null to roll back everything the process indexed
+ * @returns {Promise<number>} Number of events rolled back
+ */
+async function rollbackIndexedEvents(name, block) {
+    const lastBlock = block ? block.blockNumber : -1;
+
+    return transaction(async (execute) => {
+        const dropped = await query(
+            'SELECT event FROM indexed_events WHERE checkpoint = ? AND blockNumber > ?',
+            [name, lastBlock]
+        );
+
+        for (const row of dropped) {
+            const event = JSON.parse(row.event);
+            if (event.name === 'CertificateIssued') {
+                await execute(`
+          UPDATE transactions SET status = 'orphaned', updatedAt = CURRENT_TIMESTAMP
+          WHERE txHash = ? AND blockHash = ? AND status != 'failed'
+        `, [event.txHash, event.blockHash]);
+            } else if (event.name === 'BatchIssued') {
+                await execute('DELETE FROM batches WHERE merkleRoot = ? AND accountId IS NULL', [event.merkleRoot]);
+            }
+        }
+
+        await execute('DELETE FROM indexed_events WHERE checkpoint = ? AND blockNumber > ?', [name, lastBlock]);
+
+        for (const table of INDEXED_TABLES) {
+            await execute(`DELETE FROM ${table}`);
+        }
+        for (const row of await query('SELECT event FROM indexed_events ORDER BY id')) {
+            await applyEvent(execute, JSON.parse(row.event));
+        }
+
+        if (block) {
+            await execute(`
+          UPDATE sync_checkpoints SET blockNumber = ?, blockHash = ?, updatedAt = CURRENT_TIMESTAMP WHERE name = ?
+        `, [block.blockNumber, block.blockHash, name]);
+        } else {
+            await execute('DELETE FROM sync_checkpoints WHERE name = ?', [name]);
+        }
+
+        return dropped.length;
+    });
+}
+
 /**
  * Get database statistics
  * @returns {Promise<Object>} Database statistics
@@ -195,7 +1675,13 @@ function getStats() {
       SELECT 
         COUNT(*) as totalTransactions,
         COUNT(DISTINCT issuer) as totalIssuers,
-        COUNT(DISTINCT docHash) as totalCertificates
+        (SELECT COUNT(*) FROM (SELECT docHash FROM transactions UNION SELECT docHash FROM migrated_certificates)) as totalCertificates,
+        (SELECT COUNT(*) FROM issuers WHERE authorized = 1) as authorizedIssuers,
+        (SELECT COUNT(*) FROM revocations) as revokedCertificates,
+        (SELECT COUNT(*) FROM reissues) as reissuedCertificates,
+        (SELECT COUNT(*) FROM (SELECT merkleRoot FROM batches UNION SELECT merkleRoot FROM migrated_batches)) as totalBatches,
+        (SELECT COUNT(*) FROM migrated_certificates) as migratedCertificates,
+        (SELECT COUNT(*) FROM migrated_batches) as migratedBatches
       FROM transactions
     `;
 
@@ -234,9 +1720,53 @@ module.exports = {
     insertTransaction,
     getTransactionByHash,
     getTransactionByDocHash,
+    getSubmittingAccountId,
     getAllTransactions,
     getTransactionsByIssuer,
     updateTransactionStatus,
+    getTransactionsByStatus,
+    insertBatch,
+    getBatchCertificate,
+    createBulkJob,
+    getUnqueuedBulkRows,
+    getBulkJobsByStatus,
+    updateBulkJobRow,
+    completeBulkJob,
+    completeBulkJobIfDone,
+    getBulkJob,
+    createAccount,
+    getAccountByName,
+    setAccountScope,
+    insertApiKey,
+    getActiveApiKey,
+    touchApiKey,
+    revokeApiKey,
+    listApiKeys,
+    recordMetadataKey,
+    countMetadataKeys,
+    insertDataKey,
+    getDataKey,
+    getDataKeysByDocHash,
+    eraseDataKeys,
+    getDataKeysNotWrappedWith,
+    updateWrappedDataKey,
+    countDataKeysByKey,
+    insertIssuanceJob,
+    getIssuanceJob,
+    getOpenIssuanceJob,
+    getOpenReissueJob,
+    getIssuanceJobsByStatus,
+    updateIssuanceJob,
+    insertHolderChallenge,
+    consumeHolderChallenge,
+    getProposals,
+    getInstitutions,
+    getIssuers,
+    getInstitutionAdmins,
+    getSyncCheckpoint,
+    applyIndexedEvents,
+    getIndexedBlocks,
+    rollbackIndexedEvents,
     getStats,
     closeDatabase
 };
@@ -0,0 +1,121 @@
+const { hashApiKey } = require('../utils/crypto');
+const { getActiveApiKey, touchApiKey } = require('../db/database');
+
+// Methods that never change state and stay public
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// What an API account may manage, beyond issuing: an issuer account only
+// issues, an institution admin manages its own institution's issuers and
+// profile, and a registry admin manages the whole registry
+const ACCOUNT_ROLES = ['issuer', 'institution_admin', 'registry_admin'];
+
+// POST routes that only read, relative to the /api mount point
+const PUBLIC_POST_ROUTES = ['/verify', '/receipt/check', '/vc/export', '/badges/export', '/vc/verify', '/disclosure', '/disclosure/verify', '/holder/challenge'];
+
+/**
+ * Read the API key from the Authorization or X-API-Key header
+ * @param {Object} req - Express request
+ * @returns {string|null} API key or null if none was sent
+ */
+function extractApiKey(req) {
+    const authorization = req.get('authorization');
+    if (authorization && authorization.startsWith('Bearer ')) {
+        return authorization.slice('Bearer '.length).trim();
+    }
+
+    return req.get('x-api-key') || null;
+}
+
+/**
+ * Require a valid API key and attach the caller's identity as req.auth
+ */
+async function requireApiKey(req, res, next) {
+    try {
+        const apiKey = extractApiKey(req);
+
+        if (!apiKey) {
+            return res.status(401).json({ error: 'API key required' });
+        }
+
+        const record = await getActiveApiKey(hashApiKey(apiKey));
+
+        if (!record) {
+            return res.status(401).json({ error: 'Invalid or revoked API key' });
+        }
+
+        req.auth = {
+            accountId: record.accountId,
+            accountName: record.accountName,
+            apiKeyId: record.apiKeyId,
+            keyPrefix: record.keyPrefix,
+            role: record.accountRole,
+            institutionId: record.institutionId
+        };
+
+        touchApiKey(record.apiKeyId).catch((error) => {
+            console.warn('Failed to record API key use:', error.message);
+        });
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Require an API key for every state-changing route
+ * Read-only routes, including read-only POSTs, stay public.
+ */
+function protectWriteRoutes(req, res, next) {
+    const routePath = req.path.replace(/\/+$/, '') || '/';
+
+    if (READ_METHODS.includes(req.method) || PUBLIC_POST_ROUTES.includes(routePath)) {
+        return next();
+    }
+
+    return requireApiKey(req, res, next);
+}
+
+/**
+ * Check whether the calling API account is a registry admin
+ * @param {Object} auth - req.auth of the request
+ * @returns {boolean} True for registry admin accounts
+ */
+function isRegistryAdmin(auth) {
+    return Boolean(auth) && auth.role === 'registry_admin';
+}
+
+/**
+ * Check whether the calling API account may manage an institution
+ * @param {Object} auth - req.auth of the request
+ * @param {string} institutionId - bytes32 institution ID (the zero ID for issuers without one)
+ * @returns {boolean} True for registry admins and the institution's own admin accounts
+ */
+function canManageInstitution(auth, institutionId) {
+    if (isRegistryAdmin(auth)) {
+        return true;
+    }
+
+    return Boolean(auth) && auth.role === 'institution_admin' && Boolean(auth.institutionId)
+        && auth.institutionId.toLowerCase() === String(institutionId).toLowerCase();
+}
+
+/**
+ * Require the calling API account to be a registry admin
+ */
+function requireRegistryAdmin(req, res, next) {
+    if (!isRegistryAdmin(req.auth)) {
+        return res.status(403).json({ error: 'API account is not a registry admin' });
+    }
+
+    next();
+}
+
+module.exports = {
+    ACCOUNT_ROLES,
+    requireApiKey,
+    protectWriteRoutes,
+    isRegistryAdmin,
+    canManageInstitution,
+    requireRegistryAdmin
+};
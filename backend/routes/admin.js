@@ -0,0 +1,217 @@
+const express = require('express');
+const { getSignerAddress, pauseRegistry, unpauseRegistry, isRegistryPaused, markIssuerCompromised, clearIssuerCompromise, getIssuerCompromise, getRoles, getProvider } = require('../utils/web3');
+const { requireRegistryAdmin } = require('../middleware/auth');
+const { parseAccountAddress, isWeb3Ready } = require('./common');
+
+const router = express.Router();
+
+/**
+ * Read the point from which an issuer's key is compromised
+ * A block is kept as the cutoff, together with its timestamp for certificates
+ * the registry recorded no block number for.
+ * @param {Object} body - Request body with since (date or Unix timestamp) or block
+ * @returns {Promise<Object>} since as a Unix timestamp and sinceBlock (null for a date), or an error message
+ */
+async function parseCompromiseTime(body) {
+    const { since, block } = body || {};
+
+    if ((since === undefined) === (block === undefined)) {
+        return { error: 'Provide either since (a date or Unix timestamp) or block' };
+    }
+
+    if (block !== undefined) {
+        const blockNumber = Number(block);
+        const found = Number.isInteger(blockNumber) && blockNumber >= 0 ? await getProvider().getBlock(blockNumber) : null;
+        if (!found) {
+            return { error: 'block must be the number of a mined block' };
+        }
+        return { since: found.timestamp, sinceBlock: blockNumber };
+    }
+
+    const timestamp = /^\d+$/.test(String(since)) ? Number(since) : Math.floor(new Date(since).getTime() / 1000);
+    if (!timestamp || isNaN(timestamp)) {
+        return { error: 'Invalid since date' };
+    }
+    if (timestamp > Math.floor(Date.now() / 1000)) {
+        return { error: 'since must not be in the future' };
+    }
+
+    return { since: timestamp, sinceBlock: null };
+}
+
+/**
+ * POST /api/registry/pause
+ * Stop all issuance until unpaused; revocation and role changes keep working
+ * The API account and the backend signer must both be registry admins.
+ */
+router.post('/registry/pause', requireRegistryAdmin, async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        if (!(await getRoles(await getSignerAddress())).registryAdmin) {
+            return res.status(403).json({ error: 'Backend signer is not a registry admin' });
+        }
+
+        if ((await isRegistryPaused()) === true) {
+            return res.status(409).json({ error: 'Issuance is already paused' });
+        }
+
+        const txReceipt = await pauseRegistry();
+
+        res.json({
+            success: true,
+            message: 'Issuance paused',
+            data: {
+                paused: true,
+                transactionHash: txReceipt.transactionHash,
+                blockNumber: txReceipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        console.error('Registry pause error:', error);
+        res.status(500).json({
+            error: 'Failed to pause issuance',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/registry/unpause
+ * Resume issuance
+ * The API account and the backend signer must both be registry admins.
+ */
+router.post('/registry/unpause', requireRegistryAdmin, async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        if (!(await getRoles(await getSignerAddress())).registryAdmin) {
+            return res.status(403).json({ error: 'Backend signer is not a registry admin' });
+        }
+
+        if ((await isRegistryPaused()) === false) {
+            return res.status(409).json({ error: 'Issuance is not paused' });
+        }
+
+        const txReceipt = await unpauseRegistry();
+
+        res.json({
+            success: true,
+            message: 'Issuance resumed',
+            data: {
+                paused: false,
+                transactionHash: txReceipt.transactionHash,
+                blockNumber: txReceipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        console.error('Registry unpause error:', error);
+        res.status(500).json({
+            error: 'Failed to unpause issuance',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/issuers/:address/compromise
+ * Mark an issuer's key as compromised from a date or block
+ * Its certificates from that point on verify as revoked, and it loses the
+ * issuer role. The API account and the backend signer must both be registry admins.
+ */
+router.post('/issuers/:address/compromise', requireRegistryAdmin, async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        const address = parseAccountAddress(req.params.address);
+        if (!address) {
+            return res.status(400).json({ error: 'Invalid address' });
+        }
+
+        const { since, sinceBlock, error: sinceError } = await parseCompromiseTime(req.body);
+        if (sinceError) {
+            return res.status(400).json({ error: sinceError });
+        }
+
+        if (!(await getRoles(await getSignerAddress())).registryAdmin) {
+            return res.status(403).json({ error: 'Backend signer is not a registry admin' });
+        }
+
+        const txReceipt = await markIssuerCompromised(address, since, sinceBlock);
+
+        res.json({
+            success: true,
+            message: 'Issuer marked compromised',
+            data: {
+                address: address,
+                compromisedSince: new Date(since * 1000).toISOString(),
+                compromisedSinceBlock: sinceBlock,
+                transactionHash: txReceipt.transactionHash,
+                blockNumber: txReceipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        console.error('Issuer compromise error:', error);
+        res.status(500).json({
+            error: 'Failed to mark issuer compromised',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/issuers/:address/compromise
+ * Withdraw a compromise marking made in error
+ * The issuer role is not restored. The API account and the backend signer must
+ * both be registry admins.
+ */
+router.delete('/issuers/:address/compromise', requireRegistryAdmin, async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        const address = parseAccountAddress(req.params.address);
+        if (!address) {
+            return res.status(400).json({ error: 'Invalid address' });
+        }
+
+        if (!(await getIssuerCompromise(address))) {
+            return res.status(404).json({ error: 'Issuer is not marked compromised', address: address });
+        }
+
+        if (!(await getRoles(await getSignerAddress())).registryAdmin) {
+            return res.status(403).json({ error: 'Backend signer is not a registry admin' });
+        }
+
+        const txReceipt = await clearIssuerCompromise(address);
+
+        res.json({
+            success: true,
+            message: 'Issuer compromise cleared',
+            data: {
+                address: address,
+                transactionHash: txReceipt.transactionHash,
+                blockNumber: txReceipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        console.error('Issuer compromise clear error:', error);
+        res.status(500).json({
+            error: 'Failed to clear issuer compromise',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
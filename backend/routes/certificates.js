@@ -0,0 +1,335 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { REVOCATION_REASONS, revokeCertificate, revokeBatchCertificate, verifyBatchCertificate, getCertificate } = require('../utils/web3');
+const { getReceiptPublicKey } = require('../utils/receipts');
+const { eraseDataKeys, getDataKeysByDocHash, getBatchCertificate } = require('../db/database');
+const { isWeb3Ready, parseDocHash, isSubmittingAccount } = require('./common');
+const { formatRevocation, getCertificateStatus, formatExpiry, fetchMetadata, walkReissueChain, describeSupersession, signVerificationReceipt, formatRegistry, searchRegistries } = require('./lookup');
+
+const router = express.Router();
+
+/**
+ * Revoke a certificate anchored in a batch, answering a /revoke request
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} formattedHash - Document hash (with 0x prefix)
+ * @param {number} code - Revocation reason code
+ */
+async function revokeFromBatch(req, res, formattedHash, code) {
+    const leaf = await getBatchCertificate(formattedHash);
+    const batch = leaf ? await verifyBatchCertificate(formattedHash, leaf.merkleRoot, leaf.proof) : null;
+
+    if (!batch || !batch.included) {
+        return res.status(404).json({
+            error: 'Certificate not found',
+            docHash: formattedHash
+        });
+    }
+
+    if (!(await isSubmittingAccount(req.auth, formattedHash))) {
+        return res.status(403).json({
+            error: 'API account did not issue this certificate',
+            docHash: formattedHash
+        });
+    }
+
+    if (batch.revoked) {
+        return res.status(409).json({
+            error: 'Certificate already revoked',
+            docHash: formattedHash,
+            revocation: formatRevocation(batch)
+        });
+    }
+
+    const txReceipt = await revokeBatchCertificate(leaf.merkleRoot, formattedHash, leaf.proof, code);
+
+    res.json({
+        success: true,
+        message: 'Certificate revoked successfully',
+        data: {
+            docHash: formattedHash,
+            merkleRoot: leaf.merkleRoot,
+            reasonCode: code,
+            reason: REVOCATION_REASONS[code],
+            transactionHash: txReceipt.transactionHash,
+            blockNumber: txReceipt.blockNumber
+        }
+    });
+}
+
+/**
+ * POST /api/revoke
+ * Revoke an issued certificate
+ * Only the account that submitted it, or a registry admin account, may revoke it.
+ * Certificates anchored in a batch are revoked with the proof stored at issuance.
+ */
+router.post('/revoke', async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        const { docHash, reasonCode } = req.body;
+
+        if (!docHash) {
+            return res.status(400).json({ error: 'No document hash provided' });
+        }
+
+        const code = parseInt(reasonCode);
+        if (isNaN(code) || !(code in REVOCATION_REASONS)) {
+            return res.status(400).json({
+                error: 'Invalid revocation reason code',
+                validReasons: REVOCATION_REASONS
+            });
+        }
+
+        const formattedHash = parseDocHash(docHash);
+        if (!formattedHash) {
+            return res.status(400).json({ error: 'Invalid document hash' });
+        }
+
+        const certData = await getCertificate(formattedHash);
+
+        if (!certData.exists) {
+            return await revokeFromBatch(req, res, formattedHash, code);
+        }
+
+        if (!(await isSubmittingAccount(req.auth, formattedHash))) {
+            return res.status(403).json({
+                error: 'API account did not issue this certificate',
+                docHash: formattedHash
+            });
+        }
+
+        if (certData.revoked) {
+            return res.status(409).json({
+                error: 'Certificate already revoked',
+                docHash: formattedHash,
+                revocation: formatRevocation(certData)
+            });
+        }
+
+        const txReceipt = await revokeCertificate(formattedHash, code);
+
+        res.json({
+            success: true,
+            message: 'Certificate revoked successfully',
+            data: {
+                docHash: formattedHash,
+                reasonCode: code,
+                reason: REVOCATION_REASONS[code],
+                transactionHash: txReceipt.transactionHash,
+                blockNumber: txReceipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        console.error('Certificate revocation error:', error);
+        res.status(500).json({
+            error: 'Failed to revoke certificate',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/cert/:hash
+ * Get certificate details by hash, without its metadata
+ */
+router.get('/cert/:hash', async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        const docHash = req.params.hash;
+
+        // Ensure hash has 0x prefix
+        const formattedHash = docHash.startsWith('0x') ? docHash : '0x' + docHash;
+
+        if (req.query.receipt === 'true') {
+            if (!ethers.isHexString(formattedHash, 32)) {
+                return res.status(400).json({ error: 'Receipts need a 32-byte document hash' });
+            }
+            if (!getReceiptPublicKey()) {
+                return res.status(503).json({ error: 'Receipt signing key not configured' });
+            }
+        }
+
+        // Get certificate from every registry, falling back to batch inclusion on each
+        const { searched, match } = await searchRegistries(req, formattedHash, { read: getCertificate });
+
+        if (!match) {
+            // The receipt is that of the primary registry, where new certificates are issued
+            const primary = searched[0];
+            const response = {
+                error: 'Certificate not found',
+                docHash: formattedHash,
+                searchedRegistries: searched.map(({ registry }) => formatRegistry(registry))
+            };
+            if (primary.blockTag !== 'latest') {
+                response.receipt = await signVerificationReceipt(formattedHash, 'not_found', null, primary.blockTag, primary.registry);
+            }
+            return res.status(404).json(response);
+        }
+
+        const { registry, blockTag, certData } = match;
+
+        // Only whether metadata is available: anyone shown a disclosure package knows the
+        // hash, so the fields themselves go only to those presenting the file (POST /api/verify)
+        const { metadataStatus } = await fetchMetadata(certData.ipfsCID);
+
+        const status = getCertificateStatus(certData);
+
+        const response = {
+            exists: true,
+            valid: status === 'valid',
+            status: status,
+            certificate: {
+                docHash: certData.docHash,
+                issuer: certData.issuer,
+                holder: certData.holder || null,
+                replaces: certData.replaces || null,
+                timestamp: certData.timestamp,
+                ipfsCID: certData.ipfsCID,
+                metadataStatus: metadataStatus,
+                issuedDate: new Date(parseInt(certData.timestamp) * 1000).toISOString(),
+                expiresAt: formatExpiry(certData.validUntil)
+            },
+            supersession: certData.supersededBy ? await describeSupersession(certData, blockTag, registry) : null,
+            revocation: formatRevocation(certData),
+            registry: formatRegistry(registry),
+            batch: certData.batch || null
+        };
+        if (blockTag !== 'latest') {
+            response.receipt = await signVerificationReceipt(formattedHash, status, certData.issuer, blockTag, registry);
+        }
+
+        res.json(response);
+
+    } catch (error) {
+        console.error('Get certificate error:', error);
+        res.status(500).json({
+            error: 'Failed to get certificate',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/cert/:hash/history
+ * Get the reissue lineage of a certificate, oldest first
+ */
+router.get('/cert/:hash/history', async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        const docHash = req.params.hash;
+
+        // Ensure hash has 0x prefix
+        const formattedHash = docHash.startsWith('0x') ? docHash : '0x' + docHash;
+
+        if (!ethers.isHexString(formattedHash, 32)) {
+            return res.status(400).json({ error: 'Invalid document hash' });
+        }
+
+        const certData = await getCertificate(formattedHash);
+        if (!certData.exists) {
+            return res.status(404).json({
+                error: 'Certificate not found',
+                docHash: formattedHash
+            });
+        }
+
+        const earlier = await walkReissueChain(certData, 'replaces');
+        const later = await walkReissueChain(certData, 'supersededBy');
+        const lineage = [...earlier.reverse(), certData, ...later];
+
+        res.json({
+            success: true,
+            docHash: formattedHash,
+            currentHash: lineage[lineage.length - 1].docHash,
+            lineage: lineage.map(entry => ({
+                docHash: entry.docHash,
+                status: getCertificateStatus(entry),
+                issuer: entry.issuer,
+                issuedDate: new Date(parseInt(entry.timestamp) * 1000).toISOString(),
+                expiresAt: formatExpiry(entry.validUntil),
+                replaces: entry.replaces,
+                supersededBy: entry.supersededBy,
+                revocation: formatRevocation(entry)
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get certificate history error:', error);
+        res.status(500).json({
+            error: 'Failed to get certificate history',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/cert/:hash/personal-data
+ * Erase a certificate's personal data by destroying its data key
+ * The on-chain record still verifies; only the metadata becomes unreadable.
+ * Only the account that submitted the certificate, or a registry admin account, may erase it.
+ */
+router.delete('/cert/:hash/personal-data', async (req, res) => {
+    try {
+        const formattedHash = parseDocHash(req.params.hash);
+        if (!formattedHash) {
+            return res.status(400).json({ error: 'Invalid document hash' });
+        }
+
+        if (!(await isSubmittingAccount(req.auth, formattedHash))) {
+            return res.status(403).json({
+                error: 'API account did not submit this certificate',
+                docHash: formattedHash
+            });
+        }
+
+        const dataKeys = await getDataKeysByDocHash(formattedHash);
+
+        if (dataKeys.length === 0) {
+            return res.status(404).json({
+                error: 'No personal data key for this certificate',
+                details: 'Certificates issued before per-certificate keys share the master key and cannot be erased this way',
+                docHash: formattedHash
+            });
+        }
+
+        const erased = await eraseDataKeys(formattedHash, req.auth.accountId);
+
+        if (erased === 0) {
+            return res.status(409).json({
+                error: 'Personal data already erased',
+                docHash: formattedHash,
+                erasedAt: dataKeys[0].erasedAt
+            });
+        }
+
+        console.log('🗑️  Personal data erased for', formattedHash, 'by', req.auth.accountName);
+
+        res.json({
+            success: true,
+            message: 'Personal data erased; the certificate still verifies on-chain',
+            data: {
+                docHash: formattedHash,
+                erasedBy: req.auth.accountName
+            }
+        });
+
+    } catch (error) {
+        console.error('Personal data erasure error:', error);
+        res.status(500).json({
+            error: 'Failed to erase personal data',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
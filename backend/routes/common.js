@@ -0,0 +1,242 @@
+const multer = require('multer');
+const { ethers } = require('ethers');
+const { initWeb3, verifyCertificate, isRegistryPaused, getProposal, getRoles, getApprovalPolicy } = require('../utils/web3');
+const { initIPFS } = require('../utils/ipfs');
+const { getOpenIssuanceJob, getSubmittingAccountId } = require('../db/database');
+const { isRegistryAdmin } = require('../middleware/auth');
+
+// Initialize Web3 and IPFS on module load
+let web3Ready = false;
+let ipfsReady = false;
+
+(async () => {
+    try {
+        await initWeb3();
+        web3Ready = true;
+    } catch (error) {
+        console.error('Web3 initialization failed:', error.message);
+    }
+
+    try {
+        ipfsReady = await initIPFS();
+    } catch (error) {
+        console.error('IPFS initialization failed:', error.message);
+    }
+})();
+
+/**
+ * Check whether the registry connection is ready
+ * @returns {boolean} True once Web3 is initialized
+ */
+function isWeb3Ready() {
+    return web3Ready;
+}
+
+/**
+ * Check whether IPFS storage is ready
+ * @returns {boolean} True once IPFS is initialized
+ */
+function isIPFSReady() {
+    return ipfsReady;
+}
+
+// Configure multer for file uploads
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 10 * 1024 * 1024 // 10MB limit
+    }
+});
+
+/**
+ * Parse a document hash given in a request
+ * @param {string} docHash - 32-byte hex hash, with or without 0x
+ * @returns {string|null} Lowercase 0x-prefixed hash, or null if malformed
+ */
+function parseDocHash(docHash) {
+    if (typeof docHash !== 'string') {
+        return null;
+    }
+
+    const formattedHash = (docHash.startsWith('0x') ? docHash : '0x' + docHash).toLowerCase();
+    return ethers.isHexString(formattedHash, 32) ? formattedHash : null;
+}
+
+/**
+ * Check whether the calling API account may act on a certificate after issuance
+ * Only the account that submitted it and registry admin accounts may.
+ * @param {Object} auth - req.auth of the request
+ * @param {string} docHash - Lowercase document hash
+ * @returns {Promise<boolean>} True if the account submitted it or is a registry admin
+ */
+async function isSubmittingAccount(auth, docHash) {
+    if (isRegistryAdmin(auth)) {
+        return true;
+    }
+
+    const accountId = await getSubmittingAccountId(docHash);
+    return accountId !== null && accountId === auth.accountId;
+}
+
+/**
+ * Pick the certificate metadata fields out of a request body
+ * @param {Object} fields - Request body or batch entry
+ * @returns {Object} Certificate metadata
+ */
+function extractMetadata(fields) {
+    return {
+        studentName: fields.studentName,
+        courseName: fields.courseName,
+        institution: fields.institution,
+        issueDate: fields.issueDate,
+        grade: fields.grade,
+        additionalInfo: fields.additionalInfo
+    };
+}
+
+/**
+ * Check that the required metadata fields are present
+ * @param {Object} metadata - Certificate metadata
+ * @returns {boolean} True if the metadata is complete
+ */
+function hasRequiredMetadata(metadata) {
+    return Boolean(metadata.studentName && metadata.courseName && metadata.institution);
+}
+
+/**
+ * Parse an optional expiry date supplied at issuance
+ * @param {string} [expiresAt] - Date string
+ * @returns {Object} validUntil as a Unix timestamp (0 for none), or an error message
+ */
+function parseExpiresAt(expiresAt) {
+    if (!expiresAt) {
+        return { validUntil: 0 };
+    }
+
+    const date = new Date(expiresAt);
+    if (isNaN(date.getTime())) {
+        return { error: 'Invalid expiresAt date' };
+    }
+    if (date.getTime() <= Date.now()) {
+        return { error: 'expiresAt must be in the future' };
+    }
+
+    return { validUntil: Math.floor(date.getTime() / 1000) };
+}
+
+/**
+ * Parse an account address given to a role management route
+ * @param {string} address - Address from the request
+ * @returns {string|null} Checksummed address, or null if invalid or zero
+ */
+function parseAccountAddress(address) {
+    if (!address || !ethers.isAddress(address) || ethers.getAddress(address) === ethers.ZeroAddress) {
+        return null;
+    }
+    return ethers.getAddress(address);
+}
+
+/**
+ * Parse an optional holder wallet address supplied at issuance
+ * @param {string} [holderAddress] - Ethereum address
+ * @returns {Object} Checksummed holder (null for none), or an error message
+ */
+function parseHolderAddress(holderAddress) {
+    if (!holderAddress) {
+        return { holder: null };
+    }
+    if (!ethers.isAddress(holderAddress) || ethers.getAddress(holderAddress) === ethers.ZeroAddress) {
+        return { error: 'Invalid holderAddress' };
+    }
+
+    return { holder: ethers.getAddress(holderAddress) };
+}
+
+/**
+ * Send 503 if issuance is paused on the registry
+ * @param {Object} res - Express response
+ * @returns {Promise<boolean>} True if the response was sent
+ */
+async function rejectWhilePaused(res) {
+    if (!(await isRegistryPaused())) {
+        return false;
+    }
+
+    res.status(503).json({ error: 'Issuance is paused on the registry' });
+    return true;
+}
+
+/**
+ * Check whether a certificate is already issued, proposed or queued
+ * @param {string} docHash - Document hash
+ * @returns {Promise<Object|null>} 409 response body, or null if it can be issued
+ */
+async function findIssuanceConflict(docHash) {
+    if ((await verifyCertificate(docHash)).exists) {
+        return { error: 'Certificate already exists', docHash: docHash };
+    }
+
+    if (await getProposal(docHash)) {
+        return {
+            error: 'Certificate is pending approval',
+            docHash: docHash,
+            proposalUrl: `/api/proposals/${docHash.toLowerCase()}`
+        };
+    }
+
+    const openJob = await getOpenIssuanceJob(docHash);
+    if (openJob) {
+        return {
+            error: 'Certificate is already queued for issuance',
+            docHash: docHash,
+            jobId: openJob.id
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Check a certificate against the approval threshold of its issuer's institution
+ * Institutions that require several approvals only accept proposals that ask
+ * for at least as many, and no more than they have issuers.
+ * @param {string} issuer - Issuer the certificate would be credited to
+ * @param {number|null} requiredApprovals - Approvals it is proposed with (null to issue it directly)
+ * @returns {Promise<Object|null>} 409 response body, or null if the institution allows it
+ */
+async function findApprovalPolicyConflict(issuer, requiredApprovals) {
+    const { issuerInstitution } = await getRoles(issuer);
+    const { threshold, issuerCount } = await getApprovalPolicy(issuerInstitution);
+
+    if (threshold > 1 && (requiredApprovals || 0) < threshold) {
+        return {
+            error: `The issuer's institution requires ${threshold} approvals per certificate`,
+            requiredApprovals: threshold
+        };
+    }
+
+    if (requiredApprovals && requiredApprovals > issuerCount) {
+        return {
+            error: `The issuer's institution has only ${issuerCount} issuers to approve it`,
+            issuerCount: issuerCount
+        };
+    }
+
+    return null;
+}
+
+module.exports = {
+    upload,
+    isWeb3Ready,
+    isIPFSReady,
+    parseDocHash,
+    isSubmittingAccount,
+    extractMetadata,
+    hasRequiredMetadata,
+    parseExpiresAt,
+    parseAccountAddress,
+    parseHolderAddress,
+    rejectWhilePaused,
+    findIssuanceConflict,
+    findApprovalPolicyConflict
+};
@@ -0,0 +1,275 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { verifyCertificate, getCertificate, getSignerAddress, getDeployment } = require('../utils/web3');
+const { STATUS_TYPE, buildCredential, signCredential, verifyCredentialProof } = require('../utils/credentials');
+const { buildBadgeCredential } = require('../utils/badges');
+const { hashDocumentForBlockchain } = require('../utils/crypto');
+const { checkHolderProof } = require('../utils/holderProofs');
+const { upload, isWeb3Ready } = require('./common');
+const { STATUS_MESSAGES, formatRevocation, getCertificateStatus, formatExpiry, fetchMetadata, resolveBatchCertificate, parseHolderProof } = require('./lookup');
+
+const router = express.Router();
+
+/**
+ * Load a certificate for export as a signed credential, or send the error response
+ * The credential carries the decrypted metadata, so the document hash alone is not
+ * enough: it is shared with every verifier shown a disclosure package. As with
+ * POST /api/verify, the caller uploads the certificate file, or proves they hold a
+ * holder-bound certificate with a challenge from POST /api/holder/challenge.
+ * Only valid certificates issued by this backend's signer can be exported,
+ * since the credential is signed with the issuer's key.
+ * @param {Object} req - Express request with the certificate file, or docHash,
+ *     holderNonce and holderSignature in the body
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} docHash, certificate data and metadata, or
+ *     null if a response was already sent
+ */
+async function loadExportableCertificate(req, res) {
+    if (!isWeb3Ready()) {
+        res.status(503).json({ error: 'Web3 not initialized' });
+        return null;
+    }
+
+    let formattedHash;
+    let holderProof = null;
+    if (req.file) {
+        formattedHash = hashDocumentForBlockchain(req.file.buffer);
+    } else {
+        const { proof, error: holderProofError } = parseHolderProof(req.body || {});
+        if (!ethers.isHexString(req.body && req.body.docHash, 32) || !proof) {
+            res.status(400).json({
+                error: holderProofError || 'Upload the certificate file, or send its docHash with a holderNonce and holderSignature'
+            });
+            return null;
+        }
+        formattedHash = req.body.docHash;
+        holderProof = proof;
+    }
+
+    let certData = await getCertificate(formattedHash);
+    if (!certData.exists) {
+        certData = await resolveBatchCertificate(formattedHash);
+    }
+
+    if (!certData.exists) {
+        res.status(404).json({
+            error: 'Certificate not found',
+            docHash: formattedHash
+        });
+        return null;
+    }
+
+    if (holderProof) {
+        if (!certData.holder) {
+            res.status(409).json({
+                error: 'Certificate is not bound to a holder; upload the certificate file instead',
+                docHash: formattedHash
+            });
+            return null;
+        }
+        const check = await checkHolderProof(formattedHash, certData.holder, holderProof);
+        if (!check.verified) {
+            res.status(403).json({
+                error: 'Holder proof was not accepted',
+                reason: check.reason,
+                docHash: formattedHash
+            });
+            return null;
+        }
+    }
+
+    const status = getCertificateStatus(certData);
+    if (status !== 'valid') {
+        res.status(409).json({
+            error: 'Only valid certificates can be exported',
+            docHash: formattedHash,
+            status: status
+        });
+        return null;
+    }
+
+    const signerAddress = getSignerAddress();
+    if (!signerAddress) {
+        res.status(503).json({ error: 'No signer available' });
+        return null;
+    }
+    if (certData.issuer !== signerAddress) {
+        res.status(409).json({
+            error: 'Certificate was issued by another issuer; only its issuer can sign the credential',
+            docHash: formattedHash,
+            issuer: certData.issuer
+        });
+        return null;
+    }
+
+    const { metadata, metadataStatus } = await fetchMetadata(certData.ipfsCID);
+    if (metadataStatus === 'erased') {
+        res.status(410).json({ error: 'Personal data has been erased', docHash: formattedHash });
+        return null;
+    }
+    if (!metadata) {
+        res.status(502).json({ error: 'Certificate metadata unavailable', docHash: formattedHash });
+        return null;
+    }
+
+    return { docHash: formattedHash, certData, metadata };
+}
+
+/**
+ * Describe an exportable certificate and its registry for the credential builders
+ * @param {Object} req - Express request, for the status URL
+ * @param {Object} exportable - Result of loadExportableCertificate
+ * @returns {Array<Object>} Certificate and registry arguments
+ */
+function describeForExport(req, { docHash, certData, metadata }) {
+    const deployment = getDeployment();
+
+    return [{
+        docHash: docHash,
+        metadata: metadata,
+        issuer: certData.issuer,
+        issuedAt: new Date(parseInt(certData.timestamp) * 1000).toISOString(),
+        expiresAt: formatExpiry(certData.validUntil)
+    }, {
+        chainId: deployment.chainId,
+        contractAddress: deployment.contractAddress,
+        statusUrl: `${req.protocol}://${req.get('host')}/api/cert/${docHash.toLowerCase()}`
+    }];
+}
+
+/**
+ * POST /api/vc/export
+ * Export a valid certificate as a W3C Verifiable Credential signed by its issuer
+ */
+router.post('/vc/export', upload.single('certificate'), async (req, res) => {
+    try {
+        const exportable = await loadExportableCertificate(req, res);
+        if (!exportable) {
+            return;
+        }
+
+        res.json(await signCredential(buildCredential(...describeForExport(req, exportable))));
+
+    } catch (error) {
+        console.error('Credential export error:', error);
+        res.status(500).json({
+            error: 'Failed to export credential',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/badges/export
+ * Export a valid certificate as an Open Badges 3.0 credential signed by its issuer
+ */
+router.post('/badges/export', upload.single('certificate'), async (req, res) => {
+    try {
+        const exportable = await loadExportableCertificate(req, res);
+        if (!exportable) {
+            return;
+        }
+
+        res.json(await signCredential(buildBadgeCredential(...describeForExport(req, exportable))));
+
+    } catch (error) {
+        console.error('Badge export error:', error);
+        res.status(500).json({
+            error: 'Failed to export badge',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/vc/verify
+ * Check a credential's signature and cross-check its document hash against the registry
+ */
+router.post('/vc/verify', async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        const credential = req.body;
+        const proof = verifyCredentialProof(credential);
+
+        if (!proof.valid) {
+            return res.json({
+                valid: false,
+                status: 'invalid_signature',
+                message: proof.reason
+            });
+        }
+
+        // The credential must point at this deployment's registry, for its own document
+        const deployment = getDeployment();
+        const credentialStatus = credential.credentialStatus || {};
+        const registry = `eip155:${deployment.chainId}:${deployment.contractAddress}`;
+        const docHash = credentialStatus.documentHash;
+
+        if (credentialStatus.type !== STATUS_TYPE
+            || String(credentialStatus.registry).toLowerCase() !== registry.toLowerCase()
+            || proof.chainId !== Number(deployment.chainId)) {
+            return res.json({
+                valid: false,
+                status: 'unknown_registry',
+                message: `Credential is not anchored in registry ${registry}`
+            });
+        }
+        if (!ethers.isHexString(docHash, 32) || !credential.credentialSubject
+            || credential.credentialSubject.documentHash !== docHash) {
+            return res.json({
+                valid: false,
+                status: 'invalid_credential',
+                message: 'Credential subject and status name different documents'
+            });
+        }
+
+        let certData = await verifyCertificate(docHash);
+        if (!certData.exists) {
+            certData = await resolveBatchCertificate(docHash);
+        }
+
+        if (!certData.exists) {
+            return res.json({
+                valid: false,
+                status: 'not_found',
+                message: 'Certificate not found on blockchain',
+                docHash: docHash
+            });
+        }
+
+        if (certData.issuer !== proof.issuer) {
+            return res.json({
+                valid: false,
+                status: 'issuer_mismatch',
+                message: 'Credential was not signed by the certificate\'s on-chain issuer',
+                docHash: docHash,
+                issuer: certData.issuer
+            });
+        }
+
+        const status = getCertificateStatus(certData);
+
+        res.json({
+            valid: status === 'valid',
+            status: status,
+            message: STATUS_MESSAGES[status],
+            docHash: docHash,
+            issuer: certData.issuer,
+            issuedDate: new Date(parseInt(certData.timestamp) * 1000).toISOString(),
+            expiresAt: formatExpiry(certData.validUntil),
+            revocation: formatRevocation(certData)
+        });
+
+    } catch (error) {
+        console.error('Credential verification error:', error);
+        res.status(500).json({
+            error: 'Failed to verify credential',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
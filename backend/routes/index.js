@@ -0,0 +1,27 @@
+const express = require('express');
+const issuanceRoutes = require('./issuance');
+const relayRoutes = require('./relay');
+const verificationRoutes = require('./verification');
+const proposalRoutes = require('./proposals');
+const certificateRoutes = require('./certificates');
+const adminRoutes = require('./admin');
+const institutionRoutes = require('./institutions');
+const exportRoutes = require('./export');
+const receiptRoutes = require('./receipts');
+const statusRoutes = require('./status');
+
+// API routes, grouped by area; each group checks its own authorization
+const router = express.Router();
+
+router.use(issuanceRoutes);
+router.use(relayRoutes);
+router.use(verificationRoutes);
+router.use(proposalRoutes);
+router.use(certificateRoutes);
+router.use(adminRoutes);
+router.use(institutionRoutes);
+router.use(exportRoutes);
+router.use(receiptRoutes);
+router.use(statusRoutes);
+
+module.exports = router;
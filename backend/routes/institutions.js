@@ -0,0 +1,689 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { uploadToIPFS, retrieveFromIPFS } = require('../utils/ipfs');
+const { getSignerAddress, getIssuerCompromise, registerInstitution, updateInstitution, getInstitution, getApprovalPolicy, setApprovalThreshold, addIssuer, removeIssuer, addInstitutionAdmin, removeInstitutionAdmin, getRoles, canManageIssuers } = require('../utils/web3');
+const { toInstitutionId, formatInstitutionId } = require('../utils/institutions');
+const { getInstitutions, getIssuers, getInstitutionAdmins } = require('../db/database');
+const { canManageInstitution, requireRegistryAdmin } = require('../middleware/auth');
+const { parseAccountAddress, isWeb3Ready } = require('./common');
+
+const router = express.Router();
+
+/**
+ * Read an institution profile from a register or update request
+ * A profile object is uploaded to IPFS as public JSON; a metadataCID is used as given.
+ * @param {Object} body - Request body with name, domain, and profile or metadataCID
+ * @returns {Promise<Object>} name, domain and metadataCID, or error
+ */
+async function parseInstitutionProfile(body) {
+    const { name, domain, profile, metadataCID } = body;
+
+    if (typeof name !== 'string' || name.trim().length === 0) {
+        return { error: 'Institution name is required' };
+    }
+    if (domain !== undefined && typeof domain !== 'string') {
+        return { error: 'Invalid domain' };
+    }
+    if (profile !== undefined && (typeof profile !== 'object' || profile === null || Array.isArray(profile))) {
+        return { error: 'profile must be a JSON object' };
+    }
+
+    return {
+        name: name.trim(),
+        domain: (domain || '').trim().toLowerCase(),
+        metadataCID: profile ? await uploadToIPFS(profile) : (metadataCID || '')
+    };
+}
+
+/**
+ * Format an indexed issuer or institution admin for a response
+ * @param {Object} record - Row of the issuers or institution_admins table
+ * @returns {Object} Address, institution and membership times
+ */
+function formatRoleRecord(record) {
+    const formatted = {
+        address: record.address,
+        institution: formatInstitutionId(record.institutionId),
+        institutionId: record.institutionId || ethers.ZeroHash,
+        active: Boolean(record.authorized !== undefined ? record.authorized : record.active),
+        addedAt: record.addedAt ? new Date(record.addedAt * 1000).toISOString() : null,
+        removedAt: record.removedAt ? new Date(record.removedAt * 1000).toISOString() : null
+    };
+
+    // Only issuers can be marked compromised
+    if (record.compromisedSince !== undefined) {
+        formatted.compromisedSince = record.compromisedSince ? new Date(record.compromisedSince * 1000).toISOString() : null;
+    }
+
+    return formatted;
+}
+
+/**
+ * GET /api/institutions
+ * List registered institutions
+ */
+router.get('/institutions', async (req, res) => {
+    try {
+        const institutions = await getInstitutions();
+
+        res.json({
+            success: true,
+            count: institutions.length,
+            institutions: institutions.map(institution => ({
+                id: formatInstitutionId(institution.id),
+                institutionId: institution.id,
+                name: institution.name,
+                domain: institution.domain,
+                metadataCID: institution.metadataCID || null,
+                issuerCount: institution.issuerCount,
+                requiredApprovals: institution.requiredApprovals > 1 ? institution.requiredApprovals : null,
+                registeredAt: new Date(institution.registeredAt * 1000).toISOString(),
+                updatedAt: new Date(institution.profileUpdatedAt * 1000).toISOString()
+            }))
+        });
+
+    } catch (error) {
+        console.error('Institution listing error:', error);
+        res.status(500).json({
+            error: 'Failed to list institutions',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/institutions/:id
+ * Get an institution's registered profile and its issuers
+ */
+router.get('/institutions/:id', async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        const institutionId = toInstitutionId(req.params.id);
+        if (!institutionId) {
+            return res.status(400).json({ error: 'Invalid institution' });
+        }
+
+        const institution = await getInstitution(institutionId);
+        if (!institution) {
+            return res.status(404).json({ error: 'Institution not registered', id: req.params.id });
+        }
+
+        let profile = null;
+        if (institution.metadataCID) {
+            try {
+                profile = await retrieveFromIPFS(institution.metadataCID);
+            } catch (error) {
+                console.warn('Failed to retrieve institution profile:', error.message);
+            }
+        }
+
+        const [issuers, admins, approvalPolicy] = await Promise.all([
+            getIssuers({ institutionId }),
+            getInstitutionAdmins({ institutionId }),
+            getApprovalPolicy(institutionId)
+        ]);
+
+        res.json({
+            success: true,
+            institution: {
+                id: formatInstitutionId(institutionId),
+                institutionId: institutionId,
+                name: institution.name,
+                domain: institution.domain,
+                metadataCID: institution.metadataCID,
+                profile: profile,
+                registeredAt: new Date(parseInt(institution.registeredAt) * 1000).toISOString(),
+                updatedAt: new Date(parseInt(institution.updatedAt) * 1000).toISOString(),
+                requiredApprovals: approvalPolicy.threshold > 1 ? approvalPolicy.threshold : null
+            },
+            issuers: issuers.map(formatRoleRecord),
+            admins: admins.map(formatRoleRecord)
+        });
+
+    } catch (error) {
+        console.error('Institution lookup error:', error);
+        res.status(500).json({
+            error: 'Failed to get institution',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/institutions
+ * Register an institution
+ * The API account and the backend signer must both be registry admins.
+ */
+router.post('/institutions', requireRegistryAdmin, async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        const institutionId = toInstitutionId(req.body.id);
+        if (!institutionId || institutionId === ethers.ZeroHash) {
+            return res.status(400).json({ error: 'Invalid institution' });
+        }
+
+        if (!(await getRoles(await getSignerAddress())).registryAdmin) {
+            return res.status(403).json({ error: 'Backend signer is not a registry admin' });
+        }
+
+        if (await getInstitution(institutionId)) {
+            return res.status(409).json({ error: 'Institution already registered', id: formatInstitutionId(institutionId) });
+        }
+
+        const profile = await parseInstitutionProfile(req.body);
+        if (profile.error) {
+            return res.status(400).json({ error: profile.error });
+        }
+
+        const txReceipt = await registerInstitution(institutionId, profile);
+
+        res.status(201).json({
+            success: true,
+            message: 'Institution registered',
+            data: {
+                id: formatInstitutionId(institutionId),
+                institutionId: institutionId,
+                ...profile,
+                transactionHash: txReceipt.transactionHash,
+                blockNumber: txReceipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        console.error('Institution registration error:', error);
+        res.status(500).json({
+            error: 'Failed to register institution',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/institutions/:id
+ * Replace an institution's profile
+ * The API account and the backend signer must each be a registry admin, or the
+ * admin of that institution.
+ */
+router.put('/institutions/:id', async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        const institutionId = toInstitutionId(req.params.id);
+        if (!institutionId) {
+            return res.status(400).json({ error: 'Invalid institution' });
+        }
+
+        if (!canManageInstitution(req.auth, institutionId)) {
+            return res.status(403).json({
+                error: 'API account cannot manage this institution',
+                institution: formatInstitutionId(institutionId)
+            });
+        }
+
+        if (!(await getInstitution(institutionId))) {
+            return res.status(404).json({ error: 'Institution not registered', id: req.params.id });
+        }
+
+        if (!(await canManageIssuers(await getSignerAddress(), institutionId))) {
+            return res.status(403).json({ error: 'Backend signer cannot manage this institution' });
+        }
+
+        const profile = await parseInstitutionProfile(req.body);
+        if (profile.error) {
+            return res.status(400).json({ error: profile.error });
+        }
+
+        const txReceipt = await updateInstitution(institutionId, profile);
+
+        res.json({
+            success: true,
+            message: 'Institution updated',
+            data: {
+                id: formatInstitutionId(institutionId),
+                institutionId: institutionId,
+                ...profile,
+                transactionHash: txReceipt.transactionHash,
+                blockNumber: txReceipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        console.error('Institution update error:', error);
+        res.status(500).json({
+            error: 'Failed to update institution',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/institutions/:id/approval-threshold
+ * Require every certificate of an institution to be approved by several of its issuers
+ * A requiredApprovals of 0 or 1 lets its issuers issue directly again. The API
+ * account and the backend signer must each be a registry admin, or the admin of
+ * that institution.
+ */
+router.put('/institutions/:id/approval-threshold', async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        const institutionId = toInstitutionId(req.params.id);
+        if (!institutionId) {
+            return res.status(400).json({ error: 'Invalid institution' });
+        }
+
+        if (!canManageInstitution(req.auth, institutionId)) {
+            return res.status(403).json({
+                error: 'API account cannot manage this institution',
+                institution: formatInstitutionId(institutionId)
+            });
+        }
+
+        const requiredApprovals = Number(req.body.requiredApprovals);
+        if (!Number.isInteger(requiredApprovals) || requiredApprovals < 0 || requiredApprovals > 255) {
+            return res.status(400).json({ error: 'requiredApprovals must be a whole number from 0 to 255' });
+        }
+
+        if (!(await getInstitution(institutionId))) {
+            return res.status(404).json({ error: 'Institution not registered', id: req.params.id });
+        }
+
+        if (!(await canManageIssuers(await getSignerAddress(), institutionId))) {
+            return res.status(403).json({ error: 'Backend signer cannot manage this institution' });
+        }
+
+        const { issuerCount } = await getApprovalPolicy(institutionId);
+        if (requiredApprovals > issuerCount) {
+            return res.status(409).json({
+                error: `The institution has only ${issuerCount} issuers to approve its certificates`,
+                issuerCount: issuerCount
+            });
+        }
+
+        const txReceipt = await setApprovalThreshold(institutionId, requiredApprovals);
+
+        res.json({
+            success: true,
+            message: requiredApprovals > 1 ? 'Approvals required' : 'Direct issuance allowed',
+            data: {
+                id: formatInstitutionId(institutionId),
+                institutionId: institutionId,
+                requiredApprovals: requiredApprovals > 1 ? requiredApprovals : null,
+                transactionHash: txReceipt.transactionHash,
+                blockNumber: txReceipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        console.error('Approval threshold error:', error);
+        res.status(500).json({
+            error: 'Failed to set approval threshold',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/issuers
+ * List authorized issuers, optionally of one institution
+ */
+router.get('/issuers', async (req, res) => {
+    try {
+        const filter = { includeRemoved: req.query.includeRemoved === 'true' };
+
+        if (req.query.institution) {
+            filter.institutionId = toInstitutionId(req.query.institution);
+            if (!filter.institutionId) {
+                return res.status(400).json({ error: 'Invalid institution' });
+            }
+        }
+
+        const issuers = await getIssuers(filter);
+
+        res.json({
+            success: true,
+            count: issuers.length,
+            issuers: issuers.map(formatRoleRecord)
+        });
+
+    } catch (error) {
+        console.error('Issuer listing error:', error);
+        res.status(500).json({
+            error: 'Failed to list issuers',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/issuers/:address
+ * Get the roles an account holds on the registry
+ */
+router.get('/issuers/:address', async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        const address = parseAccountAddress(req.params.address);
+        if (!address) {
+            return res.status(400).json({ error: 'Invalid address' });
+        }
+
+        const roles = await getRoles(address);
+        const compromise = await getIssuerCompromise(address);
+
+        res.json({
+            success: true,
+            address: address,
+            roles: {
+                registryAdmin: roles.registryAdmin,
+                institutionAdmin: roles.institutionAdmin ? {
+                    institution: formatInstitutionId(roles.adminInstitution),
+                    institutionId: roles.adminInstitution
+                } : null,
+                issuer: roles.issuer ? {
+                    institution: formatInstitutionId(roles.issuerInstitution),
+                    institutionId: roles.issuerInstitution
+                } : null
+            },
+            compromise: compromise && {
+                since: new Date(parseInt(compromise.since) * 1000).toISOString(),
+                sinceBlock: compromise.sinceBlock && parseInt(compromise.sinceBlock),
+                markedAt: new Date(parseInt(compromise.markedAt) * 1000).toISOString()
+            }
+        });
+
+    } catch (error) {
+        console.error('Role lookup error:', error);
+        res.status(500).json({
+            error: 'Failed to get roles',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/issuers
+ * Authorize an issuer for an institution
+ * The API account and the backend signer must each be a registry admin, or the
+ * admin of that institution.
+ */
+router.post('/issuers', async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        const address = parseAccountAddress(req.body.address);
+        if (!address) {
+            return res.status(400).json({ error: 'Invalid address' });
+        }
+
+        let institutionId = ethers.ZeroHash;
+        if (req.body.institution) {
+            institutionId = toInstitutionId(req.body.institution);
+            if (!institutionId) {
+                return res.status(400).json({ error: 'Invalid institution' });
+            }
+        }
+
+        if (!canManageInstitution(req.auth, institutionId)) {
+            return res.status(403).json({
+                error: 'API account cannot manage issuers of this institution',
+                institution: formatInstitutionId(institutionId)
+            });
+        }
+
+        if (institutionId !== ethers.ZeroHash && !(await getInstitution(institutionId))) {
+            return res.status(404).json({ error: 'Institution not registered', institution: req.body.institution });
+        }
+
+        if (!(await canManageIssuers(await getSignerAddress(), institutionId))) {
+            return res.status(403).json({
+                error: 'Backend signer cannot manage issuers of this institution',
+                institution: formatInstitutionId(institutionId)
+            });
+        }
+
+        const roles = await getRoles(address);
+        if (roles.issuer) {
+            return res.status(409).json({
+                error: 'Address is already an issuer',
+                address: address,
+                institution: formatInstitutionId(roles.issuerInstitution)
+            });
+        }
+
+        const txReceipt = await addIssuer(address, institutionId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Issuer authorized',
+            data: {
+                address: address,
+                institution: formatInstitutionId(institutionId),
+                institutionId: institutionId,
+                transactionHash: txReceipt.transactionHash,
+                blockNumber: txReceipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        console.error('Issuer authorization error:', error);
+        res.status(500).json({
+            error: 'Failed to authorize issuer',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/issuers/:address
+ * Deauthorize an issuer
+ * The API account and the backend signer must each be a registry admin, or the
+ * admin of the issuer's institution.
+ */
+router.delete('/issuers/:address', async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        const address = parseAccountAddress(req.params.address);
+        if (!address) {
+            return res.status(400).json({ error: 'Invalid address' });
+        }
+
+        const roles = await getRoles(address);
+        if (!roles.issuer) {
+            return res.status(404).json({ error: 'Address is not an issuer', address: address });
+        }
+
+        if (!canManageInstitution(req.auth, roles.issuerInstitution)) {
+            return res.status(403).json({
+                error: 'API account cannot manage issuers of this institution',
+                institution: formatInstitutionId(roles.issuerInstitution)
+            });
+        }
+
+        if (!(await canManageIssuers(await getSignerAddress(), roles.issuerInstitution))) {
+            return res.status(403).json({
+                error: 'Backend signer cannot manage issuers of this institution',
+                institution: formatInstitutionId(roles.issuerInstitution)
+            });
+        }
+
+        const txReceipt = await removeIssuer(address);
+
+        res.json({
+            success: true,
+            message: 'Issuer deauthorized',
+            data: {
+                address: address,
+                institution: formatInstitutionId(roles.issuerInstitution),
+                transactionHash: txReceipt.transactionHash,
+                blockNumber: txReceipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        console.error('Issuer removal error:', error);
+        res.status(500).json({
+            error: 'Failed to deauthorize issuer',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/institution-admins
+ * List institution admins, optionally of one institution
+ */
+router.get('/institution-admins', async (req, res) => {
+    try {
+        const filter = { includeRemoved: req.query.includeRemoved === 'true' };
+
+        if (req.query.institution) {
+            filter.institutionId = toInstitutionId(req.query.institution);
+            if (!filter.institutionId) {
+                return res.status(400).json({ error: 'Invalid institution' });
+            }
+        }
+
+        const admins = await getInstitutionAdmins(filter);
+
+        res.json({
+            success: true,
+            count: admins.length,
+            admins: admins.map(formatRoleRecord)
+        });
+
+    } catch (error) {
+        console.error('Institution admin listing error:', error);
+        res.status(500).json({
+            error: 'Failed to list institution admins',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/institution-admins
+ * Make an account the admin of an institution
+ * The API account and the backend signer must both be registry admins.
+ */
+router.post('/institution-admins', requireRegistryAdmin, async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        const address = parseAccountAddress(req.body.address);
+        if (!address) {
+            return res.status(400).json({ error: 'Invalid address' });
+        }
+
+        const institutionId = toInstitutionId(req.body.institution);
+        if (!institutionId || institutionId === ethers.ZeroHash) {
+            return res.status(400).json({ error: 'Invalid institution' });
+        }
+
+        if (!(await getInstitution(institutionId))) {
+            return res.status(404).json({ error: 'Institution not registered', institution: req.body.institution });
+        }
+
+        if (!(await getRoles(await getSignerAddress())).registryAdmin) {
+            return res.status(403).json({ error: 'Backend signer is not a registry admin' });
+        }
+
+        const roles = await getRoles(address);
+        if (roles.institutionAdmin) {
+            return res.status(409).json({
+                error: 'Address is already an institution admin',
+                address: address,
+                institution: formatInstitutionId(roles.adminInstitution)
+            });
+        }
+
+        const txReceipt = await addInstitutionAdmin(address, institutionId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Institution admin added',
+            data: {
+                address: address,
+                institution: formatInstitutionId(institutionId),
+                institutionId: institutionId,
+                transactionHash: txReceipt.transactionHash,
+                blockNumber: txReceipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        console.error('Institution admin error:', error);
+        res.status(500).json({
+            error: 'Failed to add institution admin',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/institution-admins/:address
+ * Remove an institution admin
+ * The API account and the backend signer must both be registry admins.
+ */
+router.delete('/institution-admins/:address', requireRegistryAdmin, async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        const address = parseAccountAddress(req.params.address);
+        if (!address) {
+            return res.status(400).json({ error: 'Invalid address' });
+        }
+
+        const roles = await getRoles(address);
+        if (!roles.institutionAdmin) {
+            return res.status(404).json({ error: 'Address is not an institution admin', address: address });
+        }
+
+        if (!(await getRoles(await getSignerAddress())).registryAdmin) {
+            return res.status(403).json({ error: 'Backend signer is not a registry admin' });
+        }
+
+        const txReceipt = await removeInstitutionAdmin(address);
+
+        res.json({
+            success: true,
+            message: 'Institution admin removed',
+            data: {
+                address: address,
+                institution: formatInstitutionId(roles.adminInstitution),
+                transactionHash: txReceipt.transactionHash,
+                blockNumber: txReceipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        console.error('Institution admin removal error:', error);
+        res.status(500).json({
+            error: 'Failed to remove institution admin',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,662 @@
+const express = require('express');
+const multer = require('multer');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { hashDocumentForBlockchain } = require('../utils/crypto');
+const { uploadEncryptedMetadata } = require('../utils/dataKeys');
+const { uploadToIPFS } = require('../utils/ipfs');
+const { issueBatch, verifyCertificate, getCertificate, getSignerAddress } = require('../utils/web3');
+const { buildMerkleTree } = require('../utils/merkle');
+const { getTransactionStatus } = require('../utils/confirmations');
+const { readBadgeAssertion } = require('../utils/badges');
+const { enqueueIssuance } = require('../utils/issuanceQueue');
+const { readBulkUpload, queueBulkJob } = require('../utils/bulk');
+const { insertBatch, createBulkJob, completeBulkJob, getBulkJob, getIssuanceJob, getOpenIssuanceJob, getOpenReissueJob } = require('../db/database');
+const { upload, extractMetadata, hasRequiredMetadata, parseExpiresAt, parseHolderAddress, rejectWhilePaused, findIssuanceConflict, findApprovalPolicyConflict, isWeb3Ready } = require('./common');
+const { getCertificateStatus, formatExpiry, fetchMetadata } = require('./lookup');
+
+const router = express.Router();
+
+// Bulk uploads carry a whole archive, so allow larger files
+const bulkUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 200 * 1024 * 1024 // 200MB limit
+    }
+});
+
+// Maximum number of certificates accepted in one batch request
+const MAX_BATCH_SIZE = 5000;
+
+// Most approvals a proposal can require (the contract stores the threshold as a uint8)
+const MAX_REQUIRED_APPROVALS = 255;
+
+/**
+ * Parse the optional number of approvals a certificate needs before it is issued
+ * @param {string} [requiredApprovals] - Whole number of distinct issuers
+ * @returns {Object} requiredApprovals (null to issue directly), or an error message
+ */
+function parseRequiredApprovals(requiredApprovals) {
+    if (requiredApprovals === undefined || requiredApprovals === '') {
+        return { requiredApprovals: null };
+    }
+
+    const count = Number(requiredApprovals);
+    if (!Number.isInteger(count) || count < 2 || count > MAX_REQUIRED_APPROVALS) {
+        return { error: `requiredApprovals must be a whole number from 2 to ${MAX_REQUIRED_APPROVALS}` };
+    }
+
+    return { requiredApprovals: count };
+}
+
+/**
+ * Queue a certificate for issuance and send the 202 response
+ * Documents that are already on-chain or queued, and certificates the backend
+ * signer's institution requires more approvals for, get 409; everything gets
+ * 503 while issuance is paused.
+ * @param {Object} req - Express request, for the caller's identity
+ * @param {Object} res - Express response
+ * @param {string} docHash - Document hash
+ * @param {Object} metadata - Validated certificate metadata
+ * @param {Object} issuance - validUntil (Unix timestamp, 0 for no expiry), and
+ *     optional holder wallet address, replaces (hash of the certificate reissued)
+ *     and requiredApprovals (to propose it for approval instead)
+ */
+async function queueCertificate(req, res, docHash, metadata, issuance) {
+    const { validUntil, holder = null, replaces = null, requiredApprovals = null } = issuance;
+
+    if (await rejectWhilePaused(res)) {
+        return;
+    }
+
+    const policyConflict = await findApprovalPolicyConflict(getSignerAddress(), requiredApprovals);
+    if (policyConflict) {
+        return res.status(409).json(policyConflict);
+    }
+
+    const conflict = await findIssuanceConflict(docHash);
+    if (conflict) {
+        return res.status(409).json(conflict);
+    }
+
+    // Encrypt metadata and upload it to IPFS
+    const ipfsCID = await uploadEncryptedMetadata(metadata, docHash);
+
+    console.log('🔐 Encrypted metadata uploaded:', ipfsCID);
+
+    // The issuance queue signs and submits the transaction in the background
+    const jobId = await enqueueIssuance({
+        docHash: docHash,
+        ipfsCID: ipfsCID,
+        validUntil: validUntil,
+        holder: holder,
+        replaces: replaces,
+        requiredApprovals: requiredApprovals,
+        accountId: req.auth.accountId,
+        apiKeyId: req.auth.apiKeyId
+    });
+
+    res.status(202).json({
+        success: true,
+        message: 'Certificate queued for issuance',
+        data: {
+            jobId: jobId,
+            statusUrl: `/api/issue/jobs/${jobId}`,
+            docHash: docHash,
+            ipfsCID: ipfsCID,
+            status: 'queued',
+            expiresAt: formatExpiry(String(validUntil)),
+            holder: holder,
+            replaces: replaces,
+            requiredApprovals: requiredApprovals,
+            submittedBy: req.auth.accountName
+        }
+    });
+}
+
+/**
+ * POST /api/issue
+ * Queue a new certificate for issuance
+ */
+router.post('/issue', upload.single('certificate'), async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'No certificate file provided' });
+        }
+
+        // Extract metadata from request
+        const metadata = extractMetadata(req.body);
+
+        // Validate metadata
+        if (!hasRequiredMetadata(metadata)) {
+            return res.status(400).json({ error: 'Missing required metadata fields' });
+        }
+
+        // Optional expiry date
+        const { validUntil, error: expiryError } = parseExpiresAt(req.body.expiresAt);
+        if (expiryError) {
+            return res.status(400).json({ error: expiryError });
+        }
+
+        // Optional wallet the holder proves ownership with
+        const { holder, error: holderError } = parseHolderAddress(req.body.holderAddress);
+        if (holderError) {
+            return res.status(400).json({ error: holderError });
+        }
+
+        // Optional sign-off by several issuers before the certificate is valid
+        const { requiredApprovals, error: approvalsError } = parseRequiredApprovals(req.body.requiredApprovals);
+        if (approvalsError) {
+            return res.status(400).json({ error: approvalsError });
+        }
+
+        // Hash the certificate document
+        const docHash = hashDocumentForBlockchain(req.file.buffer);
+        console.log('📄 Document hash:', docHash);
+
+        await queueCertificate(req, res, docHash, metadata, { validUntil, holder, requiredApprovals });
+
+    } catch (error) {
+        console.error('Certificate issuance error:', error);
+        res.status(500).json({
+            error: 'Failed to issue certificate',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/badges/import
+ * Anchor an existing Open Badge through the normal issuance path
+ * The badge file itself is hashed, so holders verify it by uploading the same file.
+ */
+router.post('/badges/import', upload.single('badge'), async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'No badge file provided' });
+        }
+
+        let badge;
+        try {
+            badge = readBadgeAssertion(req.file.buffer);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        // Fields sent with the upload fill in or override what the badge carries
+        const overrides = extractMetadata(req.body);
+        const metadata = { ...badge.metadata };
+        Object.keys(overrides).forEach((key) => {
+            if (overrides[key]) {
+                metadata[key] = overrides[key];
+            }
+        });
+
+        if (!hasRequiredMetadata(metadata)) {
+            const missing = ['studentName', 'courseName', 'institution'].filter(key => !metadata[key]);
+            return res.status(400).json({
+                error: 'Missing required metadata fields',
+                details: `Badge has no ${missing.join(', ')}; send them as form fields`
+            });
+        }
+
+        const { validUntil, error: expiryError } = parseExpiresAt(req.body.expiresAt || badge.expiresAt);
+        if (expiryError) {
+            return res.status(400).json({ error: expiryError });
+        }
+
+        const { holder, error: holderError } = parseHolderAddress(req.body.holderAddress);
+        if (holderError) {
+            return res.status(400).json({ error: holderError });
+        }
+
+        const docHash = hashDocumentForBlockchain(req.file.buffer);
+        console.log(`🏅 Importing Open Badge ${badge.version}:`, docHash);
+
+        await queueCertificate(req, res, docHash, metadata, { validUntil, holder });
+
+    } catch (error) {
+        console.error('Badge import error:', error);
+        res.status(500).json({
+            error: 'Failed to import badge',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/reissue
+ * Queue a corrected document that supersedes an issued certificate
+ * Metadata sent with the upload overrides the old certificate's; the new
+ * certificate keeps its expiry and holder.
+ */
+router.post('/reissue', upload.single('certificate'), async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'No certificate file provided' });
+        }
+
+        const previousHash = req.body.previousHash;
+        if (!ethers.isHexString(previousHash, 32)) {
+            return res.status(400).json({ error: 'Provide the 32-byte previousHash of the certificate being reissued' });
+        }
+
+        const previous = await getCertificate(previousHash);
+        if (!previous.exists) {
+            return res.status(404).json({
+                error: 'Certificate not found',
+                details: 'Only individually issued certificates can be reissued',
+                docHash: previousHash
+            });
+        }
+
+        const status = getCertificateStatus(previous);
+        if (status !== 'valid') {
+            return res.status(409).json({
+                error: 'Only valid certificates can be reissued',
+                docHash: previousHash,
+                status: status,
+                supersededBy: previous.supersededBy
+            });
+        }
+        if (previous.issuer !== getSignerAddress()) {
+            return res.status(409).json({
+                error: 'Certificate was issued by another issuer; only its issuer can reissue it',
+                docHash: previousHash,
+                issuer: previous.issuer
+            });
+        }
+
+        const openJob = await getOpenReissueJob(previousHash);
+        if (openJob) {
+            return res.status(409).json({
+                error: 'Certificate is already being reissued',
+                docHash: previousHash,
+                jobId: openJob.id
+            });
+        }
+
+        // Start from the old metadata, if it can still be read, and apply the corrections
+        const { metadata: previousMetadata } = await fetchMetadata(previous.ipfsCID);
+        const corrections = extractMetadata(req.body);
+        const metadata = { ...extractMetadata(previousMetadata || {}) };
+        Object.keys(corrections).forEach((key) => {
+            if (corrections[key]) {
+                metadata[key] = corrections[key];
+            }
+        });
+
+        if (!hasRequiredMetadata(metadata)) {
+            return res.status(400).json({ error: 'Missing required metadata fields' });
+        }
+
+        const docHash = hashDocumentForBlockchain(req.file.buffer);
+        if (docHash === previousHash.toLowerCase()) {
+            return res.status(400).json({ error: 'Reissued document is identical to the certificate it replaces' });
+        }
+        console.log('♻️  Reissuing', previousHash, 'as', docHash);
+
+        await queueCertificate(req, res, docHash, metadata, {
+            validUntil: Number(previous.validUntil),
+            holder: previous.holder,
+            replaces: previousHash.toLowerCase()
+        });
+
+    } catch (error) {
+        console.error('Certificate reissue error:', error);
+        res.status(500).json({
+            error: 'Failed to reissue certificate',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/issue/jobs/:jobId
+ * Get the status of a queued certificate issuance
+ */
+router.get('/issue/jobs/:jobId', async (req, res) => {
+    try {
+        const job = await getIssuanceJob(req.params.jobId);
+
+        if (!job) {
+            return res.status(404).json({ error: 'Issuance job not found', jobId: req.params.jobId });
+        }
+
+        // Once mined, report the transaction's confirmation progress as well; a
+        // submitted job may have been mined by any of its attempts
+        const txHashes = job.status === 'completed' ? [job.txHash] : job.attempts.map(attempt => attempt.txHash).reverse();
+        let transaction = null;
+        for (const txHash of txHashes) {
+            transaction = transaction || await getTransactionStatus(txHash);
+        }
+
+        res.json({
+            success: true,
+            job: {
+                jobId: job.id,
+                docHash: job.docHash,
+                ipfsCID: job.ipfsCID,
+                holder: job.holder,
+                replaces: job.replaces,
+                requiredApprovals: job.requiredApprovals,
+                signedBy: job.signedRequest ? job.signedRequest.issuer : null,
+                status: job.status,
+                transactionHash: job.txHash,
+                nonce: job.nonce,
+                retries: job.retries,
+                attempts: job.attempts.map(attempt => attempt.txHash),
+                error: job.error,
+                createdAt: job.createdAt,
+                updatedAt: job.updatedAt,
+                transaction: transaction && {
+                    status: transaction.status,
+                    blockNumber: transaction.blockNumber,
+                    confirmations: transaction.confirmations,
+                    requiredConfirmations: transaction.requiredConfirmations
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get issuance job error:', error);
+        res.status(500).json({
+            error: 'Failed to get issuance job',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/issue/bulk
+ * Issue certificates from a ZIP of files and a CSV of their metadata
+ */
+router.post('/issue/bulk', bulkUpload.fields([
+    { name: 'archive', maxCount: 1 },
+    { name: 'manifest', maxCount: 1 }
+]), async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        if (await rejectWhilePaused(res)) {
+            return;
+        }
+
+        // Batches and bulk jobs issue directly, which approval thresholds rule out
+        const policyConflict = await findApprovalPolicyConflict(getSignerAddress(), null);
+        if (policyConflict) {
+            return res.status(409).json(policyConflict);
+        }
+
+        const archive = req.files && req.files.archive && req.files.archive[0];
+        const manifest = req.files && req.files.manifest && req.files.manifest[0];
+
+        if (!archive || !manifest) {
+            return res.status(400).json({ error: 'Provide a ZIP archive and a CSV manifest' });
+        }
+
+        let rows;
+        try {
+            rows = readBulkUpload(archive.buffer, manifest.buffer);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        // Validate every row before anything is issued
+        const seenHashes = new Set();
+        for (const row of rows) {
+            row.metadata = extractMetadata(row.fields);
+            if (!hasRequiredMetadata(row.metadata)) {
+                row.errors.push('Missing required metadata fields');
+            }
+
+            const { validUntil, error: expiryError } = parseExpiresAt(row.fields.expiresAt);
+            if (expiryError) {
+                row.errors.push(expiryError);
+            }
+            row.validUntil = validUntil;
+
+            const { holder, error: holderError } = parseHolderAddress(row.fields.holderAddress);
+            if (holderError) {
+                row.errors.push(holderError);
+            }
+            row.holder = holder;
+
+            if (row.buffer) {
+                row.docHash = hashDocumentForBlockchain(row.buffer);
+
+                if (seenHashes.has(row.docHash)) {
+                    row.errors.push('Same document appears in another row');
+                } else if ((await verifyCertificate(row.docHash)).exists) {
+                    row.errors.push('Certificate already exists');
+                } else if (await getOpenIssuanceJob(row.docHash)) {
+                    row.errors.push('Certificate is already queued for issuance');
+                }
+                seenHashes.add(row.docHash);
+            }
+
+            row.status = row.errors.length > 0 ? 'invalid' : 'pending';
+            row.error = row.errors.join('; ') || null;
+
+            // Kept until the row is queued so an interrupted job can be resumed
+            if (row.status === 'pending') {
+                row.payload = JSON.stringify({ metadata: row.metadata, validUntil: row.validUntil, holder: row.holder });
+            }
+        }
+
+        const validRows = rows.filter(row => row.status === 'pending');
+        if (validRows.length === 0) {
+            return res.status(400).json({
+                error: 'No valid rows to issue',
+                rows: rows.map(row => ({ rowNumber: row.rowNumber, filename: row.filename, error: row.error }))
+            });
+        }
+
+        const jobId = crypto.randomUUID();
+        await createBulkJob(jobId, rows, req.auth);
+
+        queueBulkJob(jobId, req.auth).catch((error) => {
+            console.error(`Bulk job ${jobId} aborted:`, error);
+            completeBulkJob(jobId, 'failed').catch(() => {});
+        });
+
+        res.status(202).json({
+            success: true,
+            message: 'Bulk issuance job accepted',
+            data: {
+                jobId: jobId,
+                statusUrl: `/api/issue/bulk/${jobId}`,
+                totalRows: rows.length,
+                validRows: validRows.length,
+                invalidRows: rows.length - validRows.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Bulk issuance error:', error);
+        res.status(500).json({
+            error: 'Failed to start bulk issuance',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/issue/bulk/:jobId
+ * Get the status of a bulk issuance job and each of its rows
+ */
+router.get('/issue/bulk/:jobId', async (req, res) => {
+    try {
+        const job = await getBulkJob(req.params.jobId);
+
+        if (!job) {
+            return res.status(404).json({ error: 'Bulk job not found', jobId: req.params.jobId });
+        }
+
+        const summary = { pending: 0, queued: 0, issued: 0, failed: 0, invalid: 0 };
+        job.rows.forEach((row) => {
+            summary[row.status] = (summary[row.status] || 0) + 1;
+        });
+
+        res.json({
+            success: true,
+            job: {
+                jobId: job.id,
+                status: job.status,
+                totalRows: job.totalRows,
+                createdAt: job.createdAt,
+                completedAt: job.completedAt,
+                summary: summary,
+                rows: job.rows.map(row => ({
+                    rowNumber: row.rowNumber,
+                    filename: row.filename,
+                    docHash: row.docHash,
+                    status: row.status,
+                    transactionHash: row.txHash,
+                    ipfsCID: row.ipfsCID,
+                    error: row.error
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Get bulk job error:', error);
+        res.status(500).json({
+            error: 'Failed to get bulk job',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/issue/batch
+ * Issue a batch of certificates anchored by a single Merkle root
+ */
+router.post('/issue/batch', upload.array('certificates', MAX_BATCH_SIZE), async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        if (await rejectWhilePaused(res)) {
+            return;
+        }
+
+        // Batches and bulk jobs issue directly, which approval thresholds rule out
+        const policyConflict = await findApprovalPolicyConflict(getSignerAddress(), null);
+        if (policyConflict) {
+            return res.status(409).json(policyConflict);
+        }
+
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ error: 'No certificate files provided' });
+        }
+
+        // One metadata entry per uploaded file, in the same order
+        let entries;
+        try {
+            entries = JSON.parse(req.body.metadata || '[]');
+        } catch (error) {
+            return res.status(400).json({ error: 'Metadata must be a JSON array' });
+        }
+
+        if (!Array.isArray(entries) || entries.length !== req.files.length) {
+            return res.status(400).json({ error: 'Provide exactly one metadata entry per certificate file' });
+        }
+
+        const certificates = req.files.map((file, index) => ({
+            filename: file.originalname,
+            docHash: hashDocumentForBlockchain(file.buffer),
+            metadata: extractMetadata(entries[index] || {})
+        }));
+
+        const incomplete = certificates.filter(cert => !hasRequiredMetadata(cert.metadata));
+        if (incomplete.length > 0) {
+            return res.status(400).json({
+                error: 'Missing required metadata fields',
+                files: incomplete.map(cert => cert.filename)
+            });
+        }
+
+        let tree;
+        try {
+            tree = buildMerkleTree(certificates.map(cert => cert.docHash));
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        console.log('📦 Batch of', certificates.length, 'certificates, root:', tree.root);
+
+        // Encrypt and upload each certificate's metadata
+        for (const cert of certificates) {
+            cert.ipfsCID = await uploadEncryptedMetadata(cert.metadata, cert.docHash);
+            cert.proof = tree.proofs[cert.docHash];
+        }
+
+        // The manifest lets anyone holding a proof find a certificate's metadata
+        const manifestCID = await uploadToIPFS({
+            merkleRoot: tree.root,
+            certificates: certificates.map(cert => ({ docHash: cert.docHash, ipfsCID: cert.ipfsCID }))
+        });
+
+        // Anchor the root on blockchain
+        const txReceipt = await issueBatch(tree.root, manifestCID, certificates.length);
+
+        // Store the batch and each certificate's proof in database
+        const issuerAddress = getSignerAddress();
+        await insertBatch({
+            merkleRoot: tree.root,
+            ipfsCID: manifestCID,
+            txHash: txReceipt.transactionHash,
+            issuer: issuerAddress,
+            certificateCount: certificates.length,
+            timestamp: Math.floor(Date.now() / 1000),
+            blockNumber: txReceipt.blockNumber,
+            gasUsed: txReceipt.gasUsed,
+            accountId: req.auth.accountId,
+            apiKeyId: req.auth.apiKeyId
+        }, certificates);
+
+        res.json({
+            success: true,
+            message: 'Certificate batch issued successfully',
+            data: {
+                merkleRoot: tree.root,
+                manifestCID: manifestCID,
+                transactionHash: txReceipt.transactionHash,
+                blockNumber: txReceipt.blockNumber,
+                issuer: issuerAddress,
+                submittedBy: req.auth.accountName,
+                certificates: certificates.map(cert => ({
+                    filename: cert.filename,
+                    docHash: cert.docHash,
+                    ipfsCID: cert.ipfsCID,
+                    proof: cert.proof
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Batch issuance error:', error);
+        res.status(500).json({
+            error: 'Failed to issue certificate batch',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
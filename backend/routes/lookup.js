@@ -0,0 +1,339 @@
+const { ethers } = require('ethers');
+const { decryptPersonalData } = require('../utils/dataKeys');
+const { retrieveFromIPFS } = require('../utils/ipfs');
+const { REVOCATION_REASONS, ISSUER_COMPROMISED_REASON, verifyBatchCertificate, verifyCertificate, getCertificate, getIssuerCompromise, getProvider, getDeployment, getRegistries } = require('../utils/web3');
+const { formatInstitutionId } = require('../utils/institutions');
+const { createReceipt } = require('../utils/receipts');
+const { detachSalts } = require('../utils/disclosure');
+const { getBatchCertificate } = require('../db/database');
+
+// Longest reissue chain followed when looking up a certificate's lineage
+const MAX_LINEAGE = 100;
+
+// Messages reported by the verification routes for each certificate status
+const STATUS_MESSAGES = {
+    valid: 'Certificate is valid',
+    revoked: 'Certificate has been revoked',
+    superseded: 'Certificate has been superseded by a reissued certificate',
+    expired: 'Certificate has expired',
+    holder_mismatch: 'Certificate is valid but the presenter did not prove they are its holder',
+    pending_approval: 'Certificate is pending approval and not yet issued'
+};
+
+/**
+ * Build the revocation details reported for a revoked certificate
+ * @param {Object} certData - Certificate data from the blockchain
+ * @returns {Object|null} Revocation details or null if not revoked
+ */
+function formatRevocation(certData) {
+    if (!certData.revoked) {
+        return null;
+    }
+
+    return {
+        reasonCode: certData.revocationReason,
+        reason: REVOCATION_REASONS[certData.revocationReason] || 'Unknown',
+        revokedAt: certData.revokedAt,
+        revokedDate: new Date(parseInt(certData.revokedAt) * 1000).toISOString()
+    };
+}
+
+/**
+ * Work out the verification status of a certificate found on the blockchain
+ * @param {Object} certData - Certificate data from the blockchain
+ * @returns {string} One of 'valid', 'revoked', 'superseded' or 'expired'
+ */
+function getCertificateStatus(certData) {
+    if (certData.revoked) {
+        return 'revoked';
+    }
+    if (certData.supersededBy) {
+        return 'superseded';
+    }
+    if (certData.expired) {
+        return 'expired';
+    }
+    return 'valid';
+}
+
+/**
+ * Format an on-chain expiry timestamp as an ISO date
+ * @param {string} validUntil - Expiry timestamp in seconds ('0' for no expiry)
+ * @returns {string|null} ISO date or null if the certificate never expires
+ */
+function formatExpiry(validUntil) {
+    return validUntil && validUntil !== '0'
+        ? new Date(parseInt(validUntil) * 1000).toISOString()
+        : null;
+}
+
+/**
+ * Format a pending proposal read from the contract
+ * @param {string} docHash - Document hash
+ * @param {Object} proposal - Proposal from getProposal
+ * @returns {Object} Proposal details
+ */
+function formatProposal(docHash, proposal) {
+    return {
+        docHash: docHash.toLowerCase(),
+        proposer: proposal.proposer,
+        institution: formatInstitutionId(proposal.institutionId),
+        requiredApprovals: proposal.threshold,
+        approvals: proposal.approvals,
+        proposedAt: new Date(parseInt(proposal.proposedAt) * 1000).toISOString(),
+        expiresAt: formatExpiry(proposal.validUntil),
+        holder: proposal.holder
+    };
+}
+
+/**
+ * Retrieve and decrypt certificate metadata, logging rather than throwing on failure
+ * @param {string} ipfsCID - CID of the encrypted metadata
+ * @returns {Promise<Object>} Metadata (null unless available), its status
+ *     (available, erased or unavailable) and its disclosure salts, if any
+ */
+async function fetchMetadata(ipfsCID) {
+    if (!ipfsCID) {
+        return { metadata: null, metadataStatus: 'unavailable' };
+    }
+
+    try {
+        const result = await decryptPersonalData(await retrieveFromIPFS(ipfsCID));
+
+        if (result.erased) {
+            return { metadata: null, metadataStatus: 'erased' };
+        }
+
+        // Salts are only handed out as part of a disclosure
+        const { metadata, salts } = detachSalts(result.metadata);
+        return { metadata: metadata, metadataStatus: 'available', salts: salts };
+    } catch (error) {
+        console.warn('Failed to retrieve metadata:', error.message);
+        return { metadata: null, metadataStatus: 'unavailable' };
+    }
+}
+
+/**
+ * Parse an optional holder proof sent with a verification or an export
+ * @param {Object} fields - Request body with holderNonce and holderSignature
+ * @returns {Object} Proof (null if none was sent), or an error message
+ */
+function parseHolderProof(fields) {
+    if (!fields.holderNonce && !fields.holderSignature) {
+        return { proof: null };
+    }
+    if (!ethers.isHexString(fields.holderNonce, 32) || !ethers.isHexString(fields.holderSignature)) {
+        return { error: 'Holder proofs need the 32-byte holderNonce of a challenge and a hex holderSignature' };
+    }
+
+    return { proof: { nonce: fields.holderNonce.toLowerCase(), signature: fields.holderSignature } };
+}
+
+/**
+ * Look up a document that was issued as part of an anchored batch
+ * Uses the proof supplied by the caller if any, otherwise the proof stored at issuance.
+ * @param {string} docHash - Document hash (with 0x prefix)
+ * @param {string} [merkleRoot] - Batch root supplied by the caller
+ * @param {string[]} [proof] - Merkle proof supplied by the caller
+ * @param {number|string} [blockTag='latest'] - Block to read the batch at
+ * @param {Object} [registry] - Registry to read from (defaults to the primary registry)
+ * @returns {Promise<Object>} Certificate data shaped like verifyCertificate's result
+ */
+async function resolveBatchCertificate(docHash, merkleRoot, proof, blockTag = 'latest', registry = null) {
+    const notFound = { exists: false };
+
+    let leaf;
+    if (merkleRoot && proof) {
+        leaf = {
+            merkleRoot: merkleRoot,
+            proof: proof,
+            ipfsCID: null
+        };
+    } else {
+        leaf = await getBatchCertificate(docHash);
+    }
+
+    if (!leaf) {
+        return notFound;
+    }
+
+    const result = await verifyBatchCertificate(docHash, leaf.merkleRoot, leaf.proof, blockTag, registry);
+    if (!result.included) {
+        return notFound;
+    }
+
+    // Proofs supplied by the caller carry no metadata CID; find it in the batch manifest
+    let ipfsCID = leaf.ipfsCID;
+    if (!ipfsCID) {
+        try {
+            const manifest = await retrieveFromIPFS(result.ipfsCID);
+            const entry = manifest.certificates.find(c => c.docHash === docHash.toLowerCase());
+            ipfsCID = entry ? entry.ipfsCID : null;
+        } catch (error) {
+            console.warn('Failed to retrieve batch manifest:', error.message);
+        }
+    }
+
+    // An explicit revocation takes precedence; otherwise report certificates anchored
+    // with a compromised key as the contract reports such certificates
+    const compromise = !result.revoked && result.compromised ? await getIssuerCompromise(result.issuer, blockTag, registry) : null;
+    let revocation = { revoked: false, revocationReason: 0, revokedAt: '0' };
+    if (result.revoked) {
+        revocation = { revoked: true, revocationReason: result.revocationReason, revokedAt: result.revokedAt };
+    } else if (compromise) {
+        revocation = { revoked: true, revocationReason: ISSUER_COMPROMISED_REASON, revokedAt: compromise.markedAt };
+    }
+
+    return {
+        exists: true,
+        docHash: docHash,
+        ipfsCID: ipfsCID,
+        issuer: result.issuer,
+        timestamp: result.timestamp,
+        institutionId: result.institutionId,
+        ...revocation,
+        // Batch certificates never expire and are not bound to a holder
+        validUntil: '0',
+        expired: false,
+        batch: {
+            merkleRoot: leaf.merkleRoot,
+            manifestCID: result.ipfsCID,
+            proof: leaf.proof
+        }
+    };
+}
+
+/**
+ * Follow a certificate's reissue chain in one direction
+ * @param {Object} certData - Certificate data from getCertificate
+ * @param {string} link - 'supersededBy' to walk forward, 'replaces' to walk back
+ * @param {number|string} [blockTag='latest'] - Block to read the certificates at
+ * @param {Object} [registry] - Registry to read from (defaults to the primary registry)
+ * @returns {Promise<Array<Object>>} Certificates along the chain, nearest first
+ */
+async function walkReissueChain(certData, link, blockTag = 'latest', registry = null) {
+    const chain = [];
+    let current = certData;
+
+    while (current[link] && chain.length < MAX_LINEAGE) {
+        current = await getCertificate(current[link], blockTag, registry);
+        chain.push(current);
+    }
+
+    return chain;
+}
+
+/**
+ * Find the certificate that currently replaces a superseded one
+ * @param {Object} certData - Certificate data with supersededBy set
+ * @param {number|string} [blockTag='latest'] - Block to read the certificates at
+ * @param {Object} [registry] - Registry to read from (defaults to the primary registry)
+ * @returns {Promise<Object>} Hash the certificate was directly superseded by, and the latest one in its chain
+ */
+async function describeSupersession(certData, blockTag = 'latest', registry = null) {
+    const forward = await walkReissueChain(certData, 'supersededBy', blockTag, registry);
+
+    return {
+        supersededBy: certData.supersededBy,
+        currentHash: forward.length > 0 ? forward[forward.length - 1].docHash : certData.supersededBy
+    };
+}
+
+/**
+ * Pick the block a lookup reads from
+ * A receipt names the block its result was read at, so when one is requested
+ * the lookup is pinned to the current block instead of following 'latest'.
+ * @param {Object} req - Express request
+ * @param {Object} [registry] - Registry to read from (defaults to the primary registry)
+ * @returns {Promise<number|string>} Block number, or 'latest' without a receipt
+ */
+async function getLookupBlock(req, registry = null) {
+    const provider = registry ? registry.provider : getProvider();
+    return req.query.receipt === 'true' ? provider.getBlockNumber() : 'latest';
+}
+
+/**
+ * Look a document up in every registry the backend is connected to
+ * Registries are searched in the order they are configured, and the search
+ * stops at the first that has the document, directly or in a batch. Every
+ * route that takes a document hash goes through here, so certificates left
+ * in an older registry are found wherever POST /api/verify finds them.
+ * @param {Object} req - Express request, for the receipt flag
+ * @param {string} docHash - Document hash (with 0x prefix)
+ * @param {Object} [options] - Lookup options
+ * @param {string} [options.merkleRoot] - Batch root supplied by the caller
+ * @param {string[]} [options.proof] - Merkle proof supplied by the caller
+ * @param {Function} [options.read=verifyCertificate] - Reads a certificate from one registry
+ * @returns {Promise<Object>} Registries searched, each with the block it was
+ *     read at, and the registry, block and certificate data of the match (null if none)
+ */
+async function searchRegistries(req, docHash, { merkleRoot, proof, read = verifyCertificate } = {}) {
+    const searched = [];
+
+    for (const registry of getRegistries()) {
+        const blockTag = await getLookupBlock(req, registry);
+        searched.push({ registry, blockTag });
+
+        let certData = await read(docHash, blockTag, registry);
+        if (!certData.exists) {
+            certData = await resolveBatchCertificate(docHash, merkleRoot, proof, blockTag, registry);
+        }
+        if (certData.exists) {
+            return { searched, match: { registry, blockTag, certData } };
+        }
+    }
+
+    return { searched, match: null };
+}
+
+/**
+ * Sign a receipt for a verification result read at a given block
+ * @param {string} docHash - Document hash
+ * @param {string} result - Status reported to the caller, e.g. valid, holder_mismatch or not_found
+ * @param {string} [issuer] - Issuer address, if the certificate exists
+ * @param {number} blockNumber - Block the result was read at
+ * @param {Object} [registry] - Registry the result was read from (defaults to the primary registry)
+ * @returns {Promise<Object>} Signed receipt
+ */
+async function signVerificationReceipt(docHash, result, issuer, blockNumber, registry = null) {
+    const deployment = registry ? registry.deployment : getDeployment();
+
+    return createReceipt({
+        docHash: docHash,
+        result: result,
+        issuer: issuer,
+        blockNumber: blockNumber,
+        chainId: deployment.chainId,
+        contractAddress: deployment.contractAddress
+    });
+}
+
+/**
+ * Describe a registry for a response
+ * @param {Object} registry - Registry from getRegistries
+ * @returns {Object} Network name, chain ID and contract address
+ */
+function formatRegistry(registry) {
+    return {
+        network: registry.network,
+        chainId: registry.chainId,
+        contractAddress: registry.deployment.contractAddress
+    };
+}
+
+module.exports = {
+    STATUS_MESSAGES,
+    formatRevocation,
+    getCertificateStatus,
+    formatExpiry,
+    formatProposal,
+    fetchMetadata,
+    resolveBatchCertificate,
+    walkReissueChain,
+    describeSupersession,
+    getLookupBlock,
+    signVerificationReceipt,
+    formatRegistry,
+    parseHolderProof,
+    searchRegistries
+};
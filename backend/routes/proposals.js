@@ -0,0 +1,419 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { verifyCertificate, getSignerAddress, getProposal, hasApproved, approveCertificate, approveCertificateBySig, cancelProposal, getRoles, getIssueNonce } = require('../utils/web3');
+const { buildApprovalRequest, checkApprovalRequestSignature } = require('../utils/relay');
+const { formatInstitutionId } = require('../utils/institutions');
+const { getProposals } = require('../db/database');
+const { rejectWhilePaused, parseAccountAddress, isWeb3Ready } = require('./common');
+const { formatProposal } = require('./lookup');
+
+const router = express.Router();
+
+// Proposal states kept by the indexer
+const PROPOSAL_STATUSES = ['pending', 'approved', 'cancelled'];
+
+/**
+ * Parse an approval signed by an issuer for relaying
+ * @param {Object} body - Request body with the signed request and signature
+ * @returns {Object} Request with checksummed addresses and decimal strings, and
+ *     the signature, or an error message
+ */
+function parseSignedApprovalRequest(body) {
+    const { request, signature } = body;
+
+    if (!request || typeof request !== 'object') {
+        return { error: 'request is required' };
+    }
+    if (!ethers.isHexString(request.docHash, 32)) {
+        return { error: 'request.docHash must be a 32-byte hex string' };
+    }
+    if (typeof request.ipfsCID !== 'string' || request.ipfsCID.length === 0) {
+        return { error: 'request.ipfsCID is required' };
+    }
+    if (!ethers.isAddress(request.approver)) {
+        return { error: 'Invalid request.approver' };
+    }
+    if (request.holder && !ethers.isAddress(request.holder)) {
+        return { error: 'Invalid request.holder' };
+    }
+
+    const numbers = {};
+    for (const field of ['validUntil', 'nonce', 'deadline']) {
+        const value = String(request[field] === undefined ? '' : request[field]);
+        if (!/^\d+$/.test(value)) {
+            return { error: `request.${field} must be a whole number` };
+        }
+        numbers[field] = BigInt(value).toString();
+    }
+
+    if (!ethers.isHexString(signature)) {
+        return { error: 'signature must be a hex string' };
+    }
+
+    return {
+        request: {
+            docHash: request.docHash.toLowerCase(),
+            ipfsCID: request.ipfsCID,
+            validUntil: numbers.validUntil,
+            holder: request.holder ? ethers.getAddress(request.holder) : ethers.ZeroAddress,
+            approver: ethers.getAddress(request.approver),
+            nonce: numbers.nonce,
+            deadline: numbers.deadline
+        },
+        signature: signature
+    };
+}
+
+/**
+ * Check that an issuer may approve a proposal
+ * @param {Object} proposal - Pending proposal from getProposal
+ * @param {string} docHash - Document hash of the proposal
+ * @param {string} approver - Address of the approving issuer
+ * @returns {Promise<Object|null>} Status and response body, or null if it may approve
+ */
+async function findApprovalConflict(proposal, docHash, approver) {
+    const roles = await getRoles(approver);
+    if (!roles.issuer || roles.issuerInstitution !== (proposal.institutionId || ethers.ZeroHash)) {
+        return {
+            status: 403,
+            body: {
+                error: 'Approver is not an issuer of the proposing institution',
+                address: approver,
+                institution: formatInstitutionId(proposal.institutionId)
+            }
+        };
+    }
+
+    if (await hasApproved(docHash, approver)) {
+        return {
+            status: 409,
+            body: { error: 'Approver has already approved this proposal', address: approver, docHash: docHash }
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Send the response to an approval that was mined
+ * @param {Object} res - Express response
+ * @param {string} docHash - Document hash of the proposal
+ * @param {Object} proposal - Proposal as it was before the approval
+ * @param {string} approver - Address of the approving issuer
+ * @param {Object} txReceipt - Receipt of the approval transaction
+ */
+async function sendApprovalResult(res, docHash, proposal, approver, txReceipt) {
+    const issued = (await verifyCertificate(docHash)).exists;
+
+    res.json({
+        success: true,
+        message: issued ? 'Certificate approved and issued' : 'Certificate approved',
+        data: {
+            docHash: docHash,
+            approver: approver,
+            approvals: issued ? proposal.threshold : proposal.approvals + 1,
+            requiredApprovals: proposal.threshold,
+            issued: issued,
+            transactionHash: txReceipt.transactionHash,
+            blockNumber: txReceipt.blockNumber
+        }
+    });
+}
+
+/**
+ * GET /api/proposals
+ * List certificate proposals, pending ones unless ?status= says otherwise
+ */
+router.get('/proposals', async (req, res) => {
+    try {
+        const status = req.query.status || 'pending';
+        if (!PROPOSAL_STATUSES.includes(status)) {
+            return res.status(400).json({ error: 'Invalid status', validStatuses: PROPOSAL_STATUSES });
+        }
+
+        const proposals = await getProposals({ status });
+
+        res.json({
+            success: true,
+            count: proposals.length,
+            proposals: proposals.map(proposal => ({
+                docHash: proposal.docHash,
+                proposer: proposal.proposer,
+                status: proposal.status,
+                requiredApprovals: proposal.threshold,
+                approvals: proposal.approvals,
+                approvers: proposal.approvers.map(approver => approver.address),
+                proposedAt: new Date(proposal.proposedAt * 1000).toISOString(),
+                resolvedAt: proposal.resolvedAt ? new Date(proposal.resolvedAt * 1000).toISOString() : null
+            }))
+        });
+
+    } catch (error) {
+        console.error('Proposal listing error:', error);
+        res.status(500).json({
+            error: 'Failed to list proposals',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/proposals/:hash
+ * Get a pending proposal and the issuers that approved it
+ */
+router.get('/proposals/:hash', async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        const docHash = req.params.hash;
+
+        // Ensure hash has 0x prefix
+        const formattedHash = docHash.startsWith('0x') ? docHash : '0x' + docHash;
+
+        if (!ethers.isHexString(formattedHash, 32)) {
+            return res.status(400).json({ error: 'Invalid document hash' });
+        }
+
+        const proposal = await getProposal(formattedHash);
+        if (!proposal) {
+            return res.status(404).json({ error: 'No pending proposal', docHash: formattedHash });
+        }
+
+        const [indexed] = await getProposals({ docHash: formattedHash, status: 'pending' });
+        const signerAddress = getSignerAddress();
+
+        res.json({
+            success: true,
+            proposal: {
+                ...formatProposal(formattedHash, proposal),
+                ipfsCID: proposal.ipfsCID,
+                approvers: indexed ? indexed.approvers.map(approver => ({
+                    address: approver.address,
+                    approvedAt: new Date(approver.approvedAt * 1000).toISOString()
+                })) : [],
+                approvedBySigner: signerAddress ? await hasApproved(formattedHash, signerAddress) : false
+            }
+        });
+
+    } catch (error) {
+        console.error('Get proposal error:', error);
+        res.status(500).json({
+            error: 'Failed to get proposal',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/proposals/:hash/approve/prepare
+ * Return the approval an issuer signs to approve a proposal through the relay
+ * Nothing is sent; the issuer signs the returned typed data offline and submits
+ * it to POST /api/proposals/:hash/approve before the deadline.
+ */
+router.post('/proposals/:hash/approve/prepare', async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        if (await rejectWhilePaused(res)) {
+            return;
+        }
+
+        const docHash = req.params.hash;
+
+        // Ensure hash has 0x prefix
+        const formattedHash = docHash.startsWith('0x') ? docHash : '0x' + docHash;
+
+        if (!ethers.isHexString(formattedHash, 32)) {
+            return res.status(400).json({ error: 'Invalid document hash' });
+        }
+
+        const approver = parseAccountAddress(req.body.approverAddress);
+        if (!approver) {
+            return res.status(400).json({ error: 'Invalid approverAddress' });
+        }
+
+        const proposal = await getProposal(formattedHash);
+        if (!proposal) {
+            return res.status(404).json({ error: 'No pending proposal', docHash: formattedHash });
+        }
+
+        const conflict = await findApprovalConflict(proposal, formattedHash, approver);
+        if (conflict) {
+            return res.status(conflict.status).json(conflict.body);
+        }
+
+        const typedData = buildApprovalRequest(formattedHash, proposal, approver, await getIssueNonce(approver));
+
+        res.json({
+            success: true,
+            docHash: formattedHash.toLowerCase(),
+            signUntil: new Date(parseInt(typedData.message.deadline) * 1000).toISOString(),
+            typedData: typedData
+        });
+
+    } catch (error) {
+        console.error('Approval prepare error:', error);
+        res.status(500).json({
+            error: 'Failed to prepare approval',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/proposals/:hash/approve
+ * Approve a proposed certificate
+ * With a signed request and signature in the body the approval is relayed and
+ * counts as the signing issuer's; without one the backend signer approves.
+ * The certificate is issued once this brings it to the required approvals.
+ */
+router.post('/proposals/:hash/approve', async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        if (await rejectWhilePaused(res)) {
+            return;
+        }
+
+        const docHash = req.params.hash;
+
+        // Ensure hash has 0x prefix
+        const formattedHash = docHash.startsWith('0x') ? docHash : '0x' + docHash;
+
+        if (!ethers.isHexString(formattedHash, 32)) {
+            return res.status(400).json({ error: 'Invalid document hash' });
+        }
+
+        const proposal = await getProposal(formattedHash);
+        if (!proposal) {
+            return res.status(404).json({ error: 'No pending proposal', docHash: formattedHash });
+        }
+
+        if (req.body && req.body.request) {
+            return await relayApproval(req, res, formattedHash, proposal);
+        }
+
+        const signerAddress = getSignerAddress();
+        const conflict = await findApprovalConflict(proposal, formattedHash, signerAddress);
+        if (conflict) {
+            return res.status(conflict.status).json(conflict.body);
+        }
+
+        const txReceipt = await approveCertificate(formattedHash);
+        await sendApprovalResult(res, formattedHash, proposal, signerAddress, txReceipt);
+
+    } catch (error) {
+        console.error('Proposal approval error:', error);
+        res.status(500).json({
+            error: 'Failed to approve certificate',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Relay an approval signed by an issuer, answering a /proposals/:hash/approve request
+ * @param {Object} req - Express request with the signed request and signature
+ * @param {Object} res - Express response
+ * @param {string} formattedHash - Document hash of the proposal
+ * @param {Object} proposal - Pending proposal from getProposal
+ */
+async function relayApproval(req, res, formattedHash, proposal) {
+    const { request, signature, error: requestError } = parseSignedApprovalRequest(req.body);
+    if (requestError) {
+        return res.status(400).json({ error: requestError });
+    }
+
+    if (request.docHash !== formattedHash.toLowerCase()) {
+        return res.status(400).json({ error: 'request.docHash does not match the proposal' });
+    }
+    if (parseInt(request.deadline) <= Math.floor(Date.now() / 1000)) {
+        return res.status(400).json({ error: 'Signed request has passed its deadline' });
+    }
+
+    const { valid, reason } = await checkApprovalRequestSignature(request, signature);
+    if (!valid) {
+        return res.status(401).json({ error: 'Invalid signature', details: reason });
+    }
+
+    if (request.ipfsCID !== proposal.ipfsCID
+        || request.validUntil !== proposal.validUntil
+        || request.holder !== (proposal.holder || ethers.ZeroAddress)) {
+        return res.status(409).json({ error: 'Signed approval does not match the pending proposal; sign a new request' });
+    }
+
+    const conflict = await findApprovalConflict(proposal, formattedHash, request.approver);
+    if (conflict) {
+        return res.status(conflict.status).json(conflict.body);
+    }
+
+    const expectedNonce = await getIssueNonce(request.approver);
+    if (request.nonce !== expectedNonce) {
+        return res.status(409).json({
+            error: 'Nonce is not the approver\'s next nonce; sign a new request',
+            nonce: request.nonce,
+            expectedNonce: expectedNonce
+        });
+    }
+
+    const txReceipt = await approveCertificateBySig(request, signature);
+    await sendApprovalResult(res, formattedHash, proposal, request.approver, txReceipt);
+}
+
+/**
+ * POST /api/proposals/:hash/cancel
+ * Withdraw a pending proposal (the backend signer must be its proposer or a registry admin)
+ */
+router.post('/proposals/:hash/cancel', async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        const docHash = req.params.hash;
+
+        // Ensure hash has 0x prefix
+        const formattedHash = docHash.startsWith('0x') ? docHash : '0x' + docHash;
+
+        if (!ethers.isHexString(formattedHash, 32)) {
+            return res.status(400).json({ error: 'Invalid document hash' });
+        }
+
+        const proposal = await getProposal(formattedHash);
+        if (!proposal) {
+            return res.status(404).json({ error: 'No pending proposal', docHash: formattedHash });
+        }
+
+        const signerAddress = getSignerAddress();
+        if (proposal.proposer !== signerAddress && !(await getRoles(signerAddress)).registryAdmin) {
+            return res.status(403).json({ error: 'Only the proposer or a registry admin can cancel a proposal' });
+        }
+
+        const txReceipt = await cancelProposal(formattedHash);
+
+        res.json({
+            success: true,
+            message: 'Proposal cancelled',
+            data: {
+                docHash: formattedHash,
+                transactionHash: txReceipt.transactionHash,
+                blockNumber: txReceipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        console.error('Proposal cancellation error:', error);
+        res.status(500).json({
+            error: 'Failed to cancel proposal',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
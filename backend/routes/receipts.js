@@ -0,0 +1,44 @@
+const express = require('express');
+const { checkReceipt, getReceiptPublicKey } = require('../utils/receipts');
+
+const router = express.Router();
+
+/**
+ * GET /api/receipt/public-key
+ * Get the key that signs verification receipts
+ */
+router.get('/receipt/public-key', (req, res) => {
+    const publicKey = getReceiptPublicKey();
+
+    if (!publicKey) {
+        return res.status(503).json({ error: 'Receipt signing key not configured' });
+    }
+
+    res.json({ success: true, ...publicKey });
+});
+
+/**
+ * POST /api/receipt/check
+ * Check a verification receipt's signature without repeating the chain lookup
+ */
+router.post('/receipt/check', (req, res) => {
+    try {
+        const result = checkReceipt(req.body);
+
+        res.json({
+            valid: result.valid,
+            signer: result.signer || null,
+            reason: result.reason || null,
+            receipt: result.valid ? req.body.data : null
+        });
+
+    } catch (error) {
+        console.error('Receipt check error:', error);
+        res.status(500).json({
+            error: 'Failed to check receipt',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
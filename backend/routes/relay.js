@@ -0,0 +1,249 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { hashDocumentForBlockchain } = require('../utils/crypto');
+const { uploadEncryptedMetadata } = require('../utils/dataKeys');
+const { isAuthorizedIssuer, getIssueNonce } = require('../utils/web3');
+const { buildIssueRequest, checkIssueRequestSignature } = require('../utils/relay');
+const { enqueueIssuance } = require('../utils/issuanceQueue');
+const { upload, extractMetadata, hasRequiredMetadata, parseExpiresAt, parseAccountAddress, parseHolderAddress, rejectWhilePaused, findIssuanceConflict, findApprovalPolicyConflict, isWeb3Ready } = require('./common');
+const { formatExpiry } = require('./lookup');
+
+const router = express.Router();
+
+/**
+ * Parse an issuance request signed by an issuer for relaying
+ * @param {Object} body - Request body with the signed request and signature
+ * @returns {Object} Request with checksummed addresses and decimal strings, and
+ *     the signature, or an error message
+ */
+function parseSignedIssueRequest(body) {
+    const { request, signature } = body;
+
+    if (!request || typeof request !== 'object') {
+        return { error: 'request is required' };
+    }
+    if (!ethers.isHexString(request.docHash, 32)) {
+        return { error: 'request.docHash must be a 32-byte hex string' };
+    }
+    if (typeof request.ipfsCID !== 'string' || request.ipfsCID.length === 0) {
+        return { error: 'request.ipfsCID is required' };
+    }
+    if (!ethers.isAddress(request.issuer)) {
+        return { error: 'Invalid request.issuer' };
+    }
+    if (request.holder && !ethers.isAddress(request.holder)) {
+        return { error: 'Invalid request.holder' };
+    }
+
+    const numbers = {};
+    for (const field of ['validUntil', 'nonce', 'deadline']) {
+        const value = String(request[field] === undefined ? '' : request[field]);
+        if (!/^\d+$/.test(value)) {
+            return { error: `request.${field} must be a whole number` };
+        }
+        numbers[field] = BigInt(value).toString();
+    }
+
+    if (!ethers.isHexString(signature)) {
+        return { error: 'signature must be a hex string' };
+    }
+
+    return {
+        request: {
+            docHash: request.docHash.toLowerCase(),
+            ipfsCID: request.ipfsCID,
+            validUntil: numbers.validUntil,
+            holder: request.holder ? ethers.getAddress(request.holder) : ethers.ZeroAddress,
+            issuer: ethers.getAddress(request.issuer),
+            nonce: numbers.nonce,
+            deadline: numbers.deadline
+        },
+        signature: signature
+    };
+}
+
+/**
+ * POST /api/relay/prepare
+ * Upload a certificate's encrypted metadata and return the request an issuer
+ * signs to have it issued through the relay
+ * Nothing is queued; the issuer signs the returned typed data offline and
+ * submits it to POST /api/relay before the deadline.
+ */
+router.post('/relay/prepare', upload.single('certificate'), async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        if (await rejectWhilePaused(res)) {
+            return;
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'No certificate file provided' });
+        }
+
+        const metadata = extractMetadata(req.body);
+        if (!hasRequiredMetadata(metadata)) {
+            return res.status(400).json({ error: 'Missing required metadata fields' });
+        }
+
+        const issuer = parseAccountAddress(req.body.issuerAddress);
+        if (!issuer) {
+            return res.status(400).json({ error: 'Invalid issuerAddress' });
+        }
+
+        const { validUntil, error: expiryError } = parseExpiresAt(req.body.expiresAt);
+        if (expiryError) {
+            return res.status(400).json({ error: expiryError });
+        }
+
+        const { holder, error: holderError } = parseHolderAddress(req.body.holderAddress);
+        if (holderError) {
+            return res.status(400).json({ error: holderError });
+        }
+
+        if (!(await isAuthorizedIssuer(issuer))) {
+            return res.status(403).json({ error: 'Address is not an authorized issuer', address: issuer });
+        }
+
+        const policyConflict = await findApprovalPolicyConflict(issuer, null);
+        if (policyConflict) {
+            return res.status(409).json(policyConflict);
+        }
+
+        const docHash = hashDocumentForBlockchain(req.file.buffer);
+
+        const conflict = await findIssuanceConflict(docHash);
+        if (conflict) {
+            return res.status(409).json(conflict);
+        }
+
+        const ipfsCID = await uploadEncryptedMetadata(metadata, docHash);
+        console.log('🔐 Encrypted metadata uploaded for relaying:', ipfsCID);
+
+        const typedData = buildIssueRequest({
+            docHash: docHash,
+            ipfsCID: ipfsCID,
+            validUntil: validUntil,
+            holder: holder,
+            issuer: issuer,
+            nonce: await getIssueNonce(issuer)
+        });
+
+        res.json({
+            success: true,
+            docHash: docHash,
+            ipfsCID: ipfsCID,
+            signUntil: new Date(parseInt(typedData.message.deadline) * 1000).toISOString(),
+            typedData: typedData
+        });
+
+    } catch (error) {
+        console.error('Relay prepare error:', error);
+        res.status(500).json({
+            error: 'Failed to prepare issuance request',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/relay
+ * Submit an issuance request signed by an issuer
+ * The backend pays the gas; the certificate is credited to the signing issuer.
+ */
+router.post('/relay', async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        if (await rejectWhilePaused(res)) {
+            return;
+        }
+
+        const { request, signature, error: requestError } = parseSignedIssueRequest(req.body);
+        if (requestError) {
+            return res.status(400).json({ error: requestError });
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        if (parseInt(request.deadline) <= now) {
+            return res.status(400).json({ error: 'Signed request has passed its deadline' });
+        }
+        if (request.validUntil !== '0' && parseInt(request.validUntil) <= now) {
+            return res.status(400).json({ error: 'Certificate expiry must be in the future' });
+        }
+
+        const { valid, reason } = await checkIssueRequestSignature(request, signature);
+        if (!valid) {
+            return res.status(401).json({ error: 'Invalid signature', details: reason });
+        }
+
+        if (!(await isAuthorizedIssuer(request.issuer))) {
+            return res.status(403).json({ error: 'Signer is not an authorized issuer', address: request.issuer });
+        }
+
+        const policyConflict = await findApprovalPolicyConflict(request.issuer, null);
+        if (policyConflict) {
+            return res.status(409).json(policyConflict);
+        }
+
+        const expectedNonce = await getIssueNonce(request.issuer);
+        if (request.nonce !== expectedNonce) {
+            return res.status(409).json({
+                error: 'Nonce is not the issuer\'s next nonce; sign a new request',
+                nonce: request.nonce,
+                expectedNonce: expectedNonce
+            });
+        }
+
+        const conflict = await findIssuanceConflict(request.docHash);
+        if (conflict) {
+            return res.status(409).json(conflict);
+        }
+
+        const jobId = await enqueueIssuance({
+            docHash: request.docHash,
+            ipfsCID: request.ipfsCID,
+            validUntil: parseInt(request.validUntil),
+            holder: request.holder === ethers.ZeroAddress ? null : request.holder,
+            signedRequest: {
+                issuer: request.issuer,
+                nonce: request.nonce,
+                deadline: request.deadline,
+                signature: signature
+            },
+            accountId: req.auth.accountId,
+            apiKeyId: req.auth.apiKeyId
+        });
+
+        console.log(`📨 Relaying certificate ${request.docHash} for ${request.issuer}`);
+
+        res.status(202).json({
+            success: true,
+            message: 'Signed certificate queued for relaying',
+            data: {
+                jobId: jobId,
+                statusUrl: `/api/issue/jobs/${jobId}`,
+                docHash: request.docHash,
+                ipfsCID: request.ipfsCID,
+                status: 'queued',
+                issuer: request.issuer,
+                expiresAt: formatExpiry(request.validUntil),
+                holder: request.holder === ethers.ZeroAddress ? null : request.holder,
+                submittedBy: req.auth.accountName
+            }
+        });
+
+    } catch (error) {
+        console.error('Relay error:', error);
+        res.status(500).json({
+            error: 'Failed to relay certificate',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { getSignerAddress, isAuthorizedIssuer, isRegistryPaused, getDeployment, getImplementation, getRegistries } = require('../utils/web3');
+const { formatInstitutionId } = require('../utils/institutions');
+const { getIndexerStatus } = require('../utils/indexer');
+const { getTransactionStatus } = require('../utils/confirmations');
+const { getAllTransactions, getIssuers, getStats } = require('../db/database');
+const { isWeb3Ready, isIPFSReady } = require('./common');
+const { formatRegistry } = require('./lookup');
+
+const router = express.Router();
+
+/**
+ * GET /api/tx/:txHash
+ * Get an issuance transaction's confirmation status
+ * Status is pending until CONFIRMATION_DEPTH blocks deep, then confirmed;
+ * orphaned if its block was reorganized away, failed if reverted or dropped.
+ */
+router.get('/tx/:txHash', async (req, res) => {
+    try {
+        const { txHash } = req.params;
+
+        if (!ethers.isHexString(txHash, 32)) {
+            return res.status(400).json({ error: 'Invalid transaction hash' });
+        }
+
+        const transaction = await getTransactionStatus(txHash);
+
+        if (!transaction) {
+            return res.status(404).json({
+                error: 'Transaction not found',
+                txHash: txHash
+            });
+        }
+
+        res.json({
+            success: true,
+            transaction: transaction
+        });
+
+    } catch (error) {
+        console.error('Get transaction error:', error);
+        res.status(500).json({
+            error: 'Failed to get transaction',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/transactions
+ * Get all transactions
+ */
+router.get('/transactions', async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 50;
+        const offset = parseInt(req.query.offset) || 0;
+
+        const transactions = await getAllTransactions(limit, offset);
+
+        res.json({
+            success: true,
+            count: transactions.length,
+            transactions: transactions
+        });
+
+    } catch (error) {
+        console.error('Get transactions error:', error);
+        res.status(500).json({
+            error: 'Failed to get transactions',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/stats
+ * Get system statistics
+ */
+router.get('/stats', async (req, res) => {
+    try {
+        const stats = await getStats();
+        const signerAddress = getSignerAddress();
+        const isAuthorized = signerAddress ? await isAuthorizedIssuer(signerAddress) : false;
+        const compromised = await getIssuers({ includeRemoved: true, compromised: true });
+
+        res.json({
+            success: true,
+            stats: {
+                ...stats,
+                signerAddress: signerAddress,
+                isAuthorizedIssuer: isAuthorized,
+                registry: {
+                    address: isWeb3Ready() ? getDeployment().contractAddress : null,
+                    implementation: isWeb3Ready() ? getImplementation() : null,
+                    migratedFrom: isWeb3Ready() ? getDeployment().migratedFrom || null : null,
+                    paused: isWeb3Ready() ? await isRegistryPaused() : null,
+                    compromisedIssuers: compromised.map(record => ({
+                        address: record.address,
+                        institution: formatInstitutionId(record.institutionId),
+                        compromisedSince: new Date(record.compromisedSince * 1000).toISOString(),
+                        markedAt: new Date(record.compromisedAt * 1000).toISOString()
+                    }))
+                },
+                registries: isWeb3Ready() ? getRegistries().map(formatRegistry) : [],
+                web3Ready: isWeb3Ready(),
+                ipfsReady: isIPFSReady(),
+                indexer: getIndexerStatus()
+            }
+        });
+
+    } catch (error) {
+        console.error('Get stats error:', error);
+        res.status(500).json({
+            error: 'Failed to get stats',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
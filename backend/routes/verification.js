@@ -0,0 +1,388 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { hashDocumentForBlockchain } = require('../utils/crypto');
+const { retrieveFromIPFS } = require('../utils/ipfs');
+const { isRegistryPaused, getIssuerCompromise, getIssuanceBlock, getProposal } = require('../utils/web3');
+const { resolveIssuerInstitution } = require('../utils/institutions');
+const { getReceiptPublicKey } = require('../utils/receipts');
+const { buildDisclosures, checkDisclosures } = require('../utils/disclosure');
+const { createHolderChallenge, checkHolderProof } = require('../utils/holderProofs');
+const { upload, isWeb3Ready } = require('./common');
+const { STATUS_MESSAGES, formatRevocation, getCertificateStatus, formatExpiry, formatProposal, fetchMetadata, describeSupersession, signVerificationReceipt, formatRegistry, parseHolderProof, searchRegistries } = require('./lookup');
+
+const router = express.Router();
+
+/**
+ * Describe an issuer's compromised period for a verification response
+ * @param {string} docHash - Document hash (with 0x prefix)
+ * @param {Object} certData - Certificate data from verifyCertificate or a batch lookup
+ * @param {number|string} [blockTag='latest'] - Block to read the state at
+ * @param {Object} [registry] - Registry to read from (defaults to the primary registry)
+ * @returns {Promise<Object|null>} Period and whether it covers the certificate, or null if the issuer is not compromised
+ */
+async function describeIssuerCompromise(docHash, certData, blockTag = 'latest', registry = null) {
+    const compromise = await getIssuerCompromise(certData.issuer, blockTag, registry);
+
+    if (!compromise) {
+        return null;
+    }
+
+    // A cutoff given as a block is judged by the block the certificate was
+    // issued in, like the contract does, when the registry recorded one
+    const issuedInBlock = compromise.sinceBlock
+        ? await getIssuanceBlock(docHash, certData.batch && certData.batch.merkleRoot, blockTag, registry)
+        : null;
+
+    return {
+        since: new Date(parseInt(compromise.since) * 1000).toISOString(),
+        sinceBlock: compromise.sinceBlock && parseInt(compromise.sinceBlock),
+        markedAt: new Date(parseInt(compromise.markedAt) * 1000).toISOString(),
+        affectsCertificate: issuedInBlock
+            ? issuedInBlock >= parseInt(compromise.sinceBlock)
+            : parseInt(certData.timestamp) >= parseInt(compromise.since)
+    };
+}
+
+/**
+ * Parse a Merkle proof supplied by a client
+ * @param {string[]|string} proof - Proof as an array or JSON array of 32-byte hex strings
+ * @returns {string[]|null} Parsed proof or null if malformed
+ */
+function parseProof(proof) {
+    try {
+        const parsed = typeof proof === 'string' ? JSON.parse(proof) : proof;
+        return Array.isArray(parsed) && parsed.every(node => ethers.isHexString(node, 32)) ? parsed : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * POST /api/verify
+ * Verify a certificate against every configured registry, reporting the one it was found in
+ */
+router.post('/verify', upload.single('certificate'), async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'No certificate file provided' });
+        }
+
+        // Optional batch inclusion proof supplied by the holder
+        let proof = null;
+        if (req.body.merkleRoot || req.body.proof) {
+            proof = parseProof(req.body.proof);
+            if (!ethers.isHexString(req.body.merkleRoot, 32) || !proof) {
+                return res.status(400).json({ error: 'Batch proofs need a 32-byte merkleRoot and a JSON array proof' });
+            }
+        }
+
+        // Optional signed challenge from the holder of a holder-bound certificate
+        const { proof: holderProof, error: holderProofError } = parseHolderProof(req.body);
+        if (holderProofError) {
+            return res.status(400).json({ error: holderProofError });
+        }
+
+        if (req.query.receipt === 'true' && !getReceiptPublicKey()) {
+            return res.status(503).json({ error: 'Receipt signing key not configured' });
+        }
+
+        // Hash the uploaded certificate
+        const docHash = hashDocumentForBlockchain(req.file.buffer);
+        console.log('🔍 Verifying hash:', docHash);
+
+        // Verify on every registry, falling back to batch inclusion on each
+        const { searched, match } = await searchRegistries(req, docHash, { merkleRoot: req.body.merkleRoot, proof });
+
+        if (!match) {
+            // A proposed certificate is not valid until enough issuers approve it
+            for (const { registry, blockTag } of searched) {
+                const proposal = await getProposal(docHash, blockTag, registry);
+                if (proposal) {
+                    const response = {
+                        valid: false,
+                        status: 'pending_approval',
+                        message: STATUS_MESSAGES.pending_approval,
+                        docHash: docHash,
+                        proposal: formatProposal(docHash, proposal),
+                        registry: formatRegistry(registry),
+                        registryPaused: await isRegistryPaused(blockTag, registry)
+                    };
+                    if (blockTag !== 'latest') {
+                        response.receipt = await signVerificationReceipt(docHash, 'pending_approval', proposal.proposer, blockTag, registry);
+                    }
+                    return res.json(response);
+                }
+            }
+
+            // Pause state and the receipt are those of the primary registry, where new certificates are issued
+            const primary = searched[0];
+            const response = {
+                valid: false,
+                status: 'not_found',
+                message: 'Certificate not found on blockchain',
+                docHash: docHash,
+                searchedRegistries: searched.map(({ registry }) => formatRegistry(registry)),
+                registryPaused: await isRegistryPaused(primary.blockTag, primary.registry)
+            };
+            if (primary.blockTag !== 'latest') {
+                response.receipt = await signVerificationReceipt(docHash, 'not_found', null, primary.blockTag, primary.registry);
+            }
+            return res.json(response);
+        }
+
+        const { registry, blockTag, certData } = match;
+
+        // Retrieve and decrypt metadata
+        const { metadata, metadataStatus } = await fetchMetadata(certData.ipfsCID);
+
+        const status = getCertificateStatus(certData);
+
+        // Holder-bound certificates also report whether the presenter proved they hold it
+        let holderBinding = null;
+        let presentedStatus = status;
+        if (certData.holder) {
+            const check = holderProof
+                ? await checkHolderProof(docHash, certData.holder, holderProof)
+                : { verified: false, signer: null, reason: 'No holder proof was presented' };
+
+            holderBinding = {
+                holder: certData.holder,
+                proven: check.verified,
+                signer: check.signer,
+                reason: check.reason || null
+            };
+            if (holderProof && !check.verified && status === 'valid') {
+                presentedStatus = 'holder_mismatch';
+            }
+        }
+
+        const response = {
+            valid: presentedStatus === 'valid',
+            status: presentedStatus,
+            message: STATUS_MESSAGES[presentedStatus],
+            certificate: {
+                docHash: docHash,
+                issuer: certData.issuer,
+                holder: certData.holder || null,
+                timestamp: certData.timestamp,
+                ipfsCID: certData.ipfsCID,
+                metadata: metadata,
+                metadataStatus: metadataStatus,
+                issuedDate: new Date(parseInt(certData.timestamp) * 1000).toISOString(),
+                expiresAt: formatExpiry(certData.validUntil)
+            },
+            issuerInstitution: await resolveIssuerInstitution(certData, metadata, blockTag, registry),
+            holderBinding: holderBinding,
+            supersession: certData.supersededBy ? await describeSupersession(certData, blockTag, registry) : null,
+            revocation: formatRevocation(certData),
+            issuerCompromise: await describeIssuerCompromise(docHash, certData, blockTag, registry),
+            registry: formatRegistry(registry),
+            registryPaused: await isRegistryPaused(blockTag, registry),
+            batch: certData.batch || null
+        };
+        if (blockTag !== 'latest') {
+            response.receipt = await signVerificationReceipt(docHash, presentedStatus, certData.issuer, blockTag, registry);
+        }
+
+        res.json(response);
+
+    } catch (error) {
+        console.error('Certificate verification error:', error);
+        res.status(500).json({
+            error: 'Failed to verify certificate',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/holder/challenge
+ * Issue a single-use challenge for the holder of a holder-bound certificate to sign
+ * The signed challenge is sent to POST /api/verify or the credential exports as holderNonce
+ * and holderSignature.
+ */
+router.post('/holder/challenge', async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        const { docHash } = req.body || {};
+        if (!ethers.isHexString(docHash, 32)) {
+            return res.status(400).json({ error: 'Provide the 32-byte docHash of the certificate' });
+        }
+
+        const { match } = await searchRegistries(req, docHash);
+        if (!match) {
+            return res.status(404).json({ error: 'Certificate not found', docHash: docHash });
+        }
+        if (!match.certData.holder) {
+            return res.status(409).json({ error: 'Certificate is not bound to a holder', docHash: docHash });
+        }
+
+        res.json({
+            success: true,
+            holder: match.certData.holder,
+            registry: formatRegistry(match.registry),
+            challenge: await createHolderChallenge(docHash)
+        });
+
+    } catch (error) {
+        console.error('Holder challenge error:', error);
+        res.status(500).json({
+            error: 'Failed to create holder challenge',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/disclosure
+ * Build a disclosure package revealing only the chosen metadata fields
+ * Like POST /api/verify, holding the certificate file is what entitles the caller.
+ */
+router.post('/disclosure', upload.single('certificate'), async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'No certificate file provided' });
+        }
+
+        const fields = [...new Set(String(req.body.fields || '').split(',').map(field => field.trim()).filter(Boolean))];
+        if (fields.length === 0) {
+            return res.status(400).json({ error: 'Name the fields to disclose, e.g. fields=studentName,courseName' });
+        }
+
+        const docHash = hashDocumentForBlockchain(req.file.buffer);
+
+        const { match } = await searchRegistries(req, docHash);
+
+        if (!match) {
+            return res.status(404).json({
+                error: 'Certificate not found',
+                docHash: docHash
+            });
+        }
+
+        const { metadata, metadataStatus, salts } = await fetchMetadata(match.certData.ipfsCID);
+        if (metadataStatus === 'erased') {
+            return res.status(410).json({ error: 'Personal data has been erased', docHash: docHash });
+        }
+        if (!metadata) {
+            return res.status(502).json({ error: 'Certificate metadata unavailable', docHash: docHash });
+        }
+        if (!salts) {
+            return res.status(409).json({
+                error: 'Certificate was issued before selective disclosure was available',
+                docHash: docHash
+            });
+        }
+
+        let disclosures;
+        try {
+            disclosures = buildDisclosures(metadata, salts, fields);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        res.json({
+            success: true,
+            package: {
+                docHash: docHash,
+                disclosures: disclosures
+            }
+        });
+
+    } catch (error) {
+        console.error('Disclosure error:', error);
+        res.status(500).json({
+            error: 'Failed to build disclosure',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/disclosure/verify
+ * Check a disclosure package against the certificate's commitments
+ * Only the disclosed fields are returned; nothing is decrypted.
+ */
+router.post('/disclosure/verify', async (req, res) => {
+    try {
+        if (!isWeb3Ready()) {
+            return res.status(503).json({ error: 'Web3 not initialized' });
+        }
+
+        const { docHash, disclosures } = req.body || {};
+
+        if (!ethers.isHexString(docHash, 32) || !Array.isArray(disclosures) || disclosures.length === 0) {
+            return res.status(400).json({ error: 'A disclosure package needs a docHash and a non-empty disclosures array' });
+        }
+
+        const { searched, match } = await searchRegistries(req, docHash);
+
+        if (!match) {
+            return res.json({
+                valid: false,
+                status: 'not_found',
+                message: 'Certificate not found on blockchain',
+                docHash: docHash,
+                searchedRegistries: searched.map(({ registry }) => formatRegistry(registry))
+            });
+        }
+
+        const { registry, certData } = match;
+
+        const stored = certData.ipfsCID ? await retrieveFromIPFS(certData.ipfsCID) : null;
+        if (!stored || !stored.commitments) {
+            return res.json({
+                valid: false,
+                status: 'no_commitments',
+                message: 'Certificate has no field commitments to check against',
+                docHash: docHash
+            });
+        }
+
+        const { fields, invalid } = checkDisclosures(disclosures, stored.commitments);
+        if (invalid.length > 0) {
+            return res.json({
+                valid: false,
+                status: 'invalid_disclosure',
+                message: 'Some disclosures do not match the certificate\'s commitments',
+                docHash: docHash,
+                invalidDisclosures: invalid
+            });
+        }
+
+        const status = getCertificateStatus(certData);
+
+        res.json({
+            valid: status === 'valid',
+            status: status,
+            message: STATUS_MESSAGES[status],
+            docHash: docHash,
+            issuer: certData.issuer,
+            issuedDate: new Date(parseInt(certData.timestamp) * 1000).toISOString(),
+            expiresAt: formatExpiry(certData.validUntil),
+            revocation: formatRevocation(certData),
+            registry: formatRegistry(registry),
+            disclosed: fields
+        });
+
+    } catch (error) {
+        console.error('Disclosure verification error:', error);
+        res.status(500).json({
+            error: 'Failed to verify disclosure',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+const path = require('path');
+const dotenv = require('dotenv');
+
+// Load environment variables before the database module reads DB_PATH
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+const { generateApiKey, hashApiKey } = require('../utils/crypto');
+const { toInstitutionId, formatInstitutionId } = require('../utils/institutions');
+const { ACCOUNT_ROLES } = require('../middleware/auth');
+const {
+    initDatabase,
+    createAccount,
+    getAccountByName,
+    setAccountScope,
+    insertApiKey,
+    revokeApiKey,
+    listApiKeys,
+    closeDatabase
+} = require('../db/database');
+
+const USAGE = `Usage:
+  node scripts/api-keys.js create <account> [label]   Create an API key (and the account if new)
+  node scripts/api-keys.js revoke <keyPrefix>         Revoke an API key
+  node scripts/api-keys.js list                       List API keys
+  node scripts/api-keys.js scope <account> <role> [institution]
+                                                      Set what an account may manage:
+                                                      issuer, institution_admin (of institution)
+                                                      or registry_admin`;
+
+/**
+ * Create an API key for an account, creating the account if needed
+ * @param {string} accountName - Account name
+ * @param {string} [label] - Label describing the key's use
+ */
+async function create(accountName, label) {
+    const account = await getAccountByName(accountName);
+    const accountId = account ? account.id : await createAccount(accountName);
+
+    const { key, prefix } = generateApiKey();
+    await insertApiKey({
+        accountId: accountId,
+        keyPrefix: prefix,
+        keyHash: hashApiKey(key),
+        label: label
+    });
+
+    console.log(`🔑 API key created for ${accountName}${account ? '' : ' (new account)'}`);
+    console.log(`   ${key}`);
+    console.log('   Store it now: only its hash is kept.');
+}
+
+/**
+ * Revoke an API key by prefix
+ * @param {string} keyPrefix - API key prefix
+ */
+async function revoke(keyPrefix) {
+    if (await revokeApiKey(keyPrefix)) {
+        console.log(`🚫 API key ${keyPrefix} revoked`);
+    } else {
+        console.log(`No active API key with prefix ${keyPrefix}`);
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Set an account's role, and the institution it administers
+ * @param {string} accountName - Account name
+ * @param {string} role - One of ACCOUNT_ROLES
+ * @param {string} [institution] - Institution short name or ID, for institution admins
+ */
+async function scope(accountName, role, institution) {
+    if (!ACCOUNT_ROLES.includes(role)) {
+        throw new Error(`Unknown role ${role}; use one of ${ACCOUNT_ROLES.join(', ')}`);
+    }
+
+    let institutionId = null;
+    if (role === 'institution_admin') {
+        institutionId = toInstitutionId(institution);
+        if (!institutionId) {
+            throw new Error('An institution admin needs the institution it manages');
+        }
+    }
+
+    const account = await getAccountByName(accountName);
+    if (!account) {
+        throw new Error(`No account named ${accountName}`);
+    }
+
+    await setAccountScope(account.id, role, institutionId);
+
+    const target = institutionId ? ` of ${formatInstitutionId(institutionId)}` : '';
+    console.log(`🛡️  ${accountName} is now ${role}${target}`);
+}
+
+/**
+ * Print all API keys
+ */
+async function list() {
+    const keys = await listApiKeys();
+    console.table(keys.map(k => ({
+        account: k.accountName,
+        role: k.accountRole,
+        institution: formatInstitutionId(k.institutionId),
+        prefix: k.keyPrefix,
+        label: k.label,
+        created: k.createdAt,
+        lastUsed: k.lastUsedAt,
+        revoked: k.revokedAt
+    })));
+}
+
+async function main() {
+    const [command, arg, label, extra] = process.argv.slice(2);
+
+    const commands = {
+        create: () => create(arg, label),
+        scope: () => scope(arg, label, extra),
+        revoke: () => revoke(arg),
+        list: () => list()
+    };
+
+    if (!commands[command] || (command !== 'list' && !arg)) {
+        console.log(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+
+    await initDatabase();
+    try {
+        await commands[command]();
+    } finally {
+        await closeDatabase();
+    }
+}
+
+main().catch((error) => {
+    console.error('❌ API key command failed:', error.message);
+    process.exit(1);
+});
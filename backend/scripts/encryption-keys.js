@@ -0,0 +1,204 @@
+const path = require('path');
+const dotenv = require('dotenv');
+
+// Load environment variables before the storage and database modules read them
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+const {
+    DEFAULT_KEY_ID,
+    getKeyring,
+    getActiveKeyId,
+    getEnvelopeKeyId,
+    isMetadataEnvelope,
+    encryptWithActiveKey,
+    decryptWithKeyring
+} = require('../utils/keyring');
+const { isDataKeyEnvelope, rewrapDataKeys } = require('../utils/dataKeys');
+const { listLocalStorage, retrieveFromLocalStorage, isContentAddressed, overwriteLocalStorage } = require('../utils/ipfs');
+const { initDatabase, recordMetadataKey, countMetadataKeys, countDataKeysByKey, closeDatabase } = require('../db/database');
+
+const USAGE = `Usage:
+  node scripts/encryption-keys.js status          Show how many envelopes and data keys use each key
+  node scripts/encryption-keys.js rotate          Re-wrap data keys and re-encrypt local metadata under the active key
+  node scripts/encryption-keys.js retire <keyId>  Check that nothing references a key before removing it`;
+
+/**
+ * Read every metadata envelope in local storage and record its key ID
+ * Envelopes written before key IDs were tracked are picked up here.
+ * @returns {Promise<Array<Object>>} Local envelopes with their file identifier and key ID
+ */
+async function scanLocalEnvelopes() {
+    const envelopes = [];
+
+    for (const filename of await listLocalStorage()) {
+        // A block that fails its CID check cannot be trusted, but should not stop the scan
+        let data;
+        try {
+            data = await retrieveFromLocalStorage(filename);
+        } catch (error) {
+            console.warn(`⚠️  Skipping ${filename}: ${error.message}`);
+            continue;
+        }
+
+        // Batch manifests are not encrypted, and data key envelopes are
+        // tracked through their wrapped key rather than the master key
+        if (!isMetadataEnvelope(data) || isDataKeyEnvelope(data)) {
+            continue;
+        }
+
+        const keyId = getEnvelopeKeyId(data);
+        await recordMetadataKey(filename, keyId);
+        envelopes.push({ filename, keyId, envelope: data });
+    }
+
+    return envelopes;
+}
+
+/**
+ * Count references to each key: envelopes encrypted with it directly,
+ * including those on IPFS, and the data keys it wraps
+ * @returns {Promise<Object>} Envelope and data key counts by key ID
+ */
+async function countReferences() {
+    await scanLocalEnvelopes();
+    const envelopes = await countMetadataKeys();
+    const dataKeys = await countDataKeysByKey();
+
+    return {
+        envelopes: new Map(envelopes.map(row => [row.keyId, row.count])),
+        dataKeys: new Map(dataKeys.map(row => [row.keyId, row.count]))
+    };
+}
+
+/**
+ * Count all references to a key
+ * @param {Object} references - Result of countReferences()
+ * @param {string} keyId - Key ID
+ * @returns {number} Envelopes plus data keys using the key
+ */
+function totalReferences(references, keyId) {
+    return (references.envelopes.get(keyId) || 0) + (references.dataKeys.get(keyId) || 0);
+}
+
+/**
+ * Print each configured or referenced key with its envelope count
+ */
+async function status() {
+    const { activeKeyId, keys } = getKeyring();
+    const references = await countReferences();
+    const keyIds = new Set([...keys.keys(), ...references.envelopes.keys(), ...references.dataKeys.keys()]);
+
+    console.table([...keyIds].sort().map(keyId => ({
+        keyId: keyId,
+        active: keyId === activeKeyId,
+        configured: keys.has(keyId),
+        envelopes: references.envelopes.get(keyId) || 0,
+        dataKeys: references.dataKeys.get(keyId) || 0
+    })));
+}
+
+/**
+ * Re-wrap data keys and re-encrypt every local envelope that is not under the active key
+ * Envelopes pinned to IPFS or stored locally by CID are content-addressed and
+ * cannot be rewritten in place, so they keep their key until they are re-issued.
+ */
+async function rotate() {
+    const activeKeyId = getActiveKeyId();
+
+    const dataKeys = await rewrapDataKeys(activeKeyId);
+    console.log(`🔄 Re-wrapped ${dataKeys.rewrapped} data keys under key "${activeKeyId}"`);
+
+    const envelopes = await scanLocalEnvelopes();
+    let rotated = 0;
+    let skipped = 0;
+    let failed = dataKeys.failed;
+
+    for (const { filename, keyId, envelope } of envelopes) {
+        if (keyId === activeKeyId) {
+            continue;
+        }
+        if (isContentAddressed(filename)) {
+            skipped++;
+            continue;
+        }
+
+        try {
+            const metadata = decryptWithKeyring(envelope);
+            await overwriteLocalStorage(filename, encryptWithActiveKey(metadata));
+            await recordMetadataKey(filename, activeKeyId);
+            rotated++;
+        } catch (error) {
+            console.error(`❌ ${filename}: ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log(`🔄 Re-encrypted ${rotated} of ${envelopes.length} local envelopes under key "${activeKeyId}"`);
+    if (skipped > 0) {
+        console.log(`   ${skipped} envelopes are stored by CID and keep their key until they are re-issued`);
+    }
+    if (failed > 0) {
+        console.log(`   ${failed} data keys or envelopes could not be rotated`);
+        process.exitCode = 1;
+    }
+
+    const references = await countReferences();
+    const keyIds = new Set([...references.envelopes.keys(), ...references.dataKeys.keys()]);
+    keyIds.forEach((keyId) => {
+        if (keyId !== activeKeyId) {
+            console.log(`   Key "${keyId}" is still referenced ${totalReferences(references, keyId)} times`);
+        }
+    });
+}
+
+/**
+ * Confirm that a key can be removed from the configuration
+ * @param {string} keyId - Key ID to retire
+ */
+async function retire(keyId) {
+    if (keyId === getActiveKeyId()) {
+        console.log(`Key "${keyId}" is the active key; set AES_ACTIVE_KEY_ID to another key and rotate first`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const count = totalReferences(await countReferences(), keyId);
+
+    if (count > 0) {
+        console.log(`Key "${keyId}" is still referenced by ${count} envelopes or data keys; run rotate first`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const setting = keyId === DEFAULT_KEY_ID ? 'AES_ENCRYPTION_KEY' : 'AES_ENCRYPTION_KEYS';
+    console.log(`✅ Nothing references key "${keyId}"; it can be removed from ${setting}`);
+}
+
+async function main() {
+    const [command, arg] = process.argv.slice(2);
+
+    const commands = {
+        status: () => status(),
+        rotate: () => rotate(),
+        retire: () => retire(arg)
+    };
+
+    if (!commands[command] || (command === 'retire' && !arg)) {
+        console.log(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+
+    getKeyring();
+    await initDatabase();
+    try {
+        await commands[command]();
+    } finally {
+        await closeDatabase();
+    }
+}
+
+main().catch((error) => {
+    console.error('❌ Encryption key command failed:', error.message);
+    process.exit(1);
+});
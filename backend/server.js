@@ -2,8 +2,14 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const path = require('path');
-const certificateRoutes = require('./routes/certificate');
+const apiRoutes = require('./routes');
+const { protectWriteRoutes } = require('./middleware/auth');
 const { initDatabase } = require('./db/database');
+const { getKeyring } = require('./utils/keyring');
+const { startIndexer } = require('./utils/indexer');
+const { startConfirmationTracker } = require('./utils/confirmations');
+const { startIssuanceQueue } = require('./utils/issuanceQueue');
+const { resumeBulkJobs } = require('./utils/bulk');
 
 // Load environment variables
 dotenv.config({ path: path.join(__dirname, '../.env') });
@@ -22,8 +28,8 @@ app.use((req, res, next) => {
     next();
 });
 
-// Routes
-app.use('/api', certificateRoutes);
+// Routes (write routes require an issuer API key)
+app.use('/api', protectWriteRoutes, apiRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -48,6 +54,14 @@ app.use((err, req, res, next) => {
     });
 });
 
+// Refuse to start without usable metadata encryption keys
+try {
+    getKeyring();
+} catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+}
+
 // Initialize database and start server
 initDatabase()
     .then(() => {
@@ -57,6 +71,15 @@ initDatabase()
             console.log(`🏥 Health check at http://localhost:${PORT}/health`);
             console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
         });
+
+        // Mirror certificates and issuers from the chain, including those
+        // issued by other backends or directly against the contract
+        startIndexer();
+        startConfirmationTracker();
+        startIssuanceQueue();
+        resumeBulkJobs().catch((error) => {
+            console.error('Failed to resume bulk jobs:', error.message);
+        });
     })
     .catch((error) => {
         console.error('Failed to initialize database:', error);
@@ -0,0 +1,159 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../db/database', () => ({
+    getActiveApiKey: jest.fn(),
+    touchApiKey: jest.fn().mockResolvedValue(true),
+    getOpenIssuanceJob: jest.fn().mockResolvedValue(null)
+}));
+
+jest.mock('../utils/ipfs', () => ({
+    initIPFS: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../utils/web3', () => ({
+    initWeb3: jest.fn().mockResolvedValue(true),
+    getSignerAddress: jest.fn().mockResolvedValue('0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266'),
+    getRoles: jest.fn().mockResolvedValue({ registryAdmin: true }),
+    isRegistryPaused: jest.fn(),
+    pauseRegistry: jest.fn(),
+    unpauseRegistry: jest.fn(),
+    markIssuerCompromised: jest.fn(),
+    clearIssuerCompromise: jest.fn(),
+    getIssuerCompromise: jest.fn(),
+    getProvider: jest.fn()
+}));
+
+const { getActiveApiKey } = require('../db/database');
+const web3 = require('../utils/web3');
+const { protectWriteRoutes } = require('../middleware/auth');
+const adminRoutes = require('../routes/admin');
+
+const ISSUER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+const app = express();
+app.use(express.json());
+app.use('/api', protectWriteRoutes, adminRoutes);
+
+/**
+ * Make the next API key lookup return an account with the given scope
+ * @param {string} role - Account role
+ * @param {string|null} [institutionId] - Institution an institution admin manages
+ */
+function useAccount(role, institutionId = null) {
+    getActiveApiKey.mockResolvedValue({
+        apiKeyId: 1,
+        keyPrefix: 'test',
+        accountId: 1,
+        accountName: role,
+        accountRole: role,
+        institutionId: institutionId
+    });
+}
+
+describe('Registry admin routes', function () {
+    beforeAll(async function () {
+        // Let the route module finish connecting to the (mocked) registry
+        await new Promise(resolve => setImmediate(resolve));
+    });
+
+    beforeEach(function () {
+        jest.clearAllMocks();
+    });
+
+    describe.each([
+        ['issuer', null],
+        ['institution_admin', '0x6d69740000000000000000000000000000000000000000000000000000000000']
+    ])('with an %s API key', function (role, institutionId) {
+        it.each([
+            ['post', '/api/registry/pause'],
+            ['post', '/api/registry/unpause'],
+            ['post', `/api/issuers/${ISSUER}/compromise`],
+            ['delete', `/api/issuers/${ISSUER}/compromise`]
+        ])('should reject %s %s with 403', async function (method, path) {
+            useAccount(role, institutionId);
+
+            const res = await request(app)[method](path)
+                .set('X-API-Key', 'cck_test')
+                .send({ since: '2024-01-01' });
+
+            expect(res.status).toBe(403);
+            expect(res.body.error).toBe('API account is not a registry admin');
+            expect(web3.pauseRegistry).not.toHaveBeenCalled();
+            expect(web3.unpauseRegistry).not.toHaveBeenCalled();
+            expect(web3.markIssuerCompromised).not.toHaveBeenCalled();
+            expect(web3.clearIssuerCompromise).not.toHaveBeenCalled();
+        });
+    });
+
+    it('should require an API key', async function () {
+        const res = await request(app).post('/api/registry/pause');
+
+        expect(res.status).toBe(401);
+        expect(web3.pauseRegistry).not.toHaveBeenCalled();
+    });
+
+    it('should let a registry admin key pause issuance', async function () {
+        useAccount('registry_admin');
+        web3.isRegistryPaused.mockResolvedValue(false);
+        web3.pauseRegistry.mockResolvedValue({ transactionHash: '0xabc', blockNumber: 7 });
+
+        const res = await request(app)
+            .post('/api/registry/pause')
+            .set('Authorization', 'Bearer cck_test');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toEqual({ paused: true, transactionHash: '0xabc', blockNumber: 7 });
+        expect(web3.pauseRegistry).toHaveBeenCalledTimes(1);
+    });
+
+    describe('POST /api/issuers/:address/compromise', function () {
+        beforeEach(function () {
+            useAccount('registry_admin');
+            web3.markIssuerCompromised.mockResolvedValue({ transactionHash: '0xabc', blockNumber: 130 });
+            web3.getProvider.mockReturnValue({
+                getBlock: jest.fn(blockNumber => Promise.resolve(blockNumber <= 125 ? { number: blockNumber, timestamp: 1705334400 } : null))
+            });
+        });
+
+        /**
+         * Mark the issuer compromised with the given request body
+         * @param {Object} body - since or block
+         * @returns {Promise<Object>} Response
+         */
+        function markCompromised(body) {
+            return request(app)
+                .post(`/api/issuers/${ISSUER}/compromise`)
+                .set('X-API-Key', 'cck_test')
+                .send(body);
+        }
+
+        it('should keep a block as the cutoff, along with its timestamp', async function () {
+            const res = await markCompromised({ block: 120 });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({ compromisedSince: '2024-01-15T16:00:00.000Z', compromisedSinceBlock: 120 });
+            expect(web3.markIssuerCompromised).toHaveBeenCalledWith(ISSUER, 1705334400, 120);
+        });
+
+        it('should mark a date cutoff without a block', async function () {
+            const res = await markCompromised({ since: '2024-01-15T16:00:00Z' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.compromisedSinceBlock).toBeNull();
+            expect(web3.markIssuerCompromised).toHaveBeenCalledWith(ISSUER, 1705334400, null);
+        });
+
+        it.each([
+            [{ block: 200 }, 'block must be the number of a mined block'],
+            [{ block: -1 }, 'block must be the number of a mined block'],
+            [{ since: '2024-01-15', block: 120 }, 'Provide either since (a date or Unix timestamp) or block']
+        ])('should reject %j', async function (body, error) {
+            const res = await markCompromised(body);
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe(error);
+            expect(web3.markIssuerCompromised).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,126 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../db/database', () => ({
+    getActiveApiKey: jest.fn(),
+    touchApiKey: jest.fn()
+}));
+
+const { getActiveApiKey, touchApiKey } = require('../db/database');
+const { generateApiKey, hashApiKey } = require('../utils/crypto');
+const { protectWriteRoutes, requireRegistryAdmin, canManageInstitution } = require('../middleware/auth');
+
+const INSTITUTION_ID = '0x6d69740000000000000000000000000000000000000000000000000000000000';
+const API_KEY_RECORD = {
+    apiKeyId: 7,
+    keyPrefix: 'a1b2c3d4',
+    accountId: 2,
+    accountName: 'registrar',
+    accountRole: 'issuer',
+    institutionId: null
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api', protectWriteRoutes);
+app.get('/api/cert/:hash', (req, res) => res.json({ auth: req.auth || null }));
+app.post('/api/verify', (req, res) => res.json({ auth: req.auth || null }));
+app.post('/api/issue', (req, res) => res.json({ auth: req.auth }));
+app.post('/api/registry/pause', requireRegistryAdmin, (req, res) => res.json({ paused: true }));
+
+describe('API keys', function () {
+    beforeEach(function () {
+        jest.clearAllMocks();
+        getActiveApiKey.mockResolvedValue(API_KEY_RECORD);
+        touchApiKey.mockResolvedValue(true);
+    });
+
+    it('should generate keys that carry their public prefix', function () {
+        const { key, prefix } = generateApiKey();
+
+        expect(key).toMatch(new RegExp(`^cck_${prefix}_[0-9a-f]{48}$`));
+        expect(generateApiKey().key).not.toBe(key);
+        expect(hashApiKey(key)).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it('should require a key on write routes', async function () {
+        const res = await request(app).post('/api/issue');
+
+        expect(res.status).toBe(401);
+        expect(res.body.error).toBe('API key required');
+        expect(getActiveApiKey).not.toHaveBeenCalled();
+    });
+
+    it.each([
+        ['Authorization', 'Bearer cck_test'],
+        ['X-API-Key', 'cck_test']
+    ])('should look a key sent in %s up by its hash and attach the account', async function (header, value) {
+        const res = await request(app).post('/api/issue').set(header, value);
+
+        expect(res.status).toBe(200);
+        expect(getActiveApiKey).toHaveBeenCalledWith(hashApiKey('cck_test'));
+        expect(res.body.auth).toEqual({
+            accountId: 2,
+            accountName: 'registrar',
+            apiKeyId: 7,
+            keyPrefix: 'a1b2c3d4',
+            role: 'issuer',
+            institutionId: null
+        });
+        expect(touchApiKey).toHaveBeenCalledWith(7);
+    });
+
+    it('should reject unknown and revoked keys', async function () {
+        getActiveApiKey.mockResolvedValue(null);
+
+        const res = await request(app).post('/api/issue').set('X-API-Key', 'cck_revoked');
+
+        expect(res.status).toBe(401);
+        expect(res.body.error).toBe('Invalid or revoked API key');
+    });
+
+    it('should not fail a request when its key use cannot be recorded', async function () {
+        touchApiKey.mockRejectedValue(new Error('database is locked'));
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        try {
+            const res = await request(app).post('/api/issue').set('X-API-Key', 'cck_test');
+            expect(res.status).toBe(200);
+        } finally {
+            warn.mockRestore();
+        }
+    });
+
+    it('should keep reads and read-only POSTs public', async function () {
+        const read = await request(app).get(`/api/cert/${'ab'.repeat(32)}`);
+        const verify = await request(app).post('/api/verify/');
+
+        expect(read.status).toBe(200);
+        expect(verify.status).toBe(200);
+        expect(getActiveApiKey).not.toHaveBeenCalled();
+    });
+
+    describe('Account scopes', function () {
+        it('should only let registry admin accounts through registry admin routes', async function () {
+            const denied = await request(app).post('/api/registry/pause').set('X-API-Key', 'cck_test');
+
+            getActiveApiKey.mockResolvedValue({ ...API_KEY_RECORD, accountRole: 'registry_admin' });
+            const allowed = await request(app).post('/api/registry/pause').set('X-API-Key', 'cck_test');
+
+            expect(denied.status).toBe(403);
+            expect(denied.body.error).toBe('API account is not a registry admin');
+            expect(allowed.status).toBe(200);
+        });
+
+        it('should let institution admins manage only their own institution', function () {
+            const admin = { role: 'institution_admin', institutionId: INSTITUTION_ID };
+
+            expect(canManageInstitution(admin, INSTITUTION_ID.toUpperCase().replace('0X', '0x'))).toBe(true);
+            expect(canManageInstitution(admin, '0x' + '00'.repeat(32))).toBe(false);
+            expect(canManageInstitution({ role: 'institution_admin', institutionId: null }, '0x' + '00'.repeat(32))).toBe(false);
+            expect(canManageInstitution({ role: 'issuer', institutionId: INSTITUTION_ID }, INSTITUTION_ID)).toBe(false);
+            expect(canManageInstitution({ role: 'registry_admin' }, INSTITUTION_ID)).toBe(true);
+            expect(canManageInstitution(undefined, INSTITUTION_ID)).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,269 @@
+const express = require('express');
+const request = require('supertest');
+const { ethers } = require('ethers');
+
+jest.mock('../db/database', () => ({
+    getActiveApiKey: jest.fn(),
+    touchApiKey: jest.fn().mockResolvedValue(true),
+    getOpenIssuanceJob: jest.fn().mockResolvedValue(null),
+    getBatchCertificate: jest.fn().mockResolvedValue(null)
+}));
+
+jest.mock('../utils/ipfs', () => ({
+    initIPFS: jest.fn().mockResolvedValue(true),
+    retrieveFromIPFS: jest.fn().mockResolvedValue({ encrypted: 'envelope' })
+}));
+
+jest.mock('../utils/dataKeys', () => ({
+    decryptPersonalData: jest.fn(),
+    uploadEncryptedMetadata: jest.fn().mockResolvedValue('bafkreibadge')
+}));
+
+jest.mock('../utils/issuanceQueue', () => ({
+    enqueueIssuance: jest.fn().mockResolvedValue('job-1')
+}));
+
+jest.mock('../utils/web3', () => ({
+    REVOCATION_REASONS: { 0: 'Unspecified', 1: 'Issued in error' },
+    ISSUER_COMPROMISED_REASON: 4,
+    initWeb3: jest.fn().mockResolvedValue(true),
+    getDeployment: jest.fn(),
+    getCertificate: jest.fn(),
+    getSignerAddress: jest.fn(),
+    signTypedData: jest.fn(),
+    verifyCertificate: jest.fn().mockResolvedValue({ exists: false }),
+    getProposal: jest.fn().mockResolvedValue(null),
+    isRegistryPaused: jest.fn().mockResolvedValue(false),
+    getRoles: jest.fn().mockResolvedValue({ issuerInstitution: '0x' + '00'.repeat(32) }),
+    getApprovalPolicy: jest.fn().mockResolvedValue({ threshold: 0, issuerCount: 0 })
+}));
+
+const database = require('../db/database');
+const web3 = require('../utils/web3');
+const { decryptPersonalData } = require('../utils/dataKeys');
+const { enqueueIssuance } = require('../utils/issuanceQueue');
+const { hashDocumentForBlockchain } = require('../utils/crypto');
+const { verifyCredentialProof } = require('../utils/credentials');
+const { buildBadgeCredential, readBadgeAssertion } = require('../utils/badges');
+const { protectWriteRoutes } = require('../middleware/auth');
+const exportRoutes = require('../routes/export');
+const issuanceRoutes = require('../routes/issuance');
+
+const ISSUER = new ethers.Wallet('0x' + '01'.repeat(32));
+const CERTIFICATE_FILE = Buffer.from('certificate');
+const DOC_HASH = hashDocumentForBlockchain(CERTIFICATE_FILE);
+const METADATA = {
+    studentName: 'Alice Smith',
+    courseName: 'Computer Science',
+    institution: 'MIT',
+    issueDate: '2024-01-15',
+    additionalInfo: 'With distinction'
+};
+const REGISTRY = {
+    chainId: '31337',
+    contractAddress: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+    statusUrl: `http://localhost:3001/api/cert/${DOC_HASH}`
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api', protectWriteRoutes, exportRoutes, issuanceRoutes);
+
+/**
+ * Build a certificate record as getCertificate returns it
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} Certificate record
+ */
+function certificate(fields = {}) {
+    return {
+        exists: true,
+        issuer: ISSUER.address,
+        ipfsCID: 'bafkreicert',
+        timestamp: '1705334400',
+        validUntil: '0',
+        revoked: false,
+        holder: null,
+        ...fields
+    };
+}
+
+describe('Open Badges', function () {
+    beforeAll(async function () {
+        await new Promise(resolve => setImmediate(resolve));
+    });
+
+    beforeEach(function () {
+        jest.clearAllMocks();
+        web3.getDeployment.mockReturnValue({ chainId: REGISTRY.chainId, contractAddress: REGISTRY.contractAddress });
+        web3.getSignerAddress.mockReturnValue(ISSUER.address);
+        web3.getCertificate.mockResolvedValue(certificate());
+        web3.signTypedData.mockImplementation((domain, types, value) => ISSUER.signTypedData(domain, types, value));
+        decryptPersonalData.mockResolvedValue({ erased: false, metadata: METADATA });
+        database.getActiveApiKey.mockResolvedValue({
+            apiKeyId: 3,
+            keyPrefix: 'test',
+            accountId: 1,
+            accountName: 'registrar',
+            accountRole: 'issuer',
+            institutionId: null
+        });
+    });
+
+    describe('buildBadgeCredential', function () {
+        it('should describe the course as an achievement shared by every badge for it', function () {
+            const badge = buildBadgeCredential({ docHash: DOC_HASH, metadata: METADATA, issuer: ISSUER.address, issuedAt: '2024-01-15T16:00:00.000Z' }, REGISTRY);
+            const classmate = buildBadgeCredential({ docHash: '0x' + 'cd'.repeat(32), metadata: { ...METADATA, studentName: 'Bob Jones' }, issuer: ISSUER.address, issuedAt: '2024-01-15T16:00:00.000Z' }, REGISTRY);
+
+            expect(badge).toMatchObject({
+                type: ['VerifiableCredential', 'OpenBadgeCredential'],
+                issuer: { id: `did:pkh:eip155:31337:${ISSUER.address}`, type: ['Profile'], name: 'MIT' },
+                credentialSubject: {
+                    type: ['AchievementSubject'],
+                    documentHash: DOC_HASH,
+                    identifier: [{ type: 'IdentityObject', identityType: 'name', identityHash: 'Alice Smith', hashed: false }],
+                    achievement: { name: 'Computer Science', criteria: { narrative: 'With distinction' } }
+                },
+                credentialStatus: { type: 'CertificateRegistryStatus', documentHash: DOC_HASH }
+            });
+            expect(badge).not.toHaveProperty('validUntil');
+            expect(classmate.credentialSubject.achievement.id).toBe(badge.credentialSubject.achievement.id);
+            expect(classmate.id).not.toBe(badge.id);
+        });
+    });
+
+    describe('readBadgeAssertion', function () {
+        it('should read a 3.0 credential, including one exported here', function () {
+            const badge = buildBadgeCredential({
+                docHash: DOC_HASH,
+                metadata: METADATA,
+                issuer: ISSUER.address,
+                issuedAt: '2024-01-15T16:00:00.000Z',
+                expiresAt: '2028-01-15T16:00:00.000Z'
+            }, REGISTRY);
+
+            expect(readBadgeAssertion(Buffer.from(JSON.stringify(badge)))).toEqual({
+                version: '3.0',
+                metadata: {
+                    studentName: 'Alice Smith',
+                    courseName: 'Computer Science',
+                    institution: 'MIT',
+                    issueDate: '2024-01-15',
+                    additionalInfo: `Imported Open Badge ${badge.id}`
+                },
+                expiresAt: '2028-01-15T16:00:00.000Z'
+            });
+        });
+
+        it('should read a 2.0 assertion, leaving out hashed recipients and linked issuers', function () {
+            const assertion = {
+                type: 'Assertion',
+                id: 'https://badges.example.edu/assertions/1',
+                recipient: { type: 'email', hashed: true, identity: 'sha256$abc' },
+                badge: { type: 'BadgeClass', name: 'Data Science', issuer: 'https://badges.example.edu/issuer' },
+                issuedOn: '2023-06-01T10:00:00Z',
+                expires: '2026-06-01T10:00:00Z'
+            };
+
+            expect(readBadgeAssertion(Buffer.from(JSON.stringify(assertion)))).toEqual({
+                version: '2.0',
+                metadata: {
+                    studentName: undefined,
+                    courseName: 'Data Science',
+                    institution: undefined,
+                    issueDate: '2023-06-01',
+                    additionalInfo: 'Imported Open Badge https://badges.example.edu/assertions/1'
+                },
+                expiresAt: '2026-06-01T10:00:00Z'
+            });
+        });
+
+        it.each([
+            ['a file that is not JSON', 'not json', 'Badge must be a JSON Open Badge assertion or credential'],
+            ['JSON that is not a badge', JSON.stringify({ type: 'VerifiableCredential' }), 'Badge must be an Open Badges 2.0 Assertion or 3.0 OpenBadgeCredential'],
+            ['null', 'null', 'Badge must be an Open Badges 2.0 Assertion or 3.0 OpenBadgeCredential']
+        ])('should reject %s', function (_, content, error) {
+            expect(() => readBadgeAssertion(Buffer.from(content))).toThrow(error);
+        });
+    });
+
+    describe('POST /api/badges/export', function () {
+        it('should export a badge signed by the issuer that verifies as a credential', async function () {
+            const res = await request(app).post('/api/badges/export').attach('certificate', CERTIFICATE_FILE, 'certificate.pdf');
+
+            expect(res.status).toBe(200);
+            expect(res.body).toMatchObject({
+                type: ['VerifiableCredential', 'OpenBadgeCredential'],
+                validFrom: '2024-01-15T16:00:00.000Z',
+                credentialStatus: { id: expect.stringMatching(new RegExp(`/api/cert/${DOC_HASH}$`)) }
+            });
+            expect(verifyCredentialProof(res.body)).toEqual({ valid: true, chainId: 31337, issuer: ISSUER.address });
+        });
+
+        it.each([
+            ['revoked', certificate({ revoked: true, revokedAt: '1705420800', revocationReason: 1 }), 'Only valid certificates can be exported'],
+            ['issued by another issuer', certificate({ issuer: '0x' + '22'.repeat(20) }), 'Certificate was issued by another issuer; only its issuer can sign the credential']
+        ])('should refuse a certificate that is %s', async function (_, certData, error) {
+            web3.getCertificate.mockResolvedValue(certData);
+
+            const res = await request(app).post('/api/badges/export').attach('certificate', CERTIFICATE_FILE, 'certificate.pdf');
+
+            expect(res.status).toBe(409);
+            expect(res.body.error).toBe(error);
+            expect(web3.signTypedData).not.toHaveBeenCalled();
+        });
+
+        it('should refuse a certificate whose personal data was erased', async function () {
+            decryptPersonalData.mockResolvedValue({ erased: true, erasedAt: '2024-06-01 12:00:00' });
+
+            const res = await request(app).post('/api/badges/export').attach('certificate', CERTIFICATE_FILE, 'certificate.pdf');
+
+            expect(res.status).toBe(410);
+        });
+    });
+
+    describe('POST /api/badges/import', function () {
+        const assertion = Buffer.from(JSON.stringify({
+            type: 'Assertion',
+            id: 'https://badges.example.edu/assertions/1',
+            recipient: { type: 'name', hashed: false, identity: 'Alice Smith' },
+            badge: { type: 'BadgeClass', name: 'Data Science', issuer: 'https://badges.example.edu/issuer' },
+            issuedOn: '2023-06-01T10:00:00Z'
+        }));
+
+        it('should queue the badge file for issuance, filling in fields it lacks', async function () {
+            const res = await request(app)
+                .post('/api/badges/import')
+                .set('X-API-Key', 'cck_test')
+                .field('institution', 'Example University')
+                .attach('badge', assertion, 'badge.json');
+
+            expect(res.status).toBe(202);
+            expect(res.body.data).toMatchObject({ jobId: 'job-1', docHash: hashDocumentForBlockchain(assertion), expiresAt: null });
+            expect(enqueueIssuance).toHaveBeenCalledWith(expect.objectContaining({ docHash: hashDocumentForBlockchain(assertion), validUntil: 0 }));
+        });
+
+        it('should name the fields a badge is missing', async function () {
+            const res = await request(app)
+                .post('/api/badges/import')
+                .set('X-API-Key', 'cck_test')
+                .attach('badge', assertion, 'badge.json');
+
+            expect(res.status).toBe(400);
+            expect(res.body).toEqual({
+                error: 'Missing required metadata fields',
+                details: 'Badge has no institution; send them as form fields'
+            });
+            expect(enqueueIssuance).not.toHaveBeenCalled();
+        });
+
+        it('should reject files that are not badges', async function () {
+            const res = await request(app)
+                .post('/api/badges/import')
+                .set('X-API-Key', 'cck_test')
+                .attach('badge', Buffer.from('%PDF-1.4'), 'certificate.pdf');
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('Badge must be a JSON Open Badge assertion or credential');
+        });
+    });
+});
@@ -0,0 +1,239 @@
+const express = require('express');
+const request = require('supertest');
+const AdmZip = require('adm-zip');
+
+jest.mock('../db/database', () => ({
+    getActiveApiKey: jest.fn(),
+    touchApiKey: jest.fn().mockResolvedValue(true),
+    getOpenIssuanceJob: jest.fn().mockResolvedValue(null),
+    createBulkJob: jest.fn().mockResolvedValue(true),
+    completeBulkJob: jest.fn().mockResolvedValue(true),
+    getUnqueuedBulkRows: jest.fn().mockResolvedValue([]),
+    getBulkJobsByStatus: jest.fn(),
+    updateBulkJobRow: jest.fn().mockResolvedValue(true),
+    completeBulkJobIfDone: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../utils/ipfs', () => ({
+    initIPFS: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../utils/dataKeys', () => ({
+    uploadEncryptedMetadata: jest.fn()
+}));
+
+jest.mock('../utils/issuanceQueue', () => ({
+    enqueueIssuance: jest.fn()
+}));
+
+jest.mock('../utils/web3', () => ({
+    initWeb3: jest.fn().mockResolvedValue(true),
+    getSignerAddress: jest.fn().mockReturnValue('0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266'),
+    getRoles: jest.fn().mockResolvedValue({ issuerInstitution: '0x' + '00'.repeat(32) }),
+    getApprovalPolicy: jest.fn().mockResolvedValue({ threshold: 0, issuerCount: 0 }),
+    isRegistryPaused: jest.fn().mockResolvedValue(false),
+    verifyCertificate: jest.fn().mockResolvedValue({ exists: false })
+}));
+
+const database = require('../db/database');
+const web3 = require('../utils/web3');
+const { uploadEncryptedMetadata } = require('../utils/dataKeys');
+const { enqueueIssuance } = require('../utils/issuanceQueue');
+const { hashDocumentForBlockchain } = require('../utils/crypto');
+const { readBulkUpload, queueBulkJob, resumeBulkJobs } = require('../utils/bulk');
+const { protectWriteRoutes } = require('../middleware/auth');
+const issuanceRoutes = require('../routes/issuance');
+
+const AUTH = { accountId: 1, apiKeyId: 3 };
+const HEADER = 'filename,studentName,courseName,institution';
+
+const app = express();
+app.use(express.json());
+app.use('/api', protectWriteRoutes, issuanceRoutes);
+
+/**
+ * Build a ZIP archive
+ * @param {Object} files - File content keyed by path inside the archive
+ * @returns {Buffer} ZIP archive
+ */
+function buildArchive(files) {
+    const zip = new AdmZip();
+    Object.entries(files).forEach(([name, content]) => zip.addFile(name, Buffer.from(content)));
+    return zip.toBuffer();
+}
+
+/**
+ * Build a CSV manifest
+ * @param {...string} lines - Lines after the header
+ * @returns {Buffer} CSV content
+ */
+function buildManifest(...lines) {
+    return Buffer.from([HEADER, ...lines].join('\n'));
+}
+
+describe('Bulk issuance', function () {
+    beforeAll(async function () {
+        await new Promise(resolve => setImmediate(resolve));
+    });
+
+    beforeEach(function () {
+        jest.clearAllMocks();
+    });
+
+    describe('readBulkUpload', function () {
+        it('should pair each row with its file by path or by unique base name', function () {
+            const rows = readBulkUpload(
+                buildArchive({ 'certs/alice.pdf': 'alice', 'bob.pdf': 'bob', '__MACOSX/certs/._alice.pdf': 'fork' }),
+                buildManifest('alice.pdf,Alice,CS,MIT', 'bob.pdf,Bob,Maths,MIT')
+            );
+
+            expect(rows.map(row => [row.rowNumber, row.filename, row.buffer.toString(), row.errors])).toEqual([
+                [2, 'alice.pdf', 'alice', []],
+                [3, 'bob.pdf', 'bob', []]
+            ]);
+            expect(rows[0].fields).toMatchObject({ studentName: 'Alice', courseName: 'CS', institution: 'MIT' });
+        });
+
+        it('should keep bad rows with their errors instead of rejecting the upload', function () {
+            const rows = readBulkUpload(
+                buildArchive({ 'a/cert.pdf': 'one', 'b/cert.pdf': 'two', 'alice.pdf': 'alice' }),
+                buildManifest('cert.pdf,Alice,CS,MIT', 'missing.pdf,Bob,CS,MIT', 'alice.pdf,Alice,CS,MIT', 'alice.pdf,Carol,CS,MIT', ',Dan,CS,MIT')
+            );
+
+            expect(rows.map(row => row.errors)).toEqual([
+                ['File not found in archive'],
+                ['File not found in archive'],
+                [],
+                ['Filename listed more than once'],
+                ['Missing filename']
+            ]);
+        });
+
+        it.each([
+            ['an archive that is not a ZIP', Buffer.from('not a zip'), buildManifest('alice.pdf,Alice,CS,MIT'), 'Invalid ZIP archive'],
+            ['a CSV without rows', buildArchive({ 'alice.pdf': 'alice' }), buildManifest(), 'CSV contains no rows'],
+            ['a CSV without a filename column', buildArchive({ 'alice.pdf': 'alice' }), Buffer.from('name\nAlice'), 'CSV must have a filename column']
+        ])('should reject %s', function (_, archive, manifest, error) {
+            expect(() => readBulkUpload(archive, manifest)).toThrow(error);
+        });
+    });
+
+    describe('queueBulkJob', function () {
+        const payload = JSON.stringify({ metadata: { studentName: 'Alice' }, validUntil: 0, holder: null });
+
+        it('should upload and queue every row, carrying on past rows that fail', async function () {
+            database.getUnqueuedBulkRows.mockResolvedValue([
+                { rowNumber: 2, docHash: '0x' + '01'.repeat(32), payload: payload },
+                { rowNumber: 3, docHash: '0x' + '02'.repeat(32), payload: payload },
+                { rowNumber: 4, docHash: '0x' + '03'.repeat(32), payload: payload }
+            ]);
+            uploadEncryptedMetadata
+                .mockResolvedValueOnce('bafkreione')
+                .mockRejectedValueOnce(new Error('IPFS unavailable'))
+                .mockResolvedValueOnce('bafkreithree');
+
+            await queueBulkJob('job-1', AUTH);
+
+            expect(enqueueIssuance).toHaveBeenCalledTimes(2);
+            expect(enqueueIssuance).toHaveBeenCalledWith({
+                docHash: '0x' + '01'.repeat(32),
+                ipfsCID: 'bafkreione',
+                validUntil: 0,
+                holder: null,
+                accountId: 1,
+                apiKeyId: 3,
+                bulkJobId: 'job-1',
+                bulkRowNumber: 2
+            });
+            expect(database.updateBulkJobRow).toHaveBeenCalledWith('job-1', 3, { status: 'failed', error: 'IPFS unavailable' });
+            expect(database.completeBulkJobIfDone).toHaveBeenCalledWith('job-1');
+        });
+
+        it('should finish the jobs a previous run left part-way through', async function () {
+            database.getBulkJobsByStatus.mockResolvedValue([{ id: 'job-2', accountId: 5, apiKeyId: 6 }]);
+            database.getUnqueuedBulkRows.mockResolvedValue([{ rowNumber: 2, docHash: '0x' + '01'.repeat(32), payload: payload }]);
+            uploadEncryptedMetadata.mockResolvedValue('bafkreione');
+
+            await resumeBulkJobs();
+
+            expect(database.getBulkJobsByStatus).toHaveBeenCalledWith('processing');
+            expect(enqueueIssuance).toHaveBeenCalledWith(expect.objectContaining({ accountId: 5, apiKeyId: 6, bulkJobId: 'job-2' }));
+        });
+    });
+
+    describe('POST /api/issue/bulk', function () {
+        beforeEach(function () {
+            // Queuing runs after the response; these tests only cover what is accepted
+            database.getUnqueuedBulkRows.mockResolvedValue([]);
+            database.getActiveApiKey.mockResolvedValue({
+                apiKeyId: 3,
+                keyPrefix: 'test',
+                accountId: 1,
+                accountName: 'issuer',
+                accountRole: 'issuer',
+                institutionId: null
+            });
+        });
+
+        /**
+         * Upload an archive and manifest
+         * @param {Buffer} archive - ZIP archive
+         * @param {Buffer} manifest - CSV manifest
+         * @returns {Promise<Object>} Response
+         */
+        function uploadBulk(archive, manifest) {
+            return request(app)
+                .post('/api/issue/bulk')
+                .set('X-API-Key', 'cck_test')
+                .attach('archive', archive, 'certificates.zip')
+                .attach('manifest', manifest, 'manifest.csv');
+        }
+
+        it('should accept the job and record invalid rows alongside valid ones', async function () {
+            const issued = hashDocumentForBlockchain(Buffer.from('issued'));
+            web3.verifyCertificate.mockImplementation(docHash => Promise.resolve({ exists: docHash === issued }));
+
+            const res = await uploadBulk(
+                buildArchive({ 'alice.pdf': 'alice', 'copy.pdf': 'alice', 'issued.pdf': 'issued', 'bob.pdf': 'bob' }),
+                buildManifest('alice.pdf,Alice,CS,MIT', 'copy.pdf,Alice,CS,MIT', 'issued.pdf,Eve,CS,MIT', 'bob.pdf,Bob,,MIT')
+            );
+
+            expect(res.status).toBe(202);
+            expect(res.body.data).toMatchObject({ totalRows: 4, validRows: 1, invalidRows: 3 });
+
+            const [jobId, rows, auth] = database.createBulkJob.mock.calls[0];
+            expect(jobId).toBe(res.body.data.jobId);
+            expect(auth).toMatchObject({ accountId: 1, apiKeyId: 3 });
+            expect(rows.map(row => [row.status, row.error])).toEqual([
+                ['pending', null],
+                ['invalid', 'Same document appears in another row'],
+                ['invalid', 'Certificate already exists'],
+                ['invalid', 'Missing required metadata fields']
+            ]);
+            expect(JSON.parse(rows[0].payload)).toEqual({
+                metadata: expect.objectContaining({ studentName: 'Alice', courseName: 'CS', institution: 'MIT' }),
+                validUntil: 0,
+                holder: null
+            });
+        });
+
+        it('should reject an upload without a single valid row', async function () {
+            const res = await uploadBulk(buildArchive({ 'alice.pdf': 'alice' }), buildManifest('missing.pdf,Alice,CS,MIT'));
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('No valid rows to issue');
+            expect(res.body.rows).toEqual([{ rowNumber: 2, filename: 'missing.pdf', error: 'File not found in archive' }]);
+            expect(database.createBulkJob).not.toHaveBeenCalled();
+        });
+
+        it('should require both the archive and the manifest', async function () {
+            const res = await request(app)
+                .post('/api/issue/bulk')
+                .set('X-API-Key', 'cck_test')
+                .attach('archive', buildArchive({ 'alice.pdf': 'alice' }), 'certificates.zip');
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('Provide a ZIP archive and a CSV manifest');
+        });
+    });
+});
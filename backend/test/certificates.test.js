@@ -0,0 +1,256 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../db/database', () => ({
+    getActiveApiKey: jest.fn(),
+    touchApiKey: jest.fn().mockResolvedValue(true),
+    getOpenIssuanceJob: jest.fn().mockResolvedValue(null),
+    getSubmittingAccountId: jest.fn(),
+    getDataKeysByDocHash: jest.fn(),
+    eraseDataKeys: jest.fn(),
+    getBatchCertificate: jest.fn().mockResolvedValue(null)
+}));
+
+jest.mock('../utils/ipfs', () => ({
+    initIPFS: jest.fn().mockResolvedValue(true),
+    retrieveFromIPFS: jest.fn()
+}));
+
+jest.mock('../utils/web3', () => ({
+    REVOCATION_REASONS: { 0: 'Unspecified', 1: 'Issued in error' },
+    ISSUER_COMPROMISED_REASON: 4,
+    initWeb3: jest.fn().mockResolvedValue(true),
+    getCertificate: jest.fn(),
+    revokeCertificate: jest.fn(),
+    verifyBatchCertificate: jest.fn(),
+    revokeBatchCertificate: jest.fn()
+}));
+
+const database = require('../db/database');
+const web3 = require('../utils/web3');
+const { protectWriteRoutes } = require('../middleware/auth');
+const certificateRoutes = require('../routes/certificates');
+
+const DOC_HASH = '0x' + 'ab'.repeat(32);
+const MERKLE_ROOT = '0x' + '11'.repeat(32);
+const PROOF = ['0x' + '22'.repeat(32)];
+
+const app = express();
+app.use(express.json());
+app.use('/api', protectWriteRoutes, certificateRoutes);
+
+/**
+ * Make the next API key lookup return the given account
+ * @param {number} accountId - Account ID
+ * @param {string} [role='issuer'] - Account role
+ */
+function useAccount(accountId, role = 'issuer') {
+    database.getActiveApiKey.mockResolvedValue({
+        apiKeyId: accountId,
+        keyPrefix: 'test',
+        accountId: accountId,
+        accountName: `account ${accountId}`,
+        accountRole: role,
+        institutionId: null
+    });
+}
+
+describe('Certificate routes', function () {
+    beforeAll(async function () {
+        await new Promise(resolve => setImmediate(resolve));
+    });
+
+    beforeEach(function () {
+        jest.clearAllMocks();
+        database.getSubmittingAccountId.mockResolvedValue(1);
+        database.getDataKeysByDocHash.mockResolvedValue([{ id: 'key', erasedAt: null }]);
+        database.eraseDataKeys.mockResolvedValue(1);
+    });
+
+    describe('POST /api/revoke', function () {
+        beforeEach(function () {
+            web3.getCertificate.mockResolvedValue({ exists: true, revoked: false });
+            web3.revokeCertificate.mockResolvedValue({ transactionHash: '0xabc', blockNumber: 9 });
+        });
+
+        it('should let the submitting account revoke', async function () {
+            useAccount(1);
+
+            const res = await request(app)
+                .post('/api/revoke')
+                .set('X-API-Key', 'cck_test')
+                .send({ docHash: DOC_HASH.slice(2), reasonCode: 1 });
+
+            expect(res.status).toBe(200);
+            expect(web3.revokeCertificate).toHaveBeenCalledWith(DOC_HASH, 1);
+        });
+
+        it('should reject other issuer accounts with 403', async function () {
+            useAccount(2);
+
+            const res = await request(app)
+                .post('/api/revoke')
+                .set('X-API-Key', 'cck_test')
+                .send({ docHash: DOC_HASH, reasonCode: 1 });
+
+            expect(res.status).toBe(403);
+            expect(web3.revokeCertificate).not.toHaveBeenCalled();
+        });
+
+        it('should let a registry admin account revoke any certificate', async function () {
+            useAccount(2, 'registry_admin');
+            database.getSubmittingAccountId.mockResolvedValue(null);
+
+            const res = await request(app)
+                .post('/api/revoke')
+                .set('X-API-Key', 'cck_test')
+                .send({ docHash: DOC_HASH, reasonCode: 0 });
+
+            expect(res.status).toBe(200);
+            expect(web3.revokeCertificate).toHaveBeenCalledWith(DOC_HASH, 0);
+        });
+
+        it.each([
+            ['too short', '0xabcd'],
+            ['not hex', '0x' + 'zz'.repeat(32)],
+            ['not a string', 12345]
+        ])('should reject a hash that is %s with 400', async function (description, hash) {
+            useAccount(1, 'registry_admin');
+
+            const res = await request(app)
+                .post('/api/revoke')
+                .set('X-API-Key', 'cck_test')
+                .send({ docHash: hash, reasonCode: 1 });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('Invalid document hash');
+            expect(web3.getCertificate).not.toHaveBeenCalled();
+        });
+
+        describe('of a certificate anchored in a batch', function () {
+            beforeEach(function () {
+                web3.getCertificate.mockResolvedValue({ exists: false });
+                database.getBatchCertificate.mockResolvedValue({ docHash: DOC_HASH, merkleRoot: MERKLE_ROOT, proof: PROOF });
+                web3.verifyBatchCertificate.mockResolvedValue({ included: true, revoked: false, revocationReason: 0, revokedAt: '0' });
+                web3.revokeBatchCertificate.mockResolvedValue({ transactionHash: '0xdef', blockNumber: 10 });
+            });
+
+            it('should revoke it with the stored proof', async function () {
+                useAccount(1);
+
+                const res = await request(app)
+                    .post('/api/revoke')
+                    .set('X-API-Key', 'cck_test')
+                    .send({ docHash: DOC_HASH, reasonCode: 1 });
+
+                expect(res.status).toBe(200);
+                expect(res.body.data.merkleRoot).toBe(MERKLE_ROOT);
+                expect(web3.verifyBatchCertificate).toHaveBeenCalledWith(DOC_HASH, MERKLE_ROOT, PROOF);
+                expect(web3.revokeBatchCertificate).toHaveBeenCalledWith(MERKLE_ROOT, DOC_HASH, PROOF, 1);
+                expect(web3.revokeCertificate).not.toHaveBeenCalled();
+            });
+
+            it('should reject other issuer accounts with 403', async function () {
+                useAccount(2);
+
+                const res = await request(app)
+                    .post('/api/revoke')
+                    .set('X-API-Key', 'cck_test')
+                    .send({ docHash: DOC_HASH, reasonCode: 1 });
+
+                expect(res.status).toBe(403);
+                expect(web3.revokeBatchCertificate).not.toHaveBeenCalled();
+            });
+
+            it('should answer 409 when it is already revoked', async function () {
+                useAccount(1);
+                web3.verifyBatchCertificate.mockResolvedValue({ included: true, revoked: true, revocationReason: 1, revokedAt: '1700000000' });
+
+                const res = await request(app)
+                    .post('/api/revoke')
+                    .set('X-API-Key', 'cck_test')
+                    .send({ docHash: DOC_HASH, reasonCode: 1 });
+
+                expect(res.status).toBe(409);
+                expect(res.body.revocation.reasonCode).toBe(1);
+                expect(web3.revokeBatchCertificate).not.toHaveBeenCalled();
+            });
+
+            it('should answer 404 when no batch holds it', async function () {
+                useAccount(1);
+                database.getBatchCertificate.mockResolvedValue(null);
+
+                const res = await request(app)
+                    .post('/api/revoke')
+                    .set('X-API-Key', 'cck_test')
+                    .send({ docHash: DOC_HASH, reasonCode: 1 });
+
+                expect(res.status).toBe(404);
+                expect(web3.revokeBatchCertificate).not.toHaveBeenCalled();
+            });
+        });
+    });
+
+    describe('DELETE /api/cert/:hash/personal-data', function () {
+        it('should let the submitting account erase personal data', async function () {
+            useAccount(1);
+
+            const res = await request(app)
+                .delete(`/api/cert/${DOC_HASH.toUpperCase().replace('0X', '0x')}/personal-data`)
+                .set('X-API-Key', 'cck_test');
+
+            expect(res.status).toBe(200);
+            expect(database.getSubmittingAccountId).toHaveBeenCalledWith(DOC_HASH);
+            expect(database.eraseDataKeys).toHaveBeenCalledWith(DOC_HASH, 1);
+        });
+
+        it('should reject other issuer accounts with 403', async function () {
+            useAccount(2);
+
+            const res = await request(app)
+                .delete(`/api/cert/${DOC_HASH}/personal-data`)
+                .set('X-API-Key', 'cck_test');
+
+            expect(res.status).toBe(403);
+            expect(database.eraseDataKeys).not.toHaveBeenCalled();
+        });
+
+        it('should reject certificates no account submitted with 403', async function () {
+            useAccount(1);
+            database.getSubmittingAccountId.mockResolvedValue(null);
+
+            const res = await request(app)
+                .delete(`/api/cert/${DOC_HASH}/personal-data`)
+                .set('X-API-Key', 'cck_test');
+
+            expect(res.status).toBe(403);
+            expect(database.eraseDataKeys).not.toHaveBeenCalled();
+        });
+
+        it('should let a registry admin account erase any certificate', async function () {
+            useAccount(2, 'registry_admin');
+
+            const res = await request(app)
+                .delete(`/api/cert/${DOC_HASH}/personal-data`)
+                .set('X-API-Key', 'cck_test');
+
+            expect(res.status).toBe(200);
+            expect(database.eraseDataKeys).toHaveBeenCalledWith(DOC_HASH, 2);
+        });
+
+        it.each([
+            ['too short', '0xabcd'],
+            ['not hex', '0x' + 'zz'.repeat(32)],
+            ['too long', DOC_HASH + 'ab']
+        ])('should reject a hash that is %s with 400', async function (description, hash) {
+            useAccount(1, 'registry_admin');
+
+            const res = await request(app)
+                .delete(`/api/cert/${hash}/personal-data`)
+                .set('X-API-Key', 'cck_test');
+
+            expect(res.status).toBe(400);
+            expect(database.eraseDataKeys).not.toHaveBeenCalled();
+        });
+    });
+});
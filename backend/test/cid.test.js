@@ -0,0 +1,56 @@
+const { computeCID, isRawCID, matchesCID } = require('../utils/cid');
+
+// CIDv1 of an empty raw block, as `ipfs block put --cid-codec raw` names it
+const EMPTY_BLOCK_CID = 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku';
+
+describe('Content identifiers', function () {
+    const content = Buffer.from(JSON.stringify({ name: 'Alice', degree: 'BSc' }, null, 2));
+
+    it('should compute the CID IPFS gives a raw block', function () {
+        expect(computeCID(Buffer.alloc(0))).toBe(EMPTY_BLOCK_CID);
+    });
+
+    it('should compute the same CID for the same content only', function () {
+        const cid = computeCID(content);
+
+        expect(cid).toMatch(/^bafkrei[a-z2-7]{52}$/);
+        expect(computeCID(Buffer.from(content))).toBe(cid);
+        expect(computeCID(Buffer.concat([content, Buffer.from(' ')]))).not.toBe(cid);
+    });
+
+    it('should recognize raw block CIDs', function () {
+        expect(isRawCID(computeCID(content))).toBe(true);
+        expect(isRawCID(EMPTY_BLOCK_CID)).toBe(true);
+    });
+
+    it('should reject identifiers that are not raw block CIDs', function () {
+        expect(isRawCID('local-1700000000000-abc123.json')).toBe(false);
+        expect(isRawCID('QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG')).toBe(false);
+        expect(isRawCID(EMPTY_BLOCK_CID.toUpperCase())).toBe(false);
+        expect(isRawCID(EMPTY_BLOCK_CID.slice(0, -1))).toBe(false);
+        expect(isRawCID(`${EMPTY_BLOCK_CID}a`)).toBe(false);
+        expect(isRawCID('../' + EMPTY_BLOCK_CID.slice(3))).toBe(false);
+        expect(isRawCID(null)).toBe(false);
+    });
+
+    it('should reject CIDs of other codecs', function () {
+        // dag-pb CIDv1 of the same digest: only the codec byte differs
+        expect(isRawCID('bafybeihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku')).toBe(false);
+    });
+
+    it('should reject non-canonical spellings of a CID', function () {
+        // The last character carries two padding bits that must be zero
+        const last = EMPTY_BLOCK_CID.slice(-1);
+        const variant = EMPTY_BLOCK_CID.slice(0, -1) + (last === 'u' ? 'v' : 'u');
+
+        expect(isRawCID(variant)).toBe(false);
+    });
+
+    it('should match content against its CID', function () {
+        const cid = computeCID(content);
+
+        expect(matchesCID(cid, content)).toBe(true);
+        expect(matchesCID(cid, Buffer.from(content.toString().replace('Alice', 'Mallory')))).toBe(false);
+        expect(matchesCID('local-1700000000000-abc123.json', content)).toBe(false);
+    });
+});
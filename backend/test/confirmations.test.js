@@ -0,0 +1,178 @@
+process.env.CONFIRMATION_DEPTH = '3';
+process.env.TX_DROP_TIMEOUT = '600000';
+
+jest.mock('../db/database', () => ({
+    getTransactionByHash: jest.fn(),
+    getTransactionsByStatus: jest.fn(),
+    updateTransactionStatus: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../utils/web3', () => ({
+    getProvider: jest.fn()
+}));
+
+const database = require('../db/database');
+const { getProvider } = require('../utils/web3');
+const { CONFIRMATION_DEPTH, getTransactionStatus, trackConfirmations } = require('../utils/confirmations');
+
+const TX_HASH = '0x' + 'aa'.repeat(32);
+const BLOCK_HASH = '0x' + 'b1'.repeat(32);
+const REORG_BLOCK_HASH = '0x' + 'b2'.repeat(32);
+const LATEST_BLOCK = 20;
+
+let provider;
+
+/**
+ * Format a time as SQLite's CURRENT_TIMESTAMP writes it
+ * @param {number} ago - Milliseconds before now
+ * @returns {string} UTC datetime without a zone marker
+ */
+function sqliteTime(ago) {
+    return new Date(Date.now() - ago).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Build a transaction record as the database returns it
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} Transaction record
+ */
+function transaction(fields = {}) {
+    return {
+        txHash: TX_HASH,
+        status: 'pending',
+        blockNumber: null,
+        blockHash: null,
+        createdAt: sqliteTime(60 * 1000),
+        updatedAt: null,
+        ...fields
+    };
+}
+
+/**
+ * Have the database return a record, and the record as updated after a status change
+ * @param {Object} record - Transaction record
+ */
+function storeTransaction(record) {
+    database.getTransactionByHash.mockResolvedValue(record);
+    database.updateTransactionStatus.mockImplementation((txHash, status, inclusion) => {
+        database.getTransactionByHash.mockResolvedValue({ ...record, status, ...(inclusion || {}) });
+        return Promise.resolve(true);
+    });
+}
+
+describe('Confirmation tracker', function () {
+    beforeEach(function () {
+        jest.clearAllMocks();
+        provider = {
+            getBlockNumber: jest.fn().mockResolvedValue(LATEST_BLOCK),
+            getTransactionReceipt: jest.fn().mockResolvedValue(null),
+            getTransaction: jest.fn().mockResolvedValue(null)
+        };
+        getProvider.mockReturnValue(provider);
+    });
+
+    it('should read the confirmation depth from the environment', function () {
+        expect(CONFIRMATION_DEPTH).toBe(3);
+    });
+
+    it('should keep a mined transaction pending until it is buried deep enough', async function () {
+        storeTransaction(transaction());
+        provider.getTransactionReceipt.mockResolvedValue({ status: 1, blockNumber: LATEST_BLOCK - 1, blockHash: BLOCK_HASH });
+
+        const status = await getTransactionStatus(TX_HASH);
+
+        expect(status).toMatchObject({ status: 'pending', confirmations: 2, requiredConfirmations: 3, blockHash: BLOCK_HASH });
+        expect(database.updateTransactionStatus).toHaveBeenCalledWith(TX_HASH, 'pending', { blockNumber: LATEST_BLOCK - 1, blockHash: BLOCK_HASH });
+    });
+
+    it('should confirm a transaction once it has enough confirmations', async function () {
+        storeTransaction(transaction({ blockNumber: LATEST_BLOCK - 2, blockHash: BLOCK_HASH }));
+        provider.getTransactionReceipt.mockResolvedValue({ status: 1, blockNumber: LATEST_BLOCK - 2, blockHash: BLOCK_HASH });
+
+        const status = await getTransactionStatus(TX_HASH);
+
+        expect(status).toMatchObject({ status: 'confirmed', confirmations: 3 });
+        expect(database.updateTransactionStatus).toHaveBeenCalledWith(TX_HASH, 'confirmed', null);
+    });
+
+    it('should fail a reverted transaction', async function () {
+        storeTransaction(transaction());
+        provider.getTransactionReceipt.mockResolvedValue({ status: 0, blockNumber: LATEST_BLOCK, blockHash: BLOCK_HASH });
+
+        expect((await getTransactionStatus(TX_HASH)).status).toBe('failed');
+    });
+
+    it('should mark a transaction orphaned when its block is reorganized away, keeping the old block', async function () {
+        storeTransaction(transaction({ blockNumber: LATEST_BLOCK - 5, blockHash: BLOCK_HASH }));
+
+        const status = await getTransactionStatus(TX_HASH);
+
+        expect(status).toMatchObject({ status: 'orphaned', confirmations: 0, blockHash: BLOCK_HASH });
+        expect(database.updateTransactionStatus).toHaveBeenCalledWith(TX_HASH, 'orphaned', null);
+    });
+
+    it('should record the new block of an orphaned transaction that is mined again', async function () {
+        storeTransaction(transaction({ status: 'orphaned', blockNumber: LATEST_BLOCK - 5, blockHash: BLOCK_HASH }));
+        provider.getTransactionReceipt.mockResolvedValue({ status: 1, blockNumber: LATEST_BLOCK - 4, blockHash: REORG_BLOCK_HASH });
+
+        const status = await getTransactionStatus(TX_HASH);
+
+        expect(status).toMatchObject({ status: 'confirmed', blockNumber: LATEST_BLOCK - 4, blockHash: REORG_BLOCK_HASH, confirmations: 5 });
+    });
+
+    it('should record a new block even when the status stays the same', async function () {
+        storeTransaction(transaction({ blockNumber: LATEST_BLOCK - 1, blockHash: BLOCK_HASH }));
+        provider.getTransactionReceipt.mockResolvedValue({ status: 1, blockNumber: LATEST_BLOCK, blockHash: REORG_BLOCK_HASH });
+
+        await getTransactionStatus(TX_HASH);
+
+        expect(database.updateTransactionStatus).toHaveBeenCalledWith(TX_HASH, 'pending', { blockNumber: LATEST_BLOCK, blockHash: REORG_BLOCK_HASH });
+    });
+
+    it('should wait for a transaction missing from the chain and mempool before failing it', async function () {
+        storeTransaction(transaction({ createdAt: sqliteTime(5 * 60 * 1000) }));
+        expect((await getTransactionStatus(TX_HASH)).status).toBe('pending');
+        expect(database.updateTransactionStatus).not.toHaveBeenCalled();
+
+        storeTransaction(transaction({ createdAt: sqliteTime(60 * 60 * 1000), updatedAt: sqliteTime(11 * 60 * 1000) }));
+        expect((await getTransactionStatus(TX_HASH)).status).toBe('failed');
+    });
+
+    it('should not fail a transaction that is still in the mempool', async function () {
+        storeTransaction(transaction({ createdAt: sqliteTime(60 * 60 * 1000) }));
+        provider.getTransaction.mockResolvedValue({ hash: TX_HASH });
+
+        expect((await getTransactionStatus(TX_HASH)).status).toBe('pending');
+    });
+
+    it('should count confirmations of settled transactions without checking them again', async function () {
+        storeTransaction(transaction({ status: 'confirmed', blockNumber: LATEST_BLOCK - 9, blockHash: BLOCK_HASH }));
+
+        expect(await getTransactionStatus(TX_HASH)).toMatchObject({ status: 'confirmed', confirmations: 10 });
+        expect(provider.getTransactionReceipt).not.toHaveBeenCalled();
+    });
+
+    it('should report unknown transactions as null, and stored ones without a provider', async function () {
+        database.getTransactionByHash.mockResolvedValue(null);
+        expect(await getTransactionStatus(TX_HASH)).toBeNull();
+
+        getProvider.mockReturnValue(null);
+        storeTransaction(transaction());
+        expect(await getTransactionStatus(TX_HASH)).toMatchObject({ status: 'pending', confirmations: null, requiredConfirmations: 3 });
+    });
+
+    it('should re-check every pending and orphaned transaction in one pass', async function () {
+        database.getTransactionsByStatus.mockResolvedValue([
+            transaction({ txHash: '0x' + '01'.repeat(32) }),
+            transaction({ txHash: '0x' + '02'.repeat(32), status: 'orphaned', blockNumber: 10, blockHash: BLOCK_HASH })
+        ]);
+        provider.getTransactionReceipt.mockImplementation(txHash => Promise.resolve(
+            txHash === '0x' + '01'.repeat(32) ? { status: 1, blockNumber: LATEST_BLOCK - 3, blockHash: BLOCK_HASH } : null
+        ));
+
+        expect(await trackConfirmations()).toBe(2);
+        expect(database.getTransactionsByStatus).toHaveBeenCalledWith(['pending', 'orphaned']);
+        expect(database.updateTransactionStatus).toHaveBeenCalledTimes(1);
+        expect(database.updateTransactionStatus).toHaveBeenCalledWith('0x' + '01'.repeat(32), 'confirmed', { blockNumber: LATEST_BLOCK - 3, blockHash: BLOCK_HASH });
+    });
+});
@@ -0,0 +1,215 @@
+const express = require('express');
+const request = require('supertest');
+const { ethers } = require('ethers');
+
+jest.mock('../db/database', () => ({
+    getBatchCertificate: jest.fn().mockResolvedValue(null)
+}));
+
+jest.mock('../utils/ipfs', () => ({
+    initIPFS: jest.fn().mockResolvedValue(true),
+    retrieveFromIPFS: jest.fn()
+}));
+
+jest.mock('../utils/web3', () => ({
+    REVOCATION_REASONS: { 0: 'Unspecified', 1: 'Issued in error' },
+    ISSUER_COMPROMISED_REASON: 4,
+    initWeb3: jest.fn().mockResolvedValue(true),
+    getDeployment: jest.fn(),
+    verifyCertificate: jest.fn(),
+    signTypedData: jest.fn()
+}));
+
+const web3 = require('../utils/web3');
+const { buildCredential, signCredential, verifyCredentialProof } = require('../utils/credentials');
+const exportRoutes = require('../routes/export');
+
+const ISSUER = new ethers.Wallet('0x' + '01'.repeat(32));
+const OTHER = new ethers.Wallet('0x' + '02'.repeat(32));
+const DOC_HASH = '0x' + 'AB'.repeat(32);
+const REGISTRY = {
+    chainId: '31337',
+    contractAddress: '0x5fbdb2315678afecb367f032d93f642f64180aa3',
+    statusUrl: `http://localhost:3001/api/cert/${DOC_HASH.toLowerCase()}`
+};
+const CERTIFICATE = {
+    docHash: DOC_HASH,
+    issuer: ISSUER.address,
+    issuedAt: '2024-01-15T16:00:00.000Z',
+    expiresAt: null,
+    metadata: { studentName: 'Alice Smith', courseName: 'Computer Science', grade: '', additionalInfo: undefined }
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api', exportRoutes);
+
+/**
+ * Build and sign a credential for the certificate with the given wallet
+ * @param {ethers.Wallet} [wallet=ISSUER] - Signing account
+ * @param {Object} [certificate] - Certificate fields to override
+ * @returns {Promise<Object>} Signed credential
+ */
+function issueCredential(wallet = ISSUER, certificate = {}) {
+    web3.signTypedData.mockImplementation((domain, types, value) => wallet.signTypedData(domain, types, value));
+    return signCredential(buildCredential({ ...CERTIFICATE, issuer: wallet.address, ...certificate }, REGISTRY));
+}
+
+/**
+ * Drop the proof from a signed credential so it can be changed and signed again
+ * @param {Object} credential - Signed credential
+ * @returns {Object} Credential without its proof
+ */
+function withoutProof(credential) {
+    const document = { ...credential };
+    delete document.proof;
+    return document;
+}
+
+describe('Verifiable credentials', function () {
+    beforeAll(async function () {
+        await new Promise(resolve => setImmediate(resolve));
+    });
+
+    beforeEach(function () {
+        jest.clearAllMocks();
+        web3.getDeployment.mockReturnValue({ chainId: REGISTRY.chainId, contractAddress: ethers.getAddress(REGISTRY.contractAddress) });
+        web3.verifyCertificate.mockResolvedValue({
+            exists: true,
+            issuer: ISSUER.address,
+            timestamp: '1705334400',
+            validUntil: '0',
+            revoked: false,
+            expired: false,
+            supersededBy: null
+        });
+    });
+
+    describe('Credentials', function () {
+        it('should describe the certificate and point back to its registry', function () {
+            const credential = buildCredential({ ...CERTIFICATE, expiresAt: '2028-01-15T16:00:00.000Z' }, REGISTRY);
+
+            expect(credential).toMatchObject({
+                id: `urn:certichain:eip155:31337:${REGISTRY.contractAddress}:${DOC_HASH.toLowerCase()}`,
+                type: ['VerifiableCredential', 'CertificateCredential'],
+                issuer: `did:pkh:eip155:31337:${ISSUER.address}`,
+                validFrom: CERTIFICATE.issuedAt,
+                validUntil: '2028-01-15T16:00:00.000Z',
+                credentialStatus: {
+                    id: REGISTRY.statusUrl,
+                    type: 'CertificateRegistryStatus',
+                    registry: `eip155:31337:${ethers.getAddress(REGISTRY.contractAddress)}`,
+                    documentHash: DOC_HASH.toLowerCase()
+                }
+            });
+            // Empty fields are left out rather than signed
+            expect(credential.credentialSubject).toEqual({
+                documentHash: DOC_HASH.toLowerCase(),
+                studentName: 'Alice Smith',
+                courseName: 'Computer Science'
+            });
+            expect(buildCredential(CERTIFICATE, REGISTRY)).not.toHaveProperty('validUntil');
+        });
+
+        it('should sign a proof that names the issuer and verifies', async function () {
+            const credential = await issueCredential();
+
+            expect(credential.proof).toMatchObject({
+                type: 'EthereumEip712Signature2021',
+                proofPurpose: 'assertionMethod',
+                verificationMethod: `did:pkh:eip155:31337:${ISSUER.address}#blockchainAccountId`,
+                eip712: { domain: { chainId: 31337 }, primaryType: 'VerifiableCredential' }
+            });
+            expect(verifyCredentialProof(credential)).toEqual({ valid: true, chainId: 31337, issuer: ISSUER.address });
+        });
+
+        it('should reject changed, added or re-attributed fields', async function () {
+            const credential = await issueCredential();
+            const otherIssuer = `did:pkh:eip155:31337:${OTHER.address}`;
+
+            expect(verifyCredentialProof({ ...credential, credentialSubject: { ...credential.credentialSubject, grade: 'First Class' } }))
+                .toMatchObject({ valid: false, reason: 'Signature was not made by the credential issuer' });
+            expect(verifyCredentialProof({ ...credential, validFrom: '2020-01-01T00:00:00.000Z' }).valid).toBe(false);
+            expect(verifyCredentialProof({ ...credential, issuer: otherIssuer }))
+                .toMatchObject({ valid: false, reason: 'Proof verification method does not belong to the issuer' });
+            expect(verifyCredentialProof({ ...credential, issuer: otherIssuer, proof: { ...credential.proof, verificationMethod: `${otherIssuer}#blockchainAccountId` } }))
+                .toMatchObject({ valid: false, reason: 'Signature was not made by the credential issuer' });
+        });
+
+        it.each([
+            ['a missing proof', credential => ({ ...credential, proof: undefined }), 'Credential has no EthereumEip712Signature2021 proof'],
+            ['an issuer that is not an Ethereum DID', credential => ({ ...credential, issuer: 'did:web:example.edu' }), 'Issuer must be a did:pkh Ethereum account'],
+            ['a field that cannot be typed', credential => ({ ...credential, credentialSubject: { ...credential.credentialSubject, credits: 120 } }), 'Malformed credential']
+        ])('should reject %s', async function (_, change, reason) {
+            const result = verifyCredentialProof(change(await issueCredential()));
+
+            expect(result.valid).toBe(false);
+            expect(result.reason).toContain(reason);
+        });
+
+        it('should accept an issuer profile object with the DID as its id', async function () {
+            const document = withoutProof(await issueCredential());
+
+            const profiled = await signCredential({ ...document, issuer: { id: document.issuer, name: 'MIT' } });
+            expect(verifyCredentialProof(profiled)).toMatchObject({ valid: true, issuer: ISSUER.address });
+        });
+    });
+
+    describe('POST /api/vc/verify', function () {
+        it('should report a valid credential with its on-chain status', async function () {
+            const res = await request(app).post('/api/vc/verify').send(await issueCredential());
+
+            expect(res.body).toMatchObject({
+                valid: true,
+                status: 'valid',
+                docHash: DOC_HASH.toLowerCase(),
+                issuer: ISSUER.address,
+                issuedDate: '2024-01-15T16:00:00.000Z'
+            });
+            expect(web3.verifyCertificate).toHaveBeenCalledWith(DOC_HASH.toLowerCase());
+        });
+
+        it('should report the registry status of a credential that is still signed correctly', async function () {
+            web3.verifyCertificate.mockResolvedValue({ exists: true, issuer: ISSUER.address, timestamp: '1705334400', validUntil: '0', revoked: true, revocationReason: 1, revokedAt: '1705420800' });
+
+            const res = await request(app).post('/api/vc/verify').send(await issueCredential());
+
+            expect(res.body).toMatchObject({ valid: false, status: 'revoked' });
+        });
+
+        it('should refuse a credential signed by someone other than the on-chain issuer', async function () {
+            const res = await request(app).post('/api/vc/verify').send(await issueCredential(OTHER));
+
+            expect(res.body).toMatchObject({ valid: false, status: 'issuer_mismatch', issuer: ISSUER.address });
+        });
+
+        it('should refuse a credential anchored in another registry', async function () {
+            web3.getDeployment.mockReturnValue({ chainId: '1', contractAddress: ethers.getAddress(REGISTRY.contractAddress) });
+
+            const res = await request(app).post('/api/vc/verify').send(await issueCredential());
+
+            expect(res.body).toMatchObject({ valid: false, status: 'unknown_registry' });
+            expect(web3.verifyCertificate).not.toHaveBeenCalled();
+        });
+
+        it('should refuse a credential whose subject and status name different documents', async function () {
+            const document = withoutProof(await issueCredential());
+            const mismatched = await signCredential({ ...document, credentialSubject: { ...document.credentialSubject, documentHash: '0x' + 'cd'.repeat(32) } });
+
+            const res = await request(app).post('/api/vc/verify').send(mismatched);
+
+            expect(res.body).toMatchObject({ valid: false, status: 'invalid_credential' });
+        });
+
+        it('should report invalid signatures and unknown certificates', async function () {
+            const credential = await issueCredential();
+            web3.verifyCertificate.mockResolvedValue({ exists: false });
+
+            const tampered = await request(app).post('/api/vc/verify').send({ ...credential, validFrom: '2020-01-01T00:00:00.000Z' });
+            const missing = await request(app).post('/api/vc/verify').send(credential);
+
+            expect(tampered.body).toMatchObject({ valid: false, status: 'invalid_signature' });
+            expect(missing.body).toMatchObject({ valid: false, status: 'not_found' });
+        });
+    });
+});
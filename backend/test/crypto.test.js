@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const {
+    encryptMetadata,
+    decryptMetadata,
+    generateDataKey,
+    encryptWithDataKey,
+    decryptWithDataKey
+} = require('../utils/crypto');
+
+const PASSPHRASE = 'correct horse battery staple';
+const METADATA = { studentName: 'Alice Smith', courseName: 'Computer Science', grade: 'First Class' };
+
+/**
+ * Encrypt with the original AES-256-CBC envelope format
+ * @param {Object} data - Data to encrypt
+ * @param {string} key - Passphrase
+ * @returns {Object} Version 1 envelope
+ */
+function encryptLegacy(data, key) {
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-256-cbc', crypto.createHash('sha256').update(key).digest(), iv);
+    let encrypted = cipher.update(JSON.stringify(data), 'utf8', 'hex');
+    encrypted += cipher.final('hex');
+    return { encrypted, iv: iv.toString('hex') };
+}
+
+describe('Metadata envelopes', function () {
+    it('should round-trip metadata under the current version', function () {
+        const envelope = encryptMetadata(METADATA, PASSPHRASE, 'k1');
+
+        expect(envelope).toMatchObject({ version: 3, keyId: 'k1', algorithm: 'aes-256-gcm', kdf: 'scrypt', kdfParams: { N: 16384, r: 8, p: 1 } });
+        expect(envelope.authTag).toHaveLength(32);
+        expect(decryptMetadata(envelope, PASSPHRASE)).toEqual(METADATA);
+    });
+
+    it('should still decrypt original AES-256-CBC envelopes', function () {
+        expect(decryptMetadata(encryptLegacy(METADATA, PASSPHRASE), PASSPHRASE)).toEqual(METADATA);
+    });
+
+    it('should reject a wrong passphrase', function () {
+        const envelope = encryptMetadata(METADATA, PASSPHRASE, 'k1');
+
+        expect(() => decryptMetadata(envelope, 'wrong passphrase')).toThrow();
+    });
+
+    it('should reject tampered ciphertext', function () {
+        const envelope = encryptMetadata(METADATA, PASSPHRASE, 'k1');
+        const flipped = (parseInt(envelope.encrypted[0], 16) ^ 1).toString(16);
+
+        expect(() => decryptMetadata({ ...envelope, encrypted: flipped + envelope.encrypted.slice(1) }, PASSPHRASE)).toThrow();
+    });
+
+    it('should bind the key ID to the ciphertext', function () {
+        const envelope = encryptMetadata(METADATA, PASSPHRASE, 'k1');
+
+        expect(() => decryptMetadata({ ...envelope, keyId: 'k2' }, PASSPHRASE)).toThrow();
+    });
+
+    it('should reject truncated auth tags', function () {
+        const envelope = encryptMetadata(METADATA, PASSPHRASE, 'k1');
+
+        for (const bytes of [4, 8, 12, 15]) {
+            expect(() => decryptMetadata({ ...envelope, authTag: envelope.authTag.slice(0, bytes * 2) }, PASSPHRASE))
+                .toThrow('Metadata envelope auth tag must be 16 bytes');
+        }
+    });
+
+    it('should refuse scrypt parameters it did not write, without deriving a key', function () {
+        const envelope = encryptMetadata(METADATA, PASSPHRASE, 'k1');
+        const scrypt = jest.spyOn(crypto, 'scryptSync');
+
+        try {
+            for (const kdfParams of [{ N: 2 ** 20, r: 8, p: 1 }, { N: 16384, r: 8, p: 64 }, { N: 2, r: 1, p: 1 }, undefined]) {
+                expect(() => decryptMetadata({ ...envelope, kdfParams }, PASSPHRASE))
+                    .toThrow('Unsupported scrypt parameters in metadata envelope');
+            }
+            expect(scrypt).not.toHaveBeenCalled();
+        } finally {
+            scrypt.mockRestore();
+        }
+    });
+
+    it('should reject envelopes from a newer version', function () {
+        const envelope = encryptMetadata(METADATA, PASSPHRASE, 'k1');
+
+        expect(() => decryptMetadata({ ...envelope, version: 5 }, PASSPHRASE)).toThrow('Unsupported metadata envelope');
+    });
+});
+
+describe('Data key envelopes', function () {
+    it('should round-trip metadata with a data key', function () {
+        const dataKey = generateDataKey();
+        const envelope = encryptWithDataKey(METADATA, dataKey, 'dk1');
+
+        expect(envelope).toMatchObject({ version: 4, dataKeyId: 'dk1', algorithm: 'aes-256-gcm' });
+        expect(decryptWithDataKey(envelope, dataKey)).toEqual(METADATA);
+    });
+
+    it('should reject another data key or data key ID', function () {
+        const dataKey = generateDataKey();
+        const envelope = encryptWithDataKey(METADATA, dataKey, 'dk1');
+
+        expect(() => decryptWithDataKey(envelope, generateDataKey())).toThrow();
+        expect(() => decryptWithDataKey({ ...envelope, dataKeyId: 'dk2' }, dataKey)).toThrow();
+    });
+
+    it('should reject truncated auth tags', function () {
+        const dataKey = generateDataKey();
+        const envelope = encryptWithDataKey(METADATA, dataKey, 'dk1');
+
+        expect(() => decryptWithDataKey({ ...envelope, authTag: envelope.authTag.slice(0, 8) }, dataKey))
+            .toThrow('Metadata envelope auth tag must be 16 bytes');
+    });
+});
@@ -0,0 +1,196 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dbDir = fs.mkdtempSync(path.join(os.tmpdir(), 'certificate-db-'));
+process.env.DB_PATH = path.join(dbDir, 'test.sqlite');
+
+const database = require('../db/database');
+
+const MERKLE_ROOT = '0x' + '11'.repeat(32);
+const ISSUER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const CHECKPOINT = 'events:test';
+
+/**
+ * Build an indexed event as the indexer decodes it
+ * @param {string} name - Event name
+ * @param {number} blockNumber - Block the event was emitted in
+ * @param {number} logIndex - Position in the block
+ * @param {Object} fields - Decoded arguments
+ * @returns {Object} Indexed event
+ */
+function indexedEvent(name, blockNumber, logIndex, fields) {
+    return {
+        name: name,
+        txHash: '0x' + (blockNumber * 100 + logIndex).toString(16).padStart(64, '0'),
+        blockNumber: blockNumber,
+        blockHash: '0x' + blockNumber.toString(16).padStart(64, 'b'),
+        logIndex: logIndex,
+        timestamp: 1700000000 + blockNumber,
+        ...fields
+    };
+}
+
+describe('Database', function () {
+    beforeAll(async function () {
+        await database.initDatabase();
+    });
+
+    afterAll(async function () {
+        await database.closeDatabase();
+        fs.rmSync(dbDir, { recursive: true, force: true });
+    });
+
+    describe('Writes during a transaction', function () {
+        it('should keep a write sent while a failing transaction is open', async function () {
+            const certificates = Array.from({ length: 50 }, (_, i) => ({
+                docHash: '0x' + i.toString(16).padStart(64, '0'),
+                ipfsCID: 'cid',
+                proof: []
+            }));
+            // The last certificate makes the transaction fail after its other inserts
+            certificates.push({ ipfsCID: 'cid', proof: [] });
+
+            const batch = database.insertBatch({
+                merkleRoot: MERKLE_ROOT,
+                ipfsCID: 'cid',
+                txHash: '0x' + '22'.repeat(32),
+                issuer: '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
+                certificateCount: certificates.length,
+                timestamp: 1700000000,
+                blockNumber: 1,
+                gasUsed: '0'
+            }, certificates);
+            const failed = expect(batch).rejects.toThrow();
+
+            // Write while the transaction is still running its inserts
+            await new Promise(resolve => setImmediate(resolve));
+            const accountId = await database.createAccount('Registrar');
+
+            await failed;
+
+            expect(accountId).toBeGreaterThan(0);
+            expect(await database.getAccountByName('Registrar')).toMatchObject({ id: accountId });
+            expect(await database.getBatchCertificate(certificates[0].docHash)).toBeNull();
+        });
+
+        it('should run writes in the order they were sent', async function () {
+            const accountId = await database.createAccount('Ordered');
+
+            await Promise.all([
+                database.setAccountScope(accountId, 'institution_admin', '0x' + '33'.repeat(32)),
+                database.setAccountScope(accountId, 'registry_admin', null)
+            ]);
+
+            expect(await database.getAccountByName('Ordered')).toMatchObject({
+                role: 'registry_admin',
+                institutionId: null
+            });
+        });
+    });
+
+    describe('API keys', function () {
+        it('should find a key by its hash until it is revoked', async function () {
+            const accountId = await database.createAccount('Admissions');
+            const apiKeyId = await database.insertApiKey({ accountId: accountId, keyPrefix: 'feed0001', keyHash: 'hash-1', label: 'SIS' });
+
+            expect(await database.getActiveApiKey('hash-1')).toEqual({
+                apiKeyId: apiKeyId,
+                keyPrefix: 'feed0001',
+                label: 'SIS',
+                accountId: accountId,
+                accountName: 'Admissions',
+                accountRole: 'issuer',
+                institutionId: null
+            });
+            expect(await database.getActiveApiKey('hash-2')).toBeNull();
+
+            expect(await database.revokeApiKey('feed0001')).toBe(true);
+            expect(await database.revokeApiKey('feed0001')).toBe(false);
+            expect(await database.getActiveApiKey('hash-1')).toBeNull();
+        });
+
+        it('should list keys with their account scope but without their hashes', async function () {
+            const accountId = await database.createAccount('Faculty');
+            await database.setAccountScope(accountId, 'institution_admin', '0x' + '44'.repeat(32));
+            await database.insertApiKey({ accountId: accountId, keyPrefix: 'feed0002', keyHash: 'hash-3' });
+            await database.touchApiKey(await database.getActiveApiKey('hash-3').then(key => key.apiKeyId));
+
+            const listed = (await database.listApiKeys()).find(key => key.keyPrefix === 'feed0002');
+            expect(listed).toMatchObject({ accountName: 'Faculty', accountRole: 'institution_admin', institutionId: '0x' + '44'.repeat(32), revokedAt: null });
+            expect(listed.lastUsedAt).not.toBeNull();
+            expect(listed).not.toHaveProperty('keyHash');
+        });
+    });
+
+    describe('Indexed events', function () {
+        const docHash = '0x' + 'd1'.repeat(32);
+        const reissuedHash = '0x' + 'd2'.repeat(32);
+
+        it('should mirror revocations, reissues, batches and migrated records', async function () {
+            await database.applyIndexedEvents(CHECKPOINT, [
+                indexedEvent('IssuerAdded', 3, 0, { issuer: ISSUER, institutionId: '0x' + '00'.repeat(32) }),
+                indexedEvent('CertificateIssued', 3, 1, { docHash: docHash, ipfsCID: 'cid', issuer: ISSUER }),
+                indexedEvent('CertificateMigrated', 3, 2, { docHash: '0x' + 'd3'.repeat(32), issuer: ISSUER }),
+                indexedEvent('BatchIssued', 4, 0, { merkleRoot: '0x' + '44'.repeat(32), ipfsCID: 'manifest', issuer: ISSUER, certificateCount: 2 }),
+                indexedEvent('BatchMigrated', 4, 1, { merkleRoot: '0x' + '45'.repeat(32), issuer: ISSUER })
+            ], 4, '0x' + '4'.padStart(64, 'b'));
+
+            expect(await database.getStats()).toMatchObject({
+                totalCertificates: 2,
+                totalBatches: 2,
+                migratedCertificates: 1,
+                migratedBatches: 1,
+                revokedCertificates: 0,
+                reissuedCertificates: 0
+            });
+
+            await database.applyIndexedEvents(CHECKPOINT, [
+                indexedEvent('CertificateIssued', 6, 0, { docHash: reissuedHash, ipfsCID: 'cid2', issuer: ISSUER }),
+                indexedEvent('CertificateReissued', 6, 1, { oldDocHash: docHash, newDocHash: reissuedHash, issuer: ISSUER }),
+                indexedEvent('CertificateRevoked', 7, 0, { docHash: reissuedHash, merkleRoot: null, revokedBy: ISSUER, reasonCode: 1 }),
+                indexedEvent('IssuerRemoved', 7, 1, { issuer: ISSUER, institutionId: '0x' + '00'.repeat(32) })
+            ], 8, '0x' + '8'.padStart(64, 'b'));
+
+            expect(await database.getStats()).toMatchObject({
+                totalCertificates: 3,
+                authorizedIssuers: 0,
+                revokedCertificates: 1,
+                reissuedCertificates: 1
+            });
+            expect(await database.getSyncCheckpoint(CHECKPOINT)).toEqual({ blockNumber: 8, blockHash: '0x' + '8'.padStart(64, 'b') });
+        });
+
+        it('should list the blocks it indexed events from, newest first', async function () {
+            const blocks = await database.getIndexedBlocks(CHECKPOINT, 8);
+
+            expect(blocks.map(block => block.blockNumber)).toEqual([7, 6, 4, 3]);
+            expect(blocks[0].blockHash).toBe('0x' + '7'.padStart(64, 'b'));
+        });
+
+        it('should roll back events after a block and rebuild the mirror from the rest', async function () {
+            const orphanedTx = indexedEvent('CertificateIssued', 6, 0, {}).txHash;
+
+            const rolledBack = await database.rollbackIndexedEvents(CHECKPOINT, { blockNumber: 4, blockHash: '0x' + '4'.padStart(64, 'b') });
+
+            expect(rolledBack).toBe(4);
+            expect(await database.getSyncCheckpoint(CHECKPOINT)).toEqual({ blockNumber: 4, blockHash: '0x' + '4'.padStart(64, 'b') });
+            expect(await database.getStats()).toMatchObject({
+                authorizedIssuers: 1,
+                revokedCertificates: 0,
+                reissuedCertificates: 0,
+                totalBatches: 2
+            });
+            expect(await database.getTransactionByHash(orphanedTx)).toMatchObject({ status: 'orphaned' });
+            expect(await database.getTransactionByHash(indexedEvent('CertificateIssued', 3, 1, {}).txHash)).toMatchObject({ status: 'pending' });
+            expect(await database.getIndexedBlocks(CHECKPOINT, 100)).toHaveLength(2);
+        });
+
+        it('should drop batches only the indexer recorded when rolling back everything', async function () {
+            await database.rollbackIndexedEvents(CHECKPOINT, null);
+
+            expect(await database.getSyncCheckpoint(CHECKPOINT)).toBeNull();
+            expect(await database.getStats()).toMatchObject({ totalBatches: 0, migratedCertificates: 0, authorizedIssuers: 0 });
+        });
+    });
+});
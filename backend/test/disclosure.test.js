@@ -0,0 +1,91 @@
+const {
+    SALTS_FIELD,
+    commitMetadata,
+    detachSalts,
+    buildDisclosures,
+    checkDisclosures
+} = require('../utils/disclosure');
+
+const METADATA = {
+    studentName: 'Alice Smith',
+    degree: 'BSc Computer Science',
+    grade: 'First Class',
+    graduationYear: 2024,
+    notes: ''
+};
+
+describe('Selective disclosure', function () {
+    it('should commit to every present field with its own salt', function () {
+        const { salts, digests } = commitMetadata(METADATA);
+
+        expect(Object.keys(salts).sort()).toEqual(['degree', 'grade', 'graduationYear', 'studentName']);
+        expect(new Set(Object.values(salts)).size).toBe(4);
+        expect(digests).toHaveLength(4);
+        expect(digests).toEqual([...digests].sort());
+        digests.forEach(digest => expect(digest).toMatch(/^[0-9a-f]{64}$/));
+    });
+
+    it('should give the same metadata different commitments each time', function () {
+        expect(commitMetadata(METADATA).digests).not.toEqual(commitMetadata(METADATA).digests);
+    });
+
+    it('should accept disclosures of committed fields', function () {
+        const { salts, digests } = commitMetadata(METADATA);
+        const disclosures = buildDisclosures(METADATA, salts, ['degree', 'graduationYear']);
+
+        expect(checkDisclosures(disclosures, { digests })).toEqual({
+            fields: { degree: 'BSc Computer Science', graduationYear: '2024' },
+            invalid: []
+        });
+    });
+
+    it('should refuse to disclose a field that was not committed to', function () {
+        const { salts } = commitMetadata(METADATA);
+
+        expect(() => buildDisclosures(METADATA, salts, ['notes'])).toThrow('Field notes is not present');
+    });
+
+    it('should reject changed values, salts and field names', function () {
+        const { salts, digests } = commitMetadata(METADATA);
+        const [grade] = buildDisclosures(METADATA, salts, ['grade']);
+
+        const result = checkDisclosures([
+            [grade[0], 'grade', 'Third Class'],
+            ['c2FsdA', 'grade', grade[2]],
+            [grade[0], 'degree', grade[2]],
+            grade
+        ], { digests });
+
+        expect(result).toEqual({ fields: { grade: 'First Class' }, invalid: [0, 1, 2] });
+    });
+
+    it('should reject malformed and repeated disclosures', function () {
+        const { salts, digests } = commitMetadata(METADATA);
+        const [name] = buildDisclosures(METADATA, salts, ['studentName']);
+
+        const result = checkDisclosures([
+            name,
+            name,
+            'studentName',
+            [name[0], name[1]],
+            [name[0], name[1], 2024]
+        ], { digests });
+
+        expect(result).toEqual({ fields: { studentName: 'Alice Smith' }, invalid: [1, 2, 3, 4] });
+    });
+
+    it('should not accept disclosures against another certificate\'s commitments', function () {
+        const first = commitMetadata(METADATA);
+        const second = commitMetadata(METADATA);
+        const disclosures = buildDisclosures(METADATA, first.salts, ['degree']);
+
+        expect(checkDisclosures(disclosures, { digests: second.digests })).toEqual({ fields: {}, invalid: [0] });
+    });
+
+    it('should separate the salts from decrypted metadata', function () {
+        const { salts } = commitMetadata(METADATA);
+
+        expect(detachSalts({ ...METADATA, [SALTS_FIELD]: salts })).toEqual({ metadata: METADATA, salts });
+        expect(detachSalts(METADATA)).toEqual({ metadata: METADATA, salts: null });
+    });
+});
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const dbDir = fs.mkdtempSync(path.join(os.tmpdir(), 'holder-proofs-db-'));
+process.env.DB_PATH = path.join(dbDir, 'test.sqlite');
+
+jest.mock('../utils/web3', () => ({
+    getDeployment: jest.fn()
+}));
+
+const database = require('../db/database');
+const { getDeployment } = require('../utils/web3');
+const { createHolderChallenge, checkHolderProof } = require('../utils/holderProofs');
+
+const HOLDER = new ethers.Wallet('0x' + '02'.repeat(32));
+const OTHER = new ethers.Wallet('0x' + '04'.repeat(32));
+const DOC_HASH = '0x' + 'AB'.repeat(32);
+const DEPLOYMENT = { chainId: '31337', contractAddress: '0x5FbDB2315678afecb367f032d93F642f64180aa3' };
+
+/**
+ * Issue a challenge for the document and sign it
+ * @param {ethers.Wallet} [wallet=HOLDER] - Signing account
+ * @param {string} [docHash=DOC_HASH] - Document the challenge is issued for
+ * @returns {Promise<Object>} Challenge and the proof to present
+ */
+async function signChallenge(wallet = HOLDER, docHash = DOC_HASH) {
+    const challenge = await createHolderChallenge(docHash);
+    const signature = await wallet.signTypedData(challenge.domain, challenge.types, challenge.message);
+    return { challenge, proof: { nonce: challenge.nonce, signature: signature } };
+}
+
+describe('Holder proofs', function () {
+    beforeAll(async function () {
+        await database.initDatabase();
+    });
+
+    afterAll(async function () {
+        await database.closeDatabase();
+        fs.rmSync(dbDir, { recursive: true, force: true });
+    });
+
+    beforeEach(function () {
+        getDeployment.mockReturnValue(DEPLOYMENT);
+    });
+
+    afterEach(function () {
+        jest.restoreAllMocks();
+    });
+
+    it('should issue a challenge bound to the document and the registry', async function () {
+        const challenge = await createHolderChallenge(DOC_HASH);
+
+        expect(challenge.nonce).toMatch(/^0x[0-9a-f]{64}$/);
+        expect(challenge.domain).toEqual({
+            name: 'CertiChain Holder Proof',
+            version: '1',
+            chainId: 31337,
+            verifyingContract: DEPLOYMENT.contractAddress
+        });
+        expect(challenge.message).toEqual({
+            statement: 'I hold this certificate and consent to its verification',
+            docHash: DOC_HASH.toLowerCase(),
+            nonce: challenge.nonce
+        });
+        expect(new Date(challenge.expiresAt).getTime()).toBeGreaterThan(Date.now() + 4 * 60 * 1000);
+        expect((await createHolderChallenge(DOC_HASH)).nonce).not.toBe(challenge.nonce);
+    });
+
+    it('should accept the holder\'s signature once', async function () {
+        const { proof } = await signChallenge();
+
+        expect(await checkHolderProof(DOC_HASH, HOLDER.address, proof)).toEqual({ verified: true, signer: HOLDER.address });
+        expect(await checkHolderProof(DOC_HASH, HOLDER.address, proof)).toMatchObject({
+            verified: false,
+            reason: 'Challenge is unknown, expired, already used or for another certificate'
+        });
+    });
+
+    it('should use up a challenge even when someone else signed it', async function () {
+        const { challenge, proof } = await signChallenge(OTHER);
+
+        expect(await checkHolderProof(DOC_HASH, HOLDER.address, proof)).toEqual({
+            verified: false,
+            signer: OTHER.address,
+            reason: 'Signer is not the certificate holder'
+        });
+
+        // The holder cannot sign the same challenge afterwards
+        const signature = await HOLDER.signTypedData(challenge.domain, challenge.types, challenge.message);
+        expect((await checkHolderProof(DOC_HASH, HOLDER.address, { nonce: challenge.nonce, signature })).verified).toBe(false);
+    });
+
+    it('should refuse a challenge issued for another certificate', async function () {
+        const { proof } = await signChallenge(HOLDER, '0x' + 'cd'.repeat(32));
+
+        expect((await checkHolderProof(DOC_HASH, HOLDER.address, proof)).reason)
+            .toBe('Challenge is unknown, expired, already used or for another certificate');
+    });
+
+    it('should refuse a challenge after it expires', async function () {
+        const { proof } = await signChallenge();
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now + 6 * 60 * 1000);
+
+        expect((await checkHolderProof(DOC_HASH, HOLDER.address, proof)).verified).toBe(false);
+    });
+
+    it('should refuse a signature made for another deployment', async function () {
+        const { challenge } = await signChallenge();
+        const domain = { ...challenge.domain, verifyingContract: '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512' };
+        const signature = await HOLDER.signTypedData(domain, challenge.types, challenge.message);
+
+        expect(await checkHolderProof(DOC_HASH, HOLDER.address, { nonce: challenge.nonce, signature })).toMatchObject({
+            verified: false,
+            reason: 'Signer is not the certificate holder'
+        });
+    });
+
+    it('should report a malformed signature', async function () {
+        const { challenge } = await signChallenge();
+
+        const result = await checkHolderProof(DOC_HASH, HOLDER.address, { nonce: challenge.nonce, signature: '0x1234' });
+
+        expect(result.verified).toBe(false);
+        expect(result.reason).toMatch(/^Malformed signature: /);
+    });
+});
@@ -0,0 +1,153 @@
+const { ethers } = require('ethers');
+
+process.env.INDEXER_CONFIRMATIONS = '3';
+
+jest.mock('../db/database', () => ({
+    getSyncCheckpoint: jest.fn(),
+    applyIndexedEvents: jest.fn().mockResolvedValue(undefined),
+    getIndexedBlocks: jest.fn(),
+    rollbackIndexedEvents: jest.fn()
+}));
+
+jest.mock('../utils/web3', () => ({
+    getProvider: jest.fn(),
+    getContract: jest.fn(),
+    getDeployment: jest.fn(),
+    syncImplementations: jest.fn().mockResolvedValue(undefined)
+}));
+
+const database = require('../db/database');
+const web3 = require('../utils/web3');
+const { syncEvents, getIndexerStatus } = require('../utils/indexer');
+
+const REGISTRY = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const ISSUER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const DOC_HASH = '0x' + 'ab'.repeat(32);
+const MERKLE_ROOT = '0x' + '11'.repeat(32);
+const CHECKPOINT = `events:v2:31337:${REGISTRY.toLowerCase()}`;
+
+const registryInterface = new ethers.Interface([
+    'event CertificateIssued(bytes32 indexed docHash, string ipfsCID, address indexed issuer, uint256 timestamp)',
+    'event CertificateRevoked(bytes32 indexed docHash, address indexed revokedBy, uint8 reasonCode, uint256 timestamp)',
+    'event BatchIssued(bytes32 indexed merkleRoot, string ipfsCID, address indexed issuer, uint256 certificateCount, uint256 timestamp)'
+]);
+
+/**
+ * Hash of a block on the mocked chain
+ * @param {number} blockNumber - Block number
+ * @param {string} [fork='a'] - Fork the block belongs to
+ * @returns {string} Block hash
+ */
+function blockHash(blockNumber, fork = 'a') {
+    return '0x' + blockNumber.toString(16).padStart(64, fork);
+}
+
+/**
+ * Build a raw log the way the provider returns it
+ * @param {string} name - Event name
+ * @param {Array} args - Event arguments
+ * @param {number} blockNumber - Block the event was emitted in
+ * @param {number} index - Position in the block
+ * @returns {Object} Log
+ */
+function rawLog(name, args, blockNumber, index) {
+    const { data, topics } = registryInterface.encodeEventLog(name, args);
+    return {
+        address: REGISTRY,
+        data: data,
+        topics: topics,
+        transactionHash: '0x' + 'cd'.repeat(32),
+        blockNumber: blockNumber,
+        blockHash: blockHash(blockNumber),
+        index: index
+    };
+}
+
+describe('Event indexer', function () {
+    let provider;
+
+    beforeEach(function () {
+        jest.clearAllMocks();
+        provider = {
+            getBlockNumber: jest.fn().mockResolvedValue(20),
+            getBlock: jest.fn(async blockNumber => ({ number: blockNumber, hash: blockHash(blockNumber) })),
+            getLogs: jest.fn().mockResolvedValue([])
+        };
+        web3.getProvider.mockReturnValue(provider);
+        web3.getContract.mockReturnValue({ interface: registryInterface });
+        web3.getDeployment.mockReturnValue({ chainId: '31337', contractAddress: REGISTRY, blockNumber: 2 });
+        database.getSyncCheckpoint.mockResolvedValue({ blockNumber: 10, blockHash: blockHash(10) });
+    });
+
+    it('should only index blocks with enough confirmations', async function () {
+        await syncEvents();
+
+        expect(provider.getLogs).toHaveBeenCalledTimes(1);
+        expect(provider.getLogs).toHaveBeenCalledWith(expect.objectContaining({ fromBlock: 11, toBlock: 18 }));
+        expect(database.applyIndexedEvents).toHaveBeenCalledWith(CHECKPOINT, [], 18, blockHash(18));
+        expect(database.rollbackIndexedEvents).not.toHaveBeenCalled();
+        expect(getIndexerStatus()).toMatchObject({ confirmations: 3, lastIndexedBlock: 18 });
+    });
+
+    it('should decode revocations and batches', async function () {
+        provider.getLogs.mockResolvedValue([
+            rawLog('CertificateRevoked', [DOC_HASH, ISSUER, 2, 1700000012], 12, 1),
+            rawLog('BatchIssued', [MERKLE_ROOT, 'manifest', ISSUER, 5, 1700000012], 12, 0)
+        ]);
+
+        const applied = await syncEvents();
+
+        expect(applied).toBe(2);
+        const events = database.applyIndexedEvents.mock.calls[0][1];
+        expect(events[0]).toMatchObject({
+            name: 'BatchIssued',
+            merkleRoot: MERKLE_ROOT,
+            ipfsCID: 'manifest',
+            issuer: ISSUER,
+            certificateCount: 5,
+            blockHash: blockHash(12),
+            logIndex: 0
+        });
+        expect(events[1]).toMatchObject({
+            name: 'CertificateRevoked',
+            docHash: DOC_HASH,
+            merkleRoot: null,
+            revokedBy: ISSUER,
+            reasonCode: 2,
+            timestamp: 1700000012
+        });
+    });
+
+    it('should roll back events from blocks a reorg replaced', async function () {
+        provider.getBlock.mockImplementation(async blockNumber => ({
+            number: blockNumber,
+            hash: blockHash(blockNumber, blockNumber > 6 ? 'f' : 'a')
+        }));
+        database.getIndexedBlocks.mockResolvedValue([
+            { blockNumber: 8, blockHash: blockHash(8) },
+            { blockNumber: 6, blockHash: blockHash(6) }
+        ]);
+        database.rollbackIndexedEvents.mockResolvedValue(4);
+
+        await syncEvents();
+
+        expect(database.getIndexedBlocks).toHaveBeenCalledWith(CHECKPOINT, 10);
+        expect(database.rollbackIndexedEvents).toHaveBeenCalledWith(CHECKPOINT, { blockNumber: 6, blockHash: blockHash(6) });
+        expect(provider.getLogs).toHaveBeenCalledWith(expect.objectContaining({ fromBlock: 7, toBlock: 18 }));
+        expect(getIndexerStatus().lastRollback).toMatchObject({ fromBlock: 10, toBlock: 6, events: 4 });
+    });
+
+    it('should start over from the deployment block when no indexed block is left on the chain', async function () {
+        provider.getBlock.mockImplementation(async blockNumber => ({ number: blockNumber, hash: blockHash(blockNumber, 'f') }));
+        database.getIndexedBlocks
+            .mockResolvedValueOnce([{ blockNumber: 8, blockHash: blockHash(8) }])
+            .mockResolvedValueOnce([]);
+        database.rollbackIndexedEvents.mockResolvedValue(1);
+
+        await syncEvents();
+
+        expect(database.getIndexedBlocks).toHaveBeenLastCalledWith(CHECKPOINT, 8);
+        expect(database.rollbackIndexedEvents).toHaveBeenCalledWith(CHECKPOINT, null);
+        expect(provider.getLogs).toHaveBeenCalledWith(expect.objectContaining({ fromBlock: 2, toBlock: 18 }));
+    });
+});
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'ipfs-storage-'));
+process.env.IPFS_STORAGE_PATH = storagePath;
+delete process.env.USE_IPFS;
+
+const { computeCID } = require('../utils/cid');
+const {
+    uploadToIPFS,
+    retrieveFromIPFS,
+    listLocalStorage,
+    isContentAddressed,
+    overwriteLocalStorage
+} = require('../utils/ipfs');
+
+const LEGACY_FILE = 'local-1700000000000-abc123.json';
+
+describe('Local storage', function () {
+    const data = { encrypted: 'ciphertext', iv: 'iv', authTag: 'tag' };
+
+    beforeAll(function () {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterAll(function () {
+        fs.rmSync(storagePath, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    it('should store content under its CID', async function () {
+        const cid = await uploadToIPFS(data);
+        const content = fs.readFileSync(path.join(storagePath, cid));
+
+        expect(cid).toBe(computeCID(content));
+        expect(JSON.parse(content.toString())).toEqual(data);
+        expect(isContentAddressed(cid)).toBe(true);
+    });
+
+    it('should store identical content once', async function () {
+        const first = await uploadToIPFS(data);
+        const second = await uploadToIPFS({ ...data });
+
+        expect(second).toBe(first);
+        expect(await listLocalStorage()).toEqual([first]);
+    });
+
+    it('should retrieve content that matches its CID', async function () {
+        const cid = await uploadToIPFS(data);
+
+        await expect(retrieveFromIPFS(cid)).resolves.toEqual(data);
+    });
+
+    it('should refuse content that does not match its CID', async function () {
+        const cid = await uploadToIPFS({ ...data, iv: 'other' });
+        fs.writeFileSync(path.join(storagePath, cid), JSON.stringify({ ...data, iv: 'tampered' }, null, 2));
+
+        await expect(retrieveFromIPFS(cid)).rejects.toThrow(`Content retrieved for ${cid} does not match its CID`);
+    });
+
+    it('should refuse to rewrite a block stored by CID', async function () {
+        const cid = await uploadToIPFS(data);
+
+        await expect(overwriteLocalStorage(cid, { ...data, iv: 'new' })).rejects.toThrow('content-addressed');
+    });
+
+    it('should still serve and rewrite legacy files named by time', async function () {
+        fs.writeFileSync(path.join(storagePath, LEGACY_FILE), JSON.stringify(data));
+
+        await expect(retrieveFromIPFS(LEGACY_FILE)).resolves.toEqual(data);
+        await overwriteLocalStorage(LEGACY_FILE, { ...data, iv: 'rotated' });
+        await expect(retrieveFromIPFS(LEGACY_FILE)).resolves.toEqual({ ...data, iv: 'rotated' });
+        expect(isContentAddressed(LEGACY_FILE)).toBe(false);
+    });
+
+    it('should refuse identifiers that do not name a local file', async function () {
+        await expect(retrieveFromIPFS('../package.json')).rejects.toThrow('Not a local storage identifier');
+    });
+});
@@ -0,0 +1,417 @@
+const { ethers } = require('ethers');
+
+process.env.ISSUANCE_MAX_RETRIES = '8';
+process.env.ISSUANCE_STUCK_TIMEOUT = '60000';
+process.env.ISSUANCE_POLL_INTERVAL = '600000';
+
+jest.mock('../db/database', () => ({
+    insertIssuanceJob: jest.fn(),
+    getIssuanceJobsByStatus: jest.fn(),
+    updateIssuanceJob: jest.fn().mockResolvedValue(true),
+    insertTransaction: jest.fn().mockResolvedValue(true),
+    updateBulkJobRow: jest.fn().mockResolvedValue(true),
+    completeBulkJobIfDone: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../utils/web3', () => ({
+    getProvider: jest.fn(),
+    getSignerAddress: jest.fn(),
+    withNextNonce: jest.fn(),
+    buildIssueTransaction: jest.fn(),
+    signTransaction: jest.fn(),
+    findIssuanceTransaction: jest.fn(),
+    findProposalTransaction: jest.fn(),
+    getProposal: jest.fn(),
+    verifyCertificate: jest.fn(),
+    isRegistryPaused: jest.fn()
+}));
+
+jest.mock('../utils/confirmations', () => ({
+    CONFIRMATION_DEPTH: 3,
+    getTransactionStatus: jest.fn()
+}));
+
+const database = require('../db/database');
+const web3 = require('../utils/web3');
+const { getTransactionStatus } = require('../utils/confirmations');
+const { startIssuanceQueue, stopIssuanceQueue } = require('../utils/issuanceQueue');
+
+const SIGNER = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const DOC_HASH = '0x' + 'ab'.repeat(32);
+const SIGNED_TX = '0x02f8700182';
+const NOW = 1700000000000;
+const GWEI = 10n ** 9n;
+
+/**
+ * Build an issuance job as the database returns it
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} Issuance job
+ */
+function issuanceJob(fields = {}) {
+    return {
+        id: 'job-1',
+        docHash: DOC_HASH,
+        ipfsCID: 'bafkreiexample',
+        validUntil: 0,
+        status: 'queued',
+        nonce: null,
+        txHash: null,
+        attempts: [],
+        retries: 0,
+        nextAttemptAt: 0,
+        broadcastAt: null,
+        signedRequest: null,
+        requiredApprovals: null,
+        accountId: 1,
+        apiKeyId: 2,
+        bulkJobId: null,
+        ...fields
+    };
+}
+
+/**
+ * Build a job whose transaction was sent and has not been mined
+ * @param {Object} attempt - Fee fields of the last attempt
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} Issuance job
+ */
+function submittedJob(attempt, fields = {}) {
+    const txHash = ethers.id('attempt 1');
+    return issuanceJob({
+        status: 'submitted',
+        nonce: 7,
+        txHash: txHash,
+        attempts: [{ txHash, gasLimit: '120000', ...attempt }],
+        broadcastAt: NOW - 120000,
+        ...fields
+    });
+}
+
+/**
+ * Run one pass of the queue over the given jobs
+ * Resolves once the jobs are done and the queue looks for more.
+ * @param {Object[]} jobs - Open jobs
+ * @returns {Promise<void>}
+ */
+function runQueue(jobs) {
+    return new Promise((resolve) => {
+        database.getIssuanceJobsByStatus
+            .mockResolvedValueOnce(jobs)
+            .mockImplementation(async () => {
+                resolve();
+                return [];
+            });
+        startIssuanceQueue();
+    });
+}
+
+/**
+ * Get the fields of the last update stored for the job
+ * @returns {Object} Updated fields
+ */
+function lastUpdate() {
+    const calls = database.updateIssuanceJob.mock.calls;
+    return calls[calls.length - 1][1];
+}
+
+describe('Issuance queue', function () {
+    let provider;
+
+    beforeAll(function () {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterAll(function () {
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(function () {
+        jest.clearAllMocks();
+        jest.spyOn(Date, 'now').mockReturnValue(NOW);
+
+        provider = {
+            getFeeData: jest.fn().mockResolvedValue({ maxFeePerGas: 40n * GWEI, maxPriorityFeePerGas: 2n * GWEI, gasPrice: null }),
+            broadcastTransaction: jest.fn().mockResolvedValue({}),
+            getTransactionReceipt: jest.fn().mockResolvedValue(null),
+            getTransactionCount: jest.fn().mockResolvedValue(7),
+            getTransaction: jest.fn().mockResolvedValue({ hash: ethers.id('attempt 1') }),
+            getBlockNumber: jest.fn().mockResolvedValue(14)
+        };
+        web3.getProvider.mockReturnValue(provider);
+        web3.getSignerAddress.mockReturnValue(SIGNER);
+        web3.isRegistryPaused.mockResolvedValue(false);
+        web3.withNextNonce.mockImplementation(fn => fn(7));
+        web3.buildIssueTransaction.mockImplementation(async (job, gasLimit = 100000n) => ({ to: SIGNER, data: '0x', gasLimit, chainId: 31337n }));
+        web3.signTransaction.mockResolvedValue(SIGNED_TX);
+        getTransactionStatus.mockResolvedValue(null);
+    });
+
+    afterEach(function () {
+        stopIssuanceQueue();
+    });
+
+    describe('Submitting', function () {
+        it('should record the attempt before broadcasting it', async function () {
+            await runQueue([issuanceJob()]);
+
+            expect(web3.signTransaction).toHaveBeenCalledWith(expect.objectContaining({
+                nonce: 7,
+                type: 2,
+                maxFeePerGas: 40n * GWEI,
+                maxPriorityFeePerGas: 2n * GWEI
+            }));
+            expect(lastUpdate()).toMatchObject({
+                status: 'submitted',
+                nonce: 7,
+                txHash: ethers.keccak256(SIGNED_TX),
+                attempts: [{ txHash: ethers.keccak256(SIGNED_TX), gasLimit: '100000', maxFeePerGas: '40000000000', maxPriorityFeePerGas: '2000000000' }],
+                broadcastAt: NOW
+            });
+            expect(database.updateIssuanceJob.mock.invocationCallOrder[0])
+                .toBeLessThan(provider.broadcastTransaction.mock.invocationCallOrder[0]);
+        });
+
+        it('should retry a transient error with exponential backoff', async function () {
+            web3.buildIssueTransaction.mockRejectedValue(new Error('network timeout'));
+
+            await runQueue([issuanceJob({ retries: 1 })]);
+
+            expect(database.updateIssuanceJob).toHaveBeenCalledWith('job-1', {
+                retries: 2,
+                error: 'network timeout',
+                nextAttemptAt: NOW + 4000
+            });
+        });
+
+        it('should cap the backoff at a minute', async function () {
+            web3.buildIssueTransaction.mockRejectedValue(new Error('network timeout'));
+
+            await runQueue([issuanceJob({ retries: 6 })]);
+
+            expect(lastUpdate()).toMatchObject({ retries: 7, nextAttemptAt: NOW + 60000 });
+        });
+
+        it('should re-queue the job without a nonce when broadcasting fails', async function () {
+            provider.broadcastTransaction.mockRejectedValue(new Error('connection refused'));
+
+            await runQueue([issuanceJob()]);
+
+            expect(lastUpdate()).toEqual({
+                status: 'queued',
+                nonce: null,
+                retries: 1,
+                error: 'connection refused',
+                nextAttemptAt: NOW + 2000
+            });
+        });
+
+        it('should treat a transaction the node already has as sent', async function () {
+            provider.broadcastTransaction.mockRejectedValue(new Error('already known'));
+
+            await runQueue([issuanceJob()]);
+
+            expect(lastUpdate()).toMatchObject({ status: 'submitted', nonce: 7 });
+        });
+
+        it('should fail the job once its retries run out', async function () {
+            web3.buildIssueTransaction.mockRejectedValue(new Error('network timeout'));
+
+            await runQueue([issuanceJob({ retries: 8 })]);
+
+            expect(lastUpdate()).toEqual({ status: 'failed', error: 'Gave up after 8 retries: network timeout' });
+        });
+
+        it('should fail the job without retrying when the contract refuses it', async function () {
+            web3.buildIssueTransaction.mockRejectedValue(Object.assign(new Error('execution reverted'), {
+                code: 'CALL_EXCEPTION',
+                reason: 'Issuer not authorized'
+            }));
+            web3.verifyCertificate.mockResolvedValue({ exists: false });
+            web3.getProposal.mockResolvedValue(null);
+
+            await runQueue([issuanceJob()]);
+
+            expect(database.updateIssuanceJob).toHaveBeenCalledTimes(1);
+            expect(lastUpdate()).toEqual({ status: 'failed', error: 'Issuer not authorized' });
+        });
+
+        it('should leave queued jobs waiting while the registry is paused', async function () {
+            web3.isRegistryPaused.mockResolvedValue(true);
+            database.getIssuanceJobsByStatus.mockResolvedValue([issuanceJob()]);
+
+            startIssuanceQueue();
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(web3.isRegistryPaused).toHaveBeenCalled();
+            expect(database.getIssuanceJobsByStatus).toHaveBeenCalledTimes(1);
+            expect(web3.buildIssueTransaction).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Following up', function () {
+        it('should leave a pending transaction alone until it is stuck', async function () {
+            await runQueue([submittedJob({ maxFeePerGas: '40000000000', maxPriorityFeePerGas: '2000000000' }, { broadcastAt: NOW - 1000 })]);
+
+            expect(web3.signTransaction).not.toHaveBeenCalled();
+            expect(database.updateIssuanceJob).not.toHaveBeenCalled();
+        });
+
+        it('should re-send a stuck transaction at the same nonce with fees raised by 25%', async function () {
+            await runQueue([submittedJob({ maxFeePerGas: '40000000000', maxPriorityFeePerGas: '2000000000' })]);
+
+            expect(web3.buildIssueTransaction).toHaveBeenCalledWith(expect.objectContaining({ id: 'job-1' }), 120000n);
+            expect(web3.signTransaction).toHaveBeenCalledWith(expect.objectContaining({
+                nonce: 7,
+                gasLimit: 120000n,
+                maxFeePerGas: 50n * GWEI,
+                maxPriorityFeePerGas: 2500000000n
+            }));
+            expect(database.updateIssuanceJob).toHaveBeenCalledWith('job-1', expect.objectContaining({
+                status: 'submitted',
+                attempts: [
+                    expect.objectContaining({ txHash: ethers.id('attempt 1') }),
+                    expect.objectContaining({ txHash: ethers.keccak256(SIGNED_TX), maxFeePerGas: '50000000000' })
+                ]
+            }));
+            expect(lastUpdate()).toEqual({ retries: 1 });
+        });
+
+        it('should re-send at the network fees when they rose above the bump', async function () {
+            provider.getFeeData.mockResolvedValue({ maxFeePerGas: 90n * GWEI, maxPriorityFeePerGas: GWEI, gasPrice: null });
+
+            await runQueue([submittedJob({ maxFeePerGas: '40000000000', maxPriorityFeePerGas: '2000000000' })]);
+
+            expect(web3.signTransaction).toHaveBeenCalledWith(expect.objectContaining({
+                maxFeePerGas: 90n * GWEI,
+                maxPriorityFeePerGas: 2500000000n
+            }));
+        });
+
+        it('should bump the gas price on networks without EIP-1559', async function () {
+            provider.getFeeData.mockResolvedValue({ maxFeePerGas: null, maxPriorityFeePerGas: null, gasPrice: 10n * GWEI });
+
+            await runQueue([submittedJob({ gasPrice: '20000000000' })]);
+
+            const transaction = web3.signTransaction.mock.calls[0][0];
+            expect(transaction).toMatchObject({ type: 0, gasPrice: 25n * GWEI });
+            expect(transaction).not.toHaveProperty('maxFeePerGas');
+        });
+
+        it('should re-send a transaction the node dropped without waiting', async function () {
+            provider.getTransaction.mockResolvedValue(null);
+
+            await runQueue([submittedJob({ maxFeePerGas: '40000000000', maxPriorityFeePerGas: '2000000000' }, { broadcastAt: NOW - 1000 })]);
+
+            expect(web3.signTransaction).toHaveBeenCalledWith(expect.objectContaining({ nonce: 7, maxFeePerGas: 50n * GWEI }));
+        });
+
+        it('should keep watching the nonce after too many gas bumps', async function () {
+            await runQueue([submittedJob({ maxFeePerGas: '40000000000', maxPriorityFeePerGas: '2000000000' }, { retries: 8 })]);
+
+            expect(web3.signTransaction).not.toHaveBeenCalled();
+            expect(lastUpdate()).toEqual({
+                error: 'Transaction not mined after 8 gas bumps; still watching nonce 7',
+                nextAttemptAt: NOW + 600000
+            });
+        });
+
+        it('should fail the job after too many gas bumps once another transaction takes its nonce', async function () {
+            provider.getTransactionCount.mockResolvedValue(8);
+            web3.verifyCertificate.mockResolvedValue({ exists: false });
+            web3.getProposal.mockResolvedValue(null);
+
+            await runQueue([submittedJob({ maxFeePerGas: '40000000000', maxPriorityFeePerGas: '2000000000' }, { retries: 8 })]);
+
+            expect(lastUpdate()).toEqual({
+                status: 'failed',
+                error: 'Transaction not mined after 8 gas bumps, and its nonce was used by another transaction'
+            });
+        });
+
+        it('should complete the job when an earlier attempt was mined and confirmed', async function () {
+            const first = ethers.id('attempt 1');
+            const job = submittedJob({ maxFeePerGas: '40000000000', maxPriorityFeePerGas: '2000000000' });
+            job.attempts.push({ txHash: ethers.id('attempt 2'), gasLimit: '120000', maxFeePerGas: '50000000000', maxPriorityFeePerGas: '2500000000' });
+            provider.getTransactionReceipt.mockImplementation(async txHash => (txHash === first
+                ? { hash: first, status: 1, blockNumber: 12, blockHash: ethers.id('block 12'), gasUsed: 90000n }
+                : null));
+            getTransactionStatus.mockResolvedValue({ txHash: first, status: 'confirmed' });
+
+            await runQueue([job]);
+
+            expect(database.insertTransaction).toHaveBeenCalledWith(expect.objectContaining({
+                txHash: first,
+                docHash: DOC_HASH,
+                issuer: SIGNER,
+                status: 'pending',
+                blockNumber: 12,
+                gasUsed: '90000'
+            }));
+            expect(getTransactionStatus).toHaveBeenCalledWith(first);
+            expect(lastUpdate()).toEqual({ status: 'completed', txHash: first, error: null });
+        });
+
+        it('should wait for confirmations before completing the job', async function () {
+            const txHash = ethers.id('attempt 1');
+            provider.getTransactionReceipt.mockResolvedValue({ hash: txHash, status: 1, blockNumber: 13, blockHash: ethers.id('block 13'), gasUsed: 90000n });
+            getTransactionStatus.mockResolvedValue({ txHash, status: 'pending' });
+
+            await runQueue([submittedJob({ maxFeePerGas: '40000000000', maxPriorityFeePerGas: '2000000000' })]);
+
+            expect(database.insertTransaction).toHaveBeenCalledWith(expect.objectContaining({ txHash, status: 'pending' }));
+            expect(database.updateIssuanceJob).toHaveBeenCalledTimes(1);
+            expect(lastUpdate()).toEqual({ nextAttemptAt: NOW + 600000 });
+        });
+
+        it('should complete a proposal once its block is deep enough', async function () {
+            const txHash = ethers.id('attempt 1');
+            provider.getTransactionReceipt.mockResolvedValue({ hash: txHash, status: 1, blockNumber: 12, blockHash: ethers.id('block 12'), gasUsed: 90000n });
+
+            await runQueue([submittedJob({ maxFeePerGas: '40000000000', maxPriorityFeePerGas: '2000000000' }, { requiredApprovals: 2 })]);
+
+            expect(database.insertTransaction).not.toHaveBeenCalled();
+            expect(lastUpdate()).toEqual({ status: 'completed', txHash, error: null });
+        });
+
+        it('should not complete a proposal before its block is deep enough', async function () {
+            provider.getBlockNumber.mockResolvedValue(13);
+            provider.getTransactionReceipt.mockResolvedValue({ hash: ethers.id('attempt 1'), status: 1, blockNumber: 12, blockHash: ethers.id('block 12'), gasUsed: 90000n });
+
+            await runQueue([submittedJob({ maxFeePerGas: '40000000000', maxPriorityFeePerGas: '2000000000' }, { requiredApprovals: 2 })]);
+
+            expect(lastUpdate()).toEqual({ nextAttemptAt: NOW + 600000 });
+        });
+
+        it('should fail the job when its transaction reverted', async function () {
+            provider.getTransactionReceipt.mockResolvedValue({ hash: ethers.id('attempt 1'), status: 0, blockNumber: 12, blockHash: ethers.id('block 12'), gasUsed: 90000n });
+
+            await runQueue([submittedJob({ maxFeePerGas: '40000000000', maxPriorityFeePerGas: '2000000000' })]);
+
+            expect(getTransactionStatus).not.toHaveBeenCalled();
+            expect(lastUpdate()).toEqual({ status: 'failed', error: `Transaction ${ethers.id('attempt 1')} reverted` });
+        });
+
+        it('should send a transaction again when its block was orphaned', async function () {
+            getTransactionStatus.mockResolvedValue({ txHash: ethers.id('attempt 1'), status: 'orphaned' });
+
+            await runQueue([submittedJob({ maxFeePerGas: '40000000000', maxPriorityFeePerGas: '2000000000' }, { broadcastAt: NOW - 1000, retries: 8 })]);
+
+            expect(getTransactionStatus).toHaveBeenCalledWith(ethers.id('attempt 1'));
+            expect(web3.signTransaction).toHaveBeenCalledWith(expect.objectContaining({ nonce: 7, maxFeePerGas: 50n * GWEI }));
+            expect(database.updateIssuanceJob).not.toHaveBeenCalledWith('job-1', expect.objectContaining({ status: 'completed' }));
+        });
+
+        it('should re-queue the job when its nonce was used by another transaction', async function () {
+            provider.getTransactionCount.mockResolvedValue(8);
+            web3.verifyCertificate.mockResolvedValue({ exists: false });
+            web3.getProposal.mockResolvedValue(null);
+
+            await runQueue([submittedJob({ maxFeePerGas: '40000000000', maxPriorityFeePerGas: '2000000000' })]);
+
+            expect(web3.signTransaction).not.toHaveBeenCalled();
+            expect(lastUpdate()).toEqual({ status: 'queued', nonce: null, error: 'Nonce was used by another transaction; re-queued' });
+        });
+    });
+});
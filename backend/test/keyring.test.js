@@ -0,0 +1,173 @@
+jest.mock('../db/database', () => ({
+    insertDataKey: jest.fn(),
+    getDataKey: jest.fn(),
+    getDataKeysNotWrappedWith: jest.fn(),
+    updateWrappedDataKey: jest.fn()
+}));
+
+jest.mock('../utils/ipfs', () => ({
+    uploadToIPFS: jest.fn()
+}));
+
+const OLD_KEY = 'a'.repeat(40);
+const NEW_KEY = 'b'.repeat(40);
+const METADATA = { studentName: 'Alice Smith', courseName: 'Computer Science' };
+const ENV_VARS = ['NODE_ENV', 'AES_ENCRYPTION_KEY', 'AES_ENCRYPTION_KEYS', 'AES_ACTIVE_KEY_ID'];
+
+/**
+ * Load fresh keyring, data key and database modules under the given environment
+ * The keyring is read from the environment once per module instance.
+ * @param {Object} env - Environment variables to set; the others are cleared
+ * @returns {Object} keyring, dataKeys and database modules
+ */
+function loadWithEnv(env) {
+    ENV_VARS.forEach(name => delete process.env[name]);
+    Object.assign(process.env, env);
+
+    let modules;
+    jest.isolateModules(() => {
+        modules = {
+            keyring: require('../utils/keyring'),
+            dataKeys: require('../utils/dataKeys'),
+            database: require('../db/database')
+        };
+    });
+    return modules;
+}
+
+describe('Encryption keyring', function () {
+    const savedEnv = {};
+
+    beforeAll(function () {
+        ENV_VARS.forEach((name) => {
+            savedEnv[name] = process.env[name];
+        });
+    });
+
+    afterAll(function () {
+        ENV_VARS.forEach(name => delete process.env[name]);
+        Object.entries(savedEnv).filter(([, value]) => value !== undefined)
+            .forEach(([name, value]) => {
+                process.env[name] = value;
+            });
+    });
+
+    it('should use AES_ENCRYPTION_KEY as the default key', function () {
+        const { keyring } = loadWithEnv({ AES_ENCRYPTION_KEY: OLD_KEY });
+        const envelope = keyring.encryptWithActiveKey(METADATA);
+
+        expect(keyring.getActiveKeyId()).toBe('default');
+        expect(envelope.keyId).toBe('default');
+        expect(keyring.decryptWithKeyring(envelope)).toEqual(METADATA);
+    });
+
+    it('should write with the active key and still read envelopes of earlier keys', function () {
+        const before = loadWithEnv({ AES_ENCRYPTION_KEY: OLD_KEY }).keyring.encryptWithActiveKey(METADATA);
+        const { keyring } = loadWithEnv({ AES_ENCRYPTION_KEY: OLD_KEY, AES_ENCRYPTION_KEYS: `2024-06:${NEW_KEY}`, AES_ACTIVE_KEY_ID: '2024-06' });
+
+        expect(keyring.encryptWithActiveKey(METADATA).keyId).toBe('2024-06');
+        expect(keyring.decryptWithKeyring(before)).toEqual(METADATA);
+
+        // Envelopes written before key IDs existed belong to the default key
+        const { keyId, ...untagged } = before;
+        expect(keyId).toBe('default');
+        expect(keyring.getEnvelopeKeyId(untagged)).toBe('default');
+    });
+
+    it('should refuse envelopes of keys that are no longer configured', function () {
+        const envelope = loadWithEnv({ AES_ENCRYPTION_KEYS: `k1:${OLD_KEY}`, AES_ACTIVE_KEY_ID: 'k1' }).keyring.encryptWithActiveKey(METADATA);
+        const { keyring } = loadWithEnv({ AES_ENCRYPTION_KEYS: `k2:${NEW_KEY}`, AES_ACTIVE_KEY_ID: 'k2' });
+
+        expect(() => keyring.decryptWithKeyring(envelope)).toThrow('Encryption key "k1" is not configured');
+    });
+
+    it.each([
+        [{ AES_ENCRYPTION_KEY: OLD_KEY, AES_ACTIVE_KEY_ID: 'k2' }, 'Active encryption key "k2" is not configured'],
+        [{ AES_ENCRYPTION_KEYS: `k1:${OLD_KEY},k1:${NEW_KEY}`, AES_ACTIVE_KEY_ID: 'k1' }, 'Encryption key ID "k1" is configured more than once'],
+        [{ AES_ENCRYPTION_KEY: OLD_KEY, AES_ENCRYPTION_KEYS: `default:${NEW_KEY}` }, 'Encryption key ID "default" is configured more than once'],
+        [{ AES_ENCRYPTION_KEYS: `bad id:${OLD_KEY}` }, 'Invalid encryption key ID "bad id"'],
+        [{ AES_ENCRYPTION_KEYS: NEW_KEY }, 'AES_ENCRYPTION_KEYS entries must look like keyId:passphrase'],
+        [{ NODE_ENV: 'production', AES_ENCRYPTION_KEY: 'too short' }, 'Encryption keys must be random and at least 32 characters in production (weak: default)'],
+        [{ NODE_ENV: 'production', AES_ENCRYPTION_KEY: 'your-32-character-secret-key-here-change-this' }, 'weak: default'],
+        [{ NODE_ENV: 'production' }, 'Active encryption key "default" is not configured']
+    ])('should reject the configuration %j', function (env, error) {
+        const { keyring } = loadWithEnv(env);
+
+        expect(() => keyring.getKeyring()).toThrow(error);
+    });
+
+    describe('Data keys', function () {
+        /**
+         * Encrypt metadata with a new data key and capture the stored record
+         * @param {Object} modules - Modules from loadWithEnv
+         * @returns {Promise<Object>} Envelope and the data key record
+         */
+        async function storePersonalData({ dataKeys, database }) {
+            const envelope = await dataKeys.encryptPersonalData(METADATA, '0x' + 'ab'.repeat(32));
+            const [inserted] = database.insertDataKey.mock.calls[0];
+            const record = { id: inserted.id, docHash: inserted.docHash, keyId: inserted.keyId, wrappedKey: inserted.wrappedKey, erasedAt: null };
+            database.getDataKey.mockResolvedValue(record);
+            return { envelope, record };
+        }
+
+        it('should wrap data keys with the active key and re-wrap them on rotation', async function () {
+            const before = loadWithEnv({ AES_ENCRYPTION_KEY: OLD_KEY });
+            const { envelope, record } = await storePersonalData(before);
+            expect(record.keyId).toBe('default');
+
+            const after = loadWithEnv({ AES_ENCRYPTION_KEY: OLD_KEY, AES_ENCRYPTION_KEYS: `k2:${NEW_KEY}`, AES_ACTIVE_KEY_ID: 'k2' });
+            after.database.getDataKeysNotWrappedWith.mockResolvedValue([record]);
+            after.database.updateWrappedDataKey.mockResolvedValue(true);
+
+            expect(await after.dataKeys.rewrapDataKeys('k2')).toEqual({ rewrapped: 1, failed: 0 });
+            const [dataKeyId, keyId, wrappedKey] = after.database.updateWrappedDataKey.mock.calls[0];
+            expect([dataKeyId, keyId]).toEqual([record.id, 'k2']);
+
+            // Once re-wrapped, the old master key is no longer needed
+            const retired = loadWithEnv({ AES_ENCRYPTION_KEYS: `k2:${NEW_KEY}`, AES_ACTIVE_KEY_ID: 'k2' });
+            retired.database.getDataKey.mockResolvedValue({ ...record, keyId: keyId, wrappedKey: wrappedKey });
+            expect(await retired.dataKeys.decryptPersonalData(envelope)).toEqual({ erased: false, metadata: METADATA });
+        });
+
+        it('should count data keys it cannot unwrap as failed', async function () {
+            const before = loadWithEnv({ AES_ENCRYPTION_KEYS: `k1:${OLD_KEY}`, AES_ACTIVE_KEY_ID: 'k1' });
+            const { record } = await storePersonalData(before);
+
+            const after = loadWithEnv({ AES_ENCRYPTION_KEYS: `k2:${NEW_KEY}`, AES_ACTIVE_KEY_ID: 'k2' });
+            after.database.getDataKeysNotWrappedWith.mockResolvedValue([record]);
+            const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            try {
+                expect(await after.dataKeys.rewrapDataKeys('k2')).toEqual({ rewrapped: 0, failed: 1 });
+                expect(after.database.updateWrappedDataKey).not.toHaveBeenCalled();
+            } finally {
+                error.mockRestore();
+            }
+        });
+
+        it('should not unwrap a data key stored under another record', async function () {
+            const modules = loadWithEnv({ AES_ENCRYPTION_KEY: OLD_KEY });
+            const { envelope, record } = await storePersonalData(modules);
+            modules.database.getDataKey.mockResolvedValue({ ...record, id: 'another-record' });
+
+            await expect(modules.dataKeys.decryptPersonalData({ ...envelope, dataKeyId: 'another-record' }))
+                .rejects.toThrow('Wrapped data key does not belong to another-record');
+        });
+
+        it('should report erased personal data instead of decrypting it', async function () {
+            const modules = loadWithEnv({ AES_ENCRYPTION_KEY: OLD_KEY });
+            const { envelope, record } = await storePersonalData(modules);
+            modules.database.getDataKey.mockResolvedValue({ ...record, erasedAt: '2024-06-01 12:00:00' });
+
+            expect(await modules.dataKeys.decryptPersonalData(envelope)).toEqual({ erased: true, erasedAt: '2024-06-01 12:00:00' });
+        });
+
+        it('should still decrypt envelopes written with a master key directly', async function () {
+            const modules = loadWithEnv({ AES_ENCRYPTION_KEY: OLD_KEY });
+            const envelope = modules.keyring.encryptWithActiveKey(METADATA);
+
+            expect(await modules.dataKeys.decryptPersonalData(envelope)).toEqual({ erased: false, metadata: METADATA });
+            expect(modules.database.getDataKey).not.toHaveBeenCalled();
+        });
+    });
+});
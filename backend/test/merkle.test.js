@@ -0,0 +1,93 @@
+const { ethers } = require('ethers');
+const { hashLeaf, buildMerkleTree, verifyMerkleProof } = require('../utils/merkle');
+
+/**
+ * Build distinct document hashes
+ * @param {number} count - Number of hashes
+ * @returns {string[]} Document hashes
+ */
+function docHashes(count) {
+    return Array.from({ length: count }, (_, index) => ethers.id(`certificate ${index}`));
+}
+
+describe('Merkle trees', function () {
+    it('should hash leaves the way the registry does', function () {
+        const docHash = docHashes(1)[0];
+
+        // abi.encode of a bytes32 is the value itself
+        expect(hashLeaf(docHash)).toBe(ethers.keccak256(ethers.keccak256(docHash)));
+    });
+
+    it('should use the leaf as the root of a single-certificate batch', function () {
+        const [docHash] = docHashes(1);
+        const { root, proofs } = buildMerkleTree([docHash]);
+
+        expect(root).toBe(hashLeaf(docHash));
+        expect(proofs[docHash]).toEqual([]);
+        expect(verifyMerkleProof(docHash, [], root)).toBe(true);
+    });
+
+    it('should hash pairs in sorted order', function () {
+        const [a, b] = docHashes(2);
+        const [low, high] = [hashLeaf(a), hashLeaf(b)].sort();
+
+        expect(buildMerkleTree([a, b]).root).toBe(ethers.keccak256(ethers.concat([low, high])));
+        expect(buildMerkleTree([b, a]).root).toBe(buildMerkleTree([a, b]).root);
+    });
+
+    it.each([2, 3, 5, 8, 13])('should give a valid proof for every certificate in a batch of %i', function (count) {
+        const hashes = docHashes(count);
+        const { root, proofs } = buildMerkleTree(hashes);
+
+        hashes.forEach((docHash) => {
+            expect(proofs[docHash].length).toBeLessThanOrEqual(Math.ceil(Math.log2(count)));
+            expect(verifyMerkleProof(docHash, proofs[docHash], root)).toBe(true);
+        });
+    });
+
+    it('should promote the unpaired node of an odd layer', function () {
+        const hashes = docHashes(3);
+        const { root, proofs } = buildMerkleTree(hashes);
+        const leaves = hashes.map(hashLeaf);
+
+        expect(proofs[hashes[2]]).toEqual([ethers.keccak256(ethers.concat([leaves[0], leaves[1]].sort()))]);
+        expect(root).toBe(ethers.keccak256(ethers.concat([proofs[hashes[2]][0], leaves[2]].sort())));
+    });
+
+    it('should reject proofs for other certificates, roots or siblings', function () {
+        const hashes = docHashes(4);
+        const { root, proofs } = buildMerkleTree(hashes);
+        const tampered = [...proofs[hashes[0]]];
+        tampered[0] = ethers.id('forged sibling');
+
+        expect(verifyMerkleProof(ethers.id('not in batch'), proofs[hashes[0]], root)).toBe(false);
+        expect(verifyMerkleProof(hashes[0], proofs[hashes[1]], root)).toBe(false);
+        expect(verifyMerkleProof(hashes[0], tampered, root)).toBe(false);
+        expect(verifyMerkleProof(hashes[0], proofs[hashes[0]], buildMerkleTree(hashes.slice(1)).root)).toBe(false);
+    });
+
+    it('should not accept an inner node as a leaf', function () {
+        const hashes = docHashes(2);
+        const { root } = buildMerkleTree(hashes);
+        const inner = ethers.keccak256(ethers.concat(hashes.map(hashLeaf).sort()));
+
+        expect(inner).toBe(root);
+        expect(verifyMerkleProof(inner, [], root)).toBe(false);
+    });
+
+    it('should treat document hashes case-insensitively', function () {
+        const hashes = docHashes(3);
+        const { root, proofs } = buildMerkleTree(hashes.map(hash => hash.toUpperCase().replace('0X', '0x')));
+
+        expect(root).toBe(buildMerkleTree(hashes).root);
+        expect(Object.keys(proofs)).toEqual(hashes);
+        expect(verifyMerkleProof(hashes[1], proofs[hashes[1]], root.toUpperCase().replace('0X', '0x'))).toBe(true);
+    });
+
+    it('should refuse empty batches and duplicate certificates', function () {
+        const [docHash] = docHashes(1);
+
+        expect(() => buildMerkleTree([])).toThrow('no leaves');
+        expect(() => buildMerkleTree([docHash, docHash.toUpperCase().replace('0X', '0x')])).toThrow('Duplicate document hashes');
+    });
+});
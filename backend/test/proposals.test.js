@@ -0,0 +1,245 @@
+const express = require('express');
+const request = require('supertest');
+const { ethers } = require('ethers');
+
+jest.mock('../db/database', () => ({
+    getActiveApiKey: jest.fn(),
+    touchApiKey: jest.fn().mockResolvedValue(true),
+    getOpenIssuanceJob: jest.fn().mockResolvedValue(null),
+    getProposals: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../utils/ipfs', () => ({
+    initIPFS: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../utils/web3', () => ({
+    initWeb3: jest.fn().mockResolvedValue(true),
+    isRegistryPaused: jest.fn().mockResolvedValue(false),
+    getSignerAddress: jest.fn(),
+    getProvider: jest.fn(),
+    getDeployment: jest.fn(),
+    getProposal: jest.fn(),
+    getRoles: jest.fn(),
+    getApprovalPolicy: jest.fn(),
+    hasApproved: jest.fn(),
+    getIssueNonce: jest.fn(),
+    verifyCertificate: jest.fn(),
+    approveCertificate: jest.fn(),
+    approveCertificateBySig: jest.fn(),
+    cancelProposal: jest.fn()
+}));
+
+const { getActiveApiKey } = require('../db/database');
+const web3 = require('../utils/web3');
+const { protectWriteRoutes } = require('../middleware/auth');
+const { findApprovalPolicyConflict } = require('../routes/common');
+const proposalRoutes = require('../routes/proposals');
+
+const DOC_HASH = '0x' + 'ab'.repeat(32);
+const MIT = '0x6d69740000000000000000000000000000000000000000000000000000000000';
+const PROPOSER = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const DOMAIN = {
+    name: 'CertificateRegistry',
+    version: '1',
+    chainId: 31337,
+    verifyingContract: '0x5FbDB2315678afecb367f032d93F642f64180aa3'
+};
+const TYPES = {
+    ApprovalRequest: [
+        { name: 'docHash', type: 'bytes32' },
+        { name: 'ipfsCID', type: 'string' },
+        { name: 'validUntil', type: 'uint256' },
+        { name: 'holder', type: 'address' },
+        { name: 'approver', type: 'address' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+const dean = ethers.Wallet.createRandom();
+
+const app = express();
+app.use(express.json());
+app.use('/api', protectWriteRoutes, proposalRoutes);
+
+/**
+ * Build an approval of the pending proposal signed by an issuer
+ * @param {Object} wallet - Signing wallet
+ * @param {Object} [overrides] - Fields to change before signing
+ * @returns {Promise<Object>} Request body for POST /api/proposals/:hash/approve
+ */
+async function signApproval(wallet, overrides = {}) {
+    const approval = {
+        docHash: DOC_HASH,
+        ipfsCID: 'bafkreiproposal',
+        validUntil: '0',
+        holder: ethers.ZeroAddress,
+        approver: wallet.address,
+        nonce: '0',
+        deadline: String(Math.floor(Date.now() / 1000) + 3600),
+        ...overrides
+    };
+
+    return { request: approval, signature: await wallet.signTypedData(DOMAIN, TYPES, approval) };
+}
+
+describe('Proposal routes', function () {
+    beforeAll(async function () {
+        await new Promise(resolve => setImmediate(resolve));
+    });
+
+    beforeEach(function () {
+        jest.clearAllMocks();
+        getActiveApiKey.mockResolvedValue({
+            apiKeyId: 1,
+            keyPrefix: 'test',
+            accountId: 1,
+            accountName: 'Registrar',
+            accountRole: 'issuer',
+            institutionId: null
+        });
+        web3.getSignerAddress.mockReturnValue(PROPOSER);
+        web3.getDeployment.mockReturnValue({ chainId: '31337', contractAddress: DOMAIN.verifyingContract });
+        web3.getProvider.mockReturnValue({ getCode: jest.fn().mockResolvedValue('0x') });
+        web3.getProposal.mockResolvedValue({
+            ipfsCID: 'bafkreiproposal',
+            proposer: PROPOSER,
+            validUntil: '0',
+            holder: null,
+            institutionId: MIT,
+            threshold: 2,
+            approvals: 1,
+            proposedAt: '1700000000'
+        });
+        web3.getRoles.mockResolvedValue({ issuer: true, issuerInstitution: MIT });
+        web3.hasApproved.mockResolvedValue(false);
+        web3.getIssueNonce.mockResolvedValue('0');
+        web3.verifyCertificate.mockResolvedValue({ exists: true });
+        web3.approveCertificateBySig.mockResolvedValue({ transactionHash: '0xabc', blockNumber: 12 });
+    });
+
+    describe('POST /api/proposals/:hash/approve with a signed approval', function () {
+        it('should relay the approval as the signing issuer\'s', async function () {
+            const body = await signApproval(dean);
+
+            const res = await request(app)
+                .post(`/api/proposals/${DOC_HASH}/approve`)
+                .set('X-API-Key', 'cck_test')
+                .send(body);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({ approver: dean.address, issued: true, approvals: 2 });
+            expect(web3.hasApproved).toHaveBeenCalledWith(DOC_HASH, dean.address);
+            expect(web3.approveCertificateBySig).toHaveBeenCalledWith(
+                expect.objectContaining({ approver: dean.address, nonce: '0' }),
+                body.signature
+            );
+            expect(web3.approveCertificate).not.toHaveBeenCalled();
+        });
+
+        it('should reject a signature from another account with 401', async function () {
+            const body = await signApproval(ethers.Wallet.createRandom(), { approver: dean.address });
+
+            const res = await request(app)
+                .post(`/api/proposals/${DOC_HASH}/approve`)
+                .set('X-API-Key', 'cck_test')
+                .send(body);
+
+            expect(res.status).toBe(401);
+            expect(web3.approveCertificateBySig).not.toHaveBeenCalled();
+        });
+
+        it('should reject an approval of different content with 409', async function () {
+            const body = await signApproval(dean, { ipfsCID: 'bafkreiother' });
+
+            const res = await request(app)
+                .post(`/api/proposals/${DOC_HASH}/approve`)
+                .set('X-API-Key', 'cck_test')
+                .send(body);
+
+            expect(res.status).toBe(409);
+            expect(web3.approveCertificateBySig).not.toHaveBeenCalled();
+        });
+
+        it('should reject issuers of other institutions with 403', async function () {
+            web3.getRoles.mockResolvedValue({ issuer: true, issuerInstitution: ethers.ZeroHash });
+            const body = await signApproval(dean);
+
+            const res = await request(app)
+                .post(`/api/proposals/${DOC_HASH}/approve`)
+                .set('X-API-Key', 'cck_test')
+                .send(body);
+
+            expect(res.status).toBe(403);
+            expect(web3.approveCertificateBySig).not.toHaveBeenCalled();
+        });
+
+        it('should reject an approval for another document with 400', async function () {
+            const body = await signApproval(dean, { docHash: '0x' + 'cd'.repeat(32) });
+
+            const res = await request(app)
+                .post(`/api/proposals/${DOC_HASH}/approve`)
+                .set('X-API-Key', 'cck_test')
+                .send(body);
+
+            expect(res.status).toBe(400);
+            expect(web3.approveCertificateBySig).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('POST /api/proposals/:hash/approve/prepare', function () {
+        it('should return the approval for the issuer to sign', async function () {
+            web3.getIssueNonce.mockResolvedValue('3');
+
+            const res = await request(app)
+                .post(`/api/proposals/${DOC_HASH}/approve/prepare`)
+                .set('X-API-Key', 'cck_test')
+                .send({ approverAddress: dean.address.toLowerCase() });
+
+            expect(res.status).toBe(200);
+            expect(res.body.typedData.primaryType).toBe('ApprovalRequest');
+            expect(res.body.typedData.message).toMatchObject({
+                docHash: DOC_HASH,
+                ipfsCID: 'bafkreiproposal',
+                holder: ethers.ZeroAddress,
+                approver: dean.address,
+                nonce: '3'
+            });
+        });
+
+        it('should refuse issuers that already approved with 409', async function () {
+            web3.hasApproved.mockResolvedValue(true);
+
+            const res = await request(app)
+                .post(`/api/proposals/${DOC_HASH}/approve/prepare`)
+                .set('X-API-Key', 'cck_test')
+                .send({ approverAddress: PROPOSER });
+
+            expect(res.status).toBe(409);
+        });
+    });
+
+    describe('findApprovalPolicyConflict', function () {
+        it('should allow direct issuance without an approval threshold', async function () {
+            web3.getApprovalPolicy.mockResolvedValue({ threshold: 0, issuerCount: 1 });
+
+            expect(await findApprovalPolicyConflict(PROPOSER, null)).toBeNull();
+            expect(web3.getApprovalPolicy).toHaveBeenCalledWith(MIT);
+        });
+
+        it('should require at least the institution\'s approval threshold', async function () {
+            web3.getApprovalPolicy.mockResolvedValue({ threshold: 3, issuerCount: 4 });
+
+            expect(await findApprovalPolicyConflict(PROPOSER, null)).toMatchObject({ requiredApprovals: 3 });
+            expect(await findApprovalPolicyConflict(PROPOSER, 2)).toMatchObject({ requiredApprovals: 3 });
+            expect(await findApprovalPolicyConflict(PROPOSER, 3)).toBeNull();
+        });
+
+        it('should reject more approvals than the institution has issuers', async function () {
+            web3.getApprovalPolicy.mockResolvedValue({ threshold: 0, issuerCount: 2 });
+
+            expect(await findApprovalPolicyConflict(PROPOSER, 3)).toMatchObject({ issuerCount: 2 });
+        });
+    });
+});
@@ -0,0 +1,84 @@
+const { ethers } = require('ethers');
+
+process.env.RECEIPT_SIGNING_KEY = '0x' + '03'.repeat(32);
+
+const { createReceipt, checkReceipt, getReceiptPublicKey } = require('../utils/receipts');
+
+const RECEIPT_SIGNER = new ethers.Wallet(process.env.RECEIPT_SIGNING_KEY);
+const DOC_HASH = '0x' + 'AB'.repeat(32);
+
+/**
+ * Sign a receipt for the test document
+ * @param {Object} [fields] - Fields to override
+ * @returns {Promise<Object>} Signed receipt
+ */
+function receiptFor(fields = {}) {
+    return createReceipt({
+        docHash: DOC_HASH,
+        result: 'valid',
+        issuer: '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
+        blockNumber: 42,
+        chainId: '31337',
+        contractAddress: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+        ...fields
+    });
+}
+
+describe('Verification receipts', function () {
+    it('should sign the result with the receipt key', async function () {
+        const receipt = await receiptFor();
+
+        expect(receipt.signer).toBe(RECEIPT_SIGNER.address);
+        expect(receipt.data).toMatchObject({ docHash: DOC_HASH.toLowerCase(), result: 'valid', blockNumber: 42, chainId: 31337 });
+        expect(checkReceipt(receipt)).toEqual({ valid: true, signer: RECEIPT_SIGNER.address });
+    });
+
+    it('should check offline with the published domain and types', async function () {
+        const receipt = await receiptFor();
+        const { domain, types } = getReceiptPublicKey();
+
+        expect(ethers.verifyTypedData(domain, types, receipt.data, receipt.signature)).toBe(RECEIPT_SIGNER.address);
+    });
+
+    it('should use the zero address for receipts without an issuer', async function () {
+        const receipt = await receiptFor({ result: 'not_found', issuer: null });
+
+        expect(receipt.data.issuer).toBe(ethers.ZeroAddress);
+        expect(checkReceipt(receipt).valid).toBe(true);
+    });
+
+    it('should accept every status a verification can report', async function () {
+        for (const result of ['revoked', 'superseded', 'expired', 'holder_mismatch', 'pending_approval']) {
+            expect(checkReceipt(await receiptFor({ result })).valid).toBe(true);
+        }
+    });
+
+    it('should reject a receipt whose result was changed', async function () {
+        const receipt = await receiptFor({ result: 'holder_mismatch' });
+
+        expect(checkReceipt({ ...receipt, data: { ...receipt.data, result: 'valid' } })).toMatchObject({
+            valid: false,
+            reason: 'Signature does not match this server\'s receipt key'
+        });
+    });
+
+    it('should reject a receipt signed by another key', async function () {
+        const receipt = await receiptFor();
+        const { domain, types } = getReceiptPublicKey();
+        const other = ethers.Wallet.createRandom();
+
+        expect(checkReceipt({ ...receipt, signature: await other.signTypedData(domain, types, receipt.data) })).toMatchObject({
+            valid: false,
+            signer: other.address
+        });
+    });
+
+    it('should reject unknown results and malformed receipts', async function () {
+        const receipt = await receiptFor();
+
+        expect(checkReceipt({ ...receipt, data: { ...receipt.data, result: 'genuine' } }))
+            .toEqual({ valid: false, reason: 'Unknown receipt result' });
+        expect(checkReceipt({ data: receipt.data })).toEqual({ valid: false, reason: 'Receipt must have data and signature' });
+        expect(checkReceipt({ ...receipt, signature: '0x1234' }).reason).toMatch(/^Malformed receipt/);
+    });
+});
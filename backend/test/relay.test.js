@@ -0,0 +1,266 @@
+const express = require('express');
+const request = require('supertest');
+const { ethers } = require('ethers');
+
+jest.mock('../db/database', () => ({
+    getActiveApiKey: jest.fn(),
+    touchApiKey: jest.fn().mockResolvedValue(true),
+    getOpenIssuanceJob: jest.fn().mockResolvedValue(null)
+}));
+
+jest.mock('../utils/ipfs', () => ({
+    initIPFS: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../utils/dataKeys', () => ({
+    uploadEncryptedMetadata: jest.fn().mockResolvedValue('bafkreirelay')
+}));
+
+jest.mock('../utils/issuanceQueue', () => ({
+    enqueueIssuance: jest.fn().mockResolvedValue('job-1')
+}));
+
+jest.mock('../utils/web3', () => ({
+    initWeb3: jest.fn().mockResolvedValue(true),
+    isRegistryPaused: jest.fn().mockResolvedValue(false),
+    getProvider: jest.fn(),
+    getDeployment: jest.fn(),
+    getProposal: jest.fn().mockResolvedValue(null),
+    getRoles: jest.fn().mockResolvedValue({ issuerInstitution: '0x' + '00'.repeat(32) }),
+    getApprovalPolicy: jest.fn().mockResolvedValue({ threshold: 0, issuerCount: 0 }),
+    isAuthorizedIssuer: jest.fn(),
+    getIssueNonce: jest.fn(),
+    verifyCertificate: jest.fn()
+}));
+
+const { getActiveApiKey } = require('../db/database');
+const web3 = require('../utils/web3');
+const { enqueueIssuance } = require('../utils/issuanceQueue');
+const { hashDocumentForBlockchain } = require('../utils/crypto');
+const { protectWriteRoutes } = require('../middleware/auth');
+const relayRoutes = require('../routes/relay');
+
+const CERTIFICATE = Buffer.from('certificate of Alice Smith');
+const DOC_HASH = hashDocumentForBlockchain(CERTIFICATE);
+const DEPLOYMENT = { chainId: '31337', contractAddress: '0x5FbDB2315678afecb367f032d93F642f64180aa3' };
+
+const issuer = new ethers.Wallet('0x' + '05'.repeat(32));
+const stranger = new ethers.Wallet('0x' + '06'.repeat(32));
+
+let getCode;
+
+const app = express();
+app.use(express.json());
+app.use('/api', protectWriteRoutes, relayRoutes);
+
+/**
+ * Prepare an issuance request for the certificate through the API
+ * @returns {Promise<Object>} Typed data for the issuer to sign
+ */
+async function prepareRequest() {
+    const res = await request(app)
+        .post('/api/relay/prepare')
+        .set('X-API-Key', 'cck_test')
+        .attach('certificate', CERTIFICATE, 'certificate.pdf')
+        .field('studentName', 'Alice Smith')
+        .field('courseName', 'Computer Science')
+        .field('institution', 'MIT')
+        .field('issuerAddress', issuer.address);
+
+    expect(res.status).toBe(200);
+    return res.body.typedData;
+}
+
+/**
+ * Prepare a request, sign it and submit it for relaying
+ * @param {Object} [options] - wallet to sign with, fields to change before signing
+ *     (signed) and after signing (tampered)
+ * @returns {Promise<Object>} Response
+ */
+async function relaySigned({ wallet = issuer, signed = {}, tampered = {} } = {}) {
+    const { domain, types, message } = await prepareRequest();
+    const signedRequest = { ...message, ...signed };
+    const signature = await wallet.signTypedData(domain, types, signedRequest);
+
+    return request(app)
+        .post('/api/relay')
+        .set('X-API-Key', 'cck_test')
+        .send({ request: { ...signedRequest, ...tampered }, signature: signature });
+}
+
+describe('Relay routes', function () {
+    beforeAll(async function () {
+        await new Promise(resolve => setImmediate(resolve));
+    });
+
+    beforeEach(function () {
+        jest.clearAllMocks();
+        getActiveApiKey.mockResolvedValue({
+            apiKeyId: 4,
+            keyPrefix: 'test',
+            accountId: 2,
+            accountName: 'relayer',
+            accountRole: 'issuer',
+            institutionId: null
+        });
+        getCode = jest.fn().mockResolvedValue('0x');
+        web3.getProvider.mockReturnValue({ getCode });
+        web3.getDeployment.mockReturnValue(DEPLOYMENT);
+        web3.isAuthorizedIssuer.mockResolvedValue(true);
+        web3.getIssueNonce.mockResolvedValue('3');
+        web3.verifyCertificate.mockResolvedValue({ exists: false });
+    });
+
+    describe('POST /api/relay/prepare', function () {
+        it('should return the request the issuer signs, bound to the registry', async function () {
+            const typedData = await prepareRequest();
+
+            expect(typedData.domain).toEqual({ name: 'CertificateRegistry', version: '1', chainId: 31337, verifyingContract: DEPLOYMENT.contractAddress });
+            expect(typedData.primaryType).toBe('IssueRequest');
+            expect(typedData.message).toMatchObject({
+                docHash: DOC_HASH,
+                ipfsCID: 'bafkreirelay',
+                validUntil: '0',
+                holder: ethers.ZeroAddress,
+                issuer: issuer.address,
+                nonce: '3'
+            });
+            expect(parseInt(typedData.message.deadline)).toBeGreaterThan(Math.floor(Date.now() / 1000));
+            expect(enqueueIssuance).not.toHaveBeenCalled();
+        });
+
+        it('should refuse addresses that are not authorized issuers', async function () {
+            web3.isAuthorizedIssuer.mockResolvedValue(false);
+
+            const res = await request(app)
+                .post('/api/relay/prepare')
+                .set('X-API-Key', 'cck_test')
+                .attach('certificate', CERTIFICATE, 'certificate.pdf')
+                .field('studentName', 'Alice Smith')
+                .field('courseName', 'Computer Science')
+                .field('institution', 'MIT')
+                .field('issuerAddress', stranger.address);
+
+            expect(res.status).toBe(403);
+        });
+    });
+
+    describe('POST /api/relay', function () {
+        it('should queue a request signed by the issuer it names', async function () {
+            const res = await relaySigned();
+
+            expect(res.status).toBe(202);
+            expect(res.body.data).toMatchObject({ jobId: 'job-1', docHash: DOC_HASH, issuer: issuer.address, holder: null, submittedBy: 'relayer' });
+            expect(enqueueIssuance).toHaveBeenCalledWith({
+                docHash: DOC_HASH,
+                ipfsCID: 'bafkreirelay',
+                validUntil: 0,
+                holder: null,
+                signedRequest: {
+                    issuer: issuer.address,
+                    nonce: '3',
+                    deadline: expect.any(String),
+                    signature: expect.stringMatching(/^0x[0-9a-f]{130}$/)
+                },
+                accountId: 2,
+                apiKeyId: 4
+            });
+        });
+
+        it.each([
+            ['signed by another account', { wallet: stranger }, 'Signature is not from the issuer named in the request'],
+            ['changed after signing', { tampered: { ipfsCID: 'bafkreiother' } }, 'Signature is not from the issuer named in the request'],
+            ['with a different holder than was signed', { tampered: { holder: stranger.address } }, 'Signature is not from the issuer named in the request']
+        ])('should reject a request %s with 401', async function (_, options, reason) {
+            const res = await relaySigned(options);
+
+            expect(res.status).toBe(401);
+            expect(res.body).toEqual({ error: 'Invalid signature', details: reason });
+            expect(enqueueIssuance).not.toHaveBeenCalled();
+        });
+
+        it('should reject a malformed signature with 401', async function () {
+            const { message } = await prepareRequest();
+
+            const res = await request(app)
+                .post('/api/relay')
+                .set('X-API-Key', 'cck_test')
+                .send({ request: message, signature: '0x1234' });
+
+            expect(res.status).toBe(401);
+            expect(res.body.details).toMatch(/^Malformed signature: /);
+        });
+
+        it('should reject a request signed with a nonce that is not the issuer\'s next one', async function () {
+            const stale = await relaySigned({ signed: { nonce: '2' } });
+            const ahead = await relaySigned({ signed: { nonce: '4' } });
+
+            expect(stale.status).toBe(409);
+            expect(stale.body).toEqual({
+                error: 'Nonce is not the issuer\'s next nonce; sign a new request',
+                nonce: '2',
+                expectedNonce: '3'
+            });
+            expect(ahead.status).toBe(409);
+            expect(enqueueIssuance).not.toHaveBeenCalled();
+        });
+
+        it('should not relay the same signed request twice once the nonce has moved on', async function () {
+            const { domain, types, message } = await prepareRequest();
+            const body = { request: message, signature: await issuer.signTypedData(domain, types, message) };
+
+            const first = await request(app).post('/api/relay').set('X-API-Key', 'cck_test').send(body);
+            web3.getIssueNonce.mockResolvedValue('4');
+            const replay = await request(app).post('/api/relay').set('X-API-Key', 'cck_test').send(body);
+
+            expect(first.status).toBe(202);
+            expect(replay.status).toBe(409);
+            expect(replay.body.expectedNonce).toBe('4');
+            expect(enqueueIssuance).toHaveBeenCalledTimes(1);
+        });
+
+        it('should reject a request past its deadline before checking the signature', async function () {
+            const res = await relaySigned({ signed: { deadline: String(Math.floor(Date.now() / 1000) - 1) } });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('Signed request has passed its deadline');
+            expect(getCode).not.toHaveBeenCalled();
+        });
+
+        it('should leave the signature of a contract wallet to the contract', async function () {
+            getCode.mockResolvedValue('0x6080');
+
+            const res = await relaySigned({ wallet: stranger });
+
+            expect(res.status).toBe(202);
+            expect(getCode).toHaveBeenCalledWith(issuer.address);
+        });
+
+        it('should refuse a valid signature from an issuer that is no longer authorized', async function () {
+            const { domain, types, message } = await prepareRequest();
+            const signature = await issuer.signTypedData(domain, types, message);
+            web3.isAuthorizedIssuer.mockResolvedValue(false);
+
+            const res = await request(app)
+                .post('/api/relay')
+                .set('X-API-Key', 'cck_test')
+                .send({ request: message, signature: signature });
+
+            expect(res.status).toBe(403);
+            expect(res.body.error).toBe('Signer is not an authorized issuer');
+        });
+
+        it.each([
+            ['without a request', {}, 'request is required'],
+            ['with a short docHash', { request: { docHash: '0x1234' } }, 'request.docHash must be a 32-byte hex string'],
+            ['with an issuer that is not an address', { request: { docHash: DOC_HASH, ipfsCID: 'cid', issuer: 'nobody' } }, 'Invalid request.issuer'],
+            ['with a negative nonce', { request: { docHash: DOC_HASH, ipfsCID: 'cid', issuer: issuer.address, validUntil: '0', nonce: '-1', deadline: '1' } }, 'request.nonce must be a whole number'],
+            ['with a signature that is not hex', { request: { docHash: DOC_HASH, ipfsCID: 'cid', issuer: issuer.address, validUntil: '0', nonce: '3', deadline: '1' }, signature: 'abc' }, 'signature must be a hex string']
+        ])('should reject a body %s with 400', async function (_, body, error) {
+            const res = await request(app).post('/api/relay').set('X-API-Key', 'cck_test').send(body);
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe(error);
+        });
+    });
+});
@@ -0,0 +1,399 @@
+const express = require('express');
+const request = require('supertest');
+const { ethers } = require('ethers');
+
+process.env.RECEIPT_SIGNING_KEY = '0x' + '03'.repeat(32);
+
+jest.mock('../db/database', () => ({
+    getActiveApiKey: jest.fn(),
+    touchApiKey: jest.fn().mockResolvedValue(true),
+    getBatchCertificate: jest.fn().mockResolvedValue(null),
+    insertHolderChallenge: jest.fn().mockResolvedValue(true),
+    consumeHolderChallenge: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../utils/ipfs', () => ({
+    initIPFS: jest.fn().mockResolvedValue(true),
+    retrieveFromIPFS: jest.fn()
+}));
+
+jest.mock('../utils/dataKeys', () => ({
+    decryptPersonalData: jest.fn()
+}));
+
+jest.mock('../utils/web3', () => ({
+    REVOCATION_REASONS: { 0: 'Unspecified', 1: 'Issued in error' },
+    ISSUER_COMPROMISED_REASON: 4,
+    initWeb3: jest.fn().mockResolvedValue(true),
+    getCertificate: jest.fn(),
+    verifyCertificate: jest.fn(),
+    verifyBatchCertificate: jest.fn(),
+    getRegistries: jest.fn(),
+    getIssuerCompromise: jest.fn().mockResolvedValue(null),
+    getIssuanceBlock: jest.fn(),
+    getProposal: jest.fn().mockResolvedValue(null),
+    isRegistryPaused: jest.fn().mockResolvedValue(false),
+    getSignerAddress: jest.fn(),
+    getProvider: jest.fn(),
+    getDeployment: jest.fn(),
+    signTypedData: jest.fn()
+}));
+
+jest.mock('../utils/institutions', () => ({
+    formatInstitutionId: jest.fn(id => id),
+    resolveIssuerInstitution: jest.fn().mockResolvedValue(null)
+}));
+
+const web3 = require('../utils/web3');
+const { retrieveFromIPFS } = require('../utils/ipfs');
+const { decryptPersonalData } = require('../utils/dataKeys');
+const { hashDocumentForBlockchain } = require('../utils/crypto');
+const { SALTS_FIELD, commitMetadata } = require('../utils/disclosure');
+const { checkReceipt } = require('../utils/receipts');
+const { protectWriteRoutes } = require('../middleware/auth');
+const verificationRoutes = require('../routes/verification');
+const certificateRoutes = require('../routes/certificates');
+const exportRoutes = require('../routes/export');
+
+const ISSUER = new ethers.Wallet('0x' + '01'.repeat(32));
+const HOLDER = new ethers.Wallet('0x' + '02'.repeat(32));
+const DEPLOYMENT = { chainId: '31337', contractAddress: '0x5FbDB2315678afecb367f032d93F642f64180aa3' };
+const PRIMARY = { network: 'localhost', chainId: '31337', deployment: DEPLOYMENT, provider: null };
+const OLDER = { network: 'legacy', chainId: '31337', deployment: { chainId: '31337', contractAddress: '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512' }, provider: null };
+
+const CERTIFICATE = Buffer.from('certificate of Alice Smith');
+const DOC_HASH = hashDocumentForBlockchain(CERTIFICATE);
+
+const METADATA = {
+    studentName: 'Alice Smith',
+    courseName: 'Computer Science',
+    institution: 'MIT',
+    grade: 'First Class'
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api', protectWriteRoutes, verificationRoutes, certificateRoutes, exportRoutes);
+
+/**
+ * Store the certificate on-chain and its committed metadata behind its CID
+ * @param {Object} [overrides] - Fields to change on the on-chain record
+ */
+function storeCertificate(overrides = {}) {
+    const { salts, digests } = commitMetadata(METADATA);
+    const certData = {
+        exists: true,
+        docHash: DOC_HASH,
+        issuer: ISSUER.address,
+        holder: null,
+        timestamp: '1705334400',
+        ipfsCID: 'bafkreicertificate',
+        revoked: false,
+        validUntil: '0',
+        ...overrides
+    };
+
+    web3.getCertificate.mockResolvedValue(certData);
+    web3.verifyCertificate.mockResolvedValue(certData);
+    retrieveFromIPFS.mockResolvedValue({ commitments: { algorithm: 'sha256', digests } });
+    decryptPersonalData.mockResolvedValue({ metadata: { ...METADATA, [SALTS_FIELD]: salts } });
+}
+
+/**
+ * Have the holder sign a fresh challenge for the certificate
+ * @returns {Promise<Object>} docHash, holderNonce and holderSignature
+ */
+async function signHolderChallenge() {
+    const res = await request(app)
+        .post('/api/holder/challenge')
+        .send({ docHash: DOC_HASH });
+    const { domain, types, message } = res.body.challenge;
+
+    return {
+        docHash: DOC_HASH,
+        holderNonce: message.nonce,
+        holderSignature: await HOLDER.signTypedData(domain, types, message)
+    };
+}
+
+describe('Verification routes', function () {
+    beforeAll(async function () {
+        await new Promise(resolve => setImmediate(resolve));
+    });
+
+    beforeEach(function () {
+        jest.clearAllMocks();
+        web3.getRegistries.mockReturnValue([PRIMARY]);
+        web3.getDeployment.mockReturnValue(DEPLOYMENT);
+        web3.getSignerAddress.mockReturnValue(ISSUER.address);
+        web3.signTypedData.mockImplementation((domain, types, value) => ISSUER.signTypedData(domain, types, value));
+        storeCertificate();
+    });
+
+    describe('Selective disclosure', function () {
+        /**
+         * Build a disclosure package revealing only the given fields
+         * @param {string} fields - Comma-separated field names
+         * @returns {Promise<Object>} Disclosure package
+         */
+        async function disclose(fields) {
+            const res = await request(app)
+                .post('/api/disclosure')
+                .attach('certificate', CERTIFICATE, 'certificate.pdf')
+                .field('fields', fields);
+
+            expect(res.status).toBe(200);
+            return res.body.package;
+        }
+
+        it('should reveal only the disclosed fields to the verifier', async function () {
+            const disclosure = await disclose('studentName,courseName');
+
+            const res = await request(app)
+                .post('/api/disclosure/verify')
+                .send(disclosure);
+
+            expect(res.status).toBe(200);
+            expect(res.body.valid).toBe(true);
+            expect(res.body.disclosed).toEqual({ studentName: 'Alice Smith', courseName: 'Computer Science' });
+        });
+
+        it('should not reveal held-back fields through the disclosed docHash', async function () {
+            const { docHash } = await disclose('studentName,courseName');
+
+            const responses = [
+                await request(app).get(`/api/cert/${docHash}`),
+                await request(app).post('/api/vc/export').send({ docHash }),
+                await request(app).post('/api/badges/export').send({ docHash }),
+                await request(app).post('/api/holder/challenge').send({ docHash })
+            ];
+
+            for (const res of responses) {
+                const body = JSON.stringify(res.body);
+                expect(body).not.toContain('First Class');
+                expect(body).not.toContain('MIT');
+            }
+            expect(responses[0].status).toBe(200);
+            expect(responses[0].body.certificate.metadata).toBeUndefined();
+            expect(responses[0].body.certificate.metadataStatus).toBe('available');
+            expect(responses[1].status).toBe(400);
+            expect(responses[2].status).toBe(400);
+            expect(responses[3].status).toBe(409);
+        });
+    });
+
+    describe('POST /api/vc/export', function () {
+        it('should export to someone presenting the certificate file', async function () {
+            const res = await request(app)
+                .post('/api/vc/export')
+                .attach('certificate', CERTIFICATE, 'certificate.pdf');
+
+            expect(res.status).toBe(200);
+            expect(res.body.credentialSubject).toMatchObject({ documentHash: DOC_HASH, grade: 'First Class' });
+            expect(res.body.credentialSubject[SALTS_FIELD]).toBeUndefined();
+        });
+
+        it('should export to the holder of a holder-bound certificate', async function () {
+            storeCertificate({ holder: HOLDER.address });
+
+            const res = await request(app)
+                .post('/api/vc/export')
+                .send(await signHolderChallenge());
+
+            expect(res.status).toBe(200);
+            expect(res.body.credentialSubject.grade).toBe('First Class');
+        });
+
+        it('should refuse a challenge signed by someone other than the holder', async function () {
+            storeCertificate({ holder: HOLDER.address });
+            const { domain, types, message } = (await request(app)
+                .post('/api/holder/challenge')
+                .send({ docHash: DOC_HASH })).body.challenge;
+
+            const res = await request(app)
+                .post('/api/vc/export')
+                .send({ docHash: DOC_HASH, holderNonce: message.nonce, holderSignature: await ISSUER.signTypedData(domain, types, message) });
+
+            expect(res.status).toBe(403);
+            expect(res.body.reason).toBe('Signer is not the certificate holder');
+            expect(JSON.stringify(res.body)).not.toContain('First Class');
+        });
+    });
+
+    describe('Holder binding', function () {
+        beforeEach(function () {
+            storeCertificate({ holder: HOLDER.address });
+        });
+
+        it('should report a holder-bound certificate as valid but unproven without a holder proof', async function () {
+            const res = await request(app)
+                .post('/api/verify')
+                .attach('certificate', CERTIFICATE, 'certificate.pdf');
+
+            expect(res.body.status).toBe('valid');
+            expect(res.body.holderBinding).toEqual({
+                holder: HOLDER.address,
+                proven: false,
+                signer: null,
+                reason: 'No holder proof was presented'
+            });
+        });
+
+        it('should report the holder as proven when they sign a challenge', async function () {
+            const proof = await signHolderChallenge();
+
+            const res = await request(app)
+                .post('/api/verify')
+                .attach('certificate', CERTIFICATE, 'certificate.pdf')
+                .field('holderNonce', proof.holderNonce)
+                .field('holderSignature', proof.holderSignature);
+
+            expect(res.body.status).toBe('valid');
+            expect(res.body.holderBinding).toMatchObject({ proven: true, signer: HOLDER.address, reason: null });
+        });
+
+        it('should only issue challenges for holder-bound certificates', async function () {
+            const malformed = await request(app).post('/api/holder/challenge').send({ docHash: '0x1234' });
+            storeCertificate();
+            const unbound = await request(app).post('/api/holder/challenge').send({ docHash: DOC_HASH });
+
+            expect(malformed.status).toBe(400);
+            expect(unbound.status).toBe(409);
+            expect(unbound.body.error).toBe('Certificate is not bound to a holder');
+        });
+    });
+
+    describe('Certificates in an older registry', function () {
+        beforeEach(function () {
+            web3.getRegistries.mockReturnValue([PRIMARY, OLDER]);
+            storeCertificate({ holder: HOLDER.address });
+
+            // Only the older registry has the certificate
+            const stored = web3.verifyCertificate.getMockImplementation();
+            for (const read of [web3.verifyCertificate, web3.getCertificate]) {
+                read.mockImplementation((docHash, blockTag, registry) => registry === OLDER
+                    ? stored(docHash, blockTag, registry)
+                    : Promise.resolve({ exists: false }));
+            }
+            web3.verifyBatchCertificate.mockResolvedValue({ exists: false });
+        });
+
+        it('should find them on every route that takes a document hash', async function () {
+            const cert = await request(app).get(`/api/cert/${DOC_HASH}`);
+            const challenge = await request(app).post('/api/holder/challenge').send({ docHash: DOC_HASH });
+            const disclosure = await request(app)
+                .post('/api/disclosure')
+                .attach('certificate', CERTIFICATE, 'certificate.pdf')
+                .field('fields', 'courseName');
+            const verified = await request(app).post('/api/disclosure/verify').send(disclosure.body.package);
+
+            expect(cert.status).toBe(200);
+            expect(cert.body.registry.contractAddress).toBe(OLDER.deployment.contractAddress);
+            expect(challenge.status).toBe(200);
+            expect(challenge.body.holder).toBe(HOLDER.address);
+            expect(challenge.body.registry.contractAddress).toBe(OLDER.deployment.contractAddress);
+            expect(disclosure.status).toBe(200);
+            expect(verified.body.valid).toBe(true);
+            expect(verified.body.disclosed).toEqual({ courseName: 'Computer Science' });
+            expect(verified.body.registry.contractAddress).toBe(OLDER.deployment.contractAddress);
+        });
+
+        it('should list every registry searched when none has the certificate', async function () {
+            web3.getCertificate.mockResolvedValue({ exists: false });
+            web3.verifyCertificate.mockResolvedValue({ exists: false });
+
+            const cert = await request(app).get(`/api/cert/${DOC_HASH}`);
+            const verified = await request(app).post('/api/disclosure/verify').send({ docHash: DOC_HASH, disclosures: ['x'] });
+
+            expect(cert.status).toBe(404);
+            expect(cert.body.searchedRegistries.map(registry => registry.network)).toEqual(['localhost', 'legacy']);
+            expect(verified.body.status).toBe('not_found');
+            expect(verified.body.searchedRegistries).toHaveLength(2);
+        });
+    });
+
+    describe('Receipts', function () {
+        beforeEach(function () {
+            web3.getRegistries.mockReturnValue([{ ...PRIMARY, provider: { getBlockNumber: jest.fn().mockResolvedValue(42) } }]);
+            storeCertificate({ holder: HOLDER.address });
+        });
+
+        /**
+         * Verify the certificate with a receipt, presenting the given holder proof
+         * @param {Object} proof - holderNonce and holderSignature
+         * @returns {Promise<Object>} Response
+         */
+        function verifyWithReceipt(proof) {
+            return request(app)
+                .post('/api/verify?receipt=true')
+                .attach('certificate', CERTIFICATE, 'certificate.pdf')
+                .field('holderNonce', proof.holderNonce)
+                .field('holderSignature', proof.holderSignature);
+        }
+
+        it('should sign the status it reports for a valid holder proof', async function () {
+            const res = await verifyWithReceipt(await signHolderChallenge());
+
+            expect(res.body.status).toBe('valid');
+            expect(res.body.receipt.data).toMatchObject({ result: 'valid', blockNumber: 42 });
+            expect(checkReceipt(res.body.receipt).valid).toBe(true);
+        });
+
+        it('should sign holder_mismatch when the holder proof fails', async function () {
+            const { domain, types, message } = (await request(app)
+                .post('/api/holder/challenge')
+                .send({ docHash: DOC_HASH })).body.challenge;
+
+            const res = await verifyWithReceipt({
+                holderNonce: message.nonce,
+                holderSignature: await ISSUER.signTypedData(domain, types, message)
+            });
+
+            expect(res.body.status).toBe('holder_mismatch');
+            expect(res.body.receipt.data.result).toBe('holder_mismatch');
+            expect(checkReceipt(res.body.receipt).valid).toBe(true);
+        });
+    });
+
+    describe('Issuer compromise', function () {
+        beforeEach(function () {
+            // The certificate's timestamp is after since, so only the block decides
+            web3.getIssuerCompromise.mockResolvedValue({ since: '1705330000', markedAt: '1705340000', sinceBlock: '120' });
+        });
+
+        /**
+         * Verify the certificate file
+         * @returns {Promise<Object>} issuerCompromise from the response
+         */
+        async function verifyCompromise() {
+            const res = await request(app)
+                .post('/api/verify')
+                .attach('certificate', CERTIFICATE, 'certificate.pdf');
+            return res.body.issuerCompromise;
+        }
+
+        it('should judge a block cutoff by the block the certificate was issued in', async function () {
+            web3.getIssuanceBlock.mockResolvedValue(119);
+            expect(await verifyCompromise()).toMatchObject({ sinceBlock: 120, affectsCertificate: false });
+
+            web3.getIssuanceBlock.mockResolvedValue(120);
+            expect(await verifyCompromise()).toMatchObject({ sinceBlock: 120, affectsCertificate: true });
+            expect(web3.getIssuanceBlock).toHaveBeenCalledWith(DOC_HASH, undefined, 'latest', PRIMARY);
+        });
+
+        it('should judge certificates without a recorded block by the time of the cutoff', async function () {
+            web3.getIssuanceBlock.mockResolvedValue(null);
+            expect(await verifyCompromise()).toMatchObject({ affectsCertificate: true });
+
+            storeCertificate({ timestamp: '1705320000' });
+            expect(await verifyCompromise()).toMatchObject({ affectsCertificate: false });
+        });
+
+        it('should not look up the issuance block for a cutoff by time', async function () {
+            web3.getIssuerCompromise.mockResolvedValue({ since: '1705330000', markedAt: '1705340000', sinceBlock: null });
+
+            expect(await verifyCompromise()).toMatchObject({ sinceBlock: null, affectsCertificate: true });
+            expect(web3.getIssuanceBlock).not.toHaveBeenCalled();
+        });
+    });
+});
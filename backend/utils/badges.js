@@ -0,0 +1,160 @@
+const { ethers } = require('ethers');
+const { toIssuerDid, buildRegistryStatus, buildCredentialId } = require('./credentials');
+
+// Contexts of an Open Badges 3.0 credential signed with an EIP-712 proof
+const BADGE_CONTEXT = [
+    'https://www.w3.org/ns/credentials/v2',
+    'https://purl.imsglobal.org/spec/ob/v3p0/context-3.0.3.json',
+    'https://w3id.org/security/suites/eip712sig-2021/v1'
+];
+
+/**
+ * Build an achievement ID that is shared by every badge for the same course
+ * @param {Object} metadata - Certificate metadata
+ * @returns {string} URN
+ */
+function buildAchievementId(metadata) {
+    const key = ethers.id(`${metadata.institution}\n${metadata.courseName}`);
+    return `urn:certichain:achievement:${key.slice(2, 34)}`;
+}
+
+/**
+ * Build an unsigned Open Badges 3.0 credential for an issued certificate
+ * The achievement comes from the course and institution; the recipient is
+ * named through an identifier, since Open Badges has no name field for them.
+ * @param {Object} certificate - docHash, metadata, issuer, issuedAt and optional expiresAt (ISO dates)
+ * @param {Object} registry - chainId, contractAddress and the status URL of the certificate
+ * @returns {Object} OpenBadgeCredential without a proof
+ */
+function buildBadgeCredential(certificate, registry) {
+    const { metadata } = certificate;
+
+    const achievement = {
+        id: buildAchievementId(metadata),
+        type: ['Achievement'],
+        name: metadata.courseName,
+        description: `${metadata.courseName} at ${metadata.institution}`,
+        criteria: { narrative: metadata.additionalInfo || `Completed ${metadata.courseName}` }
+    };
+
+    const credential = {
+        '@context': BADGE_CONTEXT,
+        id: buildCredentialId(registry, certificate.docHash),
+        type: ['VerifiableCredential', 'OpenBadgeCredential'],
+        name: metadata.courseName,
+        issuer: {
+            id: toIssuerDid(registry.chainId, certificate.issuer),
+            type: ['Profile'],
+            name: metadata.institution
+        },
+        validFrom: certificate.issuedAt,
+        credentialSubject: {
+            type: ['AchievementSubject'],
+            documentHash: certificate.docHash.toLowerCase(),
+            identifier: [{
+                type: 'IdentityObject',
+                identityType: 'name',
+                identityHash: metadata.studentName,
+                hashed: false
+            }],
+            achievement: achievement
+        },
+        credentialStatus: buildRegistryStatus(registry, certificate.docHash)
+    };
+
+    if (certificate.expiresAt) {
+        credential.validUntil = certificate.expiresAt;
+    }
+
+    return credential;
+}
+
+/**
+ * Get the name of an issuer, profile or badge class given inline or by URL
+ * @param {Object|string} value - Embedded object, or a URL that was not resolved
+ * @returns {string|undefined} Name if embedded
+ */
+function nameOf(value) {
+    return value && typeof value === 'object' ? value.name : undefined;
+}
+
+/**
+ * Format a date from a badge as YYYY-MM-DD
+ * @param {string} [value] - Date string
+ * @returns {string|undefined} Date, or undefined if missing or unparseable
+ */
+function formatDate(value) {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : undefined;
+}
+
+/**
+ * Find the recipient's name in an Open Badges 3.0 subject
+ * @param {Object} subject - AchievementSubject
+ * @returns {string|undefined} Plain-text name identifier, if any
+ */
+function findRecipientName(subject) {
+    const identifiers = Array.isArray(subject.identifier) ? subject.identifier : [];
+    const named = identifiers.find(identifier => identifier.identityType === 'name' && !identifier.hashed);
+    return named ? named.identityHash : subject.name;
+}
+
+/**
+ * Read certificate metadata out of an Open Badge
+ * Accepts Open Badges 2.0 assertions and 3.0 credentials. Badge classes and
+ * issuers given only by URL are not fetched, so their fields come out empty.
+ * @param {Buffer} buffer - Badge JSON as uploaded
+ * @returns {Object} Badge version, metadata and expiry date (if any)
+ * @throws {Error} If the file is not a recognised Open Badge
+ */
+function readBadgeAssertion(buffer) {
+    let badge;
+    try {
+        badge = JSON.parse(buffer.toString('utf8'));
+    } catch (error) {
+        throw new Error('Badge must be a JSON Open Badge assertion or credential');
+    }
+
+    const types = [].concat(badge && badge.type || []);
+
+    if (types.includes('OpenBadgeCredential') || types.includes('AchievementCredential')) {
+        const subject = badge.credentialSubject || {};
+        const achievement = subject.achievement || {};
+
+        return {
+            version: '3.0',
+            metadata: {
+                studentName: findRecipientName(subject),
+                courseName: achievement.name || badge.name,
+                institution: nameOf(badge.issuer),
+                issueDate: formatDate(badge.validFrom || badge.issuanceDate),
+                additionalInfo: `Imported Open Badge ${badge.id || ''}`.trim()
+            },
+            expiresAt: badge.validUntil || badge.expirationDate
+        };
+    }
+
+    if (types.includes('Assertion')) {
+        const badgeClass = badge.badge || {};
+
+        return {
+            version: '2.0',
+            metadata: {
+                // Recipients are usually hashed emails, so the name only comes through when it is plain text
+                studentName: badge.recipient && !badge.recipient.hashed ? badge.recipient.identity : undefined,
+                courseName: nameOf(badgeClass),
+                institution: nameOf(badgeClass.issuer),
+                issueDate: formatDate(badge.issuedOn),
+                additionalInfo: `Imported Open Badge ${badge.id || ''}`.trim()
+            },
+            expiresAt: badge.expires
+        };
+    }
+
+    throw new Error('Badge must be an Open Badges 2.0 Assertion or 3.0 OpenBadgeCredential');
+}
+
+module.exports = {
+    buildBadgeCredential,
+    readBadgeAssertion
+};
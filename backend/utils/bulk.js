@@ -0,0 +1,155 @@
+const AdmZip = require('adm-zip');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const { uploadEncryptedMetadata } = require('./dataKeys');
+const { enqueueIssuance } = require('./issuanceQueue');
+const { getUnqueuedBulkRows, getBulkJobsByStatus, updateBulkJobRow, completeBulkJobIfDone } = require('../db/database');
+
+/**
+ * Read the certificate files out of a ZIP archive
+ * @param {Buffer} zipBuffer - ZIP archive content
+ * @returns {Map<string, Buffer>} File content keyed by path inside the archive
+ */
+function readArchive(zipBuffer) {
+    let zip;
+    try {
+        zip = new AdmZip(zipBuffer);
+    } catch (error) {
+        throw new Error(`Invalid ZIP archive: ${error.message}`);
+    }
+
+    const files = new Map();
+    zip.getEntries().forEach((entry) => {
+        // Skip folders and the resource forks macOS adds to archives
+        if (entry.isDirectory || entry.entryName.startsWith('__MACOSX/')) {
+            return;
+        }
+        files.set(entry.entryName, entry.getData());
+    });
+
+    return files;
+}
+
+/**
+ * Find a CSV filename in the archive, by full path or by unique base name
+ * @param {Map<string, Buffer>} files - Archive files
+ * @param {string} filename - Filename from the CSV
+ * @returns {Buffer|null} File content or null if absent or ambiguous
+ */
+function findArchiveFile(files, filename) {
+    if (files.has(filename)) {
+        return files.get(filename);
+    }
+
+    const matches = [...files.keys()].filter(name => path.posix.basename(name) === filename);
+    return matches.length === 1 ? files.get(matches[0]) : null;
+}
+
+/**
+ * Pair each CSV row with its file from the ZIP archive
+ * Rows are returned even when they have problems; each carries its own errors
+ * so that one bad row does not reject the whole upload.
+ * @param {Buffer} zipBuffer - ZIP archive of certificate files
+ * @param {Buffer} csvBuffer - CSV with a filename column plus metadata columns
+ * @returns {Array<Object>} Rows with rowNumber, filename, fields, buffer and errors
+ */
+function readBulkUpload(zipBuffer, csvBuffer) {
+    const files = readArchive(zipBuffer);
+
+    let records;
+    try {
+        records = parse(csvBuffer, {
+            columns: true,
+            skip_empty_lines: true,
+            trim: true,
+            bom: true
+        });
+    } catch (error) {
+        throw new Error(`Invalid CSV: ${error.message}`);
+    }
+
+    if (records.length === 0) {
+        throw new Error('CSV contains no rows');
+    }
+    if (!Object.prototype.hasOwnProperty.call(records[0], 'filename')) {
+        throw new Error('CSV must have a filename column');
+    }
+
+    const seen = new Set();
+
+    return records.map((fields, index) => {
+        const row = {
+            // Header is line 1, so the first record is line 2
+            rowNumber: index + 2,
+            filename: fields.filename,
+            fields: fields,
+            buffer: null,
+            errors: []
+        };
+
+        if (!row.filename) {
+            row.errors.push('Missing filename');
+            return row;
+        }
+
+        if (seen.has(row.filename)) {
+            row.errors.push('Filename listed more than once');
+        }
+        seen.add(row.filename);
+
+        row.buffer = findArchiveFile(files, row.filename);
+        if (!row.buffer) {
+            row.errors.push('File not found in archive');
+        }
+
+        return row;
+    });
+}
+
+/**
+ * Upload the metadata of every valid row of a bulk job and queue it for issuance
+ * Rows keep their metadata in the database until they are queued, so a job
+ * interrupted by a restart is finished by resumeBulkJobs().
+ * @param {string} jobId - Job identifier
+ * @param {Object} auth - accountId and apiKeyId of the caller that submitted the job
+ */
+async function queueBulkJob(jobId, auth) {
+    for (const row of await getUnqueuedBulkRows(jobId)) {
+        try {
+            const { metadata, validUntil, holder } = JSON.parse(row.payload);
+            const ipfsCID = await uploadEncryptedMetadata(metadata, row.docHash);
+
+            await enqueueIssuance({
+                docHash: row.docHash,
+                ipfsCID: ipfsCID,
+                validUntil: validUntil,
+                holder: holder,
+                accountId: auth.accountId,
+                apiKeyId: auth.apiKeyId,
+                bulkJobId: jobId,
+                bulkRowNumber: row.rowNumber
+            });
+        } catch (error) {
+            console.error(`Bulk job ${jobId} row ${row.rowNumber} failed:`, error.message);
+            await updateBulkJobRow(jobId, row.rowNumber, { status: 'failed', error: error.message });
+        }
+    }
+
+    // Only finishes here if every row failed before reaching the queue
+    await completeBulkJobIfDone(jobId);
+}
+
+/**
+ * Finish queuing bulk jobs that a previous run left part-way through
+ */
+async function resumeBulkJobs() {
+    for (const job of await getBulkJobsByStatus('processing')) {
+        await queueBulkJob(job.id, { accountId: job.accountId, apiKeyId: job.apiKeyId });
+    }
+}
+
+module.exports = {
+    readBulkUpload,
+    queueBulkJob,
+    resumeBulkJobs
+};
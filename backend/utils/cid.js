@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+
+// CIDv1 header of a raw block hashed with SHA-256: version 1, the raw codec,
+// then the sha2-256 multihash code and digest length
+const RAW_SHA256_HEADER = Buffer.from([0x01, 0x55, 0x12, 0x20]);
+
+// CIDv1 is written in lowercase base32 (RFC 4648, unpadded) behind the multibase prefix "b"
+const BASE32_PREFIX = 'b';
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+// Length of a raw SHA-256 CID: the prefix and 36 bytes in base32
+const RAW_CID_LENGTH = 1 + Math.ceil((RAW_SHA256_HEADER.length + 32) * 8 / 5);
+
+/**
+ * Encode bytes as unpadded lowercase base32
+ * @param {Buffer} bytes - Bytes to encode
+ * @returns {string} Base32 text
+ */
+function encodeBase32(bytes) {
+    let text = '';
+    let buffer = 0;
+    let bits = 0;
+
+    for (const byte of bytes) {
+        buffer = (buffer << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            text += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        text += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+    }
+
+    return text;
+}
+
+/**
+ * Decode unpadded lowercase base32
+ * @param {string} text - Base32 text
+ * @returns {Buffer|null} Decoded bytes, or null if the text is not base32
+ */
+function decodeBase32(text) {
+    const bytes = [];
+    let buffer = 0;
+    let bits = 0;
+
+    for (const char of text) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) {
+            return null;
+        }
+        buffer = ((buffer << 5) | value) & 0xffff;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((buffer >>> (bits - 8)) & 0xff);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * Compute the CIDv1 of content stored as a single raw block
+ * This is the CID IPFS gives the same bytes with
+ * `ipfs block put --cid-codec raw --mhtype sha2-256`, so content stored
+ * locally can be pinned later under the CID already recorded for it.
+ * @param {Buffer} content - Block content
+ * @returns {string} CID such as "bafkrei..."
+ */
+function computeCID(content) {
+    const digest = crypto.createHash('sha256').update(content).digest();
+    return BASE32_PREFIX + encodeBase32(Buffer.concat([RAW_SHA256_HEADER, digest]));
+}
+
+/**
+ * Read the SHA-256 digest out of a raw block CID
+ * @param {string} cid - CID
+ * @returns {Buffer|null} Digest, or null if the CID is not a CIDv1 of a raw SHA-256 block
+ */
+function parseRawCID(cid) {
+    if (typeof cid !== 'string' || cid.length !== RAW_CID_LENGTH || !cid.startsWith(BASE32_PREFIX)) {
+        return null;
+    }
+
+    // Only the canonical spelling is accepted, so each block has exactly one name
+    const bytes = decodeBase32(cid.slice(BASE32_PREFIX.length));
+    if (!bytes || BASE32_PREFIX + encodeBase32(bytes) !== cid
+        || !bytes.subarray(0, RAW_SHA256_HEADER.length).equals(RAW_SHA256_HEADER)) {
+        return null;
+    }
+
+    return bytes.subarray(RAW_SHA256_HEADER.length);
+}
+
+/**
+ * Check whether an identifier is a CID whose content this backend can check
+ * @param {string} cid - CID or other storage identifier
+ * @returns {boolean} True for a CIDv1 of a raw SHA-256 block
+ */
+function isRawCID(cid) {
+    return parseRawCID(cid) !== null;
+}
+
+/**
+ * Check content against the CID it was retrieved by
+ * @param {string} cid - Raw block CID
+ * @param {Buffer} content - Retrieved content
+ * @returns {boolean} True if the content hashes to the CID
+ */
+function matchesCID(cid, content) {
+    const digest = parseRawCID(cid);
+    return digest !== null && crypto.createHash('sha256').update(content).digest().equals(digest);
+}
+
+module.exports = {
+    computeCID,
+    isRawCID,
+    matchesCID
+};
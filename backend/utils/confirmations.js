@@ -0,0 +1,186 @@
+const { getProvider } = require('./web3');
+const { getTransactionByHash, getTransactionsByStatus, updateTransactionStatus } = require('../db/database');
+
+// Blocks a transaction must be buried under before it counts as confirmed
+const CONFIRMATION_DEPTH = parseInt(process.env.CONFIRMATION_DEPTH) || 1;
+
+// How often to re-check unconfirmed transactions
+const POLL_INTERVAL = parseInt(process.env.CONFIRMATION_POLL_INTERVAL) || 5000;
+
+// How long a transaction may be missing from both chain and mempool before it is failed
+const DROP_TIMEOUT = parseInt(process.env.TX_DROP_TIMEOUT) || 10 * 60 * 1000;
+
+// Statuses that can still change
+const OPEN_STATUSES = ['pending', 'orphaned'];
+
+let timer = null;
+let stopped = true;
+
+/**
+ * Parse a SQLite CURRENT_TIMESTAMP value, which is UTC without a zone marker
+ * @param {string} value - SQLite datetime
+ * @returns {number} Milliseconds since the epoch
+ */
+function parseSqliteTime(value) {
+    return Date.parse(value.replace(' ', 'T') + 'Z');
+}
+
+/**
+ * Work out a transaction's status from the chain
+ * A receipt in a different block than recorded means the transaction was
+ * re-mined after a reorg; no receipt for a transaction that had a block means
+ * its block was orphaned. Transactions that vanish from the mempool as well
+ * are failed once DROP_TIMEOUT has passed.
+ * @param {Object} record - Transaction record
+ * @param {number} latestBlock - Current block number
+ * @returns {Promise<Object>} New status, its block inclusion and confirmations
+ */
+async function checkTransaction(record, latestBlock) {
+    const provider = getProvider();
+    const receipt = await provider.getTransactionReceipt(record.txHash);
+
+    if (receipt) {
+        const inclusion = { blockNumber: receipt.blockNumber, blockHash: receipt.blockHash };
+        const confirmations = latestBlock - receipt.blockNumber + 1;
+
+        if (receipt.status === 0) {
+            return { status: 'failed', inclusion, confirmations };
+        }
+
+        return {
+            status: confirmations >= CONFIRMATION_DEPTH ? 'confirmed' : 'pending',
+            inclusion,
+            confirmations
+        };
+    }
+
+    const status = record.blockHash ? 'orphaned' : 'pending';
+    const inMempool = await provider.getTransaction(record.txHash);
+    const since = parseSqliteTime(record.updatedAt || record.createdAt);
+
+    if (!inMempool && Date.now() - since > DROP_TIMEOUT) {
+        return { status: 'failed', inclusion: null, confirmations: 0 };
+    }
+
+    return { status, inclusion: null, confirmations: 0 };
+}
+
+/**
+ * Re-check a transaction and store its status if it changed
+ * @param {Object} record - Transaction record
+ * @param {number} latestBlock - Current block number
+ * @returns {Promise<Object>} Current status and confirmations
+ */
+async function refreshTransaction(record, latestBlock) {
+    const result = await checkTransaction(record, latestBlock);
+    const moved = Boolean(result.inclusion) && result.inclusion.blockHash !== record.blockHash;
+
+    if (result.status !== record.status || moved) {
+        // Orphaned transactions keep their old block until they are re-mined
+        await updateTransactionStatus(record.txHash, result.status, moved ? result.inclusion : null);
+
+        if (result.status !== record.status) {
+            console.log(`⛓️  Transaction ${record.txHash} is now ${result.status}`);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Get a transaction's current status, re-checking the chain if it can still change
+ * @param {string} txHash - Transaction hash
+ * @returns {Promise<Object|null>} Transaction record with confirmations, or null if unknown
+ */
+async function getTransactionStatus(txHash) {
+    let record = await getTransactionByHash(txHash);
+
+    if (!record) {
+        return null;
+    }
+
+    const provider = getProvider();
+    if (!provider) {
+        return { ...record, confirmations: null, requiredConfirmations: CONFIRMATION_DEPTH };
+    }
+
+    const latestBlock = await provider.getBlockNumber();
+    let confirmations;
+
+    if (OPEN_STATUSES.includes(record.status)) {
+        confirmations = (await refreshTransaction(record, latestBlock)).confirmations;
+        record = await getTransactionByHash(txHash);
+    } else {
+        confirmations = record.blockNumber ? latestBlock - record.blockNumber + 1 : 0;
+    }
+
+    return { ...record, confirmations, requiredConfirmations: CONFIRMATION_DEPTH };
+}
+
+/**
+ * Re-check every transaction that is still pending or orphaned
+ * @returns {Promise<number>} Number of transactions checked
+ */
+async function trackConfirmations() {
+    const provider = getProvider();
+    if (!provider) {
+        return 0;
+    }
+
+    const records = await getTransactionsByStatus(OPEN_STATUSES);
+    if (records.length === 0) {
+        return 0;
+    }
+
+    const latestBlock = await provider.getBlockNumber();
+    for (const record of records) {
+        await refreshTransaction(record, latestBlock);
+    }
+
+    return records.length;
+}
+
+/**
+ * Run one check and schedule the next
+ */
+async function poll() {
+    try {
+        await trackConfirmations();
+    } catch (error) {
+        console.warn('⚠️  Confirmation tracking failed:', error.message);
+    }
+
+    if (!stopped) {
+        timer = setTimeout(poll, POLL_INTERVAL);
+        timer.unref();
+    }
+}
+
+/**
+ * Start tracking confirmations of pending transactions in the background
+ */
+function startConfirmationTracker() {
+    if (!stopped) {
+        return;
+    }
+
+    stopped = false;
+    console.log(`⛓️  Confirmation tracker started (${CONFIRMATION_DEPTH} confirmations required)`);
+    poll();
+}
+
+/**
+ * Stop the background confirmation tracker
+ */
+function stopConfirmationTracker() {
+    stopped = true;
+    clearTimeout(timer);
+}
+
+module.exports = {
+    CONFIRMATION_DEPTH,
+    getTransactionStatus,
+    trackConfirmations,
+    startConfirmationTracker,
+    stopConfirmationTracker
+};
@@ -0,0 +1,256 @@
+const { ethers } = require('ethers');
+const { signTypedData } = require('./web3');
+
+// Contexts of the credential: the VC data model and the EIP-712 proof suite
+const CREDENTIAL_CONTEXT = [
+    'https://www.w3.org/ns/credentials/v2',
+    'https://w3id.org/security/suites/eip712sig-2021/v1'
+];
+
+const PROOF_TYPE = 'EthereumEip712Signature2021';
+
+// credentialStatus type that points back to CertificateRegistry
+const STATUS_TYPE = 'CertificateRegistryStatus';
+
+/**
+ * EIP-712 domain credentials are signed under
+ * @param {number} chainId - Chain the issuer's registry lives on
+ * @returns {Object} EIP-712 domain
+ */
+function credentialDomain(chainId) {
+    return {
+        name: 'CertiChain Verifiable Credential',
+        version: '1',
+        chainId: chainId
+    };
+}
+
+/**
+ * Name an Ethereum account as a did:pkh DID
+ * @param {number|string} chainId - Chain ID
+ * @param {string} address - Account address
+ * @returns {string} DID
+ */
+function toIssuerDid(chainId, address) {
+    return `did:pkh:eip155:${chainId}:${ethers.getAddress(address)}`;
+}
+
+/**
+ * Get the issuer DID of a credential, whose issuer is a DID or a profile with one
+ * @param {Object} credential - Credential
+ * @returns {string|undefined} Issuer DID
+ */
+function getIssuerId(credential) {
+    const issuer = credential.issuer;
+    return issuer && typeof issuer === 'object' ? issuer.id : issuer;
+}
+
+/**
+ * Parse a did:pkh DID for an Ethereum account
+ * @param {string} did - DID
+ * @returns {Object|null} Chain ID and checksummed address, or null if not an Ethereum did:pkh
+ */
+function parseIssuerDid(did) {
+    const match = typeof did === 'string' && did.match(/^did:pkh:eip155:(\d+):(0x[0-9a-fA-F]{40})$/);
+    return match ? { chainId: Number(match[1]), address: ethers.getAddress(match[2]) } : null;
+}
+
+/**
+ * Check for a JSON object that is not an array
+ * @param {*} value - Value
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Build the credentialStatus entry that points back to the registry
+ * @param {Object} registry - chainId, contractAddress and the status URL of the certificate
+ * @param {string} docHash - Anchored document hash
+ * @returns {Object} credentialStatus entry
+ */
+function buildRegistryStatus(registry, docHash) {
+    return {
+        id: registry.statusUrl,
+        type: STATUS_TYPE,
+        registry: `eip155:${registry.chainId}:${ethers.getAddress(registry.contractAddress)}`,
+        documentHash: docHash.toLowerCase()
+    };
+}
+
+/**
+ * Build a credential ID that is stable for a certificate in a registry
+ * @param {Object} registry - chainId and contractAddress
+ * @param {string} docHash - Anchored document hash
+ * @returns {string} URN
+ */
+function buildCredentialId(registry, docHash) {
+    return `urn:certichain:eip155:${registry.chainId}:${registry.contractAddress.toLowerCase()}:${docHash.toLowerCase()}`;
+}
+
+/**
+ * Generate EIP-712 types that cover every field of a credential
+ * Types are derived from the document itself, sorted by field name, so the
+ * signature covers exactly what is in the credential. Nested objects become
+ * struct types named after their field.
+ * @param {Object} value - Credential, or a nested object of it
+ * @param {string} [typeName='VerifiableCredential'] - Type name for value
+ * @param {Object} [types={}] - Types collected so far
+ * @returns {Object} EIP-712 types
+ * @throws {Error} If a field cannot be represented
+ */
+function generateTypes(value, typeName = 'VerifiableCredential', types = {}) {
+    types[typeName] = Object.keys(value).sort().map((key) => {
+        const field = value[key];
+
+        if (typeof field === 'string') {
+            return { name: key, type: 'string' };
+        }
+        if (typeof field === 'boolean') {
+            return { name: key, type: 'bool' };
+        }
+        if (Array.isArray(field) && field.every(item => typeof item === 'string')) {
+            return { name: key, type: 'string[]' };
+        }
+
+        const nestedName = key.charAt(0).toUpperCase() + key.slice(1);
+        if (field && typeof field === 'object' && types[nestedName]) {
+            throw new Error(`Credential field ${key} repeats a nested type name`);
+        }
+
+        // Arrays of objects must share one shape, taken from the first item
+        if (Array.isArray(field) && field.length > 0 && field.every(isPlainObject)) {
+            const shape = Object.keys(field[0]).sort().join();
+            if (!field.every(item => Object.keys(item).sort().join() === shape)) {
+                throw new Error(`Credential field ${key} mixes object shapes`);
+            }
+            generateTypes(field[0], nestedName, types);
+            return { name: key, type: `${nestedName}[]` };
+        }
+        if (isPlainObject(field)) {
+            generateTypes(field, nestedName, types);
+            return { name: key, type: nestedName };
+        }
+
+        throw new Error(`Credential field ${key} has an unsupported value`);
+    });
+
+    return types;
+}
+
+/**
+ * Build an unsigned credential for an issued certificate
+ * @param {Object} certificate - docHash, metadata, issuer, issuedAt and optional expiresAt (ISO dates)
+ * @param {Object} registry - chainId, contractAddress and the status URL of the certificate
+ * @returns {Object} Credential without a proof
+ */
+function buildCredential(certificate, registry) {
+    // Empty metadata fields are left out rather than signed as empty strings
+    const subject = { documentHash: certificate.docHash.toLowerCase() };
+    Object.entries(certificate.metadata).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            subject[key] = String(value);
+        }
+    });
+
+    const credential = {
+        '@context': CREDENTIAL_CONTEXT,
+        id: buildCredentialId(registry, certificate.docHash),
+        type: ['VerifiableCredential', 'CertificateCredential'],
+        issuer: toIssuerDid(registry.chainId, certificate.issuer),
+        validFrom: certificate.issuedAt,
+        credentialSubject: subject,
+        credentialStatus: buildRegistryStatus(registry, certificate.docHash)
+    };
+
+    if (certificate.expiresAt) {
+        credential.validUntil = certificate.expiresAt;
+    }
+
+    return credential;
+}
+
+/**
+ * Sign a credential with the backend signer as an EthereumEip712Signature2021 proof
+ * The proof options are signed along with the credential; the EIP-712 domain
+ * and types are embedded so any verifier can check the proof.
+ * @param {Object} credential - Unsigned credential
+ * @returns {Promise<Object>} Credential with its proof
+ */
+async function signCredential(credential) {
+    const issuerId = getIssuerId(credential);
+    const { chainId } = parseIssuerDid(issuerId);
+    const options = {
+        type: PROOF_TYPE,
+        created: new Date().toISOString(),
+        proofPurpose: 'assertionMethod',
+        verificationMethod: `${issuerId}#blockchainAccountId`
+    };
+
+    const value = { ...credential, proof: options };
+    const domain = credentialDomain(chainId);
+    const types = generateTypes(value);
+
+    return {
+        ...credential,
+        proof: {
+            ...options,
+            proofValue: await signTypedData(domain, types, value),
+            eip712: { domain, types, primaryType: 'VerifiableCredential' }
+        }
+    };
+}
+
+/**
+ * Check that a credential was signed by the account its issuer DID names
+ * The types are regenerated from the credential rather than trusted from the
+ * proof, so fields cannot be added without breaking the signature.
+ * @param {Object} credential - Signed credential
+ * @returns {Object} valid, the issuer's chain ID and address, and a reason when invalid
+ */
+function verifyCredentialProof(credential) {
+    if (!credential || typeof credential !== 'object') {
+        return { valid: false, reason: 'Credential must be a JSON object' };
+    }
+
+    const { proof, ...document } = credential;
+    if (!proof || proof.type !== PROOF_TYPE || typeof proof.proofValue !== 'string') {
+        return { valid: false, reason: `Credential has no ${PROOF_TYPE} proof` };
+    }
+
+    const issuerId = getIssuerId(credential);
+    const issuer = parseIssuerDid(issuerId);
+    if (!issuer) {
+        return { valid: false, reason: 'Issuer must be a did:pkh Ethereum account' };
+    }
+    if (proof.verificationMethod !== `${issuerId}#blockchainAccountId`) {
+        return { valid: false, reason: 'Proof verification method does not belong to the issuer' };
+    }
+
+    const { proofValue, eip712, ...options } = proof;
+    const value = { ...document, proof: options };
+
+    let signer;
+    try {
+        signer = ethers.verifyTypedData(credentialDomain(issuer.chainId), generateTypes(value), value, proofValue);
+    } catch (error) {
+        return { valid: false, reason: `Malformed credential: ${error.shortMessage || error.message}` };
+    }
+
+    if (signer !== issuer.address) {
+        return { valid: false, reason: 'Signature was not made by the credential issuer' };
+    }
+
+    return { valid: true, chainId: issuer.chainId, issuer: issuer.address };
+}
+
+module.exports = {
+    STATUS_TYPE,
+    toIssuerDid,
+    buildRegistryStatus,
+    buildCredentialId,
+    buildCredential,
+    signCredential,
+    verifyCredentialProof
+};
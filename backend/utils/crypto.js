@@ -18,58 +18,211 @@ function hashDocumentForBlockchain(fileBuffer) {
     return '0x' + hashDocument(fileBuffer);
 }
 
+// Current metadata envelope format
+const ENVELOPE_VERSION = 3;
+
+// Envelope format for metadata encrypted with its own data key
+const DATA_KEY_ENVELOPE_VERSION = 4;
+
+// scrypt cost parameters for deriving envelope keys from the passphrase
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+// Parameter sets envelopes have been written with; the cost named in a stored
+// envelope is untrusted, so anything else is refused rather than derived
+const KNOWN_SCRYPT_PARAMS = [SCRYPT_PARAMS];
+
+// GCM tags are always written at full length; shorter ones are easier to forge
+const AUTH_TAG_LENGTH = 16;
+
 /**
- * Encrypt data using AES-256-CBC
- * @param {Object} data - Data to encrypt
- * @param {string} key - Encryption key (32 characters)
- * @returns {Object} Encrypted data with IV
+ * Derive a 256-bit key from a passphrase with scrypt
+ * @param {string} passphrase - Encryption passphrase
+ * @param {Buffer} salt - Random salt
+ * @param {Object} params - scrypt N, r and p
+ * @returns {Buffer} Derived key
  */
-function encryptMetadata(data, key) {
-    // Ensure key is 32 bytes
-    const encryptionKey = crypto.createHash('sha256').update(key).digest();
+function deriveKey(passphrase, salt, params) {
+    return crypto.scryptSync(passphrase, salt, 32, params);
+}
+
+/**
+ * Look up the scrypt parameters named in a stored envelope
+ * @param {Object} params - scrypt N, r and p from the envelope
+ * @returns {Object} The matching known parameter set
+ * @throws {Error} If the parameters are not a known set
+ */
+function checkKdfParams(params) {
+    const known = KNOWN_SCRYPT_PARAMS.find(candidate => params
+        && params.N === candidate.N && params.r === candidate.r && params.p === candidate.p);
+
+    if (!known) {
+        throw new Error('Unsupported scrypt parameters in metadata envelope');
+    }
+    return known;
+}
+
+/**
+ * Create an AES-256-GCM decipher for an envelope, requiring a full-length tag
+ * @param {Buffer} key - 256-bit key
+ * @param {Object} envelope - Envelope with iv and authTag in hex
+ * @returns {crypto.DecipherGCM} Decipher with the tag set
+ * @throws {Error} If the tag is not 16 bytes
+ */
+function createGcmDecipher(key, envelope) {
+    const authTag = Buffer.from(String(envelope.authTag), 'hex');
+    if (authTag.length !== AUTH_TAG_LENGTH) {
+        throw new Error(`Metadata envelope auth tag must be ${AUTH_TAG_LENGTH} bytes`);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'hex'), { authTagLength: AUTH_TAG_LENGTH });
+    decipher.setAuthTag(authTag);
+    return decipher;
+}
 
-    // Generate random IV
-    const iv = crypto.randomBytes(16);
+/**
+ * Encrypt data into a versioned AES-256-GCM envelope
+ * The key ID is bound to the ciphertext as additional authenticated data.
+ * @param {Object} data - Data to encrypt
+ * @param {string} key - Encryption passphrase
+ * @param {string} keyId - ID of the passphrase in the keyring
+ * @returns {Object} Envelope with key ID, salt, IV, auth tag and ciphertext
+ */
+function encryptMetadata(data, key, keyId) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const encryptionKey = deriveKey(key, salt, SCRYPT_PARAMS);
 
-    // Create cipher
-    const cipher = crypto.createCipheriv('aes-256-cbc', encryptionKey, iv);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv, { authTagLength: AUTH_TAG_LENGTH });
+    cipher.setAAD(Buffer.from(keyId, 'utf8'));
 
-    // Encrypt data
     const jsonData = JSON.stringify(data);
     let encrypted = cipher.update(jsonData, 'utf8', 'hex');
     encrypted += cipher.final('hex');
 
     return {
-        encrypted: encrypted,
+        version: ENVELOPE_VERSION,
+        keyId: keyId,
+        algorithm: 'aes-256-gcm',
+        kdf: 'scrypt',
+        kdfParams: SCRYPT_PARAMS,
+        salt: salt.toString('hex'),
         iv: iv.toString('hex'),
-        algorithm: 'aes-256-cbc'
+        authTag: cipher.getAuthTag().toString('hex'),
+        encrypted: encrypted
     };
 }
 
 /**
- * Decrypt AES-256-CBC encrypted data
+ * Decrypt a metadata envelope of any supported version
+ * Version 1 is the original AES-256-CBC format (no version field); version 2 is
+ * AES-256-GCM without a key ID; version 3 adds an authenticated key ID.
+ * @param {Object} envelope - Envelope as stored on IPFS
+ * @param {string} key - Encryption passphrase for the envelope's key ID
+ * @returns {Object} Decrypted data
+ * @throws {Error} If the envelope is unsupported or fails authentication
+ */
+function decryptMetadata(envelope, key) {
+    const version = envelope.version || 1;
+
+    if (version === 1) {
+        return decryptLegacyMetadata(envelope.encrypted, envelope.iv, key);
+    }
+
+    if (version > ENVELOPE_VERSION || envelope.algorithm !== 'aes-256-gcm' || envelope.kdf !== 'scrypt') {
+        throw new Error(`Unsupported metadata envelope (version ${version}, ${envelope.algorithm})`);
+    }
+
+    const encryptionKey = deriveKey(key, Buffer.from(envelope.salt, 'hex'), checkKdfParams(envelope.kdfParams));
+
+    const decipher = createGcmDecipher(encryptionKey, envelope);
+    if (version >= 3) {
+        decipher.setAAD(Buffer.from(envelope.keyId, 'utf8'));
+    }
+
+    // final() throws if the ciphertext, key ID or tag was tampered with
+    let decrypted = decipher.update(envelope.encrypted, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+
+    return JSON.parse(decrypted);
+}
+
+/**
+ * Decrypt the original AES-256-CBC envelope format
+ * Kept so metadata written before versioned envelopes still decrypts.
  * @param {string} encryptedData - Encrypted data in hex
  * @param {string} ivHex - Initialization vector in hex
  * @param {string} key - Decryption key
  * @returns {Object} Decrypted data
  */
-function decryptMetadata(encryptedData, ivHex, key) {
-    // Ensure key is 32 bytes
+function decryptLegacyMetadata(encryptedData, ivHex, key) {
+    // Legacy envelopes derived the key with a bare SHA-256
     const encryptionKey = crypto.createHash('sha256').update(key).digest();
 
-    // Convert IV from hex
     const iv = Buffer.from(ivHex, 'hex');
-
-    // Create decipher
     const decipher = crypto.createDecipheriv('aes-256-cbc', encryptionKey, iv);
 
-    // Decrypt data
     let decrypted = decipher.update(encryptedData, 'hex', 'utf8');
     decrypted += decipher.final('utf8');
 
     return JSON.parse(decrypted);
 }
 
+/**
+ * Generate a random 256-bit data key for a single certificate
+ * @returns {Buffer} Data key
+ */
+function generateDataKey() {
+    return crypto.randomBytes(32);
+}
+
+/**
+ * Encrypt data with a per-certificate data key
+ * The data key is random, so no key derivation is needed; its ID is bound to
+ * the ciphertext as additional authenticated data.
+ * @param {Object} data - Data to encrypt
+ * @param {Buffer} dataKey - 256-bit data key
+ * @param {string} dataKeyId - ID of the data key
+ * @returns {Object} Envelope with data key ID, IV, auth tag and ciphertext
+ */
+function encryptWithDataKey(data, dataKey, dataKeyId) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, iv, { authTagLength: AUTH_TAG_LENGTH });
+    cipher.setAAD(Buffer.from(dataKeyId, 'utf8'));
+
+    let encrypted = cipher.update(JSON.stringify(data), 'utf8', 'hex');
+    encrypted += cipher.final('hex');
+
+    return {
+        version: DATA_KEY_ENVELOPE_VERSION,
+        dataKeyId: dataKeyId,
+        algorithm: 'aes-256-gcm',
+        iv: iv.toString('hex'),
+        authTag: cipher.getAuthTag().toString('hex'),
+        encrypted: encrypted
+    };
+}
+
+/**
+ * Decrypt data encrypted with a per-certificate data key
+ * @param {Object} envelope - Envelope from encryptWithDataKey()
+ * @param {Buffer} dataKey - 256-bit data key
+ * @returns {Object} Decrypted data
+ * @throws {Error} If the envelope is unsupported or fails authentication
+ */
+function decryptWithDataKey(envelope, dataKey) {
+    if (envelope.version !== DATA_KEY_ENVELOPE_VERSION || envelope.algorithm !== 'aes-256-gcm') {
+        throw new Error(`Unsupported data key envelope (version ${envelope.version}, ${envelope.algorithm})`);
+    }
+
+    const decipher = createGcmDecipher(dataKey, envelope);
+    decipher.setAAD(Buffer.from(envelope.dataKeyId, 'utf8'));
+
+    let decrypted = decipher.update(envelope.encrypted, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+
+    return JSON.parse(decrypted);
+}
+
 /**
  * Generate a random encryption key
  * @returns {string} Random 32-character key
@@ -78,10 +231,40 @@ function generateEncryptionKey() {
     return crypto.randomBytes(32).toString('hex');
 }
 
+/**
+ * Generate a new API key
+ * The prefix is stored in clear so keys can be identified without revealing them.
+ * @returns {Object} The full key and its public prefix
+ */
+function generateApiKey() {
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const secret = crypto.randomBytes(24).toString('hex');
+
+    return {
+        key: `cck_${prefix}_${secret}`,
+        prefix: prefix
+    };
+}
+
+/**
+ * Hash an API key for storage and lookup
+ * API keys are long random secrets, so a fast unsalted hash is sufficient.
+ * @param {string} apiKey - API key
+ * @returns {string} Hexadecimal SHA-256 hash
+ */
+function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
 module.exports = {
     hashDocument,
     hashDocumentForBlockchain,
     encryptMetadata,
     decryptMetadata,
-    generateEncryptionKey
+    generateDataKey,
+    encryptWithDataKey,
+    decryptWithDataKey,
+    generateEncryptionKey,
+    generateApiKey,
+    hashApiKey
 };
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const { generateDataKey, encryptWithDataKey, decryptWithDataKey } = require('./crypto');
+const { encryptWithActiveKey, decryptWithKeyring } = require('./keyring');
+const { uploadToIPFS } = require('./ipfs');
+const { DIGEST_ALGORITHM, SALTS_FIELD, commitMetadata } = require('./disclosure');
+const { insertDataKey, getDataKey, getDataKeysNotWrappedWith, updateWrappedDataKey } = require('../db/database');
+
+/**
+ * Wrap a data key with the active master key
+ * The data key ID is wrapped with it so a wrapped key cannot be swapped between records.
+ * @param {string} dataKeyId - Data key ID
+ * @param {Buffer} dataKey - 256-bit data key
+ * @returns {Object} Master key ID and the wrapped key as JSON
+ */
+function wrapDataKey(dataKeyId, dataKey) {
+    const envelope = encryptWithActiveKey({ dataKeyId: dataKeyId, dataKey: dataKey.toString('hex') });
+    return { keyId: envelope.keyId, wrappedKey: JSON.stringify(envelope) };
+}
+
+/**
+ * Unwrap a stored data key with the master key it names
+ * @param {Object} record - Data key record
+ * @returns {Buffer} 256-bit data key
+ * @throws {Error} If the wrapped key belongs to another record
+ */
+function unwrapDataKey(record) {
+    const unwrapped = decryptWithKeyring(JSON.parse(record.wrappedKey));
+
+    if (unwrapped.dataKeyId !== record.id) {
+        throw new Error(`Wrapped data key does not belong to ${record.id}`);
+    }
+
+    return Buffer.from(unwrapped.dataKey, 'hex');
+}
+
+/**
+ * Check whether an envelope is encrypted with a per-certificate data key
+ * @param {Object} envelope - Metadata envelope
+ * @returns {boolean} True if the envelope names a data key
+ */
+function isDataKeyEnvelope(envelope) {
+    return Boolean(envelope) && typeof envelope.dataKeyId === 'string';
+}
+
+/**
+ * Encrypt a certificate's personal data with a new data key of its own
+ * @param {Object} metadata - Certificate metadata
+ * @param {string} docHash - Document hash the metadata belongs to
+ * @returns {Promise<Object>} Envelope referencing the stored data key
+ */
+async function encryptPersonalData(metadata, docHash) {
+    const dataKeyId = crypto.randomUUID();
+    const dataKey = generateDataKey();
+
+    await insertDataKey({
+        id: dataKeyId,
+        docHash: docHash,
+        ...wrapDataKey(dataKeyId, dataKey)
+    });
+
+    return encryptWithDataKey(metadata, dataKey, dataKeyId);
+}
+
+/**
+ * Encrypt certificate metadata with its own data key and upload it to IPFS
+ * Salted commitments to each field are uploaded next to the ciphertext, so
+ * fields the holder discloses can be checked without decrypting anything.
+ * The salts are encrypted with the metadata.
+ * @param {Object} metadata - Certificate metadata
+ * @param {string} docHash - Document hash the metadata belongs to
+ * @returns {Promise<string>} CID of the encrypted metadata
+ */
+async function uploadEncryptedMetadata(metadata, docHash) {
+    const { salts, digests } = commitMetadata(metadata);
+    const envelope = await encryptPersonalData({ ...metadata, [SALTS_FIELD]: salts }, docHash.toLowerCase());
+
+    return uploadToIPFS({ ...envelope, commitments: { algorithm: DIGEST_ALGORITHM, digests } });
+}
+
+/**
+ * Decrypt certificate metadata of any envelope version
+ * Envelopes encrypted with the shared master key are decrypted directly.
+ * @param {Object} envelope - Metadata envelope
+ * @returns {Promise<Object>} Metadata, or erased: true with the erasure time
+ * @throws {Error} If the data key is unknown or decryption fails
+ */
+async function decryptPersonalData(envelope) {
+    if (!isDataKeyEnvelope(envelope)) {
+        return { erased: false, metadata: decryptWithKeyring(envelope) };
+    }
+
+    const record = await getDataKey(envelope.dataKeyId);
+
+    if (!record) {
+        throw new Error(`Unknown data key ${envelope.dataKeyId}`);
+    }
+    if (record.erasedAt) {
+        return { erased: true, erasedAt: record.erasedAt };
+    }
+
+    return { erased: false, metadata: decryptWithDataKey(envelope, unwrapDataKey(record)) };
+}
+
+/**
+ * Re-wrap every live data key that is not under the active master key
+ * @param {string} activeKeyId - Active master key ID
+ * @returns {Promise<Object>} Counts of re-wrapped and failed data keys
+ */
+async function rewrapDataKeys(activeKeyId) {
+    let rewrapped = 0;
+    let failed = 0;
+
+    for (const record of await getDataKeysNotWrappedWith(activeKeyId)) {
+        try {
+            const { keyId, wrappedKey } = wrapDataKey(record.id, unwrapDataKey(record));
+            if (await updateWrappedDataKey(record.id, keyId, wrappedKey)) {
+                rewrapped++;
+            }
+        } catch (error) {
+            console.error(`❌ Data key ${record.id}: ${error.message}`);
+            failed++;
+        }
+    }
+
+    return { rewrapped, failed };
+}
+
+module.exports = {
+    isDataKeyEnvelope,
+    encryptPersonalData,
+    uploadEncryptedMetadata,
+    decryptPersonalData,
+    rewrapDataKeys
+};
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+
+// Digest algorithm recorded next to the commitments
+const DIGEST_ALGORITHM = 'sha-256';
+
+// Field of the encrypted metadata that holds the salts
+const SALTS_FIELD = 'disclosureSalts';
+
+/**
+ * Hash one disclosure into the commitment stored for it
+ * @param {Array} disclosure - [salt, field name, value]
+ * @returns {string} Hex digest
+ */
+function digestDisclosure(disclosure) {
+    return crypto.createHash('sha256').update(JSON.stringify(disclosure)).digest('hex');
+}
+
+/**
+ * Commit to every present metadata field with a fresh salt
+ * The digests are published next to the encrypted metadata; the salts stay
+ * inside it, so nobody can test guesses against a digest without the holder
+ * handing over that field's disclosure.
+ * @param {Object} metadata - Certificate metadata
+ * @returns {Object} Salts by field name, and the sorted digests to publish
+ */
+function commitMetadata(metadata) {
+    const salts = {};
+    const digests = [];
+
+    Object.entries(metadata).forEach(([name, value]) => {
+        if (value === undefined || value === null || value === '') {
+            return;
+        }
+        salts[name] = crypto.randomBytes(16).toString('base64url');
+        digests.push(digestDisclosure([salts[name], name, String(value)]));
+    });
+
+    // Sorted so the order does not reveal which digest belongs to which field
+    return { salts, digests: digests.sort() };
+}
+
+/**
+ * Separate the salts from decrypted metadata
+ * @param {Object} payload - Decrypted metadata, with salts if it was committed to
+ * @returns {Object} Metadata without salts, and the salts (null for older certificates)
+ */
+function detachSalts(payload) {
+    const { [SALTS_FIELD]: salts, ...metadata } = payload;
+    return { metadata, salts: salts || null };
+}
+
+/**
+ * Build the disclosures for the fields a holder chose to reveal
+ * @param {Object} metadata - Decrypted certificate metadata
+ * @param {Object} salts - Salts by field name
+ * @param {string[]} fields - Fields to disclose
+ * @returns {Array<Array>} [salt, field name, value] per field
+ * @throws {Error} If a field has no commitment
+ */
+function buildDisclosures(metadata, salts, fields) {
+    return fields.map((name) => {
+        if (!salts[name]) {
+            throw new Error(`Field ${name} is not present in this certificate`);
+        }
+        return [salts[name], name, String(metadata[name])];
+    });
+}
+
+/**
+ * Check disclosures against the published commitments
+ * @param {Array<Array>} disclosures - [salt, field name, value] entries
+ * @param {Object} commitments - Published commitments with algorithm and digests
+ * @returns {Object} Disclosed fields, or the entries that did not match
+ */
+function checkDisclosures(disclosures, commitments) {
+    const digests = new Set(commitments.digests);
+    const fields = {};
+    const invalid = [];
+
+    disclosures.forEach((disclosure, index) => {
+        const wellFormed = Array.isArray(disclosure) && disclosure.length === 3
+            && disclosure.every(part => typeof part === 'string');
+
+        if (!wellFormed || !digests.has(digestDisclosure(disclosure)) || disclosure[1] in fields) {
+            invalid.push(index);
+        } else {
+            fields[disclosure[1]] = disclosure[2];
+        }
+    });
+
+    return { fields, invalid };
+}
+
+module.exports = {
+    DIGEST_ALGORITHM,
+    SALTS_FIELD,
+    commitMetadata,
+    detachSalts,
+    buildDisclosures,
+    checkDisclosures
+};
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { getDeployment } = require('./web3');
+const { insertHolderChallenge, consumeHolderChallenge } = require('../db/database');
+
+// How long a holder has to sign a challenge
+const CHALLENGE_TTL = parseInt(process.env.HOLDER_CHALLENGE_TTL) || 5 * 60 * 1000;
+
+// Shown in the wallet when the holder signs
+const PROOF_STATEMENT = 'I hold this certificate and consent to its verification';
+
+const PROOF_TYPES = {
+    HolderProof: [
+        { name: 'statement', type: 'string' },
+        { name: 'docHash', type: 'bytes32' },
+        { name: 'nonce', type: 'bytes32' }
+    ]
+};
+
+/**
+ * EIP-712 domain holder proofs are signed under
+ * Binding it to the registry keeps a proof for one deployment from being used at another.
+ * @returns {Object} EIP-712 domain
+ */
+function proofDomain() {
+    const deployment = getDeployment();
+
+    return {
+        name: 'CertiChain Holder Proof',
+        version: '1',
+        chainId: Number(deployment.chainId),
+        verifyingContract: deployment.contractAddress
+    };
+}
+
+/**
+ * Issue a single-use challenge for the holder of a certificate to sign
+ * @param {string} docHash - Document hash of a holder-bound certificate
+ * @returns {Promise<Object>} Nonce, expiry, and the EIP-712 payload for the wallet to sign
+ */
+async function createHolderChallenge(docHash) {
+    const nonce = ethers.hexlify(crypto.randomBytes(32));
+    const expiresAt = Math.floor((Date.now() + CHALLENGE_TTL) / 1000);
+
+    await insertHolderChallenge({ nonce: nonce, docHash: docHash.toLowerCase(), expiresAt: expiresAt });
+
+    return {
+        nonce: nonce,
+        expiresAt: new Date(expiresAt * 1000).toISOString(),
+        domain: proofDomain(),
+        types: PROOF_TYPES,
+        primaryType: 'HolderProof',
+        message: {
+            statement: PROOF_STATEMENT,
+            docHash: docHash.toLowerCase(),
+            nonce: nonce
+        }
+    };
+}
+
+/**
+ * Check a signed challenge against the holder recorded on-chain
+ * The challenge is used up whether or not the signature matches.
+ * @param {string} docHash - Document hash being verified
+ * @param {string} holder - Holder address recorded for the certificate
+ * @param {Object} proof - nonce of the challenge and the holder's signature
+ * @returns {Promise<Object>} verified, the recovered signer, and a reason when not verified
+ */
+async function checkHolderProof(docHash, holder, proof) {
+    if (!(await consumeHolderChallenge(proof.nonce, docHash.toLowerCase()))) {
+        return { verified: false, signer: null, reason: 'Challenge is unknown, expired, already used or for another certificate' };
+    }
+
+    const message = { statement: PROOF_STATEMENT, docHash: docHash.toLowerCase(), nonce: proof.nonce };
+
+    let signer;
+    try {
+        signer = ethers.verifyTypedData(proofDomain(), PROOF_TYPES, message, proof.signature);
+    } catch (error) {
+        return { verified: false, signer: null, reason: `Malformed signature: ${error.shortMessage || error.message}` };
+    }
+
+    if (signer !== holder) {
+        return { verified: false, signer: signer, reason: 'Signer is not the certificate holder' };
+    }
+
+    return { verified: true, signer: signer };
+}
+
+module.exports = {
+    createHolderChallenge,
+    checkHolderProof
+};
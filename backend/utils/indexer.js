@@ -0,0 +1,318 @@
+const { getProvider, getContract, getDeployment, syncImplementations } = require('./web3');
+const { CONFIRMATION_DEPTH } = require('./confirmations');
+const { getSyncCheckpoint, applyIndexedEvents, getIndexedBlocks, rollbackIndexedEvents } = require('../db/database');
+
+// Contract events mirrored into the database
+const INDEXED_EVENTS = [
+    'CertificateIssued',
+    'CertificateRevoked',
+    'CertificateReissued',
+    'CertificateMigrated',
+    'BatchIssued',
+    'BatchCertificateRevoked',
+    'BatchMigrated',
+    'CertificateProposed',
+    'CertificateApproved',
+    'CertificateProposalCancelled',
+    'IssuerAdded',
+    'IssuerRemoved',
+    'IssuerCompromised',
+    'IssuerCompromiseCleared',
+    'InstitutionAdminAdded',
+    'InstitutionAdminRemoved',
+    'InstitutionRegistered',
+    'InstitutionUpdated',
+    'ApprovalThresholdSet'
+];
+
+// Part of the checkpoint name; bump it when INDEXED_EVENTS changes, so existing
+// databases replay the registry's history for the events they never indexed
+const INDEX_VERSION = 2;
+
+// How often to poll for new blocks, and how many blocks to request per query
+const POLL_INTERVAL = parseInt(process.env.INDEXER_POLL_INTERVAL) || 5000;
+const BLOCK_RANGE = parseInt(process.env.INDEXER_BLOCK_RANGE) || 2000;
+
+// Blocks must be buried this deep before their events are indexed
+const CONFIRMATIONS = parseInt(process.env.INDEXER_CONFIRMATIONS) || CONFIRMATION_DEPTH;
+
+let timer = null;
+let stopped = true;
+
+const status = {
+    enabled: process.env.INDEXER_ENABLED !== 'false',
+    confirmations: CONFIRMATIONS,
+    lastIndexedBlock: null,
+    lastRollback: null,
+    lastSyncedAt: null,
+    lastError: null
+};
+
+/**
+ * Decode a raw log into the fields the database stores
+ * @param {ethers.Contract} contract - Contract instance
+ * @param {ethers.Log} log - Raw log
+ * @returns {Object} Event name, transaction details and decoded arguments
+ */
+function decodeEvent(contract, log) {
+    const parsed = contract.interface.parseLog(log);
+    const event = {
+        name: parsed.name,
+        txHash: log.transactionHash,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        logIndex: log.index,
+        timestamp: Number(parsed.args.timestamp)
+    };
+
+    if (parsed.name === 'CertificateIssued') {
+        event.docHash = parsed.args.docHash;
+        event.ipfsCID = parsed.args.ipfsCID;
+        event.issuer = parsed.args.issuer;
+    } else if (parsed.name === 'CertificateRevoked' || parsed.name === 'BatchCertificateRevoked') {
+        event.docHash = parsed.args.docHash;
+        event.merkleRoot = parsed.name === 'BatchCertificateRevoked' ? parsed.args.merkleRoot : null;
+        event.revokedBy = parsed.args.revokedBy;
+        event.reasonCode = Number(parsed.args.reasonCode);
+    } else if (parsed.name === 'CertificateReissued') {
+        event.oldDocHash = parsed.args.oldDocHash;
+        event.newDocHash = parsed.args.newDocHash;
+        event.issuer = parsed.args.issuer;
+    } else if (parsed.name === 'CertificateMigrated') {
+        event.docHash = parsed.args.docHash;
+        event.issuer = parsed.args.issuer;
+    } else if (parsed.name === 'BatchIssued') {
+        event.merkleRoot = parsed.args.merkleRoot;
+        event.ipfsCID = parsed.args.ipfsCID;
+        event.issuer = parsed.args.issuer;
+        event.certificateCount = Number(parsed.args.certificateCount);
+    } else if (parsed.name === 'BatchMigrated') {
+        event.merkleRoot = parsed.args.merkleRoot;
+        event.issuer = parsed.args.issuer;
+    } else if (parsed.name === 'ApprovalThresholdSet') {
+        event.institutionId = parsed.args.institutionId;
+        event.threshold = Number(parsed.args.threshold);
+    } else if (parsed.name === 'CertificateProposed') {
+        event.docHash = parsed.args.docHash;
+        event.proposer = parsed.args.proposer;
+        event.threshold = Number(parsed.args.threshold);
+    } else if (parsed.name === 'CertificateApproved') {
+        event.docHash = parsed.args.docHash;
+        event.approver = parsed.args.approver;
+        event.approvals = Number(parsed.args.approvals);
+    } else if (parsed.name === 'CertificateProposalCancelled') {
+        event.docHash = parsed.args.docHash;
+        event.cancelledBy = parsed.args.cancelledBy;
+    } else if (parsed.name === 'IssuerAdded' || parsed.name === 'IssuerRemoved') {
+        event.issuer = parsed.args.issuer;
+        event.institutionId = parsed.args.institutionId;
+    } else if (parsed.name === 'IssuerCompromised') {
+        event.issuer = parsed.args.issuer;
+        event.since = Number(parsed.args.since);
+    } else if (parsed.name === 'IssuerCompromiseCleared') {
+        event.issuer = parsed.args.issuer;
+    } else if (parsed.name === 'InstitutionRegistered' || parsed.name === 'InstitutionUpdated') {
+        event.institutionId = parsed.args.institutionId;
+        event.institutionName = parsed.args.name;
+        event.domain = parsed.args.domain;
+        event.metadataCID = parsed.args.metadataCID;
+    } else {
+        event.admin = parsed.args.admin;
+        event.institutionId = parsed.args.institutionId;
+    }
+
+    return event;
+}
+
+/**
+ * Name of the checkpoint for the current deployment
+ * Checkpoints are per chain and contract, so a redeploy starts a fresh replay.
+ * @param {Object} deployment - Deployment info
+ * @returns {string} Checkpoint name
+ */
+function checkpointName(deployment) {
+    return `events:v${INDEX_VERSION}:${deployment.chainId}:${deployment.contractAddress.toLowerCase()}`;
+}
+
+/**
+ * Check whether a block is still part of the chain
+ * @param {ethers.Provider} provider - Provider
+ * @param {Object} block - blockNumber and blockHash as indexed
+ * @returns {Promise<boolean>} True if the chain has the same block at that height
+ */
+async function isOnChain(provider, block) {
+    const current = await provider.getBlock(block.blockNumber);
+    return current !== null && current.hash === block.blockHash;
+}
+
+/**
+ * Roll back indexed events from blocks the chain no longer has
+ * Runs before every sync, so a reorg that happened while the backend was down
+ * is caught on restart. If the checkpoint block is still on the chain, so are
+ * all blocks before it. Otherwise the blocks events were indexed from are
+ * checked newest first, and everything after the newest one still on the
+ * chain is rolled back.
+ * @param {ethers.Provider} provider - Provider
+ * @param {string} name - Checkpoint name
+ * @param {Object} checkpoint - blockNumber and blockHash of the last indexed block
+ * @returns {Promise<Object|null>} Checkpoint to resume from, or null to start over from the deployment block
+ */
+async function rollBackReorg(provider, name, checkpoint) {
+    if (await isOnChain(provider, checkpoint)) {
+        return checkpoint;
+    }
+
+    let ancestor = null;
+    let before = checkpoint.blockNumber;
+
+    while (ancestor === null) {
+        const blocks = await getIndexedBlocks(name, before);
+        if (blocks.length === 0) {
+            break;
+        }
+
+        for (const block of blocks) {
+            if (await isOnChain(provider, block)) {
+                ancestor = block;
+                break;
+            }
+        }
+        before = blocks[blocks.length - 1].blockNumber;
+    }
+
+    const rolledBack = await rollbackIndexedEvents(name, ancestor);
+    const since = ancestor ? `after block ${ancestor.blockNumber}` : 'since the deployment block';
+
+    console.warn(`⚠️  Block ${checkpoint.blockNumber} is no longer on the chain; rolled back ${rolledBack} indexed events ${since}`);
+    status.lastRollback = {
+        fromBlock: checkpoint.blockNumber,
+        toBlock: ancestor ? ancestor.blockNumber : null,
+        events: rolledBack,
+        at: new Date().toISOString()
+    };
+
+    return ancestor;
+}
+
+/**
+ * Replay contract events from the checkpoint up to the latest confirmed block
+ * Each block range is applied together with its checkpoint, so an interrupted
+ * sync resumes where it stopped without skipping or repeating events. Only
+ * blocks with INDEXER_CONFIRMATIONS confirmations are indexed, and events from
+ * blocks a reorg replaced are rolled back first.
+ * Events are decoded with the ABI of the registry's current implementation;
+ * upgrades of the other registries verification reads from are picked up here too.
+ * @returns {Promise<number>} Number of events applied
+ */
+async function syncEvents() {
+    if (!getProvider() || !getContract() || !getDeployment()) {
+        throw new Error('Web3 not initialized');
+    }
+
+    await syncImplementations();
+
+    const provider = getProvider();
+    const contract = getContract();
+    const deployment = getDeployment();
+
+    const name = checkpointName(deployment);
+    const stored = await getSyncCheckpoint(name);
+    const checkpoint = stored === null ? null : await rollBackReorg(provider, name, stored);
+    const confirmedBlock = await provider.getBlockNumber() - CONFIRMATIONS + 1;
+
+    // Registries still running an older implementation may not emit every event
+    const topics = [INDEXED_EVENTS
+        .map(event => contract.interface.getEvent(event))
+        .filter(Boolean)
+        .map(event => event.topicHash)];
+
+    let fromBlock = checkpoint === null ? (deployment.blockNumber || 0) : checkpoint.blockNumber + 1;
+    let applied = 0;
+    status.lastIndexedBlock = checkpoint === null ? null : checkpoint.blockNumber;
+
+    while (fromBlock <= confirmedBlock) {
+        const toBlock = Math.min(fromBlock + BLOCK_RANGE - 1, confirmedBlock);
+
+        const logs = await provider.getLogs({
+            address: deployment.contractAddress,
+            fromBlock: fromBlock,
+            toBlock: toBlock,
+            topics: topics
+        });
+
+        const events = logs
+            .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+            .map(log => decodeEvent(contract, log));
+
+        const block = await provider.getBlock(toBlock);
+        await applyIndexedEvents(name, events, toBlock, block.hash);
+
+        status.lastIndexedBlock = toBlock;
+        applied += events.length;
+        fromBlock = toBlock + 1;
+    }
+
+    return applied;
+}
+
+/**
+ * Run one sync and schedule the next
+ */
+async function poll() {
+    try {
+        const applied = await syncEvents();
+        if (applied > 0) {
+            console.log(`🔎 Indexed ${applied} contract events up to block ${status.lastIndexedBlock}`);
+        }
+        status.lastSyncedAt = new Date().toISOString();
+        status.lastError = null;
+    } catch (error) {
+        if (status.lastError !== error.message) {
+            console.warn('⚠️  Event indexer sync failed:', error.message);
+        }
+        status.lastError = error.message;
+    }
+
+    if (!stopped) {
+        timer = setTimeout(poll, POLL_INTERVAL);
+        timer.unref();
+    }
+}
+
+/**
+ * Start mirroring contract events into the database in the background
+ * Set INDEXER_ENABLED=false to turn the indexer off.
+ */
+function startIndexer() {
+    if (!status.enabled || !stopped) {
+        return;
+    }
+
+    stopped = false;
+    console.log(`🔎 Event indexer started (${CONFIRMATIONS} confirmations required)`);
+    poll();
+}
+
+/**
+ * Stop the background indexer after the current sync
+ */
+function stopIndexer() {
+    stopped = true;
+    clearTimeout(timer);
+}
+
+/**
+ * Get the indexer's progress
+ * @returns {Object} Whether it is enabled, the confirmations it waits for, the last indexed block,
+ *     the last rollback after a reorg and the last error
+ */
+function getIndexerStatus() {
+    return { ...status };
+}
+
+module.exports = {
+    syncEvents,
+    startIndexer,
+    stopIndexer,
+    getIndexerStatus
+};
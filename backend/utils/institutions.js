@@ -0,0 +1,93 @@
+const { ethers } = require('ethers');
+const { getInstitution } = require('./web3');
+
+/**
+ * Convert an institution identifier from a request into its on-chain form
+ * Short names such as "mit" are stored as bytes32 strings, so they read back
+ * unchanged; 32-byte hex IDs are used as they are.
+ * @param {string} institution - Short name (up to 31 bytes) or 32-byte hex ID
+ * @returns {string|null} bytes32 institution ID, or null if it cannot be one
+ */
+function toInstitutionId(institution) {
+    if (typeof institution !== 'string' || institution.length === 0) {
+        return null;
+    }
+    if (ethers.isHexString(institution, 32)) {
+        return institution.toLowerCase();
+    }
+
+    try {
+        return ethers.encodeBytes32String(institution);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Convert an on-chain institution ID back into the name it was created from
+ * @param {string} institutionId - bytes32 institution ID
+ * @returns {string|null} Short name, the hex ID if it is not a bytes32 string,
+ *     or null for the zero ID (no institution)
+ */
+function formatInstitutionId(institutionId) {
+    if (!institutionId || institutionId === ethers.ZeroHash) {
+        return null;
+    }
+
+    try {
+        return ethers.decodeBytes32String(institutionId);
+    } catch (error) {
+        return institutionId;
+    }
+}
+
+/**
+ * Normalise an institution name for comparison
+ * @param {string} name - Institution name
+ * @returns {string} Name with case, spacing and Unicode forms folded
+ */
+function normalizeName(name) {
+    return String(name).normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Resolve the registered institution a certificate was issued under
+ * The institution in the metadata is whatever the issuance request said, so
+ * it is compared with the registered name and flagged when they differ.
+ * @param {Object} certData - Certificate data with the institutionId recorded at issuance
+ * @param {Object|null} metadata - Decrypted metadata, if available
+ * @param {number|string} [blockTag='latest'] - Block to read the profile at
+ * @param {Object} [registry] - Registry the certificate was found in (defaults to the primary registry)
+ * @returns {Promise<Object>} Registered profile (if any), the claimed name, and a mismatch flag
+ */
+async function resolveIssuerInstitution(certData, metadata, blockTag = 'latest', registry = null) {
+    const claimed = metadata && metadata.institution ? String(metadata.institution) : null;
+    const profile = certData.institutionId ? await getInstitution(certData.institutionId, blockTag, registry) : null;
+
+    if (!profile) {
+        return {
+            registered: false,
+            id: null,
+            institutionId: null,
+            claimed: claimed,
+            mismatch: false
+        };
+    }
+
+    return {
+        registered: true,
+        id: formatInstitutionId(certData.institutionId),
+        institutionId: certData.institutionId,
+        name: profile.name,
+        domain: profile.domain,
+        metadataCID: profile.metadataCID,
+        claimed: claimed,
+        mismatch: claimed !== null && normalizeName(claimed) !== normalizeName(profile.name)
+    };
+}
+
+module.exports = {
+    toInstitutionId,
+    formatInstitutionId,
+    resolveIssuerInstitution
+};
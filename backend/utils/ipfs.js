@@ -1,10 +1,15 @@
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
+const { computeCID, isRawCID, matchesCID } = require('./cid');
 
 // IPFS configuration
 const USE_IPFS = process.env.USE_IPFS === 'true';
 const IPFS_STORAGE_PATH = process.env.IPFS_STORAGE_PATH || path.join(__dirname, '../ipfs-storage');
 
+// Files saved before local storage was content-addressed, named by time rather than content
+const LEGACY_FILE_PATTERN = /^local-\d+-[a-z0-9]*\.json$/;
+
 let ipfsClient = null;
 
 // Initialize IPFS client if enabled
@@ -29,19 +34,50 @@ async function initIPFS() {
     }
 }
 
+/**
+ * Serialize data into the bytes that are stored and hashed
+ * @param {Object} data - Data to store
+ * @returns {Buffer} JSON content
+ */
+function toContent(data) {
+    return Buffer.from(JSON.stringify(data, null, 2));
+}
+
+/**
+ * Parse retrieved content, checking it against its CID first
+ * @param {string} cid - CID or local file identifier the content was retrieved by
+ * @param {Buffer} content - Retrieved content
+ * @returns {Object} Parsed data
+ * @throws {Error} If the content does not hash to its CID
+ */
+function parseContent(cid, content) {
+    if (isRawCID(cid) && !matchesCID(cid, content)) {
+        console.error('🚨 Content does not match its CID:', cid);
+        throw new Error(`Content retrieved for ${cid} does not match its CID`);
+    }
+
+    return JSON.parse(content.toString('utf8'));
+}
+
 /**
  * Upload data to IPFS or local storage
+ * Both store the JSON as a single raw block, so the CID is the same wherever
+ * the data ends up.
  * @param {Object} data - Data to store
- * @returns {Promise<string>} CID or local file identifier
+ * @returns {Promise<string>} CIDv1 of the content
  */
 async function uploadToIPFS(data) {
-    const jsonData = JSON.stringify(data, null, 2);
+    const content = toContent(data);
 
     if (USE_IPFS && ipfsClient) {
         try {
-            const result = await ipfsClient.add(jsonData);
-            console.log('📤 Uploaded to IPFS:', result.path);
-            return result.path;
+            const cid = computeCID(content);
+            const stored = await ipfsClient.block.put(content, { format: 'raw', mhtype: 'sha2-256', version: 1, pin: true });
+            if (stored.toString() !== cid) {
+                throw new Error(`IPFS stored the block as ${stored}, expected ${cid}`);
+            }
+            console.log('📤 Uploaded to IPFS:', cid);
+            return cid;
         } catch (error) {
             console.error('IPFS upload failed, falling back to local storage:', error.message);
         }
@@ -53,23 +89,28 @@ async function uploadToIPFS(data) {
 
 /**
  * Retrieve data from IPFS or local storage
+ * Content stored under a raw block CID is checked against it wherever it
+ * comes from, so a tampered file or a misbehaving gateway is detected.
  * @param {string} cid - CID or local file identifier
  * @returns {Promise<Object>} Retrieved data
+ * @throws {Error} If the data cannot be retrieved or does not match its CID
  */
 async function retrieveFromIPFS(cid) {
-    if (USE_IPFS && ipfsClient && !cid.startsWith('local-')) {
+    // Blocks written while IPFS was unavailable are served from disk
+    if (USE_IPFS && ipfsClient && !LEGACY_FILE_PATTERN.test(cid) && !(await hasLocalBlock(cid))) {
+        let content;
         try {
             const chunks = [];
             for await (const chunk of ipfsClient.cat(cid)) {
                 chunks.push(chunk);
             }
-            const data = Buffer.concat(chunks).toString('utf8');
+            content = Buffer.concat(chunks);
             console.log('📥 Retrieved from IPFS:', cid);
-            return JSON.parse(data);
         } catch (error) {
             console.error('IPFS retrieval failed:', error.message);
             throw new Error('Failed to retrieve data from IPFS');
         }
+        return parseContent(cid, content);
     }
 
     // Retrieve from local storage
@@ -77,26 +118,61 @@ async function retrieveFromIPFS(cid) {
 }
 
 /**
- * Save data to local filesystem
+ * Resolve the path of a local storage file
+ * @param {string} identifier - CID or legacy local file identifier
+ * @returns {string|null} File path, or null if the identifier cannot name a local file
+ */
+function localStoragePath(identifier) {
+    if (!isRawCID(identifier) && !LEGACY_FILE_PATTERN.test(identifier)) {
+        return null;
+    }
+    return path.join(IPFS_STORAGE_PATH, identifier);
+}
+
+/**
+ * Check whether a block is stored locally
+ * @param {string} cid - CID
+ * @returns {Promise<boolean>} True if local storage has the block
+ */
+async function hasLocalBlock(cid) {
+    const filepath = isRawCID(cid) ? localStoragePath(cid) : null;
+    if (!filepath) {
+        return false;
+    }
+
+    try {
+        await fs.access(filepath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Save data to local filesystem as a block named by its CID
+ * The block is written to a temporary file and renamed into place, so a
+ * crash never leaves a block whose content does not match its name.
  * @param {Object} data - Data to save
- * @returns {Promise<string>} Local file identifier
+ * @returns {Promise<string>} CIDv1 of the content
  */
 async function saveToLocalStorage(data) {
     try {
         // Ensure storage directory exists
         await fs.mkdir(IPFS_STORAGE_PATH, { recursive: true });
 
-        // Generate unique filename
-        const timestamp = Date.now();
-        const random = Math.random().toString(36).substring(7);
-        const filename = `local-${timestamp}-${random}.json`;
-        const filepath = path.join(IPFS_STORAGE_PATH, filename);
+        const content = toContent(data);
+        const cid = computeCID(content);
+        const filepath = localStoragePath(cid);
 
-        // Save file
-        await fs.writeFile(filepath, JSON.stringify(data, null, 2));
-        console.log('💾 Saved to local storage:', filename);
+        // Identical content is already stored under the same name
+        if (!(await hasLocalBlock(cid))) {
+            const tempPath = `${filepath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+            await fs.writeFile(tempPath, content);
+            await fs.rename(tempPath, filepath);
+        }
+        console.log('💾 Saved to local storage:', cid);
 
-        return filename;
+        return cid;
     } catch (error) {
         console.error('Local storage save failed:', error);
         throw new Error('Failed to save data to local storage');
@@ -105,19 +181,75 @@ async function saveToLocalStorage(data) {
 
 /**
  * Retrieve data from local filesystem
- * @param {string} filename - Local file identifier
+ * @param {string} identifier - CID, or the file identifier of a legacy local file
  * @returns {Promise<Object>} Retrieved data
+ * @throws {Error} If the file is missing, unreadable or does not match its CID
  */
-async function retrieveFromLocalStorage(filename) {
+async function retrieveFromLocalStorage(identifier) {
+    const filepath = localStoragePath(identifier);
+    if (!filepath) {
+        throw new Error(`Not a local storage identifier: ${identifier}`);
+    }
+
+    let content;
     try {
-        const filepath = path.join(IPFS_STORAGE_PATH, filename);
-        const data = await fs.readFile(filepath, 'utf8');
-        console.log('📂 Retrieved from local storage:', filename);
-        return JSON.parse(data);
+        content = await fs.readFile(filepath);
+        console.log('📂 Retrieved from local storage:', identifier);
     } catch (error) {
         console.error('Local storage retrieval failed:', error);
         throw new Error('Failed to retrieve data from local storage');
     }
+
+    return parseContent(identifier, content);
+}
+
+/**
+ * List the identifiers of every file in local storage
+ * @returns {Promise<string[]>} CIDs of local blocks and identifiers of legacy local files
+ */
+async function listLocalStorage() {
+    try {
+        const entries = await fs.readdir(IPFS_STORAGE_PATH);
+        return entries.filter(name => isRawCID(name) || LEGACY_FILE_PATTERN.test(name)).sort();
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+}
+
+/**
+ * Check whether a local storage file is named by its content
+ * @param {string} identifier - Local storage identifier
+ * @returns {boolean} True for blocks stored by CID, which cannot be rewritten in place
+ */
+function isContentAddressed(identifier) {
+    return isRawCID(identifier);
+}
+
+/**
+ * Replace the content of an existing legacy local storage file
+ * The new content is written to a temporary file and renamed into place, so a
+ * crash never leaves a half-written file behind.
+ * @param {string} filename - Legacy local file identifier
+ * @param {Object} data - New content
+ * @throws {Error} If the file is a block stored by CID, whose name is its content
+ */
+async function overwriteLocalStorage(filename, data) {
+    if (isContentAddressed(filename)) {
+        throw new Error(`${filename} is content-addressed and cannot be rewritten in place`);
+    }
+
+    const filepath = localStoragePath(filename);
+    if (!filepath) {
+        throw new Error(`Not a local storage identifier: ${filename}`);
+    }
+    const tempPath = `${filepath}.tmp`;
+
+    await fs.access(filepath);
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.rename(tempPath, filepath);
 }
 
 /**
@@ -132,5 +264,9 @@ module.exports = {
     initIPFS,
     uploadToIPFS,
     retrieveFromIPFS,
+    retrieveFromLocalStorage,
+    listLocalStorage,
+    isContentAddressed,
+    overwriteLocalStorage,
     isIPFSAvailable
 };
@@ -0,0 +1,492 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const {
+    getProvider,
+    getSignerAddress,
+    withNextNonce,
+    buildIssueTransaction,
+    signTransaction,
+    findIssuanceTransaction,
+    findProposalTransaction,
+    getProposal,
+    verifyCertificate,
+    isRegistryPaused
+} = require('./web3');
+const {
+    insertIssuanceJob,
+    getIssuanceJobsByStatus,
+    updateIssuanceJob,
+    insertTransaction,
+    updateBulkJobRow,
+    completeBulkJobIfDone
+} = require('../db/database');
+const { CONFIRMATION_DEPTH, getTransactionStatus } = require('./confirmations');
+
+// Jobs worked on at the same time; each holds one nonce while in flight
+const CONCURRENCY = parseInt(process.env.ISSUANCE_CONCURRENCY) || 4;
+
+// How often to look for queued jobs and check submitted ones
+const POLL_INTERVAL = parseInt(process.env.ISSUANCE_POLL_INTERVAL) || 2000;
+
+// A submitted transaction not mined within this time is re-sent with more gas
+const STUCK_TIMEOUT = parseInt(process.env.ISSUANCE_STUCK_TIMEOUT) || 3 * 60 * 1000;
+
+// Retries (after errors, and gas bumps) before a job is failed
+const MAX_RETRIES = parseInt(process.env.ISSUANCE_MAX_RETRIES) || 5;
+
+// Replacement transactions must raise fees by at least 10%; use a margin
+const GAS_BUMP_PERCENT = 25n;
+
+// Jobs that can still change
+const OPEN_STATUSES = ['queued', 'submitted'];
+
+const active = new Set();
+let timer = null;
+let stopped = true;
+
+/**
+ * Queue a certificate for issuance and wake the worker
+ * @param {Object} job - docHash, ipfsCID, validUntil, optional holder, replaces, requiredApprovals
+ *     or signedRequest, accountId, apiKeyId and optional bulkJobId/bulkRowNumber
+ * @returns {Promise<string>} Job ID
+ */
+async function enqueueIssuance(job) {
+    const jobId = await insertIssuanceJob({ ...job, id: crypto.randomUUID() });
+    setImmediate(processQueue);
+    return jobId;
+}
+
+/**
+ * Get fees for a transaction, bumped above a previous attempt if there was one
+ * @param {Object|null} previous - Fees of the previous attempt
+ * @returns {Promise<Object>} EIP-1559 or legacy fee fields as bigints
+ */
+async function getFees(previous) {
+    const feeData = await getProvider().getFeeData();
+    const bumped = key => (previous && previous[key] ? BigInt(previous[key]) * (100n + GAS_BUMP_PERCENT) / 100n : 0n);
+    const max = (a, b) => (a > b ? a : b);
+
+    if (feeData.maxFeePerGas !== null) {
+        return {
+            type: 2,
+            maxFeePerGas: max(bumped('maxFeePerGas'), feeData.maxFeePerGas),
+            maxPriorityFeePerGas: max(bumped('maxPriorityFeePerGas'), feeData.maxPriorityFeePerGas)
+        };
+    }
+
+    return {
+        type: 0,
+        gasPrice: max(bumped('gasPrice'), feeData.gasPrice)
+    };
+}
+
+/**
+ * Convert fee fields to strings for storage
+ * @param {Object} fees - Fee fields
+ * @returns {Object} Fee fields as decimal strings
+ */
+function serializeFees(fees) {
+    return Object.fromEntries(Object.entries(fees)
+        .filter(([key]) => key !== 'type')
+        .map(([key, value]) => [key, value.toString()]));
+}
+
+/**
+ * Get the issuer a job's certificate is credited to
+ * @param {Object} job - Issuance job
+ * @returns {string} Signer of a relayed request, otherwise the backend signer
+ */
+function issuerOf(job) {
+    return job.signedRequest ? job.signedRequest.issuer : getSignerAddress();
+}
+
+/**
+ * Sign a transaction, record it on the job and broadcast it
+ * The attempt is written before broadcasting, so after a crash the job
+ * always knows every transaction hash that might be on-chain.
+ * @param {Object} job - Issuance job
+ * @param {Object} request - Unsigned transaction request
+ * @param {number} nonce - Nonce to sign with
+ * @param {Object} fees - Fee fields
+ */
+async function signAndBroadcast(job, request, nonce, fees) {
+    const signed = await signTransaction({ ...request, nonce, ...fees });
+    const txHash = ethers.keccak256(signed);
+
+    job.attempts = [...job.attempts, { txHash, gasLimit: request.gasLimit.toString(), ...serializeFees(fees) }];
+    job.nonce = nonce;
+    job.txHash = txHash;
+
+    await updateIssuanceJob(job.id, {
+        status: 'submitted',
+        nonce: nonce,
+        txHash: txHash,
+        attempts: job.attempts,
+        broadcastAt: Date.now(),
+        error: null
+    });
+
+    try {
+        await getProvider().broadcastTransaction(signed);
+    } catch (error) {
+        // The node already has it, e.g. when re-sent after a crash
+        if (!/already known/i.test(error.message)) {
+            throw error;
+        }
+    }
+
+    console.log(`📤 Issuance job ${job.id} sent ${txHash} (nonce ${nonce}, attempt ${job.attempts.length})`);
+}
+
+/**
+ * Record a mined issuance as a pending transaction for the confirmation tracker
+ * Safe to repeat: the insert is idempotent. A proposal is not recorded; the
+ * indexer records the transaction that finally issues it.
+ * @param {Object} job - Issuance job
+ * @param {ethers.TransactionReceipt} receipt - Receipt of the mined attempt
+ */
+async function recordTransaction(job, receipt) {
+    await insertTransaction({
+        txHash: receipt.hash,
+        docHash: job.docHash,
+        ipfsCID: job.ipfsCID,
+        issuer: issuerOf(job),
+        timestamp: Math.floor(Date.now() / 1000),
+        status: 'pending',
+        blockNumber: receipt.blockNumber,
+        blockHash: receipt.blockHash,
+        gasUsed: receipt.gasUsed.toString(),
+        accountId: job.accountId,
+        apiKeyId: job.apiKeyId
+    });
+}
+
+/**
+ * Follow a mined attempt until it is CONFIRMATION_DEPTH blocks deep
+ * Issuances are left to the confirmation tracker, which also notices when
+ * their block is reorganized away. Proposals have no transaction record, so
+ * their depth is read from the chain; if their block is lost the receipt
+ * disappears and the job goes back to watching its nonce.
+ * @param {Object} job - Issuance job
+ * @param {ethers.TransactionReceipt} receipt - Receipt of the mined attempt
+ * @returns {Promise<string>} confirmed, pending, orphaned or failed
+ */
+async function followReceipt(job, receipt) {
+    if (job.requiredApprovals) {
+        const confirmations = await getProvider().getBlockNumber() - receipt.blockNumber + 1;
+        return confirmations >= CONFIRMATION_DEPTH ? 'confirmed' : 'pending';
+    }
+
+    await recordTransaction(job, receipt);
+    const { status } = await getTransactionStatus(receipt.hash);
+    return status;
+}
+
+/**
+ * Check a job again after the poll interval rather than straight away
+ * @param {Object} job - Issuance job
+ * @param {Object} [fields] - Extra fields to store
+ */
+async function checkAgainLater(job, fields = {}) {
+    await updateIssuanceJob(job.id, { ...fields, nextAttemptAt: Date.now() + POLL_INTERVAL });
+}
+
+/**
+ * Complete a job once its mined attempt is confirmed, or fail it if it reverted
+ * Until then the job is checked again on later passes.
+ * @param {Object} job - Issuance job
+ * @param {ethers.TransactionReceipt} receipt - Receipt of the mined attempt
+ */
+async function settleReceipt(job, receipt) {
+    if (receipt.status !== 1) {
+        return failJob(job, `Transaction ${receipt.hash} reverted`);
+    }
+
+    const status = await followReceipt(job, receipt);
+    if (status === 'confirmed') {
+        return completeJob(job, receipt);
+    }
+
+    // An orphaned attempt has no receipt, so it is only seen here if it was re-mined
+    await checkAgainLater(job);
+}
+
+/**
+ * Mark a job completed from the receipt of its confirmed attempt
+ * Safe to repeat: every write is idempotent, so a crash part-way through is
+ * finished on the next pass.
+ * @param {Object} job - Issuance job
+ * @param {ethers.TransactionReceipt} receipt - Receipt of the mined attempt
+ */
+async function completeJob(job, receipt) {
+    await updateIssuanceJob(job.id, { status: 'completed', txHash: receipt.hash, error: null });
+
+    if (job.bulkJobId) {
+        await updateBulkJobRow(job.bulkJobId, job.bulkRowNumber, {
+            status: 'issued',
+            txHash: receipt.hash,
+            ipfsCID: job.ipfsCID
+        });
+        await completeBulkJobIfDone(job.bulkJobId);
+    }
+
+    console.log(`✅ Issuance job ${job.id} completed in block ${receipt.blockNumber}`);
+}
+
+/**
+ * Mark a job permanently failed
+ * @param {Object} job - Issuance job
+ * @param {string} message - Reason
+ */
+async function failJob(job, message) {
+    await updateIssuanceJob(job.id, { status: 'failed', error: message });
+
+    if (job.bulkJobId) {
+        await updateBulkJobRow(job.bulkJobId, job.bulkRowNumber, { status: 'failed', ipfsCID: job.ipfsCID, error: message });
+        await completeBulkJobIfDone(job.bulkJobId);
+    }
+
+    console.error(`❌ Issuance job ${job.id} failed: ${message}`);
+}
+
+/**
+ * Schedule another try after a transient error, or fail the job once retries run out
+ * @param {Object} job - Issuance job
+ * @param {Error} error - The error
+ * @param {Object} [fields] - Extra fields to store, such as a reset status
+ */
+async function retryLater(job, error, fields = {}) {
+    const retries = job.retries + 1;
+
+    if (retries > MAX_RETRIES) {
+        return failJob(job, `Gave up after ${MAX_RETRIES} retries: ${error.message}`);
+    }
+
+    // Exponential backoff, capped at a minute
+    const delay = Math.min(1000 * 2 ** retries, 60 * 1000);
+    await updateIssuanceJob(job.id, { ...fields, retries, error: error.message, nextAttemptAt: Date.now() + delay });
+    console.warn(`⚠️  Issuance job ${job.id} will retry in ${delay / 1000}s: ${error.message}`);
+}
+
+/**
+ * Settle a job whose certificate is already on-chain or pending approval
+ * The certificate may have been issued or proposed by an attempt of this same
+ * job that was sent just before a crash; if the chain holds this exact
+ * certificate or proposal from this job's issuer the job is completed once that
+ * transaction is confirmed, otherwise it failed as a duplicate.
+ * @param {Object} job - Issuance job
+ * @returns {Promise<boolean>} False if the certificate is neither on-chain nor proposed
+ */
+async function settleIssuedCertificate(job) {
+    let onChain = await verifyCertificate(job.docHash);
+    let findTransaction = findIssuanceTransaction;
+
+    if (!onChain.exists) {
+        const proposal = await getProposal(job.docHash);
+        if (!proposal) {
+            return false;
+        }
+        onChain = { issuer: proposal.proposer, ipfsCID: proposal.ipfsCID };
+        findTransaction = findProposalTransaction;
+    }
+
+    const ours = onChain.issuer === issuerOf(job) && onChain.ipfsCID === job.ipfsCID;
+    const txHash = ours ? await findTransaction(job.docHash) : null;
+    const receipt = txHash ? await getProvider().getTransactionReceipt(txHash) : null;
+
+    if (receipt) {
+        await settleReceipt(job, receipt);
+    } else {
+        await failJob(job, 'Certificate already exists');
+    }
+    return true;
+}
+
+/**
+ * Sign and send a queued job with a fresh nonce
+ * @param {Object} job - Issuance job
+ */
+async function submitJob(job) {
+    let request;
+    try {
+        request = await buildIssueTransaction(job);
+    } catch (error) {
+        // Estimation reverts when the contract would refuse the issuance
+        if (error.code === 'CALL_EXCEPTION') {
+            if (!(await settleIssuedCertificate(job))) {
+                await failJob(job, error.reason || error.shortMessage || error.message);
+            }
+            return;
+        }
+        return retryLater(job, error);
+    }
+
+    try {
+        const fees = await getFees(null);
+        await withNextNonce(nonce => signAndBroadcast(job, request, nonce, fees));
+    } catch (error) {
+        await retryLater(job, error, { status: 'queued', nonce: null });
+    }
+}
+
+/**
+ * Find out whether the block a job's latest attempt was mined in was reorganized away
+ * @param {Object} job - Issuance job
+ * @returns {Promise<boolean>} True if the confirmation tracker reports the attempt orphaned
+ */
+async function isOrphaned(job) {
+    const record = await getTransactionStatus(job.txHash);
+    return Boolean(record) && record.status === 'orphaned';
+}
+
+/**
+ * Check a submitted job: complete it once mined and confirmed, re-send it with
+ * more gas if stuck, lost or orphaned, and re-queue it if its nonce was taken
+ * by something else
+ * @param {Object} job - Issuance job
+ */
+async function checkSubmittedJob(job) {
+    const provider = getProvider();
+
+    // Any attempt may be the one that was mined, not only the latest
+    for (const attempt of [...job.attempts].reverse()) {
+        const receipt = await provider.getTransactionReceipt(attempt.txHash);
+        if (receipt) {
+            return settleReceipt(job, receipt);
+        }
+    }
+
+    // The nonce was used by a transaction that is not one of ours
+    const minedNonce = await provider.getTransactionCount(getSignerAddress(), 'latest');
+    if (minedNonce > job.nonce) {
+        if (!(await settleIssuedCertificate(job))) {
+            if (job.retries >= MAX_RETRIES) {
+                return failJob(job, `Transaction not mined after ${MAX_RETRIES} gas bumps, and its nonce was used by another transaction`);
+            }
+            await updateIssuanceJob(job.id, { status: 'queued', nonce: null, error: 'Nonce was used by another transaction; re-queued' });
+        }
+        return;
+    }
+
+    // A mined attempt whose block was lost is sent again at its nonce straight away
+    const orphaned = await isOrphaned(job);
+    if (orphaned) {
+        console.warn(`⚠️  Issuance job ${job.id} was mined in a block that is no longer on the chain; sending it again`);
+    }
+
+    const known = await provider.getTransaction(job.txHash);
+    const stuck = Date.now() - (job.broadcastAt || 0) > STUCK_TIMEOUT;
+
+    if (known && !stuck && !orphaned) {
+        return;
+    }
+
+    // Out of gas bumps, the last attempt can still be mined: keep watching its
+    // nonce, and fail only once another transaction takes it
+    if (job.retries >= MAX_RETRIES && !orphaned) {
+        return checkAgainLater(job, { error: `Transaction not mined after ${MAX_RETRIES} gas bumps; still watching nonce ${job.nonce}` });
+    }
+
+    // Re-send at the same nonce with higher fees, replacing any earlier attempt
+    try {
+        const previous = job.attempts[job.attempts.length - 1];
+        const request = await buildIssueTransaction(job, BigInt(previous.gasLimit));
+        const fees = await getFees(previous);
+        await signAndBroadcast(job, request, job.nonce, fees);
+        await updateIssuanceJob(job.id, { retries: job.retries + 1 });
+    } catch (error) {
+        if (/nonce (too low|has already been used)/i.test(error.message)) {
+            return;
+        }
+        await retryLater(job, error);
+    }
+}
+
+/**
+ * Work on a single job
+ * @param {Object} job - Issuance job
+ */
+async function runJob(job) {
+    if (job.status === 'queued') {
+        await submitJob(job);
+    } else {
+        await checkSubmittedJob(job);
+    }
+}
+
+/**
+ * Start work on as many open jobs as concurrency allows
+ * Jobs already being worked on are skipped, so this is safe to call at any time.
+ * While issuance is paused on the registry, queued jobs wait rather than fail;
+ * submitted ones are still followed up.
+ */
+async function processQueue() {
+    if (stopped || !getProvider() || !getSignerAddress()) {
+        return;
+    }
+
+    try {
+        const jobs = await getIssuanceJobsByStatus(OPEN_STATUSES);
+        const now = Date.now();
+        const paused = jobs.some(job => job.status === 'queued') && await isRegistryPaused();
+
+        for (const job of jobs) {
+            if (active.size >= CONCURRENCY) {
+                break;
+            }
+            if (active.has(job.id) || job.nextAttemptAt > now || (paused && job.status === 'queued')) {
+                continue;
+            }
+
+            active.add(job.id);
+            runJob(job)
+                .catch(error => console.error(`Issuance job ${job.id} error:`, error.message))
+                .finally(() => {
+                    active.delete(job.id);
+                    setImmediate(processQueue);
+                });
+        }
+    } catch (error) {
+        console.warn('⚠️  Issuance queue check failed:', error.message);
+    }
+}
+
+/**
+ * Poll the queue until stopped
+ */
+function poll() {
+    processQueue().finally(() => {
+        if (!stopped) {
+            timer = setTimeout(poll, POLL_INTERVAL);
+            timer.unref();
+        }
+    });
+}
+
+/**
+ * Start the background issuance worker
+ * Jobs left queued or submitted by a previous run are picked up where they stopped.
+ */
+function startIssuanceQueue() {
+    if (!stopped) {
+        return;
+    }
+
+    stopped = false;
+    console.log(`📬 Issuance queue started (concurrency ${CONCURRENCY})`);
+    poll();
+}
+
+/**
+ * Stop the background issuance worker
+ */
+function stopIssuanceQueue() {
+    stopped = true;
+    clearTimeout(timer);
+}
+
+module.exports = {
+    enqueueIssuance,
+    startIssuanceQueue,
+    stopIssuanceQueue
+};
@@ -0,0 +1,169 @@
+const { encryptMetadata, decryptMetadata } = require('./crypto');
+
+// Key ID of AES_ENCRYPTION_KEY, and of envelopes written before key IDs existed
+const DEFAULT_KEY_ID = 'default';
+
+// Key IDs are stored in every envelope, so keep them short and printable
+const KEY_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Placeholder keys shipped in examples, never acceptable in production
+const PLACEHOLDER_KEYS = [
+    'default-key-change-this-in-production',
+    'your-32-character-secret-key-here-change-this',
+    'your-32-character-secret-key-change-this',
+    'your-secure-32-character-key-here'
+];
+
+// Used only outside production when no encryption key is configured
+const DEVELOPMENT_KEY = 'default-key-change-this-in-production';
+
+let keyring = null;
+
+/**
+ * Parse AES_ENCRYPTION_KEYS, a comma-separated list of keyId:passphrase pairs
+ * @param {string} value - Environment variable value
+ * @returns {Array<Array<string>>} [keyId, passphrase] pairs
+ */
+function parseKeyList(value) {
+    return value.split(',').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+        const separator = entry.indexOf(':');
+        if (separator <= 0) {
+            throw new Error('AES_ENCRYPTION_KEYS entries must look like keyId:passphrase');
+        }
+        return [entry.slice(0, separator).trim(), entry.slice(separator + 1).trim()];
+    });
+}
+
+/**
+ * Check that a passphrase is safe to use in production
+ * @param {string} key - Encryption passphrase
+ * @returns {boolean} True if the key is long enough and not a placeholder
+ */
+function isUsableKey(key) {
+    return Boolean(key) && key.length >= 32 && !PLACEHOLDER_KEYS.includes(key);
+}
+
+/**
+ * Build the keyring from the environment
+ * AES_ENCRYPTION_KEY keeps working as the key with ID "default";
+ * AES_ENCRYPTION_KEYS adds more keys and AES_ACTIVE_KEY_ID picks the one new
+ * envelopes are written with. Outside production a missing or weak key only
+ * produces a warning.
+ * @returns {Object} Active key ID and the keys by ID
+ * @throws {Error} If the configuration is inconsistent, or weak in production
+ */
+function loadKeyring() {
+    const keys = new Map();
+    const production = process.env.NODE_ENV === 'production';
+
+    if (process.env.AES_ENCRYPTION_KEY) {
+        keys.set(DEFAULT_KEY_ID, process.env.AES_ENCRYPTION_KEY);
+    }
+
+    for (const [keyId, key] of parseKeyList(process.env.AES_ENCRYPTION_KEYS || '')) {
+        if (!KEY_ID_PATTERN.test(keyId)) {
+            throw new Error(`Invalid encryption key ID "${keyId}" (use letters, digits, ".", "_" or "-")`);
+        }
+        if (keys.has(keyId)) {
+            throw new Error(`Encryption key ID "${keyId}" is configured more than once`);
+        }
+        keys.set(keyId, key);
+    }
+
+    const activeKeyId = process.env.AES_ACTIVE_KEY_ID || DEFAULT_KEY_ID;
+
+    if (keys.size === 0 && !production) {
+        console.warn('⚠️  No encryption key is set; using a development key. The server will refuse this in production');
+        keys.set(DEFAULT_KEY_ID, DEVELOPMENT_KEY);
+    }
+
+    if (!keys.has(activeKeyId)) {
+        throw new Error(`Active encryption key "${activeKeyId}" is not configured (set AES_ACTIVE_KEY_ID to a key in AES_ENCRYPTION_KEYS)`);
+    }
+
+    const weakKeyIds = [...keys].filter(([, key]) => !isUsableKey(key)).map(([keyId]) => keyId);
+    if (weakKeyIds.length > 0) {
+        if (production) {
+            throw new Error(`Encryption keys must be random and at least 32 characters in production (weak: ${weakKeyIds.join(', ')})`);
+        }
+        if (keys.get(DEFAULT_KEY_ID) !== DEVELOPMENT_KEY) {
+            console.warn(`⚠️  Encryption keys ${weakKeyIds.join(', ')} are placeholders or shorter than 32 characters; the server will refuse them in production`);
+        }
+    }
+
+    return { activeKeyId, keys };
+}
+
+/**
+ * Get the keyring, loading it from the environment on first use
+ * @returns {Object} Active key ID and the keys by ID
+ */
+function getKeyring() {
+    if (!keyring) {
+        keyring = loadKeyring();
+    }
+    return keyring;
+}
+
+/**
+ * Get the ID of the key new envelopes are encrypted with
+ * @returns {string} Active key ID
+ */
+function getActiveKeyId() {
+    return getKeyring().activeKeyId;
+}
+
+/**
+ * Get the key ID an envelope was encrypted with
+ * @param {Object} envelope - Metadata envelope
+ * @returns {string} Key ID
+ */
+function getEnvelopeKeyId(envelope) {
+    return envelope.keyId || DEFAULT_KEY_ID;
+}
+
+/**
+ * Check whether stored JSON is an encrypted metadata envelope
+ * @param {Object} data - Stored JSON
+ * @returns {boolean} True for metadata envelopes of any version
+ */
+function isMetadataEnvelope(data) {
+    return Boolean(data) && typeof data.encrypted === 'string' && typeof data.iv === 'string';
+}
+
+/**
+ * Encrypt metadata with the active key
+ * @param {Object} data - Metadata to encrypt
+ * @returns {Object} Envelope tagged with the active key ID
+ */
+function encryptWithActiveKey(data) {
+    const { activeKeyId, keys } = getKeyring();
+    return encryptMetadata(data, keys.get(activeKeyId), activeKeyId);
+}
+
+/**
+ * Decrypt metadata with whichever key the envelope names
+ * @param {Object} envelope - Metadata envelope
+ * @returns {Object} Decrypted metadata
+ * @throws {Error} If the envelope's key is not in the keyring
+ */
+function decryptWithKeyring(envelope) {
+    const keyId = getEnvelopeKeyId(envelope);
+    const key = getKeyring().keys.get(keyId);
+
+    if (!key) {
+        throw new Error(`Encryption key "${keyId}" is not configured`);
+    }
+
+    return decryptMetadata(envelope, key);
+}
+
+module.exports = {
+    DEFAULT_KEY_ID,
+    getKeyring,
+    getActiveKeyId,
+    getEnvelopeKeyId,
+    isMetadataEnvelope,
+    encryptWithActiveKey,
+    decryptWithKeyring
+};
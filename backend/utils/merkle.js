@@ -0,0 +1,86 @@
+const { ethers } = require('ethers');
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * Compute the Merkle leaf for a document hash
+ * Mirrors CertificateRegistry.batchLeaf(): keccak256(keccak256(abi.encode(docHash)))
+ * @param {string} docHash - Document hash (with 0x prefix)
+ * @returns {string} Leaf hash
+ */
+function hashLeaf(docHash) {
+    return ethers.keccak256(ethers.keccak256(abiCoder.encode(['bytes32'], [docHash])));
+}
+
+/**
+ * Hash a pair of nodes in sorted order, as OpenZeppelin's MerkleProof expects
+ * @param {string} a - Node hash
+ * @param {string} b - Node hash
+ * @returns {string} Parent hash
+ */
+function hashPair(a, b) {
+    return a.toLowerCase() < b.toLowerCase()
+        ? ethers.keccak256(ethers.concat([a, b]))
+        : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * Build a Merkle tree over a set of document hashes
+ * An unpaired node at the end of a layer is promoted to the next layer unchanged.
+ * @param {string[]} docHashes - Document hashes (with 0x prefix)
+ * @returns {Object} Merkle root and a proof for every document hash
+ */
+function buildMerkleTree(docHashes) {
+    if (docHashes.length === 0) {
+        throw new Error('Cannot build a Merkle tree with no leaves');
+    }
+
+    const normalized = docHashes.map(hash => hash.toLowerCase());
+    if (new Set(normalized).size !== normalized.length) {
+        throw new Error('Duplicate document hashes in batch');
+    }
+
+    let layer = normalized.map(hashLeaf);
+    let positions = normalized.map((_, index) => index);
+    const proofs = normalized.map(() => []);
+
+    while (layer.length > 1) {
+        positions.forEach((position, index) => {
+            const sibling = position % 2 === 0 ? position + 1 : position - 1;
+            if (sibling < layer.length) {
+                proofs[index].push(layer[sibling]);
+            }
+        });
+
+        const nextLayer = [];
+        for (let i = 0; i < layer.length; i += 2) {
+            nextLayer.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+        }
+
+        layer = nextLayer;
+        positions = positions.map(position => Math.floor(position / 2));
+    }
+
+    return {
+        root: layer[0],
+        proofs: Object.fromEntries(normalized.map((hash, index) => [hash, proofs[index]]))
+    };
+}
+
+/**
+ * Check a Merkle proof locally
+ * @param {string} docHash - Document hash (with 0x prefix)
+ * @param {string[]} proof - Sibling hashes from leaf to root
+ * @param {string} root - Expected Merkle root
+ * @returns {boolean} True if the proof leads to the root
+ */
+function verifyMerkleProof(docHash, proof, root) {
+    const computed = proof.reduce((node, sibling) => hashPair(node, sibling), hashLeaf(docHash));
+    return computed.toLowerCase() === root.toLowerCase();
+}
+
+module.exports = {
+    hashLeaf,
+    buildMerkleTree,
+    verifyMerkleProof
+};
@@ -0,0 +1,123 @@
+const { ethers } = require('ethers');
+
+// EIP-712 domain and type of a verification receipt; any EIP-712 library can
+// check a receipt offline with these and the signer address
+const RECEIPT_DOMAIN = {
+    name: 'CertiChain Verification Receipt',
+    version: '1'
+};
+
+const RECEIPT_TYPES = {
+    Receipt: [
+        { name: 'docHash', type: 'bytes32' },
+        { name: 'result', type: 'string' },
+        { name: 'issuer', type: 'address' },
+        { name: 'blockNumber', type: 'uint256' },
+        { name: 'chainId', type: 'uint256' },
+        { name: 'contractAddress', type: 'address' },
+        { name: 'checkedAt', type: 'uint256' }
+    ]
+};
+
+// Verification results a receipt can attest to
+const RECEIPT_RESULTS = ['valid', 'revoked', 'superseded', 'expired', 'holder_mismatch', 'pending_approval', 'not_found'];
+
+let receiptSigner;
+
+/**
+ * Get the wallet that signs receipts
+ * RECEIPT_SIGNING_KEY keeps receipts independent of the issuing wallet;
+ * without it the backend's PRIVATE_KEY signs them.
+ * @returns {ethers.Wallet|null} Receipt signer, or null if no key is configured
+ */
+function getReceiptSigner() {
+    if (receiptSigner === undefined) {
+        const key = process.env.RECEIPT_SIGNING_KEY || process.env.PRIVATE_KEY;
+        receiptSigner = key ? new ethers.Wallet(key) : null;
+    }
+    return receiptSigner;
+}
+
+/**
+ * Sign a receipt for a verification result
+ * @param {Object} fields - docHash, result, issuer, blockNumber, chainId and contractAddress
+ * @returns {Promise<Object>} Receipt data with its signature and signer address
+ * @throws {Error} If no signing key is configured
+ */
+async function createReceipt(fields) {
+    const signer = getReceiptSigner();
+    if (!signer) {
+        throw new Error('No receipt signing key configured');
+    }
+
+    const data = {
+        docHash: fields.docHash.toLowerCase(),
+        result: fields.result,
+        issuer: fields.issuer || ethers.ZeroAddress,
+        blockNumber: Number(fields.blockNumber),
+        chainId: Number(fields.chainId),
+        contractAddress: fields.contractAddress,
+        checkedAt: Math.floor(Date.now() / 1000)
+    };
+
+    return {
+        data: data,
+        signature: await signer.signTypedData(RECEIPT_DOMAIN, RECEIPT_TYPES, data),
+        signer: signer.address
+    };
+}
+
+/**
+ * Check a receipt's signature without touching the chain
+ * @param {Object} receipt - Receipt as returned by createReceipt
+ * @returns {Object} Whether it was signed by this server's receipt key, the
+ *     recovered signer, and a reason when it was not
+ */
+function checkReceipt(receipt) {
+    const signer = getReceiptSigner();
+
+    if (!receipt || typeof receipt.data !== 'object' || typeof receipt.signature !== 'string') {
+        return { valid: false, reason: 'Receipt must have data and signature' };
+    }
+    if (!RECEIPT_RESULTS.includes(receipt.data.result)) {
+        return { valid: false, reason: 'Unknown receipt result' };
+    }
+
+    let recovered;
+    try {
+        recovered = ethers.verifyTypedData(RECEIPT_DOMAIN, RECEIPT_TYPES, receipt.data, receipt.signature);
+    } catch (error) {
+        return { valid: false, reason: `Malformed receipt: ${error.shortMessage || error.message}` };
+    }
+
+    if (!signer || recovered !== signer.address) {
+        return { valid: false, signer: recovered, reason: 'Signature does not match this server\'s receipt key' };
+    }
+
+    return { valid: true, signer: recovered };
+}
+
+/**
+ * Describe the receipt key so receipts can be checked offline
+ * @returns {Object|null} Signer address, public key, and the EIP-712 domain and types
+ */
+function getReceiptPublicKey() {
+    const signer = getReceiptSigner();
+    if (!signer) {
+        return null;
+    }
+
+    return {
+        address: signer.address,
+        publicKey: signer.signingKey.publicKey,
+        scheme: 'EIP-712',
+        domain: RECEIPT_DOMAIN,
+        types: RECEIPT_TYPES
+    };
+}
+
+module.exports = {
+    createReceipt,
+    checkReceipt,
+    getReceiptPublicKey
+};
@@ -0,0 +1,149 @@
+const { ethers } = require('ethers');
+const { getDeployment, getProvider } = require('./web3');
+
+// How long an issuer has to sign and submit a prepared request, in seconds
+const RELAY_DEADLINE = parseInt(process.env.RELAY_DEADLINE) || 60 * 60;
+
+// Must match ISSUE_REQUEST_TYPEHASH in the contract
+const ISSUE_REQUEST_TYPES = {
+    IssueRequest: [
+        { name: 'docHash', type: 'bytes32' },
+        { name: 'ipfsCID', type: 'string' },
+        { name: 'validUntil', type: 'uint256' },
+        { name: 'holder', type: 'address' },
+        { name: 'issuer', type: 'address' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+// Must match APPROVAL_REQUEST_TYPEHASH in the contract
+const APPROVAL_REQUEST_TYPES = {
+    ApprovalRequest: [
+        { name: 'docHash', type: 'bytes32' },
+        { name: 'ipfsCID', type: 'string' },
+        { name: 'validUntil', type: 'uint256' },
+        { name: 'holder', type: 'address' },
+        { name: 'approver', type: 'address' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+/**
+ * EIP-712 domain of the registry contract
+ * @returns {Object} EIP-712 domain
+ */
+function relayDomain() {
+    const deployment = getDeployment();
+
+    return {
+        name: 'CertificateRegistry',
+        version: '1',
+        chainId: Number(deployment.chainId),
+        verifyingContract: deployment.contractAddress
+    };
+}
+
+/**
+ * Build the typed data an issuer signs to have a certificate relayed
+ * @param {Object} issuance - docHash, ipfsCID, validUntil, holder (or null), issuer and nonce
+ * @returns {Object} EIP-712 payload for the issuer's wallet, with a deadline RELAY_DEADLINE from now
+ */
+function buildIssueRequest({ docHash, ipfsCID, validUntil, holder, issuer, nonce }) {
+    return {
+        domain: relayDomain(),
+        types: ISSUE_REQUEST_TYPES,
+        primaryType: 'IssueRequest',
+        message: {
+            docHash: docHash.toLowerCase(),
+            ipfsCID: ipfsCID,
+            validUntil: String(validUntil || 0),
+            holder: holder || ethers.ZeroAddress,
+            issuer: issuer,
+            nonce: String(nonce),
+            deadline: String(Math.floor(Date.now() / 1000) + RELAY_DEADLINE)
+        }
+    };
+}
+
+/**
+ * Build the typed data an issuer signs to approve a pending proposal
+ * @param {string} docHash - Document hash of the proposal
+ * @param {Object} proposal - Pending proposal from getProposal
+ * @param {string} approver - Address of the approving issuer
+ * @param {string} nonce - Approver's current nonce
+ * @returns {Object} EIP-712 payload for the approver's wallet, with a deadline RELAY_DEADLINE from now
+ */
+function buildApprovalRequest(docHash, proposal, approver, nonce) {
+    return {
+        domain: relayDomain(),
+        types: APPROVAL_REQUEST_TYPES,
+        primaryType: 'ApprovalRequest',
+        message: {
+            docHash: docHash.toLowerCase(),
+            ipfsCID: proposal.ipfsCID,
+            validUntil: String(proposal.validUntil || 0),
+            holder: proposal.holder || ethers.ZeroAddress,
+            approver: approver,
+            nonce: String(nonce),
+            deadline: String(Math.floor(Date.now() / 1000) + RELAY_DEADLINE)
+        }
+    };
+}
+
+/**
+ * Check that typed data was signed by the account it names
+ * Signatures of contract wallets cannot be checked offline; the contract
+ * checks them through ERC-1271 when the request is submitted.
+ * @param {Object} types - EIP-712 types of the request
+ * @param {Object} request - Request as signed
+ * @param {string} account - Address the request names as its signer
+ * @param {string} signature - Signature
+ * @returns {Promise<Object>} valid, and a reason when not valid
+ */
+async function checkSignature(types, request, account, signature) {
+    if ((await getProvider().getCode(account)) !== '0x') {
+        return { valid: true };
+    }
+
+    let signer;
+    try {
+        signer = ethers.verifyTypedData(relayDomain(), types, request, signature);
+    } catch (error) {
+        return { valid: false, reason: `Malformed signature: ${error.shortMessage || error.message}` };
+    }
+
+    if (signer !== account) {
+        return { valid: false, reason: 'Signature is not from the issuer named in the request' };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Check that a signed issuance request was signed by the issuer it names
+ * @param {Object} request - Issuance request as signed
+ * @param {string} signature - Issuer's signature
+ * @returns {Promise<Object>} valid, and a reason when not valid
+ */
+async function checkIssueRequestSignature(request, signature) {
+    return checkSignature(ISSUE_REQUEST_TYPES, request, request.issuer, signature);
+}
+
+/**
+ * Check that a signed approval was signed by the approver it names
+ * @param {Object} request - Approval request as signed
+ * @param {string} signature - Approver's signature
+ * @returns {Promise<Object>} valid, and a reason when not valid
+ */
+async function checkApprovalRequestSignature(request, signature) {
+    return checkSignature(APPROVAL_REQUEST_TYPES, request, request.approver, signature);
+}
+
+module.exports = {
+    buildIssueRequest,
+    buildApprovalRequest,
+    checkIssueRequestSignature,
+    checkApprovalRequestSignature
+};
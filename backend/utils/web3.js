@@ -2,57 +2,154 @@ const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
 
-let provider = null;
-let contract = null;
+// Registries the backend reads from; the first is the primary registry, which
+// every transaction the backend signs goes to
+let registries = [];
+let primary = null;
 let signer = null;
 
+// Next nonce for the signer, and the lock that serializes its use
+let nextNonce = null;
+let nonceLock = Promise.resolve();
+
+// Revocation reason codes understood by revokeCertificate
+const REVOCATION_REASONS = {
+    0: 'Unspecified',
+    1: 'Issued in error',
+    2: 'Academic misconduct',
+    3: 'Superseded',
+    4: 'Issuer key compromised'
+};
+
+// Reason the contract reports for certificates issued with a compromised key
+const ISSUER_COMPROMISED_REASON = 4;
+
+// Deployments are saved under <network>-<chainId>/; older ones sit directly in the directory
+const DEPLOYMENTS_DIR = path.join(__dirname, '../../contracts/deployments');
+const DEPLOYMENT_FILE = 'CertificateRegistry.json';
+const ABI_FILE = 'CertificateRegistry-ABI.json';
+
+const LOCAL_RPC_URL = 'http://127.0.0.1:8545';
+
+// ERC-1967 storage slot holding the proxy's implementation address
+const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+
 /**
- * Initialize Web3 provider and contract instance
+ * Read the registries to connect to from the environment
+ * REGISTRY_NETWORKS lists them as comma-separated network or network=rpcUrl
+ * entries, naming the Hardhat networks they were deployed with. Without it the
+ * backend connects to the single network given by HARDHAT_NETWORK and RPC_URL.
+ * @returns {Array<Object>} Network name and RPC URL of each registry, primary first
+ * @throws {Error} If an entry other than the first has no RPC URL
  */
-async function initWeb3() {
-    try {
-        // Connect to Hardhat local network or specified RPC
-        const rpcUrl = process.env.HARDHAT_NETWORK === 'localhost'
-            ? 'http://127.0.0.1:8545'
-            : process.env.RPC_URL;
-
-        provider = new ethers.JsonRpcProvider(rpcUrl);
+function getRegistryConfigs() {
+    if (!process.env.REGISTRY_NETWORKS) {
+        return [{
+            network: process.env.HARDHAT_NETWORK || 'localhost',
+            rpcUrl: process.env.HARDHAT_NETWORK === 'localhost' ? LOCAL_RPC_URL : process.env.RPC_URL
+        }];
+    }
 
-        // Test connection
-        const network = await provider.getNetwork();
-        console.log('🌐 Connected to network:', network.name, '(Chain ID:', network.chainId.toString() + ')');
+    const entries = process.env.REGISTRY_NETWORKS.split(',').map(entry => entry.trim()).filter(Boolean);
 
-        // Load contract deployment info
-        const deploymentPath = path.join(__dirname, '../../contracts/deployments/CertificateRegistry.json');
-        const abiPath = path.join(__dirname, '../../contracts/deployments/CertificateRegistry-ABI.json');
+    return entries.map((entry, index) => {
+        const separator = entry.indexOf('=');
+        const network = separator === -1 ? entry : entry.slice(0, separator).trim();
+        let rpcUrl = separator === -1 ? null : entry.slice(separator + 1).trim();
 
-        if (!fs.existsSync(deploymentPath) || !fs.existsSync(abiPath)) {
-            throw new Error('Contract deployment files not found. Please deploy the contract first.');
+        if (!rpcUrl && network === 'localhost') {
+            rpcUrl = LOCAL_RPC_URL;
+        } else if (!rpcUrl && index === 0) {
+            rpcUrl = process.env.RPC_URL;
+        }
+        if (!rpcUrl) {
+            throw new Error(`No RPC URL for registry network ${network}; list it as ${network}=<rpcUrl>`);
         }
 
-        const deployment = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
-        const abi = JSON.parse(fs.readFileSync(abiPath, 'utf8'));
+        return { network, rpcUrl };
+    });
+}
+
+/**
+ * Connect to a registry
+ * @param {Object} config - Network name and RPC URL
+ * @param {boolean} isPrimary - Whether the backend signs transactions for this registry
+ * @returns {Promise<Object>} Registry with its provider, contract, deployment and implementation
+ */
+async function connectRegistry({ network, rpcUrl }, isPrimary) {
+    // Disable request caching so back-to-back issuances see a fresh nonce
+    const provider = new ethers.JsonRpcProvider(rpcUrl, undefined, { cacheTimeout: -1 });
+
+    // Test connection
+    const chainId = (await provider.getNetwork()).chainId.toString();
+    console.log(`🌐 Connected to network: ${network} (Chain ID: ${chainId})`);
 
-        const contractAddress = deployment.contractAddress;
-        console.log('📜 Contract address:', contractAddress);
+    // Load contract deployment info
+    const loaded = loadDeploymentFiles(network, chainId);
+    const contractAddress = loaded.deployment.contractAddress;
+    console.log('📜 Contract address:', contractAddress);
 
-        // Create signer from private key
+    // Create signer from private key
+    if (isPrimary) {
         if (process.env.PRIVATE_KEY) {
             signer = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
             console.log('🔑 Signer address:', signer.address);
-
-            // Create contract instance with signer
-            contract = new ethers.Contract(contractAddress, abi, signer);
         } else {
-            // Read-only contract instance
-            contract = new ethers.Contract(contractAddress, abi, provider);
             console.warn('⚠️  No private key provided, contract is read-only');
         }
+    }
+
+    // Create contract instance, with the signer if there is one
+    const registry = {
+        network: network,
+        chainId: chainId,
+        provider: provider,
+        contract: new ethers.Contract(contractAddress, loaded.abi, (isPrimary && signer) || provider),
+        deployment: loaded.deployment,
+        implementation: loaded.deployment.implementationAddress || null,
+        isPrimary: isPrimary
+    };
+
+    // The primary registry is usable by the indexer and queue from here on
+    if (isPrimary) {
+        primary = registry;
+        registries = [registry];
+    }
+
+    // Verify contract is deployed
+    const code = await provider.getCode(contractAddress);
+    if (code === '0x') {
+        throw new Error(`No contract deployed at ${contractAddress} on ${network}`);
+    }
+
+    // Catch upgrades made since the deployment files were written
+    if (await syncImplementation(registry)) {
+        console.log('🧩 Implementation:', registry.implementation);
+    }
+
+    return registry;
+}
+
+/**
+ * Initialize Web3 providers and contract instances for every configured registry
+ */
+async function initWeb3() {
+    try {
+        const configs = getRegistryConfigs();
+
+        await connectRegistry(configs[0], true);
+
+        // Issuance only needs the primary registry, so one that cannot be reached is left out of verification
+        for (const config of configs.slice(1)) {
+            try {
+                registries.push(await connectRegistry(config, false));
+            } catch (error) {
+                console.warn(`⚠️  Registry on ${config.network} unavailable, not verifying against it:`, error.message);
+            }
+        }
 
-        // Verify contract is deployed
-        const code = await provider.getCode(contractAddress);
-        if (code === '0x') {
-            throw new Error('No contract deployed at specified address');
+        if (registries.length > 1) {
+            console.log(`🔗 Verifying against ${registries.length} registries; issuing on ${primary.network}`);
         }
 
         console.log('✅ Web3 initialized successfully');
@@ -64,58 +161,793 @@ async function initWeb3() {
 }
 
 /**
- * Issue a certificate on the blockchain
+ * Find the directory holding a network's deployment files
+ * Falls back to the only deployment on the chain, then to files saved before
+ * deployments were keyed by network.
+ * @param {string} network - Hardhat network name
+ * @param {string} chainId - Chain ID
+ * @returns {string|null} Directory, or null if no deployment matches
+ */
+function findDeploymentDir(network, chainId) {
+    const keyed = path.join(DEPLOYMENTS_DIR, `${network}-${chainId}`);
+    if (fs.existsSync(path.join(keyed, DEPLOYMENT_FILE))) {
+        return keyed;
+    }
+
+    const onChain = fs.existsSync(DEPLOYMENTS_DIR)
+        ? fs.readdirSync(DEPLOYMENTS_DIR).filter(name => name.endsWith(`-${chainId}`)
+            && fs.existsSync(path.join(DEPLOYMENTS_DIR, name, DEPLOYMENT_FILE)))
+        : [];
+    if (onChain.length === 1) {
+        return path.join(DEPLOYMENTS_DIR, onChain[0]);
+    }
+    if (onChain.length > 1) {
+        throw new Error(`Several registries are deployed on chain ${chainId} (${onChain.join(', ')}); name the network in REGISTRY_NETWORKS`);
+    }
+
+    const legacy = path.join(DEPLOYMENTS_DIR, DEPLOYMENT_FILE);
+    if (fs.existsSync(legacy) && JSON.parse(fs.readFileSync(legacy, 'utf8')).chainId === chainId) {
+        return DEPLOYMENTS_DIR;
+    }
+
+    return null;
+}
+
+/**
+ * Read the deployment info and ABI saved by the deploy, upgrade and migrate scripts
+ * @param {string} network - Hardhat network name
+ * @param {string} chainId - Chain ID
+ * @returns {Object} Deployment info and ABI
+ * @throws {Error} If the files are missing
+ */
+function loadDeploymentFiles(network, chainId) {
+    const dir = findDeploymentDir(network, chainId);
+
+    if (!dir || !fs.existsSync(path.join(dir, ABI_FILE))) {
+        throw new Error(`Contract deployment files not found for ${network} (Chain ID ${chainId}). Please deploy the contract first.`);
+    }
+
+    return {
+        deployment: JSON.parse(fs.readFileSync(path.join(dir, DEPLOYMENT_FILE), 'utf8')),
+        abi: JSON.parse(fs.readFileSync(path.join(dir, ABI_FILE), 'utf8'))
+    };
+}
+
+/**
+ * Read the implementation a registry proxy delegates to
+ * @param {Object} registry - Registry
+ * @returns {Promise<string|null>} Implementation address, or null if the registry is not behind a proxy
+ */
+async function readImplementationAddress(registry) {
+    const slot = await registry.provider.getStorage(registry.deployment.contractAddress, IMPLEMENTATION_SLOT);
+    return slot === ethers.ZeroHash ? null : ethers.getAddress(ethers.dataSlice(slot, 12));
+}
+
+/**
+ * Follow upgrades of a registry
+ * The registry keeps its address across upgrades; when the proxy points at a
+ * new implementation, the ABI saved by the upgrade script is loaded in place
+ * of the old one without a restart.
+ * @param {Object} [registry] - Registry (defaults to the primary registry)
+ * @returns {Promise<string|null>} Current implementation address, or null if the registry is not behind a proxy
+ */
+async function syncImplementation(registry = primary) {
+    if (!registry) {
+        throw new Error('Contract not initialized');
+    }
+
+    const current = await readImplementationAddress(registry);
+    if (current === registry.implementation) {
+        return current;
+    }
+
+    const loaded = loadDeploymentFiles(registry.network, registry.chainId);
+    if (loaded.deployment.contractAddress.toLowerCase() !== registry.deployment.contractAddress.toLowerCase()) {
+        // A migration replaced the registry; that takes a restart, so keep serving this one
+        console.warn(`⚠️  Registry upgraded to ${current}, but the saved deployment now names ${loaded.deployment.contractAddress}`);
+    } else {
+        if (loaded.deployment.implementationAddress !== current) {
+            console.warn(`⚠️  Saved ABI is for implementation ${loaded.deployment.implementationAddress}, not ${current}`);
+        }
+        registry.deployment = loaded.deployment;
+        registry.contract = new ethers.Contract(registry.deployment.contractAddress, loaded.abi, (registry.isPrimary && signer) || registry.provider);
+    }
+
+    console.log(`🧩 Registry on ${registry.network} upgraded: implementation ${registry.implementation} → ${current}`);
+    registry.implementation = current;
+    return current;
+}
+
+/**
+ * Follow upgrades of every registry
+ * Failures on the primary registry are thrown; the others only warn, so an
+ * unreachable secondary chain does not hold up the indexer.
+ */
+async function syncImplementations() {
+    await syncImplementation(primary);
+
+    for (const registry of registries.filter(registry => !registry.isPrimary)) {
+        try {
+            await syncImplementation(registry);
+        } catch (error) {
+            console.warn(`⚠️  Could not check registry on ${registry.network} for upgrades:`, error.message);
+        }
+    }
+}
+
+/**
+ * Resolve the registry a read goes to
+ * @param {Object} [registry] - Registry from getRegistries (defaults to the primary registry)
+ * @returns {Object} Registry
+ * @throws {Error} If web3 is not initialized
+ */
+function resolveRegistry(registry) {
+    const target = registry || primary;
+    if (!target) {
+        throw new Error('Contract not initialized');
+    }
+    return target;
+}
+
+/**
+ * Run a function with the signer's next nonce, one caller at a time
+ * Every transaction the backend signs goes through here, so concurrent
+ * issuances, batches and revocations never reuse a nonce. The nonce only
+ * advances when the function succeeds; on failure it is re-read from the chain.
+ * @param {Function} fn - Receives the nonce and signs and broadcasts with it
+ * @returns {Promise<*>} Result of fn
+ */
+async function withNextNonce(fn) {
+    const previous = nonceLock;
+    let release;
+    nonceLock = new Promise(resolve => { release = resolve; });
+    await previous;
+
+    try {
+        const chainNonce = await primary.provider.getTransactionCount(signer.address, 'pending');
+        const nonce = nextNonce === null ? chainNonce : Math.max(nextNonce, chainNonce);
+
+        const result = await fn(nonce);
+        nextNonce = nonce + 1;
+        return result;
+    } catch (error) {
+        nextNonce = null;
+        throw error;
+    } finally {
+        release();
+    }
+}
+
+/**
+ * Pick the contract method and arguments that issue a certificate
+ * @param {Object} issuance - docHash, ipfsCID, validUntil, holder, replaces, requiredApprovals and signedRequest
+ * @returns {Array} Contract method and its arguments
+ */
+function selectIssueMethod({ docHash, ipfsCID, validUntil, holder, replaces, requiredApprovals, signedRequest }) {
+    const { contract } = primary;
+
+    // Requests signed by an issuer are relayed as signed, and credited to that issuer
+    if (signedRequest) {
+        const request = {
+            docHash: docHash,
+            ipfsCID: ipfsCID,
+            validUntil: validUntil || 0,
+            holder: holder || ethers.ZeroAddress,
+            issuer: signedRequest.issuer,
+            nonce: signedRequest.nonce,
+            deadline: signedRequest.deadline
+        };
+        return [contract.issueCertificateBySig, [request, signedRequest.signature]];
+    }
+    // A reissue keeps the expiry and holder of the certificate it replaces
+    if (replaces) {
+        return [contract.reissueCertificate, [replaces, docHash, ipfsCID]];
+    }
+    // Certificates needing several approvals are proposed and issued by the last approval
+    if (requiredApprovals) {
+        return [contract.proposeCertificate, [docHash, ipfsCID, validUntil || 0, holder || ethers.ZeroAddress, requiredApprovals]];
+    }
+    if (holder) {
+        return [contract.issueCertificateToHolder, [docHash, ipfsCID, validUntil || 0, holder]];
+    }
+    if (validUntil) {
+        return [contract.issueCertificateWithExpiry, [docHash, ipfsCID, validUntil]];
+    }
+    return [contract.issueCertificate, [docHash, ipfsCID]];
+}
+
+/**
+ * Build an unsigned certificate issuance transaction
+ * Gas is estimated here unless a limit is given, so a transaction that would
+ * revert (for example because the certificate already exists) fails before it
+ * is signed. Replacements pass the original limit, since estimating against
+ * the pending state would revert on the transaction being replaced.
+ * @param {Object} issuance - docHash, ipfsCID, and optional validUntil (Unix
+ *     timestamp), holder wallet address, replaces (hash of the certificate
+ *     reissued), requiredApprovals (to propose it instead) or signedRequest
+ *     (to relay an issuer's signed request)
+ * @param {bigint} [gasLimit] - Gas limit to use instead of an estimate
+ * @returns {Promise<Object>} Transaction request with to, data, gasLimit and chainId
+ */
+async function buildIssueTransaction(issuance, gasLimit = null) {
+    if (!primary || !signer) {
+        throw new Error('Contract not initialized or no signer available');
+    }
+
+    const [method, args] = selectIssueMethod(issuance);
+
+    const request = await method.populateTransaction(...args);
+    const { chainId } = await primary.provider.getNetwork();
+
+    return {
+        to: request.to,
+        data: request.data,
+        from: signer.address,
+        // Headroom for state changes between estimation and mining
+        gasLimit: gasLimit || (await method.estimateGas(...args)) * 120n / 100n,
+        chainId: chainId
+    };
+}
+
+/**
+ * Sign a transaction with the backend signer without broadcasting it
+ * @param {Object} transaction - Complete transaction request, including nonce and fees
+ * @returns {Promise<string>} Signed serialized transaction
+ */
+async function signTransaction(transaction) {
+    if (!signer) {
+        throw new Error('No signer available');
+    }
+
+    return signer.signTransaction(transaction);
+}
+
+/**
+ * Sign EIP-712 typed data with the backend signer
+ * @param {Object} domain - EIP-712 domain
+ * @param {Object} types - EIP-712 types, without EIP712Domain
+ * @param {Object} value - Data to sign
+ * @returns {Promise<string>} Signature
+ */
+async function signTypedData(domain, types, value) {
+    if (!signer) {
+        throw new Error('No signer available');
+    }
+
+    return signer.signTypedData(domain, types, value);
+}
+
+/**
+ * Get the nonce an issuer's next signed issuance request must use
+ * @param {string} address - Issuer address
+ * @returns {Promise<string>} Nonce as a decimal string
+ */
+async function getIssueNonce(address) {
+    const { contract } = resolveRegistry();
+
+    return (await contract.nonces(address)).toString();
+}
+
+/**
+ * Find the transaction that issued a certificate
+ * @param {string} docHash - Document hash (with 0x prefix)
+ * @returns {Promise<string|null>} Transaction hash or null if no issuance event exists
+ */
+async function findIssuanceTransaction(docHash) {
+    const { contract, deployment } = resolveRegistry();
+
+    const fromBlock = deployment && deployment.blockNumber ? deployment.blockNumber : 0;
+    const logs = await contract.queryFilter(contract.filters.CertificateIssued(docHash), fromBlock);
+
+    return logs.length > 0 ? logs[0].transactionHash : null;
+}
+
+/**
+ * Find the transaction that proposed the pending proposal for a certificate
+ * @param {string} docHash - Document hash (with 0x prefix)
+ * @returns {Promise<string|null>} Transaction hash, or null if never proposed
+ */
+async function findProposalTransaction(docHash) {
+    const { contract, deployment } = resolveRegistry();
+
+    const fromBlock = deployment && deployment.blockNumber ? deployment.blockNumber : 0;
+    const logs = await contract.queryFilter(contract.filters.CertificateProposed(docHash), fromBlock);
+
+    // A document proposed again after a cancellation has several; the latest is pending
+    return logs.length > 0 ? logs[logs.length - 1].transactionHash : null;
+}
+
+/**
+ * Get the pending proposal for a certificate
  * @param {string} docHash - Document hash (with 0x prefix)
- * @param {string} ipfsCID - IPFS CID or local storage identifier
+ * @param {number|string} [blockTag='latest'] - Block to read the proposal at
+ * @param {Object} [registry] - Registry from getRegistries (defaults to the primary registry)
+ * @returns {Promise<Object|null>} Proposal, or null if none is pending
+ */
+async function getProposal(docHash, blockTag = 'latest', registry = null) {
+    const { contract } = resolveRegistry(registry);
+
+    const proposal = await contract.getProposal(docHash, { blockTag });
+
+    if (!proposal.exists) {
+        return null;
+    }
+
+    return {
+        ipfsCID: proposal.ipfsCID,
+        proposer: proposal.proposer,
+        validUntil: proposal.validUntil.toString(),
+        holder: proposal.holder === ethers.ZeroAddress ? null : proposal.holder,
+        institutionId: proposal.institutionId === ethers.ZeroHash ? null : proposal.institutionId,
+        threshold: Number(proposal.threshold),
+        approvals: Number(proposal.approvals),
+        proposedAt: proposal.proposedAt.toString()
+    };
+}
+
+/**
+ * Check whether an issuer has approved the pending proposal for a certificate
+ * @param {string} docHash - Document hash (with 0x prefix)
+ * @param {string} address - Issuer address
+ * @returns {Promise<boolean>} True if it has
+ */
+async function hasApproved(docHash, address) {
+    const { contract } = resolveRegistry();
+
+    return contract.hasApproved(docHash, address);
+}
+
+/**
+ * Approve a proposed certificate with the backend signer
+ * The certificate is issued in the same transaction if this was the last approval needed.
+ * @param {string} docHash - Document hash (with 0x prefix)
+ * @returns {Promise<Object>} Transaction receipt
+ */
+async function approveCertificate(docHash) {
+    console.log('✍️  Approving certificate:', docHash);
+    return sendAdminTransaction('approveCertificate', [docHash]);
+}
+
+/**
+ * Approve a proposed certificate with an approval another issuer signed
+ * The backend signer only pays the gas; the approval counts as the signing issuer's.
+ * @param {Object} request - Approval request as signed
+ * @param {string} signature - Approver's EIP-712 signature
  * @returns {Promise<Object>} Transaction receipt
  */
-async function issueCertificate(docHash, ipfsCID) {
-    if (!contract || !signer) {
+async function approveCertificateBySig(request, signature) {
+    console.log('✍️  Relaying approval of', request.docHash, 'by', request.approver);
+    return sendAdminTransaction('approveCertificateBySig', [request, signature]);
+}
+
+/**
+ * Withdraw a pending proposal
+ * @param {string} docHash - Document hash (with 0x prefix)
+ * @returns {Promise<Object>} Transaction receipt
+ */
+async function cancelProposal(docHash) {
+    console.log('🗑️  Cancelling proposal:', docHash);
+    return sendAdminTransaction('cancelProposal', [docHash]);
+}
+
+/**
+ * Anchor a batch of certificates on the blockchain by its Merkle root
+ * @param {string} merkleRoot - Root of the Merkle tree over the batch's document hashes
+ * @param {string} ipfsCID - IPFS CID of the batch manifest
+ * @param {number} certificateCount - Number of certificates in the batch
+ * @returns {Promise<Object>} Transaction receipt
+ */
+async function issueBatch(merkleRoot, ipfsCID, certificateCount) {
+    if (!primary || !signer) {
         throw new Error('Contract not initialized or no signer available');
     }
 
+    const { contract } = primary;
+
     try {
-        console.log('📝 Issuing certificate...');
-        console.log('   Hash:', docHash);
-        console.log('   CID:', ipfsCID);
+        console.log('📦 Anchoring certificate batch...');
+        console.log('   Root:', merkleRoot);
+        console.log('   Certificates:', certificateCount);
 
-        const tx = await contract.issueCertificate(docHash, ipfsCID);
+        const tx = await withNextNonce(nonce => contract.issueBatch(merkleRoot, ipfsCID, certificateCount, { nonce }));
         console.log('⏳ Transaction sent:', tx.hash);
 
         const receipt = await tx.wait();
-        console.log('✅ Certificate issued! Block:', receipt.blockNumber);
+        console.log('✅ Batch anchored! Block:', receipt.blockNumber);
 
         return {
             transactionHash: receipt.hash,
             blockNumber: receipt.blockNumber,
+            blockHash: receipt.blockHash,
             gasUsed: receipt.gasUsed.toString()
         };
     } catch (error) {
-        console.error('Certificate issuance failed:', error);
-        throw new Error(`Failed to issue certificate: ${error.message}`);
+        console.error('Batch issuance failed:', error);
+        throw new Error(`Failed to issue batch: ${error.message}`);
     }
 }
 
+/**
+ * Revoke a certificate on the blockchain
+ * @param {string} docHash - Document hash (with 0x prefix)
+ * @param {number} reasonCode - Revocation reason code (see REVOCATION_REASONS)
+ * @returns {Promise<Object>} Transaction receipt
+ */
+async function revokeCertificate(docHash, reasonCode) {
+    if (!primary || !signer) {
+        throw new Error('Contract not initialized or no signer available');
+    }
+
+    const { contract } = primary;
+
+    try {
+        console.log('🚫 Revoking certificate:', docHash, '(reason', reasonCode + ')');
+
+        const tx = await withNextNonce(nonce => contract.revokeCertificate(docHash, reasonCode, { nonce }));
+        console.log('⏳ Transaction sent:', tx.hash);
+
+        const receipt = await tx.wait();
+        console.log('✅ Certificate revoked! Block:', receipt.blockNumber);
+
+        return {
+            transactionHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            blockHash: receipt.blockHash,
+            gasUsed: receipt.gasUsed.toString()
+        };
+    } catch (error) {
+        console.error('Certificate revocation failed:', error);
+        throw new Error(`Failed to revoke certificate: ${error.message}`);
+    }
+}
+
+/**
+ * Revoke one certificate of an anchored batch on the blockchain
+ * @param {string} merkleRoot - Root of the batch
+ * @param {string} docHash - Document hash (with 0x prefix)
+ * @param {string[]} proof - Merkle proof for the document
+ * @param {number} reasonCode - Revocation reason code (see REVOCATION_REASONS)
+ * @returns {Promise<Object>} Transaction receipt
+ */
+async function revokeBatchCertificate(merkleRoot, docHash, proof, reasonCode) {
+    if (!primary || !signer) {
+        throw new Error('Contract not initialized or no signer available');
+    }
+
+    const { contract } = primary;
+
+    try {
+        console.log('🚫 Revoking batch certificate:', docHash, 'in', merkleRoot, '(reason', reasonCode + ')');
+
+        const tx = await withNextNonce(nonce => contract.revokeBatchCertificate(merkleRoot, docHash, proof, reasonCode, { nonce }));
+        console.log('⏳ Transaction sent:', tx.hash);
+
+        const receipt = await tx.wait();
+        console.log('✅ Batch certificate revoked! Block:', receipt.blockNumber);
+
+        return {
+            transactionHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            blockHash: receipt.blockHash,
+            gasUsed: receipt.gasUsed.toString()
+        };
+    } catch (error) {
+        console.error('Batch certificate revocation failed:', error);
+        throw new Error(`Failed to revoke batch certificate: ${error.message}`);
+    }
+}
+
+/**
+ * Send a registry administration transaction and wait for it to be mined
+ * @param {string} method - Contract method name
+ * @param {Array} args - Method arguments
+ * @returns {Promise<Object>} Transaction receipt
+ */
+async function sendAdminTransaction(method, args) {
+    if (!primary || !signer) {
+        throw new Error('Contract not initialized or no signer available');
+    }
+
+    const { contract } = primary;
+
+    try {
+        const tx = await withNextNonce(nonce => contract[method](...args, { nonce }));
+        console.log('⏳ Transaction sent:', tx.hash);
+
+        const receipt = await tx.wait();
+        console.log(`✅ ${method} mined! Block:`, receipt.blockNumber);
+
+        return {
+            transactionHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            blockHash: receipt.blockHash,
+            gasUsed: receipt.gasUsed.toString()
+        };
+    } catch (error) {
+        console.error(`${method} failed:`, error);
+        throw new Error(`Failed to ${method}: ${error.reason || error.message}`);
+    }
+}
+
+/**
+ * Stop all issuance on the registry
+ * @returns {Promise<Object>} Transaction receipt
+ */
+async function pauseRegistry() {
+    console.log('⏸️  Pausing issuance');
+    return sendAdminTransaction('pause', []);
+}
+
+/**
+ * Resume issuance on the registry
+ * @returns {Promise<Object>} Transaction receipt
+ */
+async function unpauseRegistry() {
+    console.log('▶️  Resuming issuance');
+    return sendAdminTransaction('unpause', []);
+}
+
+/**
+ * Check whether issuance is paused
+ * @param {number|string} [blockTag='latest'] - Block to read the state at
+ * @param {Object} [registry] - Registry from getRegistries (defaults to the primary registry)
+ * @returns {Promise<boolean>} True if paused
+ */
+async function isRegistryPaused(blockTag = 'latest', registry = null) {
+    const { contract } = resolveRegistry(registry);
+
+    return contract.paused({ blockTag });
+}
+
+/**
+ * Mark an issuer's key as compromised from a point in time or a block
+ * @param {string} address - Issuer address
+ * @param {number} since - Unix timestamp from which its certificates are untrusted
+ * @param {number} [sinceBlock] - Block from which its certificates are untrusted; since is then that block's timestamp
+ * @returns {Promise<Object>} Transaction receipt
+ */
+async function markIssuerCompromised(address, since, sinceBlock = null) {
+    if (sinceBlock !== null) {
+        console.log('🚨 Marking issuer compromised:', address, 'since block', sinceBlock);
+        return sendAdminTransaction('markIssuerCompromisedAtBlock', [address, sinceBlock, since]);
+    }
+
+    console.log('🚨 Marking issuer compromised:', address, 'since', since);
+    return sendAdminTransaction('markIssuerCompromised', [address, since]);
+}
+
+/**
+ * Withdraw a compromise marking
+ * @param {string} address - Issuer address
+ * @returns {Promise<Object>} Transaction receipt
+ */
+async function clearIssuerCompromise(address) {
+    console.log('🧹 Clearing issuer compromise:', address);
+    return sendAdminTransaction('clearIssuerCompromise', [address]);
+}
+
+/**
+ * Get the compromised period of an issuer
+ * @param {string} address - Issuer address
+ * @param {number|string} [blockTag='latest'] - Block to read the state at
+ * @param {Object} [registry] - Registry from getRegistries (defaults to the primary registry)
+ * @returns {Promise<Object|null>} since and markedAt as timestamp strings and sinceBlock (null for a cutoff by time), or null if not compromised
+ */
+async function getIssuerCompromise(address, blockTag = 'latest', registry = null) {
+    const { contract } = resolveRegistry(registry);
+
+    const compromise = await contract.issuerCompromises(address, { blockTag });
+
+    if (compromise.since === 0n) {
+        return null;
+    }
+
+    return {
+        since: compromise.since.toString(),
+        markedAt: compromise.markedAt.toString(),
+        // Registries deployed before block cutoffs have no sinceBlock
+        sinceBlock: compromise.sinceBlock ? compromise.sinceBlock.toString() : null
+    };
+}
+
+/**
+ * Get the block a certificate or batch was issued in
+ * @param {string} docHash - Document hash (with 0x prefix)
+ * @param {string} [merkleRoot] - Root of the batch holding the document, for batch certificates
+ * @param {number|string} [blockTag='latest'] - Block to read the state at
+ * @param {Object} [registry] - Registry from getRegistries (defaults to the primary registry)
+ * @returns {Promise<number|null>} Block number, or null if the registry did not record it
+ */
+async function getIssuanceBlock(docHash, merkleRoot = null, blockTag = 'latest', registry = null) {
+    const { contract } = resolveRegistry(registry);
+
+    const record = merkleRoot
+        ? await contract.getBatch(merkleRoot, { blockTag })
+        : await contract.getCertificate(docHash, { blockTag });
+
+    return record.blockNumber ? Number(record.blockNumber) : null;
+}
+
+/**
+ * Authorize an issuer for an institution
+ * @param {string} address - Issuer address
+ * @param {string} institutionId - bytes32 institution ID (ZeroHash for none)
+ * @returns {Promise<Object>} Transaction receipt
+ */
+async function addIssuer(address, institutionId) {
+    console.log('👤 Adding issuer:', address);
+    return sendAdminTransaction('addIssuer', [address, institutionId]);
+}
+
+/**
+ * Deauthorize an issuer
+ * @param {string} address - Issuer address
+ * @returns {Promise<Object>} Transaction receipt
+ */
+async function removeIssuer(address) {
+    console.log('👤 Removing issuer:', address);
+    return sendAdminTransaction('removeIssuer', [address]);
+}
+
+/**
+ * Register an institution
+ * @param {string} institutionId - bytes32 institution ID
+ * @param {Object} profile - name, domain and metadataCID
+ * @returns {Promise<Object>} Transaction receipt
+ */
+async function registerInstitution(institutionId, profile) {
+    console.log('🏛️  Registering institution:', profile.name);
+    return sendAdminTransaction('registerInstitution', [institutionId, profile.name, profile.domain, profile.metadataCID]);
+}
+
+/**
+ * Update the profile of a registered institution
+ * @param {string} institutionId - bytes32 institution ID
+ * @param {Object} profile - name, domain and metadataCID
+ * @returns {Promise<Object>} Transaction receipt
+ */
+async function updateInstitution(institutionId, profile) {
+    console.log('🏛️  Updating institution:', profile.name);
+    return sendAdminTransaction('updateInstitution', [institutionId, profile.name, profile.domain, profile.metadataCID]);
+}
+
+/**
+ * Get the registered profile of an institution
+ * @param {string} institutionId - bytes32 institution ID
+ * @param {number|string} [blockTag='latest'] - Block to read the profile at
+ * @param {Object} [registry] - Registry from getRegistries (defaults to the primary registry)
+ * @returns {Promise<Object|null>} Profile, or null if the institution is not registered
+ */
+async function getInstitution(institutionId, blockTag = 'latest', registry = null) {
+    const { contract } = resolveRegistry(registry);
+
+    const institution = await contract.getInstitution(institutionId, { blockTag });
+
+    if (!institution.exists) {
+        return null;
+    }
+
+    return {
+        name: institution.name,
+        domain: institution.domain,
+        metadataCID: institution.metadataCID || null,
+        registeredAt: institution.registeredAt.toString(),
+        updatedAt: institution.updatedAt.toString()
+    };
+}
+
+/**
+ * Get how many approvals each certificate of an institution needs
+ * @param {string} institutionId - bytes32 institution ID (ZeroHash for issuers outside any institution)
+ * @returns {Promise<Object>} threshold (0 or 1 when its issuers may issue directly) and issuerCount
+ */
+async function getApprovalPolicy(institutionId) {
+    const { contract } = resolveRegistry();
+
+    const [threshold, issuerCount] = await Promise.all([
+        contract.approvalThresholds(institutionId),
+        contract.issuerCounts(institutionId)
+    ]);
+
+    return { threshold: Number(threshold), issuerCount: Number(issuerCount) };
+}
+
+/**
+ * Require every certificate of an institution to be approved by several of its issuers
+ * @param {string} institutionId - bytes32 institution ID (ZeroHash for none)
+ * @param {number} threshold - Approvals each certificate needs (0 or 1 lifts the requirement)
+ * @returns {Promise<Object>} Transaction receipt
+ */
+async function setApprovalThreshold(institutionId, threshold) {
+    console.log('🗳️  Setting approval threshold of', institutionId, 'to', threshold);
+    return sendAdminTransaction('setApprovalThreshold', [institutionId, threshold]);
+}
+
+/**
+ * Make an account the admin of an institution
+ * @param {string} address - Admin address
+ * @param {string} institutionId - bytes32 institution ID
+ * @returns {Promise<Object>} Transaction receipt
+ */
+async function addInstitutionAdmin(address, institutionId) {
+    console.log('🏛️  Adding institution admin:', address);
+    return sendAdminTransaction('addInstitutionAdmin', [address, institutionId]);
+}
+
+/**
+ * Remove an institution admin
+ * @param {string} address - Admin address
+ * @returns {Promise<Object>} Transaction receipt
+ */
+async function removeInstitutionAdmin(address) {
+    console.log('🏛️  Removing institution admin:', address);
+    return sendAdminTransaction('removeInstitutionAdmin', [address]);
+}
+
+/**
+ * Get the registry roles an account holds
+ * @param {string} address - Ethereum address
+ * @returns {Promise<Object>} Role flags and the institutions the account issues for and administers
+ */
+async function getRoles(address) {
+    const { contract } = resolveRegistry();
+
+    const [registryAdminRole, institutionAdminRole, issuerRole] = await Promise.all([
+        contract.REGISTRY_ADMIN_ROLE(),
+        contract.INSTITUTION_ADMIN_ROLE(),
+        contract.ISSUER_ROLE()
+    ]);
+    const [registryAdmin, institutionAdmin, issuer, issuerInstitution, adminInstitution] = await Promise.all([
+        contract.hasRole(registryAdminRole, address),
+        contract.hasRole(institutionAdminRole, address),
+        contract.hasRole(issuerRole, address),
+        contract.issuerInstitution(address),
+        contract.adminInstitution(address)
+    ]);
+
+    return { registryAdmin, institutionAdmin, issuer, issuerInstitution, adminInstitution };
+}
+
+/**
+ * Check whether an account may add and remove the issuers of an institution
+ * @param {string} address - Ethereum address
+ * @param {string} institutionId - bytes32 institution ID (ZeroHash for none)
+ * @returns {Promise<boolean>} True if it may
+ */
+async function canManageIssuers(address, institutionId) {
+    const { contract } = resolveRegistry();
+
+    return contract.canManageIssuers(address, institutionId);
+}
+
 /**
  * Verify a certificate on the blockchain
  * @param {string} docHash - Document hash (with 0x prefix)
+ * @param {number|string} [blockTag='latest'] - Block to read the certificate at
+ * @param {Object} [registry] - Registry from getRegistries (defaults to the primary registry)
  * @returns {Promise<Object>} Certificate details
  */
-async function verifyCertificate(docHash) {
-    if (!contract) {
-        throw new Error('Contract not initialized');
-    }
+async function verifyCertificate(docHash, blockTag = 'latest', registry = null) {
+    const { contract } = resolveRegistry(registry);
 
     try {
         console.log('🔍 Verifying certificate:', docHash);
 
-        const result = await contract.verifyCertificate(docHash);
+        const result = await contract.verifyCertificate(docHash, { blockTag });
 
         return {
             exists: result.exists,
             ipfsCID: result.ipfsCID,
             issuer: result.issuer,
-            timestamp: result.timestamp.toString()
+            timestamp: result.timestamp.toString(),
+            revoked: result.revoked,
+            revocationReason: Number(result.revocationReason),
+            revokedAt: result.revokedAt.toString(),
+            validUntil: result.validUntil.toString(),
+            expired: result.expired,
+            holder: result.holder === ethers.ZeroAddress ? null : result.holder,
+            supersededBy: result.supersededBy === ethers.ZeroHash ? null : result.supersededBy,
+            institutionId: result.institutionId === ethers.ZeroHash ? null : result.institutionId
         };
     } catch (error) {
         console.error('Certificate verification failed:', error);
@@ -123,25 +955,72 @@ async function verifyCertificate(docHash) {
     }
 }
 
+/**
+ * Verify that a document belongs to an anchored batch
+ * @param {string} docHash - Document hash (with 0x prefix)
+ * @param {string} merkleRoot - Root of the batch
+ * @param {string[]} proof - Merkle proof for the document
+ * @param {number|string} [blockTag='latest'] - Block to read the batch at
+ * @param {Object} [registry] - Registry from getRegistries (defaults to the primary registry)
+ * @returns {Promise<Object>} Inclusion result and batch details
+ */
+async function verifyBatchCertificate(docHash, merkleRoot, proof, blockTag = 'latest', registry = null) {
+    const { contract } = resolveRegistry(registry);
+
+    try {
+        console.log('🔍 Verifying batch inclusion:', docHash, 'in', merkleRoot);
+
+        const result = await contract.verifyBatchCertificate(docHash, merkleRoot, proof, { blockTag });
+
+        return {
+            included: result.included,
+            ipfsCID: result.ipfsCID,
+            issuer: result.issuer,
+            timestamp: result.timestamp.toString(),
+            institutionId: result.institutionId === ethers.ZeroHash ? null : result.institutionId,
+            compromised: result.compromised,
+            revoked: result.revoked,
+            revocationReason: Number(result.revocationReason),
+            revokedAt: result.revokedAt.toString()
+        };
+    } catch (error) {
+        console.error('Batch verification failed:', error);
+        throw new Error(`Failed to verify batch certificate: ${error.message}`);
+    }
+}
+
 /**
  * Get full certificate details
  * @param {string} docHash - Document hash (with 0x prefix)
+ * @param {number|string} [blockTag='latest'] - Block to read the certificate at
+ * @param {Object} [registry] - Registry from getRegistries (defaults to the primary registry)
  * @returns {Promise<Object>} Full certificate object
  */
-async function getCertificate(docHash) {
-    if (!contract) {
-        throw new Error('Contract not initialized');
-    }
+async function getCertificate(docHash, blockTag = 'latest', registry = null) {
+    const { contract } = resolveRegistry(registry);
 
     try {
-        const cert = await contract.getCertificate(docHash);
+        const cert = await contract.getCertificate(docHash, { blockTag });
+
+        // Expiry is judged against chain time by the contract, and revocation
+        // includes certificates issued with a compromised key
+        const { expired, revoked, revocationReason, revokedAt } = await contract.verifyCertificate(docHash, { blockTag });
 
         return {
             docHash: cert.docHash,
             ipfsCID: cert.ipfsCID,
             issuer: cert.issuer,
             timestamp: cert.timestamp.toString(),
-            exists: cert.exists
+            exists: cert.exists,
+            revoked: revoked,
+            revocationReason: Number(revocationReason),
+            revokedAt: revokedAt.toString(),
+            validUntil: cert.validUntil.toString(),
+            expired: expired,
+            holder: cert.holder === ethers.ZeroAddress ? null : cert.holder,
+            replaces: cert.replaces === ethers.ZeroHash ? null : cert.replaces,
+            supersededBy: cert.supersededBy === ethers.ZeroHash ? null : cert.supersededBy,
+            institutionId: cert.institutionId === ethers.ZeroHash ? null : cert.institutionId
         };
     } catch (error) {
         console.error('Failed to get certificate:', error);
@@ -155,9 +1034,7 @@ async function getCertificate(docHash) {
  * @returns {Promise<boolean>} Authorization status
  */
 async function isAuthorizedIssuer(address) {
-    if (!contract) {
-        throw new Error('Contract not initialized');
-    }
+    const { contract } = resolveRegistry();
 
     try {
         return await contract.isAuthorizedIssuer(address);
@@ -176,28 +1053,93 @@ function getSignerAddress() {
 }
 
 /**
- * Get provider instance
+ * Get the primary registry's provider
  * @returns {ethers.Provider|null} Provider instance
  */
 function getProvider() {
-    return provider;
+    return primary ? primary.provider : null;
 }
 
 /**
- * Get contract instance
+ * Get the primary registry's contract instance
  * @returns {ethers.Contract|null} Contract instance
  */
 function getContract() {
-    return contract;
+    return primary ? primary.contract : null;
+}
+
+/**
+ * Get the deployment info recorded by the deploy script for the primary registry
+ * @returns {Object|null} Contract address, chain ID and deployment block
+ */
+function getDeployment() {
+    return primary ? primary.deployment : null;
+}
+
+/**
+ * Get the implementation the primary registry's proxy delegated to when last checked
+ * @returns {string|null} Implementation address, or null if the registry is not behind a proxy
+ */
+function getImplementation() {
+    return primary ? primary.implementation : null;
+}
+
+/**
+ * Get every registry the backend is connected to
+ * @returns {Array<Object>} Registries with their network, chainId, provider,
+ *     contract, deployment and implementation, primary first
+ */
+function getRegistries() {
+    return registries;
 }
 
 module.exports = {
+    REVOCATION_REASONS,
+    ISSUER_COMPROMISED_REASON,
     initWeb3,
-    issueCertificate,
+    syncImplementation,
+    syncImplementations,
+    withNextNonce,
+    buildIssueTransaction,
+    signTransaction,
+    signTypedData,
+    getIssueNonce,
+    findIssuanceTransaction,
+    issueBatch,
+    revokeCertificate,
+    revokeBatchCertificate,
+    pauseRegistry,
+    unpauseRegistry,
+    isRegistryPaused,
+    markIssuerCompromised,
+    clearIssuerCompromise,
+    getIssuerCompromise,
+    getIssuanceBlock,
+    addIssuer,
+    removeIssuer,
+    findProposalTransaction,
+    getProposal,
+    hasApproved,
+    approveCertificate,
+    approveCertificateBySig,
+    cancelProposal,
+    registerInstitution,
+    updateInstitution,
+    getInstitution,
+    getApprovalPolicy,
+    setApprovalThreshold,
+    addInstitutionAdmin,
+    removeInstitutionAdmin,
+    getRoles,
+    canManageIssuers,
     verifyCertificate,
+    verifyBatchCertificate,
     getCertificate,
     isAuthorizedIssuer,
     getSignerAddress,
     getProvider,
-    getContract
+    getContract,
+    getDeployment,
+    getImplementation,
+    getRegistries
 };
@@ -1,74 +1,292 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.19;
+pragma solidity ^0.8.24;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "./CertificateRegistryBase.sol";
 
 /**
  * @title CertificateRegistry
  * @dev Smart contract for decentralized certificate validation
- * @notice This contract allows authorized issuers to register certificates and anyone to verify them
+ * @notice This contract allows authorized issuers to register certificates and anyone to verify them.
+ *         Registry admins manage everything; institution admins manage the issuers of their own institution.
+ *         Issuers may also sign issuance requests offline for a relayer to submit.
+ *         Registry admins can pause issuance and mark an issuer's key as compromised.
+ *         The registry is deployed behind an ERC-1967 proxy and upgraded by registry admins;
+ *         its state is declared in CertificateRegistryBase.
  */
-contract CertificateRegistry is Ownable {
+contract CertificateRegistry is CertificateRegistryBase {
     
-    // Certificate structure
-    struct Certificate {
-        bytes32 docHash;        // SHA-256 hash of the certificate document
-        string ipfsCID;         // IPFS CID for encrypted metadata
-        address issuer;         // Address of the issuing institution
-        uint256 timestamp;      // Timestamp when certificate was issued
-        bool exists;            // Flag to check if certificate exists
+    // Revocation reason verifyCertificate reports for certificates issued with a compromised key
+    uint8 public constant ISSUER_COMPROMISED_REASON = 4;
+    
+    // EIP-712 type of a signed issuance request
+    bytes32 public constant ISSUE_REQUEST_TYPEHASH = keccak256(
+        "IssueRequest(bytes32 docHash,string ipfsCID,uint256 validUntil,address holder,address issuer,uint256 nonce,uint256 deadline)"
+    );
+    
+    // EIP-712 type of a signed proposal approval
+    bytes32 public constant APPROVAL_REQUEST_TYPEHASH = keccak256(
+        "ApprovalRequest(bytes32 docHash,string ipfsCID,uint256 validUntil,address holder,address approver,uint256 nonce,uint256 deadline)"
+    );
+    
+    /**
+     * @dev Set up the registry behind its proxy
+     * @param _admin First registry admin and authorized issuer
+     * @param _migrating Whether records of a previous deployment will be imported
+     */
+    function initialize(address _admin, bool _migrating) external initializer {
+        __CertificateRegistryBase_init(_admin, _migrating);
+    }
+    
+    /**
+     * @dev Register an institution so admins and issuers can be assigned to it
+     * @param _institutionId Institution ID
+     * @param _name Official name of the institution
+     * @param _domain Web domain the institution controls
+     * @param _metadataCID IPFS CID of the public profile (may be empty)
+     */
+    function registerInstitution(
+        bytes32 _institutionId,
+        string memory _name,
+        string memory _domain,
+        string memory _metadataCID
+    ) 
+        external 
+        onlyRole(REGISTRY_ADMIN_ROLE) 
+    {
+        if (_institutionId == bytes32(0)) revert InvalidInstitution();
+        if (bytes(_name).length == 0) revert InvalidInstitutionName();
+        if (institutions[_institutionId].exists) revert InstitutionAlreadyRegistered();
+        
+        institutions[_institutionId] = Institution({
+            name: _name,
+            domain: _domain,
+            metadataCID: _metadataCID,
+            registeredAt: block.timestamp,
+            updatedAt: block.timestamp,
+            exists: true
+        });
+        
+        emit InstitutionRegistered(_institutionId, _name, _domain, _metadataCID, block.timestamp);
     }
     
-    // Mapping from document hash to certificate
-    mapping(bytes32 => Certificate) public certificates;
+    /**
+     * @dev Update the profile of a registered institution
+     * @notice Registry admins may update any institution; institution admins only their own
+     * @param _institutionId Institution ID
+     * @param _name Official name of the institution
+     * @param _domain Web domain the institution controls
+     * @param _metadataCID IPFS CID of the public profile (may be empty)
+     */
+    function updateInstitution(
+        bytes32 _institutionId,
+        string memory _name,
+        string memory _domain,
+        string memory _metadataCID
+    ) 
+        external 
+        onlyIssuerManager(_institutionId) 
+    {
+        Institution storage institution = institutions[_institutionId];
+        if (!institution.exists) revert InstitutionNotRegistered();
+        if (bytes(_name).length == 0) revert InvalidInstitutionName();
+        
+        institution.name = _name;
+        institution.domain = _domain;
+        institution.metadataCID = _metadataCID;
+        institution.updatedAt = block.timestamp;
+        
+        emit InstitutionUpdated(_institutionId, _name, _domain, _metadataCID, block.timestamp);
+    }
     
-    // Mapping to track authorized issuers
-    mapping(address => bool) public authorizedIssuers;
+    /**
+     * @dev Get a pending proposal
+     * @param _docHash SHA-256 hash of the certificate document
+     * @return Proposal struct (exists is false if nothing is pending)
+     */
+    function getProposal(bytes32 _docHash) 
+        external 
+        view 
+        returns (Proposal memory) 
+    {
+        return proposals[_docHash];
+    }
     
-    // Events
-    event CertificateIssued(
-        bytes32 indexed docHash,
-        string ipfsCID,
-        address indexed issuer,
-        uint256 timestamp
-    );
+    /**
+     * @dev Check whether an issuer has approved the pending proposal for a document
+     * @param _docHash SHA-256 hash of the certificate document
+     * @param _issuer Address of the issuer
+     * @return bool True if the issuer approved the current proposal
+     */
+    function hasApproved(bytes32 _docHash, address _issuer) external view returns (bool) {
+        Proposal storage proposal = proposals[_docHash];
+        return proposal.exists && approvalRounds[_docHash][_issuer] == proposal.round
+            && _canApprove(_issuer, proposal.institutionId);
+    }
+    
+    /**
+     * @dev Get the profile of an institution
+     * @param _institutionId Institution ID
+     * @return Institution struct
+     */
+    function getInstitution(bytes32 _institutionId) 
+        external 
+        view 
+        returns (Institution memory) 
+    {
+        return institutions[_institutionId];
+    }
     
-    event IssuerAdded(address indexed issuer, uint256 timestamp);
-    event IssuerRemoved(address indexed issuer, uint256 timestamp);
+    /**
+     * @dev Make an account the admin of an institution
+     * @param _admin Address of the institution admin
+     * @param _institutionId Institution the admin manages
+     */
+    function addInstitutionAdmin(address _admin, bytes32 _institutionId) external onlyRole(REGISTRY_ADMIN_ROLE) {
+        if (_admin == address(0)) revert InvalidAdmin();
+        if (!institutions[_institutionId].exists) revert InstitutionNotRegistered();
+        if (hasRole(INSTITUTION_ADMIN_ROLE, _admin)) revert AdminAlreadyAssigned();
+        
+        adminInstitution[_admin] = _institutionId;
+        _grantRole(INSTITUTION_ADMIN_ROLE, _admin);
+    }
     
-    // Modifiers
-    modifier onlyAuthorizedIssuer() {
-        require(authorizedIssuers[msg.sender], "Not an authorized issuer");
-        _;
+    /**
+     * @dev Remove an institution admin
+     * @param _admin Address of the institution admin
+     */
+    function removeInstitutionAdmin(address _admin) external onlyRole(REGISTRY_ADMIN_ROLE) {
+        if (!hasRole(INSTITUTION_ADMIN_ROLE, _admin)) revert NotInstitutionAdmin();
+        
+        _revokeRole(INSTITUTION_ADMIN_ROLE, _admin);
     }
     
-    constructor() Ownable(msg.sender) {
-        // Add contract deployer as first authorized issuer
-        authorizedIssuers[msg.sender] = true;
-        emit IssuerAdded(msg.sender, block.timestamp);
+    /**
+     * @dev Authorize an issuer for an institution
+     * @param _issuer Address of the issuer
+     * @param _institutionId Institution the issuer belongs to (0 for none, registry admins only)
+     */
+    function addIssuer(address _issuer, bytes32 _institutionId) public onlyIssuerManager(_institutionId) {
+        if (_issuer == address(0)) revert InvalidIssuer();
+        if (_institutionId != bytes32(0) && !institutions[_institutionId].exists) revert InstitutionNotRegistered();
+        if (hasRole(ISSUER_ROLE, _issuer)) revert IssuerAlreadyAuthorized();
+        
+        issuerInstitution[_issuer] = _institutionId;
+        _grantRole(ISSUER_ROLE, _issuer);
     }
     
     /**
-     * @dev Add a new authorized issuer
-     * @param _issuer Address of the institution to authorize
+     * @dev Deauthorize an issuer
+     * @param _issuer Address of the issuer
      */
-    function addAuthorizedIssuer(address _issuer) external onlyOwner {
-        require(_issuer != address(0), "Invalid issuer address");
-        require(!authorizedIssuers[_issuer], "Issuer already authorized");
+    function removeIssuer(address _issuer) public onlyIssuerManager(issuerInstitution[_issuer]) {
+        if (!hasRole(ISSUER_ROLE, _issuer)) revert IssuerNotAuthorized();
         
-        authorizedIssuers[_issuer] = true;
-        emit IssuerAdded(_issuer, block.timestamp);
+        _revokeRole(ISSUER_ROLE, _issuer);
+    }
+    
+    /**
+     * @dev Add a new authorized issuer outside any institution
+     * @param _issuer Address of the issuer to authorize
+     */
+    function addAuthorizedIssuer(address _issuer) external {
+        addIssuer(_issuer, bytes32(0));
     }
     
     /**
      * @dev Remove an authorized issuer
-     * @param _issuer Address of the institution to deauthorize
+     * @param _issuer Address of the issuer to deauthorize
+     */
+    function removeAuthorizedIssuer(address _issuer) external {
+        removeIssuer(_issuer);
+    }
+    
+    /**
+     * @dev Require every certificate of an institution to be approved by several of its issuers
+     * @notice With a threshold above 1 its issuers can only issue through proposals; direct,
+     *         relayed, batch and reissue issuance revert. 0 or 1 lifts the requirement.
+     * @param _institutionId Institution ID (0 for issuers outside any institution, registry admins only)
+     * @param _threshold Approvals each certificate needs, at most the institution's number of issuers
      */
-    function removeAuthorizedIssuer(address _issuer) external onlyOwner {
-        require(authorizedIssuers[_issuer], "Issuer not authorized");
+    function setApprovalThreshold(bytes32 _institutionId, uint8 _threshold) external onlyIssuerManager(_institutionId) {
+        if (_threshold > issuerCounts[_institutionId]) revert ThresholdTooHigh();
         
-        authorizedIssuers[_issuer] = false;
-        emit IssuerRemoved(_issuer, block.timestamp);
+        approvalThresholds[_institutionId] = _threshold;
+        emit ApprovalThresholdSet(_institutionId, _threshold, block.timestamp);
+    }
+    
+    /**
+     * @dev Stop all issuance until unpaused
+     * @notice Revocation and role management keep working while paused
+     */
+    function pause() external onlyRole(REGISTRY_ADMIN_ROLE) {
+        _pause();
+    }
+    
+    /**
+     * @dev Resume issuance
+     */
+    function unpause() external onlyRole(REGISTRY_ADMIN_ROLE) {
+        _unpause();
+    }
+    
+    /**
+     * @dev Mark an issuer's key as compromised from a point in time
+     * @notice Certificates it issued at or after that time verify as revoked with
+     *         ISSUER_COMPROMISED_REASON, and its batches as compromised. The issuer
+     *         loses its role; certificates issued before that time are unaffected.
+     *         Calling again moves the point in time.
+     * @param _issuer Issuer address
+     * @param _since Timestamp from which its certificates are untrusted
+     */
+    function markIssuerCompromised(address _issuer, uint256 _since) external onlyRole(REGISTRY_ADMIN_ROLE) {
+        _markIssuerCompromised(_issuer, _since, 0);
+    }
+    
+    /**
+     * @dev Mark an issuer's key as compromised from a block
+     * @notice Like markIssuerCompromised, but certificates and batches are judged by the
+     *         block they were issued in, so those from earlier blocks that share its timestamp
+     *         stay trusted. Records from before issuance blocks were recorded have no block
+     *         number and are judged by _since instead.
+     * @param _issuer Issuer address
+     * @param _sinceBlock Block from which its certificates are untrusted
+     * @param _since Timestamp of that block
+     */
+    function markIssuerCompromisedAtBlock(address _issuer, uint256 _sinceBlock, uint256 _since) 
+        external 
+        onlyRole(REGISTRY_ADMIN_ROLE) 
+    {
+        if (_sinceBlock == 0 || _sinceBlock > block.number) revert CompromiseBlockNotPast();
+        _markIssuerCompromised(_issuer, _since, _sinceBlock);
+    }
+    
+    /**
+     * @dev Record an issuer's compromised period and take its issuer role away
+     * @param _issuer Issuer address
+     * @param _since Timestamp from which its certificates are untrusted
+     * @param _sinceBlock Block from which its certificates are untrusted (0 to judge by time)
+     */
+    function _markIssuerCompromised(address _issuer, uint256 _since, uint256 _sinceBlock) internal {
+        if (_issuer == address(0)) revert InvalidIssuer();
+        if (_since == 0 || _since > block.timestamp) revert CompromiseTimeNotPast();
+        
+        issuerCompromises[_issuer] = IssuerCompromise({ since: _since, markedAt: block.timestamp, sinceBlock: _sinceBlock });
+        _revokeRole(ISSUER_ROLE, _issuer);
+        emit IssuerCompromised(_issuer, _since, block.timestamp);
+    }
+    
+    /**
+     * @dev Withdraw a compromise marking made in error
+     * @notice The issuer role is not restored
+     * @param _issuer Issuer address
+     */
+    function clearIssuerCompromise(address _issuer) external onlyRole(REGISTRY_ADMIN_ROLE) {
+        if (issuerCompromises[_issuer].since == 0) revert IssuerNotCompromised();
+        
+        delete issuerCompromises[_issuer];
+        emit IssuerCompromiseCleared(_issuer, block.timestamp);
     }
     
     /**
@@ -77,31 +295,467 @@ contract CertificateRegistry is Ownable {
      * @param _ipfsCID IPFS CID containing encrypted metadata
      */
     function issueCertificate(bytes32 _docHash, string memory _ipfsCID) 
+        external 
+        onlyDirectIssuer 
+    {
+        _issueCertificate(_docHash, _ipfsCID, 0, address(0), msg.sender, issuerInstitution[msg.sender]);
+    }
+    
+    /**
+     * @dev Issue a new certificate that is only valid for a fixed period
+     * @param _docHash SHA-256 hash of the certificate document
+     * @param _ipfsCID IPFS CID containing encrypted metadata
+     * @param _validUntil Timestamp after which the certificate is expired
+     */
+    function issueCertificateWithExpiry(
+        bytes32 _docHash,
+        string memory _ipfsCID,
+        uint256 _validUntil
+    ) 
+        external 
+        onlyDirectIssuer 
+    {
+        if (_validUntil <= block.timestamp) revert ExpiryNotFuture();
+        _issueCertificate(_docHash, _ipfsCID, _validUntil, address(0), msg.sender, issuerInstitution[msg.sender]);
+    }
+    
+    /**
+     * @dev Issue a certificate bound to the wallet of its holder
+     * @notice The holder proves ownership by signing with this wallet; the
+     *         contract only records it
+     * @param _docHash SHA-256 hash of the certificate document
+     * @param _ipfsCID IPFS CID containing encrypted metadata
+     * @param _validUntil Expiry timestamp (0 for no expiry)
+     * @param _holder Wallet address of the certificate holder
+     */
+    function issueCertificateToHolder(
+        bytes32 _docHash,
+        string memory _ipfsCID,
+        uint256 _validUntil,
+        address _holder
+    ) 
+        external 
+        onlyDirectIssuer 
+    {
+        if (_holder == address(0)) revert InvalidHolder();
+        if (_validUntil != 0 && _validUntil <= block.timestamp) revert ExpiryNotFuture();
+        _issueCertificate(_docHash, _ipfsCID, _validUntil, _holder, msg.sender, issuerInstitution[msg.sender]);
+    }
+    
+    /**
+     * @dev Issue a certificate from a request signed by an issuer
+     * @notice Whoever submits the request pays the gas; the certificate is credited
+     *         to the signing issuer. Each signature is usable once, before its deadline.
+     *         Contract wallets sign through ERC-1271.
+     * @param _request Issuance request
+     * @param _signature Issuer's EIP-712 signature over the request
+     */
+    function issueCertificateBySig(IssueRequest calldata _request, bytes calldata _signature) external {
+        if (block.timestamp > _request.deadline) revert SignatureExpired();
+        _checkDirectIssuer(_request.issuer);
+        if (_request.validUntil != 0 && _request.validUntil <= block.timestamp) revert ExpiryNotFuture();
+        if (!SignatureChecker.isValidSignatureNow(_request.issuer, hashIssueRequest(_request), _signature)) {
+            revert InvalidSignature();
+        }
+        
+        _useCheckedNonce(_request.issuer, _request.nonce);
+        _issueCertificate(
+            _request.docHash,
+            _request.ipfsCID,
+            _request.validUntil,
+            _request.holder,
+            _request.issuer,
+            issuerInstitution[_request.issuer]
+        );
+        
+        emit CertificateRelayed(_request.docHash, _request.issuer, msg.sender, _request.nonce);
+    }
+    
+    /**
+     * @dev Compute the EIP-712 digest an issuer signs for an issuance request
+     * @param _request Issuance request
+     * @return bytes32 Digest to sign
+     */
+    function hashIssueRequest(IssueRequest calldata _request) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            ISSUE_REQUEST_TYPEHASH,
+            _request.docHash,
+            keccak256(bytes(_request.ipfsCID)),
+            _request.validUntil,
+            _request.holder,
+            _request.issuer,
+            _request.nonce,
+            _request.deadline
+        )));
+    }
+    
+    /**
+     * @dev Compute the EIP-712 digest an issuer signs to approve a proposal
+     * @param _request Approval request
+     * @return bytes32 Digest to sign
+     */
+    function hashApprovalRequest(ApprovalRequest calldata _request) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            APPROVAL_REQUEST_TYPEHASH,
+            _request.docHash,
+            keccak256(bytes(_request.ipfsCID)),
+            _request.validUntil,
+            _request.holder,
+            _request.approver,
+            _request.nonce,
+            _request.deadline
+        )));
+    }
+    
+    /**
+     * @dev Propose a certificate that is only issued once enough issuers approve it
+     * @notice The proposer's approval counts towards the threshold. Only issuers of
+     *         the proposer's institution may approve, and the threshold can be neither
+     *         below the institution's approval threshold nor above its number of issuers.
+     * @param _docHash SHA-256 hash of the certificate document
+     * @param _ipfsCID IPFS CID containing encrypted metadata
+     * @param _validUntil Expiry timestamp (0 for no expiry)
+     * @param _holder Wallet address of the holder (0 if not holder-bound)
+     * @param _threshold Distinct approvals needed, at least 2
+     */
+    function proposeCertificate(
+        bytes32 _docHash,
+        string memory _ipfsCID,
+        uint256 _validUntil,
+        address _holder,
+        uint8 _threshold
+    ) 
         external 
         onlyAuthorizedIssuer 
+        whenNotPaused 
     {
-        require(_docHash != bytes32(0), "Invalid document hash");
-        require(bytes(_ipfsCID).length > 0, "Invalid IPFS CID");
-        require(!certificates[_docHash].exists, "Certificate already exists");
+        if (_docHash == bytes32(0)) revert InvalidDocHash();
+        if (bytes(_ipfsCID).length == 0) revert InvalidIPFSCID();
+        if (certificates[_docHash].exists) revert CertificateAlreadyExists();
+        if (proposals[_docHash].exists) revert CertificateAlreadyProposed();
+        bytes32 institutionId = issuerInstitution[msg.sender];
+        if (_threshold < 2 || _threshold < approvalThresholds[institutionId]) revert ThresholdTooLow();
+        if (_threshold > issuerCounts[institutionId]) revert ThresholdTooHigh();
+        if (_validUntil != 0 && _validUntil <= block.timestamp) revert ExpiryNotFuture();
+        
+        proposals[_docHash] = Proposal({
+            ipfsCID: _ipfsCID,
+            proposer: msg.sender,
+            validUntil: _validUntil,
+            holder: _holder,
+            institutionId: institutionId,
+            threshold: _threshold,
+            approvals: 0,
+            proposedAt: block.timestamp,
+            round: ++proposalRounds[_docHash],
+            exists: true
+        });
+        delete proposalApprovers[_docHash];
+        
+        emit CertificateProposed(_docHash, msg.sender, _threshold, block.timestamp);
+        _approveCertificate(_docHash, msg.sender);
+    }
+    
+    /**
+     * @dev Approve a proposed certificate, issuing it if this is the last approval needed
+     * @param _docHash SHA-256 hash of the certificate document
+     */
+    function approveCertificate(bytes32 _docHash) external onlyAuthorizedIssuer whenNotPaused {
+        _approveCertificate(_docHash, msg.sender);
+    }
+    
+    /**
+     * @dev Approve a proposed certificate with an approval signed by an issuer
+     * @notice Whoever submits the approval pays the gas; it counts as the signing
+     *         issuer's. The signed request must match the proposal's content. Each
+     *         signature is usable once, before its deadline. Contract wallets sign
+     *         through ERC-1271.
+     * @param _request Approval request
+     * @param _signature Approver's EIP-712 signature over the request
+     */
+    function approveCertificateBySig(ApprovalRequest calldata _request, bytes calldata _signature) external whenNotPaused {
+        if (block.timestamp > _request.deadline) revert SignatureExpired();
+        _checkIssuer(_request.approver);
+        if (!SignatureChecker.isValidSignatureNow(_request.approver, hashApprovalRequest(_request), _signature)) {
+            revert InvalidSignature();
+        }
+        
+        Proposal storage proposal = proposals[_request.docHash];
+        if (proposal.exists && (
+            keccak256(bytes(proposal.ipfsCID)) != keccak256(bytes(_request.ipfsCID))
+            || proposal.validUntil != _request.validUntil
+            || proposal.holder != _request.holder
+        )) revert ProposalMismatch();
+        
+        _useCheckedNonce(_request.approver, _request.nonce);
+        _approveCertificate(_request.docHash, _request.approver);
+    }
+    
+    /**
+     * @dev Check whether an account is still an issuer of a proposal's institution
+     * @param _issuer Address of the approver
+     * @param _institutionId Institution of the proposal
+     * @return bool True if its approval counts
+     */
+    function _canApprove(address _issuer, bytes32 _institutionId) internal view returns (bool) {
+        return hasRole(ISSUER_ROLE, _issuer) && issuerInstitution[_issuer] == _institutionId;
+    }
+    
+    /**
+     * @dev Drop the approvals of issuers removed since they approved a proposal
+     * @notice They can approve again if they are re-authorized
+     * @param _docHash SHA-256 hash of the certificate document
+     * @param _institutionId Institution of the proposal
+     * @return uint8 Approvals that still count
+     */
+    function _pruneApprovals(bytes32 _docHash, bytes32 _institutionId) internal returns (uint8) {
+        address[] storage approvers = proposalApprovers[_docHash];
+        uint256 i = 0;
+        while (i < approvers.length) {
+            if (_canApprove(approvers[i], _institutionId)) {
+                i++;
+            } else {
+                delete approvalRounds[_docHash][approvers[i]];
+                approvers[i] = approvers[approvers.length - 1];
+                approvers.pop();
+            }
+        }
+        return uint8(approvers.length);
+    }
+    
+    /**
+     * @dev Record an issuer's approval of a proposal
+     * @notice Approvals of issuers removed since the proposal was made no longer count
+     * @param _docHash SHA-256 hash of the certificate document
+     * @param _approver Issuer who approves
+     */
+    function _approveCertificate(bytes32 _docHash, address _approver) internal {
+        Proposal storage proposal = proposals[_docHash];
+        if (!proposal.exists) revert NoPendingProposal();
+        if (issuerInstitution[_approver] != proposal.institutionId) revert NotProposingInstitution();
+        if (approvalRounds[_docHash][_approver] == proposal.round) revert AlreadyApproved();
+        
+        approvalRounds[_docHash][_approver] = proposal.round;
+        proposalApprovers[_docHash].push(_approver);
+        proposal.approvals = _pruneApprovals(_docHash, proposal.institutionId);
+        emit CertificateApproved(_docHash, _approver, proposal.approvals, block.timestamp);
+        
+        if (proposal.approvals >= proposal.threshold) {
+            if (!hasRole(ISSUER_ROLE, proposal.proposer)) revert ProposerNotAuthorized();
+            
+            Proposal memory approved = proposal;
+            delete proposals[_docHash];
+            _issueCertificate(
+                _docHash,
+                approved.ipfsCID,
+                approved.validUntil,
+                approved.holder,
+                approved.proposer,
+                approved.institutionId
+            );
+        }
+    }
+    
+    /**
+     * @dev Withdraw a pending proposal
+     * @notice Only the proposer or a registry admin may cancel
+     * @param _docHash SHA-256 hash of the certificate document
+     */
+    function cancelProposal(bytes32 _docHash) external {
+        Proposal storage proposal = proposals[_docHash];
+        if (!proposal.exists) revert NoPendingProposal();
+        if (msg.sender != proposal.proposer && !hasRole(REGISTRY_ADMIN_ROLE, msg.sender)) revert NotAuthorizedToCancel();
+        
+        delete proposals[_docHash];
+        emit CertificateProposalCancelled(_docHash, msg.sender, block.timestamp);
+    }
+    
+    /**
+     * @dev Store a new certificate
+     * @param _docHash SHA-256 hash of the certificate document
+     * @param _ipfsCID IPFS CID containing encrypted metadata
+     * @param _validUntil Expiry timestamp (0 for no expiry)
+     * @param _holder Wallet address of the holder (0 if not holder-bound)
+     * @param _issuer Issuer of record
+     * @param _institutionId Institution the issuer belongs to
+     */
+    function _issueCertificate(
+        bytes32 _docHash,
+        string memory _ipfsCID,
+        uint256 _validUntil,
+        address _holder,
+        address _issuer,
+        bytes32 _institutionId
+    ) 
+        internal 
+        whenNotPaused 
+    {
+        if (_docHash == bytes32(0)) revert InvalidDocHash();
+        if (bytes(_ipfsCID).length == 0) revert InvalidIPFSCID();
+        if (certificates[_docHash].exists) revert CertificateAlreadyExists();
+        if (proposals[_docHash].exists) revert CertificatePendingApproval();
         
         certificates[_docHash] = Certificate({
             docHash: _docHash,
             ipfsCID: _ipfsCID,
+            issuer: _issuer,
+            timestamp: block.timestamp,
+            validUntil: _validUntil,
+            exists: true,
+            revoked: false,
+            revocationReason: 0,
+            revokedAt: 0,
+            holder: _holder,
+            replaces: bytes32(0),
+            supersededBy: bytes32(0),
+            institutionId: _institutionId,
+            blockNumber: block.number
+        });
+        
+        emit CertificateIssued(_docHash, _ipfsCID, _issuer, block.timestamp);
+        if (_holder != address(0)) {
+            emit CertificateHolderBound(_docHash, _holder);
+        }
+    }
+    
+    /**
+     * @dev Reissue a certificate as a corrected document
+     * @notice The old certificate is marked superseded and points to the new one,
+     *         which keeps the old expiry and holder
+     * @param _oldDocHash SHA-256 hash of the certificate being replaced
+     * @param _newDocHash SHA-256 hash of the corrected certificate document
+     * @param _ipfsCID IPFS CID containing encrypted metadata of the new certificate
+     */
+    function reissueCertificate(bytes32 _oldDocHash, bytes32 _newDocHash, string memory _ipfsCID) 
+        external 
+        onlyDirectIssuer 
+    {
+        Certificate storage old = certificates[_oldDocHash];
+        if (!old.exists) revert CertificateNotFound();
+        if (msg.sender != old.issuer) revert NotAuthorizedToReissue();
+        if (old.revoked) revert CertificateAlreadyRevoked();
+        if (old.supersededBy != bytes32(0)) revert CertificateAlreadySuperseded();
+        
+        _issueCertificate(_newDocHash, _ipfsCID, old.validUntil, old.holder, msg.sender, issuerInstitution[msg.sender]);
+        old.supersededBy = _newDocHash;
+        certificates[_newDocHash].replaces = _oldDocHash;
+        
+        emit CertificateReissued(_oldDocHash, _newDocHash, msg.sender, block.timestamp);
+    }
+    
+    /**
+     * @dev Anchor a batch of certificates by the root of a Merkle tree over their hashes
+     * @notice Leaves are computed with batchLeaf() and pairs are hashed in sorted order
+     * @param _merkleRoot Root of the Merkle tree
+     * @param _ipfsCID IPFS CID of the batch manifest
+     * @param _certificateCount Number of certificates in the batch
+     */
+    function issueBatch(bytes32 _merkleRoot, string memory _ipfsCID, uint256 _certificateCount) 
+        external 
+        onlyDirectIssuer 
+        whenNotPaused 
+    {
+        if (_merkleRoot == bytes32(0)) revert InvalidMerkleRoot();
+        if (bytes(_ipfsCID).length == 0) revert InvalidIPFSCID();
+        if (_certificateCount == 0) revert EmptyBatch();
+        if (batches[_merkleRoot].exists) revert BatchAlreadyExists();
+        
+        batches[_merkleRoot] = Batch({
+            merkleRoot: _merkleRoot,
+            ipfsCID: _ipfsCID,
             issuer: msg.sender,
             timestamp: block.timestamp,
-            exists: true
+            certificateCount: _certificateCount,
+            exists: true,
+            institutionId: issuerInstitution[msg.sender],
+            blockNumber: block.number
         });
         
-        emit CertificateIssued(_docHash, _ipfsCID, msg.sender, block.timestamp);
+        emit BatchIssued(_merkleRoot, _ipfsCID, msg.sender, _certificateCount, block.timestamp);
+    }
+    
+    /**
+     * @dev Revoke an issued certificate
+     * @notice Only the original issuer or a registry admin may revoke
+     * @param _docHash SHA-256 hash of the certificate document
+     * @param _reasonCode Application-defined code describing why it was revoked
+     */
+    function revokeCertificate(bytes32 _docHash, uint8 _reasonCode) external {
+        Certificate storage cert = certificates[_docHash];
+        if (!cert.exists) revert CertificateNotFound();
+        if (msg.sender != cert.issuer && !hasRole(REGISTRY_ADMIN_ROLE, msg.sender)) revert NotAuthorizedToRevoke();
+        if (cert.revoked) revert CertificateAlreadyRevoked();
+        
+        cert.revoked = true;
+        cert.revocationReason = _reasonCode;
+        cert.revokedAt = block.timestamp;
+        
+        emit CertificateRevoked(_docHash, msg.sender, _reasonCode, block.timestamp);
+    }
+    
+    /**
+     * @dev Revoke a single certificate anchored in a batch
+     * @notice Only the batch issuer or a registry admin may revoke; the rest of the
+     *         batch stays valid
+     * @param _merkleRoot Root of the batch holding the certificate
+     * @param _docHash SHA-256 hash of the certificate document
+     * @param _proof Merkle proof from the document's leaf to the root
+     * @param _reasonCode Application-defined code describing why it was revoked
+     */
+    function revokeBatchCertificate(
+        bytes32 _merkleRoot,
+        bytes32 _docHash,
+        bytes32[] calldata _proof,
+        uint8 _reasonCode
+    ) 
+        external 
+    {
+        if (!_isInBatch(_merkleRoot, _docHash, _proof)) revert CertificateNotFound();
+        if (msg.sender != batches[_merkleRoot].issuer && !hasRole(REGISTRY_ADMIN_ROLE, msg.sender)) revert NotAuthorizedToRevoke();
+        
+        BatchRevocation storage revocation = batchRevocations[_merkleRoot][_docHash];
+        if (revocation.revokedAt != 0) revert CertificateAlreadyRevoked();
+        
+        revocation.merkleRoot = _merkleRoot;
+        revocation.docHash = _docHash;
+        revocation.revokedBy = msg.sender;
+        revocation.reasonCode = _reasonCode;
+        revocation.revokedAt = block.timestamp;
+        
+        emit BatchCertificateRevoked(_merkleRoot, _docHash, msg.sender, _reasonCode, block.timestamp);
+    }
+    
+    /**
+     * @dev Get the revocation of a batch certificate
+     * @param _merkleRoot Root of the batch holding the certificate
+     * @param _docHash SHA-256 hash of the certificate document
+     * @return BatchRevocation struct (revokedAt is 0 if the certificate is not revoked)
+     */
+    function getBatchRevocation(bytes32 _merkleRoot, bytes32 _docHash) 
+        external 
+        view 
+        returns (BatchRevocation memory) 
+    {
+        return batchRevocations[_merkleRoot][_docHash];
     }
     
     /**
      * @dev Verify if a certificate exists and retrieve its details
+     * @notice A certificate issued while its issuer's key was compromised is reported
+     *         as revoked with ISSUER_COMPROMISED_REASON, unless it was revoked before
      * @param _docHash SHA-256 hash of the certificate document
      * @return exists Whether the certificate exists
      * @return ipfsCID IPFS CID of the certificate metadata
      * @return issuer Address of the issuing institution
      * @return timestamp When the certificate was issued
+     * @return revoked Whether the certificate has been revoked
+     * @return revocationReason Reason code supplied on revocation
+     * @return revokedAt When the certificate was revoked
+     * @return validUntil Expiry timestamp (0 if the certificate never expires)
+     * @return expired Whether the certificate has passed its expiry date
+     * @return holder Wallet address of the holder (0 if not holder-bound)
+     * @return supersededBy Hash of the certificate that replaced this one (0 if current)
+     * @return institutionId Institution the issuer belonged to at issuance (0 if none)
      */
     function verifyCertificate(bytes32 _docHash) 
         external 
@@ -110,25 +764,142 @@ contract CertificateRegistry is Ownable {
             bool exists,
             string memory ipfsCID,
             address issuer,
-            uint256 timestamp
+            uint256 timestamp,
+            bool revoked,
+            uint8 revocationReason,
+            uint256 revokedAt,
+            uint256 validUntil,
+            bool expired,
+            address holder,
+            bytes32 supersededBy,
+            bytes32 institutionId
         ) 
     {
         Certificate memory cert = certificates[_docHash];
+        if (cert.exists && !cert.revoked && isCompromised(cert.issuer, cert.timestamp, cert.blockNumber)) {
+            cert.revoked = true;
+            cert.revocationReason = ISSUER_COMPROMISED_REASON;
+            cert.revokedAt = issuerCompromises[cert.issuer].markedAt;
+        }
         return (
             cert.exists,
             cert.ipfsCID,
             cert.issuer,
-            cert.timestamp
+            cert.timestamp,
+            cert.revoked,
+            cert.revocationReason,
+            cert.revokedAt,
+            cert.validUntil,
+            cert.validUntil != 0 && block.timestamp > cert.validUntil,
+            cert.holder,
+            cert.supersededBy,
+            cert.institutionId
         );
     }
     
+    /**
+     * @dev Verify that a document belongs to an anchored batch
+     * @notice Batch certificates never expire and are not bound to a holder
+     * @param _docHash SHA-256 hash of the certificate document
+     * @param _merkleRoot Root of the batch the document claims to belong to
+     * @param _proof Merkle proof from the document's leaf to the root
+     * @return included Whether the batch exists and the proof is valid
+     * @return ipfsCID IPFS CID of the batch manifest
+     * @return issuer Address of the issuing institution
+     * @return timestamp When the batch was anchored
+     * @return institutionId Institution the issuer belonged to at issuance (0 if none)
+     * @return compromised Whether the batch was anchored after its issuer's key was compromised
+     * @return revoked Whether this certificate has been revoked
+     * @return revocationReason Reason code supplied on revocation
+     * @return revokedAt When this certificate was revoked
+     */
+    function verifyBatchCertificate(
+        bytes32 _docHash,
+        bytes32 _merkleRoot,
+        bytes32[] calldata _proof
+    ) 
+        external 
+        view 
+        returns (
+            bool included,
+            string memory ipfsCID,
+            address issuer,
+            uint256 timestamp,
+            bytes32 institutionId,
+            bool compromised,
+            bool revoked,
+            uint8 revocationReason,
+            uint256 revokedAt
+        ) 
+    {
+        if (!_isInBatch(_merkleRoot, _docHash, _proof)) {
+            // Every result stays zero
+            return (included, ipfsCID, issuer, timestamp, institutionId, compromised, revoked, revocationReason, revokedAt);
+        }
+        
+        // Assigned one by one, as nine return values leave no stack for local variables
+        included = true;
+        ipfsCID = batches[_merkleRoot].ipfsCID;
+        issuer = batches[_merkleRoot].issuer;
+        timestamp = batches[_merkleRoot].timestamp;
+        institutionId = batches[_merkleRoot].institutionId;
+        compromised = _isBatchCompromised(_merkleRoot);
+        revocationReason = batchRevocations[_merkleRoot][_docHash].reasonCode;
+        revokedAt = batchRevocations[_merkleRoot][_docHash].revokedAt;
+        revoked = revokedAt != 0;
+    }
+    
+    /**
+     * @dev Check whether a batch was anchored in its issuer's compromised period
+     * @param _merkleRoot Root of the batch
+     * @return bool True if untrusted
+     */
+    function _isBatchCompromised(bytes32 _merkleRoot) internal view returns (bool) {
+        Batch storage batch = batches[_merkleRoot];
+        return isCompromised(batch.issuer, batch.timestamp, batch.blockNumber);
+    }
+    
+    /**
+     * @dev Check that a batch exists and a proof places a document in it
+     * @param _merkleRoot Root of the batch
+     * @param _docHash SHA-256 hash of the certificate document
+     * @param _proof Merkle proof from the document's leaf to the root
+     * @return bool True if the document belongs to the batch
+     */
+    function _isInBatch(bytes32 _merkleRoot, bytes32 _docHash, bytes32[] calldata _proof) internal view returns (bool) {
+        return batches[_merkleRoot].exists && MerkleProof.verifyCalldata(_proof, _merkleRoot, batchLeaf(_docHash));
+    }
+    
+    /**
+     * @dev Compute the Merkle leaf for a document hash
+     * @notice Double hashing keeps leaves distinct from internal nodes
+     * @param _docHash SHA-256 hash of the certificate document
+     * @return bytes32 Leaf value
+     */
+    function batchLeaf(bytes32 _docHash) public pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(_docHash))));
+    }
+    
+    /**
+     * @dev Get batch details by Merkle root
+     * @param _merkleRoot Root of the batch
+     * @return Batch struct
+     */
+    function getBatch(bytes32 _merkleRoot) 
+        external 
+        view 
+        returns (Batch memory) 
+    {
+        return batches[_merkleRoot];
+    }
+    
     /**
      * @dev Check if an address is an authorized issuer
      * @param _issuer Address to check
      * @return bool True if authorized, false otherwise
      */
     function isAuthorizedIssuer(address _issuer) external view returns (bool) {
-        return authorizedIssuers[_issuer];
+        return hasRole(ISSUER_ROLE, _issuer);
     }
     
     /**
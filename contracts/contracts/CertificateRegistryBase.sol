@@ -0,0 +1,427 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/NoncesUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+
+/**
+ * @title CertificateRegistryBase
+ * @dev Storage, events, errors and role bookkeeping shared by the registry and its importer
+ * @notice Both implementations run behind the same ERC-1967 proxy, so their state lives
+ *         here only; new state variables must be added after the existing ones. The
+ *         OpenZeppelin bases keep their state in namespaced storage, and scripts/upgrade.js
+ *         checks the layout before every upgrade.
+ */
+abstract contract CertificateRegistryBase is
+    Initializable,
+    AccessControlUpgradeable,
+    EIP712Upgradeable,
+    NoncesUpgradeable,
+    PausableUpgradeable,
+    UUPSUpgradeable
+{
+    
+    // Roles
+    bytes32 public constant REGISTRY_ADMIN_ROLE = DEFAULT_ADMIN_ROLE;
+    bytes32 public constant INSTITUTION_ADMIN_ROLE = keccak256("INSTITUTION_ADMIN_ROLE");
+    bytes32 public constant ISSUER_ROLE = keccak256("ISSUER_ROLE");
+    
+    // Certificate structure
+    struct Certificate {
+        bytes32 docHash;        // SHA-256 hash of the certificate document
+        string ipfsCID;         // IPFS CID for encrypted metadata
+        address issuer;         // Address of the issuing institution
+        uint256 timestamp;      // Timestamp when certificate was issued
+        uint256 validUntil;     // Expiry timestamp (0 if the certificate never expires)
+        bool exists;            // Flag to check if certificate exists
+        bool revoked;           // Flag set once the certificate has been revoked
+        uint8 revocationReason; // Reason code supplied on revocation
+        uint256 revokedAt;      // Timestamp when certificate was revoked
+        address holder;         // Wallet of the certificate holder (0 if not holder-bound)
+        bytes32 replaces;       // Certificate this one was reissued from (0 if original)
+        bytes32 supersededBy;   // Certificate that replaced this one (0 if current)
+        bytes32 institutionId;  // Institution the issuer belonged to at issuance (0 if none)
+        uint256 blockNumber;    // Block the certificate was issued in (0 if issued before blocks were recorded)
+    }
+    
+    // Batch of certificates anchored by a single Merkle root
+    struct Batch {
+        bytes32 merkleRoot;     // Root of the Merkle tree over the batch's document hashes
+        string ipfsCID;         // IPFS CID of the batch manifest
+        address issuer;         // Address of the issuing institution
+        uint256 timestamp;      // Timestamp when the batch was anchored
+        uint256 certificateCount; // Number of certificates in the batch
+        bool exists;            // Flag to check if batch exists
+        bytes32 institutionId;  // Institution the issuer belonged to at issuance (0 if none)
+        uint256 blockNumber;    // Block the batch was anchored in (0 if anchored before blocks were recorded)
+    }
+    
+    // Certificate waiting for approval by several issuers
+    struct Proposal {
+        string ipfsCID;         // IPFS CID for encrypted metadata
+        address proposer;       // Issuer of record once approved
+        uint256 validUntil;     // Expiry timestamp (0 if the certificate never expires)
+        address holder;         // Wallet of the certificate holder (0 if not holder-bound)
+        bytes32 institutionId;  // Institution whose issuers may approve
+        uint8 threshold;        // Approvals needed before the certificate is issued
+        uint8 approvals;        // Approvals so far, including the proposer's
+        uint256 proposedAt;     // Timestamp when the certificate was proposed
+        uint256 round;          // Proposal number for this document, so approvals never carry over
+        bool exists;            // Flag set while the proposal is pending
+    }
+    
+    // Issuance signed by an issuer and submitted by anyone
+    struct IssueRequest {
+        bytes32 docHash;        // SHA-256 hash of the certificate document
+        string ipfsCID;         // IPFS CID for encrypted metadata
+        uint256 validUntil;     // Expiry timestamp (0 if the certificate never expires)
+        address holder;         // Wallet of the certificate holder (0 if not holder-bound)
+        address issuer;         // Issuer who signed the request
+        uint256 nonce;          // Issuer's current nonce
+        uint256 deadline;       // Timestamp after which the signature can no longer be used
+    }
+    
+    // Approval of a proposal signed by an issuer and submitted by anyone
+    struct ApprovalRequest {
+        bytes32 docHash;        // SHA-256 hash of the proposed certificate document
+        string ipfsCID;         // IPFS CID of the proposal
+        uint256 validUntil;     // Expiry timestamp of the proposal
+        address holder;         // Holder of the proposal (0 if not holder-bound)
+        address approver;       // Issuer who signed the approval
+        uint256 nonce;          // Approver's current nonce
+        uint256 deadline;       // Timestamp after which the signature can no longer be used
+    }
+    
+    // Period in which an issuer's key is known to be compromised
+    struct IssuerCompromise {
+        uint256 since;          // Time from which its certificates are untrusted
+        uint256 markedAt;       // When the compromise was recorded
+        uint256 sinceBlock;     // Block from which its certificates are untrusted (0 if given as a time)
+    }
+    
+    // Revocation of a single certificate anchored in a batch
+    struct BatchRevocation {
+        bytes32 merkleRoot;     // Root of the batch holding the certificate
+        bytes32 docHash;        // SHA-256 hash of the certificate document
+        address revokedBy;      // Batch issuer or registry admin who revoked it
+        uint8 reasonCode;       // Reason code supplied on revocation
+        uint256 revokedAt;      // Timestamp when the certificate was revoked (0 if not revoked)
+    }
+    
+    // Registered institution profile
+    struct Institution {
+        string name;            // Official name of the institution
+        string domain;          // Web domain the institution controls
+        string metadataCID;     // IPFS CID of the public profile (may be empty)
+        uint256 registeredAt;   // Timestamp when the institution was registered
+        uint256 updatedAt;      // Timestamp of the last profile change
+        bool exists;            // Flag to check if institution is registered
+    }
+    
+    // Mapping from document hash to certificate
+    mapping(bytes32 => Certificate) internal certificates;
+    
+    // Mapping from Merkle root to batch
+    mapping(bytes32 => Batch) internal batches;
+    
+    // Mapping from document hash to pending proposal
+    mapping(bytes32 => Proposal) internal proposals;
+    
+    // Number of times each document has been proposed
+    mapping(bytes32 => uint256) internal proposalRounds;
+    
+    // Proposal round each issuer last approved, by document hash
+    mapping(bytes32 => mapping(address => uint256)) internal approvalRounds;
+    
+    // Mapping from institution ID to its profile
+    mapping(bytes32 => Institution) internal institutions;
+    
+    // Institution each issuer belongs to (0 for issuers outside any institution)
+    mapping(address => bytes32) public issuerInstitution;
+    
+    // Institution each institution admin manages
+    mapping(address => bytes32) public adminInstitution;
+    
+    // Mapping from issuer to its compromised period (since is 0 if not compromised)
+    mapping(address => IssuerCompromise) public issuerCompromises;
+    
+    // True while records of a previous deployment are being imported
+    bool public migrating;
+    
+    // Revocations of batch certificates, by Merkle root and document hash
+    mapping(bytes32 => mapping(bytes32 => BatchRevocation)) internal batchRevocations;
+    
+    // Approvals each certificate of an institution needs (0 or 1 lets its issuers issue directly)
+    mapping(bytes32 => uint8) public approvalThresholds;
+    
+    // Number of authorized issuers of each institution (0 for issuers outside any institution)
+    mapping(bytes32 => uint256) public issuerCounts;
+    
+    // Issuers who approved each pending proposal, so approvals of issuers removed since can be dropped
+    mapping(bytes32 => address[]) internal proposalApprovers;
+    
+    // Events
+    event CertificateIssued(
+        bytes32 indexed docHash,
+        string ipfsCID,
+        address indexed issuer,
+        uint256 timestamp
+    );
+    
+    event BatchIssued(
+        bytes32 indexed merkleRoot,
+        string ipfsCID,
+        address indexed issuer,
+        uint256 certificateCount,
+        uint256 timestamp
+    );
+    
+    event CertificateHolderBound(
+        bytes32 indexed docHash,
+        address indexed holder
+    );
+    
+    event CertificateReissued(
+        bytes32 indexed oldDocHash,
+        bytes32 indexed newDocHash,
+        address indexed issuer,
+        uint256 timestamp
+    );
+    
+    event CertificateRelayed(
+        bytes32 indexed docHash,
+        address indexed issuer,
+        address indexed relayer,
+        uint256 nonce
+    );
+    
+    event CertificateProposed(
+        bytes32 indexed docHash,
+        address indexed proposer,
+        uint8 threshold,
+        uint256 timestamp
+    );
+    
+    event CertificateApproved(
+        bytes32 indexed docHash,
+        address indexed approver,
+        uint8 approvals,
+        uint256 timestamp
+    );
+    
+    event CertificateProposalCancelled(
+        bytes32 indexed docHash,
+        address indexed cancelledBy,
+        uint256 timestamp
+    );
+    
+    event CertificateRevoked(
+        bytes32 indexed docHash,
+        address indexed revokedBy,
+        uint8 reasonCode,
+        uint256 timestamp
+    );
+    
+    event BatchCertificateRevoked(
+        bytes32 indexed merkleRoot,
+        bytes32 indexed docHash,
+        address indexed revokedBy,
+        uint8 reasonCode,
+        uint256 timestamp
+    );
+    
+    event InstitutionRegistered(bytes32 indexed institutionId, string name, string domain, string metadataCID, uint256 timestamp);
+    event InstitutionUpdated(bytes32 indexed institutionId, string name, string domain, string metadataCID, uint256 timestamp);
+    event IssuerAdded(address indexed issuer, bytes32 indexed institutionId, uint256 timestamp);
+    event IssuerRemoved(address indexed issuer, bytes32 indexed institutionId, uint256 timestamp);
+    event InstitutionAdminAdded(address indexed admin, bytes32 indexed institutionId, uint256 timestamp);
+    event InstitutionAdminRemoved(address indexed admin, bytes32 indexed institutionId, uint256 timestamp);
+    event ApprovalThresholdSet(bytes32 indexed institutionId, uint8 threshold, uint256 timestamp);
+    event IssuerCompromised(address indexed issuer, uint256 since, uint256 timestamp);
+    event IssuerCompromiseCleared(address indexed issuer, uint256 timestamp);
+    event CertificateMigrated(bytes32 indexed docHash, address indexed issuer, uint256 timestamp);
+    event BatchMigrated(bytes32 indexed merkleRoot, address indexed issuer, uint256 timestamp);
+    event MigrationFinished(uint256 timestamp);
+    
+    // Errors (custom errors keep the implementation under the contract size limit)
+    error InvalidAdmin();
+    error InvalidIssuer();
+    error InvalidHolder();
+    error InvalidInstitution();
+    error InvalidInstitutionName();
+    error InvalidDocHash();
+    error InvalidIPFSCID();
+    error InvalidMerkleRoot();
+    error InvalidCertificate();
+    error InvalidBatch();
+    error InvalidSignature();
+    error NotAuthorizedIssuer();
+    error NotIssuerManager();
+    error NotInstitutionAdmin();
+    error NotProposingInstitution();
+    error NotAuthorizedToCancel();
+    error NotAuthorizedToReissue();
+    error NotAuthorizedToRevoke();
+    error InstitutionAlreadyRegistered();
+    error InstitutionNotRegistered();
+    error AdminAlreadyAssigned();
+    error IssuerAlreadyAuthorized();
+    error IssuerNotAuthorized();
+    error IssuerNotCompromised();
+    error CompromiseTimeNotPast();
+    error CompromiseBlockNotPast();
+    error ExpiryNotFuture();
+    error SignatureExpired();
+    error CertificateAlreadyExists();
+    error CertificateNotFound();
+    error CertificateAlreadyProposed();
+    error CertificatePendingApproval();
+    error CertificateAlreadyRevoked();
+    error CertificateAlreadySuperseded();
+    error BatchAlreadyExists();
+    error EmptyBatch();
+    error ThresholdTooLow();
+    error ThresholdTooHigh();
+    error ApprovalRequired();
+    error ProposalMismatch();
+    error NoPendingProposal();
+    error AlreadyApproved();
+    error ProposerNotAuthorized();
+    error NoMigrationInProgress();
+    
+    // Modifiers
+    modifier onlyAuthorizedIssuer() {
+        _checkIssuer(msg.sender);
+        _;
+    }
+    
+    modifier onlyDirectIssuer() {
+        _checkDirectIssuer(msg.sender);
+        _;
+    }
+    
+    modifier onlyIssuerManager(bytes32 _institutionId) {
+        if (!canManageIssuers(msg.sender, _institutionId)) revert NotIssuerManager();
+        _;
+    }
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        // The implementation is only used through the proxy
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Set up the registry behind its proxy; called by the initialize function of each implementation
+     * @param _admin First registry admin and authorized issuer
+     * @param _migrating Whether records of a previous deployment will be imported
+     */
+    function __CertificateRegistryBase_init(address _admin, bool _migrating) internal onlyInitializing {
+        if (_admin == address(0)) revert InvalidAdmin();
+        __AccessControl_init();
+        __EIP712_init("CertificateRegistry", "1");
+        __Nonces_init();
+        __Pausable_init();
+        
+        _grantRole(REGISTRY_ADMIN_ROLE, _admin);
+        _grantRole(ISSUER_ROLE, _admin);
+        migrating = _migrating;
+    }
+    
+    /**
+     * @dev Only registry admins may upgrade the implementation
+     */
+    function _authorizeUpgrade(address) internal override onlyRole(REGISTRY_ADMIN_ROLE) {}
+    
+    /**
+     * @dev Check whether an account may add and remove the issuers of an institution
+     * @notice Registry admins manage every institution; institution admins only their own
+     * @param _account Address to check
+     * @param _institutionId Institution of the issuers (0 for issuers outside any institution)
+     * @return bool True if the account may manage them
+     */
+    function canManageIssuers(address _account, bytes32 _institutionId) public view returns (bool) {
+        if (hasRole(REGISTRY_ADMIN_ROLE, _account)) {
+            return true;
+        }
+        return _institutionId != bytes32(0)
+            && hasRole(INSTITUTION_ADMIN_ROLE, _account)
+            && adminInstitution[_account] == _institutionId;
+    }
+    
+    /**
+     * @dev Revert unless an account holds the issuer role
+     * @param _account Address to check
+     */
+    function _checkIssuer(address _account) internal view {
+        if (!hasRole(ISSUER_ROLE, _account)) revert NotAuthorizedIssuer();
+    }
+    
+    /**
+     * @dev Revert unless an issuer may issue without the approval of other issuers
+     * @param _issuer Address to check
+     */
+    function _checkDirectIssuer(address _issuer) internal view {
+        _checkIssuer(_issuer);
+        if (approvalThresholds[issuerInstitution[_issuer]] > 1) revert ApprovalRequired();
+    }
+    
+    /**
+     * @dev Check whether something an issuer signed falls in its compromised period
+     * @notice A period given as a block is judged by block number, except for records
+     *         without one, which are judged by the timestamp of that block
+     * @param _issuer Issuer address
+     * @param _timestamp When it was issued
+     * @param _blockNumber Block it was issued in (0 if not recorded)
+     * @return bool True if untrusted
+     */
+    function isCompromised(address _issuer, uint256 _timestamp, uint256 _blockNumber) public view returns (bool) {
+        IssuerCompromise storage compromise = issuerCompromises[_issuer];
+        if (compromise.since == 0) return false;
+        if (compromise.sinceBlock != 0 && _blockNumber != 0) return _blockNumber >= compromise.sinceBlock;
+        return _timestamp >= compromise.since;
+    }
+    
+    /**
+     * @dev Emit the issuer and institution admin events and count issuers whenever those roles are granted
+     * @notice Covers grantRole as well, so indexers see every change
+     */
+    function _grantRole(bytes32 _role, address _account) internal override returns (bool) {
+        bool granted = super._grantRole(_role, _account);
+        if (granted && _role == ISSUER_ROLE) {
+            issuerCounts[issuerInstitution[_account]]++;
+            emit IssuerAdded(_account, issuerInstitution[_account], block.timestamp);
+        } else if (granted && _role == INSTITUTION_ADMIN_ROLE) {
+            emit InstitutionAdminAdded(_account, adminInstitution[_account], block.timestamp);
+        }
+        return granted;
+    }
+    
+    /**
+     * @dev Emit the issuer and institution admin events, count issuers and clear the institution whenever those roles are revoked
+     * @notice Covers revokeRole and renounceRole as well. An approval threshold left above the
+     *         institution's remaining issuers is lowered to their number, so it can still issue.
+     */
+    function _revokeRole(bytes32 _role, address _account) internal override returns (bool) {
+        bool revoked = super._revokeRole(_role, _account);
+        if (revoked && _role == ISSUER_ROLE) {
+            bytes32 institutionId = issuerInstitution[_account];
+            issuerCounts[institutionId]--;
+            emit IssuerRemoved(_account, institutionId, block.timestamp);
+            delete issuerInstitution[_account];
+            
+            if (approvalThresholds[institutionId] > issuerCounts[institutionId]) {
+                approvalThresholds[institutionId] = uint8(issuerCounts[institutionId]);
+                emit ApprovalThresholdSet(institutionId, approvalThresholds[institutionId], block.timestamp);
+            }
+        } else if (revoked && _role == INSTITUTION_ADMIN_ROLE) {
+            emit InstitutionAdminRemoved(_account, adminInstitution[_account], block.timestamp);
+            delete adminInstitution[_account];
+        }
+        return revoked;
+    }
+}
@@ -0,0 +1,132 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./CertificateRegistryBase.sol";
+
+/**
+ * @title CertificateRegistryImporter
+ * @dev Implementation a new registry runs while the records of a previous deployment are imported
+ * @notice scripts/migrate.js deploys the proxy with this implementation, imports the records and
+ *         calls finishMigration, which hands the proxy over to CertificateRegistry. Keeping the
+ *         import functions out of CertificateRegistry keeps it under the contract size limit.
+ */
+contract CertificateRegistryImporter is CertificateRegistryBase {
+    
+    modifier onlyDuringMigration() {
+        _checkMigration();
+        _;
+    }
+    
+    /**
+     * @dev Set up the registry behind its proxy
+     * @param _admin First registry admin and authorized issuer
+     * @param _migrating Whether records of a previous deployment will be imported
+     */
+    function initialize(address _admin, bool _migrating) external initializer {
+        __CertificateRegistryBase_init(_admin, _migrating);
+    }
+    
+    /**
+     * @dev Revert unless msg.sender is a registry admin and a migration is in progress
+     */
+    function _checkMigration() internal view {
+        _checkRole(REGISTRY_ADMIN_ROLE);
+        if (!migrating) revert NoMigrationInProgress();
+    }
+    
+    /**
+     * @dev Import an institution from a previous deployment, keeping its timestamps
+     * @notice The import functions are only open between initialize and finishMigration
+     * @param _institutionId Institution ID
+     * @param _institution Institution profile as read from the previous deployment
+     */
+    function importInstitution(bytes32 _institutionId, Institution calldata _institution) external onlyDuringMigration {
+        if (_institutionId == bytes32(0)) revert InvalidInstitution();
+        if (!_institution.exists) revert InstitutionNotRegistered();
+        if (institutions[_institutionId].exists) revert InstitutionAlreadyRegistered();
+        
+        institutions[_institutionId] = _institution;
+        emit InstitutionRegistered(
+            _institutionId,
+            _institution.name,
+            _institution.domain,
+            _institution.metadataCID,
+            _institution.registeredAt
+        );
+    }
+    
+    /**
+     * @dev Import certificates from a previous deployment as they were recorded there
+     * @notice Issuer, timestamps, revocation and reissue links are kept unchanged
+     * @param _certificates Certificates as read from the previous deployment
+     */
+    function importCertificates(Certificate[] calldata _certificates) external onlyDuringMigration {
+        for (uint256 i = 0; i < _certificates.length; i++) {
+            Certificate calldata cert = _certificates[i];
+            if (!cert.exists || cert.docHash == bytes32(0)) revert InvalidCertificate();
+            if (certificates[cert.docHash].exists) revert CertificateAlreadyExists();
+            
+            certificates[cert.docHash] = cert;
+            emit CertificateMigrated(cert.docHash, cert.issuer, cert.timestamp);
+        }
+    }
+    
+    /**
+     * @dev Import batches from a previous deployment as they were recorded there
+     * @param _batches Batches as read from the previous deployment
+     */
+    function importBatches(Batch[] calldata _batches) external onlyDuringMigration {
+        for (uint256 i = 0; i < _batches.length; i++) {
+            Batch calldata batch = _batches[i];
+            if (!batch.exists || batch.merkleRoot == bytes32(0)) revert InvalidBatch();
+            if (batches[batch.merkleRoot].exists) revert BatchAlreadyExists();
+            
+            batches[batch.merkleRoot] = batch;
+            emit BatchMigrated(batch.merkleRoot, batch.issuer, batch.timestamp);
+        }
+    }
+    
+    /**
+     * @dev Import revocations of batch certificates from a previous deployment
+     * @notice Import the batches first
+     * @param _revocations Revocations as read from the previous deployment
+     */
+    function importBatchRevocations(BatchRevocation[] calldata _revocations) external onlyDuringMigration {
+        for (uint256 i = 0; i < _revocations.length; i++) {
+            BatchRevocation calldata revocation = _revocations[i];
+            if (!batches[revocation.merkleRoot].exists || revocation.revokedAt == 0) revert InvalidBatch();
+            
+            batchRevocations[revocation.merkleRoot][revocation.docHash] = revocation;
+            emit BatchCertificateRevoked(
+                revocation.merkleRoot,
+                revocation.docHash,
+                revocation.revokedBy,
+                revocation.reasonCode,
+                revocation.revokedAt
+            );
+        }
+    }
+    
+    /**
+     * @dev Import an issuer's compromised period from a previous deployment
+     * @param _issuer Issuer address
+     * @param _compromise Compromised period as read from the previous deployment
+     */
+    function importIssuerCompromise(address _issuer, IssuerCompromise calldata _compromise) external onlyDuringMigration {
+        if (_issuer == address(0)) revert InvalidIssuer();
+        if (_compromise.since == 0) revert IssuerNotCompromised();
+        
+        issuerCompromises[_issuer] = _compromise;
+        emit IssuerCompromised(_issuer, _compromise.since, _compromise.markedAt);
+    }
+    
+    /**
+     * @dev Close the import functions for good and switch the proxy to the registry
+     * @param _implementation CertificateRegistry implementation to run from now on
+     */
+    function finishMigration(address _implementation) external onlyDuringMigration {
+        migrating = false;
+        emit MigrationFinished(block.timestamp);
+        upgradeToAndCall(_implementation, "");
+    }
+}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+
+/**
+ * @title CertificateRegistryProxy
+ * @dev ERC-1967 proxy holding the registry's address and records
+ * @notice Calls are delegated to the current CertificateRegistry implementation,
+ *         which registry admins replace through upgradeToAndCall
+ */
+contract CertificateRegistryProxy is ERC1967Proxy {
+    /**
+     * @param _implementation CertificateRegistry implementation
+     * @param _data Encoded call to initialize
+     */
+    constructor(address _implementation, bytes memory _data) ERC1967Proxy(_implementation, _data) {}
+}
@@ -1,12 +1,14 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("@openzeppelin/hardhat-upgrades");
 // require("dotenv").config({ path: "../.env" });
 
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: "0.8.19",
+    version: "0.8.24",
     settings: {
+      evmVersion: "cancun",
       optimizer: {
         enabled: true,
         runs: 200
@@ -15,12 +17,19 @@ module.exports = {
   },
   networks: {
     hardhat: {
-      chainId: 31337
+      // HARDHAT_CHAIN_ID lets a second local node run as a different chain
+      chainId: parseInt(process.env.HARDHAT_CHAIN_ID) || 31337
     },
     localhost: {
       url: "http://127.0.0.1:8545",
       chainId: 31337
     },
+    // A second local chain (npm run node2), for trying out a backend that
+    // verifies against several registries
+    localhost2: {
+      url: "http://127.0.0.1:8546",
+      chainId: 31338
+    },
     sepolia: {
       url: process.env.SEPOLIA_RPC_URL || "",
       accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
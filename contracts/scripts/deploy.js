@@ -1,56 +1,42 @@
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { deployRegistry, readDeployment, saveDeployment } = require("./registry");
 
 async function main() {
+    // Deploying again would strand every certificate in the current registry
+    const existing = await readDeployment();
+    if (existing && process.env.FORCE_DEPLOY !== "true") {
+        throw new Error(
+            `A registry is already deployed at ${existing.contractAddress} on this network. ` +
+            "Run scripts/upgrade.js to change its code, scripts/migrate.js to move its records " +
+            "to a new registry, or set FORCE_DEPLOY=true to start an empty one."
+        );
+    }
+
     console.log("🚀 Deploying CertificateRegistry contract...");
 
-    // Get the contract factory
-    const CertificateRegistry = await hre.ethers.getContractFactory("CertificateRegistry");
+    // Get deployer address
+    const [deployer] = await hre.ethers.getSigners();
 
-    // Deploy the contract
-    const certificateRegistry = await CertificateRegistry.deploy();
-    await certificateRegistry.waitForDeployment();
+    // Deploy the implementation and the proxy that holds the registry's records
+    const { registry: certificateRegistry, implementationAddress } = await deployRegistry(deployer.address);
 
     const contractAddress = await certificateRegistry.getAddress();
 
     console.log("✅ CertificateRegistry deployed to:", contractAddress);
-
-    // Get deployer address
-    const [deployer] = await hre.ethers.getSigners();
+    console.log("🧩 Implementation:", implementationAddress);
     console.log("📝 Deployed by:", deployer.address);
     console.log("💰 Account balance:", hre.ethers.formatEther(await hre.ethers.provider.getBalance(deployer.address)), "ETH");
 
     // Save deployment information
-    const deploymentsDir = path.join(__dirname, "../deployments");
-    if (!fs.existsSync(deploymentsDir)) {
-        fs.mkdirSync(deploymentsDir, { recursive: true });
-    }
-
-    const deploymentInfo = {
+    await saveDeployment({
         contractAddress: contractAddress,
+        implementationAddress: implementationAddress,
         deployer: deployer.address,
         network: hre.network.name,
         chainId: (await hre.ethers.provider.getNetwork()).chainId.toString(),
         deploymentTime: new Date().toISOString(),
         blockNumber: await hre.ethers.provider.getBlockNumber()
-    };
-
-    // Save contract address and deployment info
-    fs.writeFileSync(
-        path.join(deploymentsDir, "CertificateRegistry.json"),
-        JSON.stringify(deploymentInfo, null, 2)
-    );
-
-    // Save contract ABI
-    const artifact = await hre.artifacts.readArtifact("CertificateRegistry");
-    fs.writeFileSync(
-        path.join(deploymentsDir, "CertificateRegistry-ABI.json"),
-        JSON.stringify(artifact.abi, null, 2)
-    );
-
-    console.log("💾 Deployment info saved to deployments/CertificateRegistry.json");
-    console.log("📄 Contract ABI saved to deployments/CertificateRegistry-ABI.json");
+    });
 
     // Verify deployer is authorized issuer
     const isAuthorized = await certificateRegistry.isAuthorizedIssuer(deployer.address);
@@ -0,0 +1,60 @@
+const hre = require("hardhat");
+const { getImplementationAddress, readDeployment, readDeploymentAbi, saveDeployment } = require("./registry");
+const { migrateRegistry } = require("./migration");
+
+async function main() {
+    const previous = await readDeployment();
+    if (!previous) {
+        throw new Error("No registry deployed on this network to migrate from.");
+    }
+
+    // Earlier versions of the registry have a different ABI; read them through the one saved with them
+    const [deployer] = await hre.ethers.getSigners();
+    const abi = await readDeploymentAbi();
+    const oldRegistry = abi
+        ? new hre.ethers.Contract(previous.contractAddress, abi, deployer)
+        : await hre.ethers.getContractAt("CertificateRegistry", previous.contractAddress);
+
+    const migration = await migrateRegistry(oldRegistry, { fromBlock: previous.blockNumber || 0 });
+    const contractAddress = await migration.registry.getAddress();
+
+    await saveDeployment({
+        contractAddress: contractAddress,
+        implementationAddress: migration.implementationAddress,
+        deployer: deployer.address,
+        network: hre.network.name,
+        chainId: (await hre.ethers.provider.getNetwork()).chainId.toString(),
+        deploymentTime: new Date().toISOString(),
+        blockNumber: migration.blockNumber,
+        migratedFrom: {
+            contractAddress: previous.contractAddress,
+            implementationAddress: await getImplementationAddress(previous.contractAddress),
+            blockNumber: previous.blockNumber,
+            lastBlock: migration.lastBlock,
+            certificates: migration.certificates,
+            batches: migration.batches,
+            revokedBatchCertificates: migration.revokedBatchCertificates
+        }
+    });
+
+    console.log("\n✨ Migration complete!");
+    console.log(`   ${migration.certificates} certificates, ${migration.batches} batches and ${migration.institutions} institutions imported`);
+    if (migration.pendingProposals.length > 0) {
+        console.warn(`⚠️  ${migration.pendingProposals.length} pending proposals were not carried over and must be proposed again:`);
+        migration.pendingProposals.forEach(docHash => console.warn(`   ${docHash}`));
+    }
+    console.log("\n📋 Next steps:");
+    console.log("1. Restart the backend so it connects to the new registry");
+    if (migration.oldRegistryPaused) {
+        console.log(`2. The old registry at ${previous.contractAddress} stays paused and keeps answering for its records`);
+    } else {
+        console.log(`2. The old registry at ${previous.contractAddress} keeps answering for its records; stop issuing on it`);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("❌ Migration failed:", error);
+        process.exit(1);
+    });
@@ -0,0 +1,315 @@
+const hre = require("hardhat");
+const { deployImplementation, deployRegistry } = require("./registry");
+
+// Blocks per event query, and records per import transaction
+const BLOCK_RANGE = parseInt(process.env.MIGRATION_BLOCK_RANGE) || 2000;
+const BATCH_SIZE = parseInt(process.env.MIGRATION_BATCH_SIZE) || 50;
+
+// Values for record fields that registries deployed before them did not keep
+const CERTIFICATE_DEFAULTS = {
+    validUntil: 0n,
+    revoked: false,
+    revocationReason: 0,
+    revokedAt: 0n,
+    holder: hre.ethers.ZeroAddress,
+    replaces: hre.ethers.ZeroHash,
+    supersededBy: hre.ethers.ZeroHash,
+    institutionId: hre.ethers.ZeroHash,
+    blockNumber: 0n
+};
+const BATCH_DEFAULTS = {
+    institutionId: hre.ethers.ZeroHash,
+    blockNumber: 0n
+};
+const COMPROMISE_DEFAULTS = {
+    sinceBlock: 0n
+};
+
+/**
+ * Check whether the old registry's ABI has a function
+ * @param {ethers.Contract} contract - Old registry
+ * @param {string} name - Function name
+ * @returns {boolean} True if the function exists
+ */
+function hasFunction(contract, name) {
+    return contract.interface.getFunction(name) !== null;
+}
+
+/**
+ * Read events over a block range, BLOCK_RANGE blocks per query
+ * Events the contract does not have are skipped, as older registries emitted fewer.
+ * @param {ethers.Contract} contract - Contract emitting the events
+ * @param {Array<string>} eventNames - Events to read
+ * @param {number} fromBlock - First block
+ * @param {number} toBlock - Last block
+ * @returns {Promise<Array<ethers.EventLog>>} Events in the order they were emitted
+ */
+async function collectEvents(contract, eventNames, fromBlock, toBlock) {
+    const emitted = eventNames.filter(eventName => contract.interface.getEvent(eventName) !== null);
+    const events = [];
+
+    for (let start = fromBlock; start <= toBlock; start += BLOCK_RANGE) {
+        const end = Math.min(start + BLOCK_RANGE - 1, toBlock);
+        const logs = [];
+
+        for (const eventName of emitted) {
+            logs.push(...await contract.queryFilter(contract.filters[eventName](), start, end));
+        }
+
+        events.push(...logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index));
+    }
+
+    return events;
+}
+
+/**
+ * Collect the distinct values of an event argument over a block range
+ * @param {ethers.Contract} contract - Contract emitting the events
+ * @param {Array<string>} eventNames - Events to read
+ * @param {string} argName - Argument to collect
+ * @param {number} fromBlock - First block
+ * @param {number} toBlock - Last block
+ * @returns {Promise<Array<string>>} Distinct values in the order they were first emitted
+ */
+async function collectEventArgs(contract, eventNames, argName, fromBlock, toBlock) {
+    const events = await collectEvents(contract, eventNames, fromBlock, toBlock);
+    return [...new Set(events.map(event => event.args[argName]))];
+}
+
+/**
+ * Send a transaction and wait for it to be mined
+ * @param {Promise<ethers.TransactionResponse>} sent - Pending contract call
+ * @returns {Promise<ethers.TransactionReceipt>} Receipt
+ */
+async function confirm(sent) {
+    return (await sent).wait();
+}
+
+/**
+ * Import records in chunks of BATCH_SIZE
+ * @param {Array} keys - Keys of the records
+ * @param {Function} read - Reads one record from the old registry as a plain object
+ * @param {Function} write - Imports a chunk of records into the new registry
+ * @param {Object} logger - Progress output
+ */
+async function importInChunks(keys, read, write, logger) {
+    for (let i = 0; i < keys.length; i += BATCH_SIZE) {
+        const records = await Promise.all(keys.slice(i, i + BATCH_SIZE).map(read));
+        await confirm(write(records));
+        logger.log(`   ${Math.min(i + BATCH_SIZE, keys.length)}/${keys.length}`);
+    }
+}
+
+/**
+ * Read the accounts currently holding a role on the old registry
+ * Registries deployed before role-based access control have a single owner,
+ * and their authorized issuers belong to no institution.
+ * @param {ethers.Contract} oldRegistry - Old registry
+ * @param {number} fromBlock - First block to read events from
+ * @param {number} toBlock - Last block to read events from
+ * @returns {Promise<Object>} Registry admins, and issuers and institution admins with their institution
+ */
+async function readRoles(oldRegistry, fromBlock, toBlock) {
+    const issuers = [];
+    for (const issuer of await collectEventArgs(oldRegistry, ["IssuerAdded"], "issuer", fromBlock, toBlock)) {
+        if (await oldRegistry.isAuthorizedIssuer(issuer)) {
+            const institutionId = hasFunction(oldRegistry, "issuerInstitution")
+                ? await oldRegistry.issuerInstitution(issuer)
+                : hre.ethers.ZeroHash;
+            issuers.push({ account: issuer, institutionId: institutionId });
+        }
+    }
+
+    if (!hasFunction(oldRegistry, "hasRole")) {
+        return { registryAdmins: [await oldRegistry.owner()], issuers: issuers, institutionAdmins: [] };
+    }
+
+    const adminRole = await oldRegistry.REGISTRY_ADMIN_ROLE();
+    const institutionAdminRole = await oldRegistry.INSTITUTION_ADMIN_ROLE();
+
+    const registryAdmins = [];
+    for (const account of await collectEventArgs(oldRegistry, ["RoleGranted"], "account", fromBlock, toBlock)) {
+        if (await oldRegistry.hasRole(adminRole, account)) {
+            registryAdmins.push(account);
+        }
+    }
+
+    const institutionAdmins = [];
+    for (const admin of await collectEventArgs(oldRegistry, ["InstitutionAdminAdded"], "admin", fromBlock, toBlock)) {
+        if (await oldRegistry.hasRole(institutionAdminRole, admin)) {
+            institutionAdmins.push({ account: admin, institutionId: await oldRegistry.adminInstitution(admin) });
+        }
+    }
+
+    return { registryAdmins: registryAdmins, issuers: issuers, institutionAdmins: institutionAdmins };
+}
+
+/**
+ * Move the records and roles of a registry into a new upgradeable registry
+ * The old registry is paused first when it can be, and stays readable. Registries
+ * of any earlier version can be read, as long as the contract is opened with the
+ * ABI it was deployed with: records are read through the events it emitted, and
+ * fields it did not keep are imported with their defaults.
+ * @param {ethers.Contract} oldRegistry - Registry to migrate from, connected to a registry admin
+ * @param {Object} [options] - Migration options
+ * @param {number} [options.fromBlock=0] - Block the old registry was deployed in
+ * @param {Object} [options.logger=console] - Progress output
+ * @returns {Promise<Object>} New registry, its implementation, and counts of what was carried over
+ */
+async function migrateRegistry(oldRegistry, { fromBlock = 0, logger = console } = {}) {
+    const [deployer] = await hre.ethers.getSigners();
+    const oldAddress = await oldRegistry.getAddress();
+    const canPause = hasFunction(oldRegistry, "paused");
+
+    const isAdmin = hasFunction(oldRegistry, "hasRole")
+        ? await oldRegistry.hasRole(await oldRegistry.REGISTRY_ADMIN_ROLE(), deployer.address)
+        : (await oldRegistry.owner()) === deployer.address;
+    if (!isAdmin) {
+        throw new Error(`${deployer.address} is not a registry admin of ${oldAddress}`);
+    }
+
+    logger.log("🚚 Migrating CertificateRegistry at", oldAddress);
+
+    // Stop issuance on the old registry first, so nothing is issued there after it has been read
+    const wasPaused = canPause && await oldRegistry.paused();
+    if (!canPause) {
+        logger.warn("⚠️  The old registry cannot be paused; make sure nothing issues on it until the backend uses the new one");
+    } else if (!wasPaused) {
+        await confirm(oldRegistry.pause());
+        logger.log("⏸️  Issuance paused on the old registry");
+    }
+
+    const toBlock = await hre.ethers.provider.getBlockNumber();
+
+    // Records imported into the old registry by an earlier migration carry over too
+    const docHashes = await collectEventArgs(oldRegistry, ["CertificateIssued", "CertificateMigrated"], "docHash", fromBlock, toBlock);
+    const merkleRoots = await collectEventArgs(oldRegistry, ["BatchIssued", "BatchMigrated"], "merkleRoot", fromBlock, toBlock);
+    const institutionIds = await collectEventArgs(oldRegistry, ["InstitutionRegistered"], "institutionId", fromBlock, toBlock);
+    const compromisedIssuers = await collectEventArgs(oldRegistry, ["IssuerCompromised"], "issuer", fromBlock, toBlock);
+    const approvalPolicies = await collectEventArgs(oldRegistry, ["ApprovalThresholdSet"], "institutionId", fromBlock, toBlock);
+    const proposed = await collectEventArgs(oldRegistry, ["CertificateProposed"], "docHash", fromBlock, toBlock);
+    const revokedLeaves = new Map(
+        (await collectEvents(oldRegistry, ["BatchCertificateRevoked"], fromBlock, toBlock))
+            .map(event => [`${event.args.merkleRoot}:${event.args.docHash}`, event.args])
+    );
+    const roles = await readRoles(oldRegistry, fromBlock, toBlock);
+
+    logger.log(`📋 Found ${docHashes.length} certificates, ${merkleRoots.length} batches and ${institutionIds.length} institutions`);
+
+    // The new registry runs the importer until finishMigration hands it over to CertificateRegistry
+    await hre.upgrades.validateUpgrade(
+        await hre.ethers.getContractFactory("CertificateRegistryImporter"),
+        await hre.ethers.getContractFactory("CertificateRegistry"),
+        { kind: "uups" }
+    );
+    const { registry: importer } = await deployRegistry(deployer.address, true);
+    const contractAddress = await importer.getAddress();
+    const blockNumber = await hre.ethers.provider.getBlockNumber();
+
+    logger.log("✅ New CertificateRegistry deployed to:", contractAddress);
+
+    logger.log("🏛️  Importing institutions...");
+    for (const institutionId of institutionIds) {
+        const institution = await oldRegistry.getInstitution(institutionId);
+        await confirm(importer.importInstitution(institutionId, institution.toObject()));
+    }
+
+    logger.log("📜 Importing certificates...");
+    await importInChunks(
+        docHashes,
+        async docHash => ({ ...CERTIFICATE_DEFAULTS, ...(await oldRegistry.getCertificate(docHash)).toObject() }),
+        records => importer.importCertificates(records),
+        logger
+    );
+
+    logger.log("🌳 Importing batches...");
+    await importInChunks(
+        merkleRoots,
+        async root => ({ ...BATCH_DEFAULTS, ...(await oldRegistry.getBatch(root)).toObject() }),
+        records => importer.importBatches(records),
+        logger
+    );
+
+    logger.log("🚫 Importing revocations of batch certificates...");
+    await importInChunks(
+        [...revokedLeaves.values()],
+        async leaf => (await oldRegistry.getBatchRevocation(leaf.merkleRoot, leaf.docHash)).toObject(),
+        records => importer.importBatchRevocations(records),
+        logger
+    );
+
+    for (const issuer of compromisedIssuers) {
+        const compromise = await oldRegistry.issuerCompromises(issuer);
+        if (compromise.since !== 0n) {
+            await confirm(importer.importIssuerCompromise(issuer, { ...COMPROMISE_DEFAULTS, ...compromise.toObject() }));
+        }
+    }
+
+    // Closes the import functions for good
+    const implementationAddress = await deployImplementation();
+    await confirm(importer.finishMigration(implementationAddress));
+    const registry = await hre.ethers.getContractAt("CertificateRegistry", contractAddress);
+    const adminRole = await registry.REGISTRY_ADMIN_ROLE();
+
+    logger.log("🧩 Implementation:", implementationAddress);
+
+    logger.log("🔐 Copying roles...");
+    for (const account of roles.registryAdmins) {
+        if (!(await registry.hasRole(adminRole, account))) {
+            await confirm(registry.grantRole(adminRole, account));
+        }
+    }
+    for (const { account, institutionId } of roles.institutionAdmins) {
+        await confirm(registry.addInstitutionAdmin(account, institutionId));
+    }
+    for (const { account, institutionId } of roles.issuers) {
+        if (!(await registry.isAuthorizedIssuer(account))) {
+            await confirm(registry.addIssuer(account, institutionId));
+        }
+    }
+    // initialize makes the deployer an issuer; keep that only if it was one before
+    if (!roles.issuers.some(({ account }) => account === deployer.address)) {
+        await confirm(registry.removeIssuer(deployer.address));
+    }
+
+    // Approval thresholds cannot exceed the issuers an institution still has
+    for (const institutionId of approvalPolicies) {
+        const threshold = await oldRegistry.approvalThresholds(institutionId);
+        const issuerCount = await registry.issuerCounts(institutionId);
+        if (threshold > issuerCount) {
+            logger.warn(`⚠️  ${institutionId} required ${threshold} approvals but has ${issuerCount} issuers; lowered to ${issuerCount}`);
+        }
+        const copied = threshold > issuerCount ? issuerCount : threshold;
+        if (copied > 0n) {
+            await confirm(registry.setApprovalThreshold(institutionId, copied));
+        }
+    }
+
+    if (wasPaused) {
+        await confirm(registry.pause());
+    }
+
+    const pendingProposals = [];
+    for (const docHash of proposed) {
+        if ((await oldRegistry.getProposal(docHash)).exists) {
+            pendingProposals.push(docHash);
+        }
+    }
+
+    return {
+        registry: registry,
+        implementationAddress: implementationAddress,
+        blockNumber: blockNumber,
+        lastBlock: toBlock,
+        oldRegistryPaused: canPause,
+        certificates: docHashes.length,
+        batches: merkleRoots.length,
+        institutions: institutionIds.length,
+        revokedBatchCertificates: revokedLeaves.size,
+        pendingProposals: pendingProposals
+    };
+}
+
+module.exports = {
+    migrateRegistry
+};
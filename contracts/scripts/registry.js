@@ -0,0 +1,140 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+// Deployments are saved under <network>-<chainId>/, so one checkout can hold a
+// registry per network; older ones sit directly in the directory
+const DEPLOYMENTS_DIR = path.join(__dirname, "../deployments");
+const DEPLOYMENT_FILE = "CertificateRegistry.json";
+const ABI_FILE = "CertificateRegistry-ABI.json";
+
+// ERC-1967 storage slot holding the proxy's implementation address
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+/**
+ * Deploy a registry implementation
+ * The upgrades plugin checks it is safe to run behind a UUPS proxy and records
+ * its storage layout in .openzeppelin/, which scripts/upgrade.js compares the
+ * next implementation against.
+ * @param {string} [contractName="CertificateRegistry"] - Implementation contract
+ * @returns {Promise<string>} Implementation address
+ */
+async function deployImplementation(contractName = "CertificateRegistry") {
+    const factory = await hre.ethers.getContractFactory(contractName);
+    return hre.upgrades.deployImplementation(factory, { kind: "uups" });
+}
+
+/**
+ * Deploy a registry behind a new proxy
+ * A registry deployed for a migration runs CertificateRegistryImporter until
+ * its finishMigration hands the proxy over to CertificateRegistry.
+ * @param {string} admin - First registry admin and issuer
+ * @param {boolean} [migrating=false] - Start on the importer, with the import functions open
+ * @returns {Promise<Object>} Registry contract attached to the proxy, and the implementation address
+ */
+async function deployRegistry(admin, migrating = false) {
+    const contractName = migrating ? "CertificateRegistryImporter" : "CertificateRegistry";
+    const CertificateRegistry = await hre.ethers.getContractFactory(contractName);
+    const implementationAddress = await deployImplementation(contractName);
+    const initData = CertificateRegistry.interface.encodeFunctionData("initialize", [admin, migrating]);
+
+    const CertificateRegistryProxy = await hre.ethers.getContractFactory("CertificateRegistryProxy");
+    const proxy = await CertificateRegistryProxy.deploy(implementationAddress, initData);
+    await proxy.waitForDeployment();
+
+    return {
+        registry: CertificateRegistry.attach(await proxy.getAddress()),
+        implementationAddress: implementationAddress
+    };
+}
+
+/**
+ * Read the implementation address of a registry proxy
+ * @param {string} proxyAddress - Registry address
+ * @returns {Promise<string|null>} Implementation address, or null if the address is not a proxy
+ */
+async function getImplementationAddress(proxyAddress) {
+    const slot = await hre.ethers.provider.getStorage(proxyAddress, IMPLEMENTATION_SLOT);
+    return slot === hre.ethers.ZeroHash ? null : hre.ethers.getAddress(hre.ethers.dataSlice(slot, 12));
+}
+
+/**
+ * Get the directory holding the current network's deployment files
+ * @returns {Promise<string>} Directory path
+ */
+async function getDeploymentDir() {
+    const chainId = (await hre.ethers.provider.getNetwork()).chainId.toString();
+    return path.join(DEPLOYMENTS_DIR, `${hre.network.name}-${chainId}`);
+}
+
+/**
+ * Get the path of a deployment file for the current network
+ * Falls back to the file saved before deployments were keyed by network.
+ * @param {string} fileName - Deployment file name
+ * @returns {Promise<string>} File path, which may not exist
+ */
+async function getDeploymentFile(fileName) {
+    const keyedPath = path.join(await getDeploymentDir(), fileName);
+    return fs.existsSync(keyedPath) ? keyedPath : path.join(DEPLOYMENTS_DIR, fileName);
+}
+
+/**
+ * Read the saved deployment if it belongs to a live contract on the current network
+ * A deployment saved before deployments were keyed by network is used when it
+ * is on the same chain.
+ * @returns {Promise<Object|null>} Deployment info, or null if there is none on this network
+ */
+async function readDeployment() {
+    const deploymentPath = await getDeploymentFile(DEPLOYMENT_FILE);
+
+    if (!fs.existsSync(deploymentPath)) {
+        return null;
+    }
+
+    const deployment = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+    const chainId = (await hre.ethers.provider.getNetwork()).chainId.toString();
+
+    if (deployment.chainId !== chainId || (await hre.ethers.provider.getCode(deployment.contractAddress)) === "0x") {
+        return null;
+    }
+
+    return deployment;
+}
+
+/**
+ * Read the ABI saved with the deployment, which matches the code it was deployed with
+ * @returns {Promise<Array|null>} ABI, or null if none was saved
+ */
+async function readDeploymentAbi() {
+    const abiPath = await getDeploymentFile(ABI_FILE);
+    return fs.existsSync(abiPath) ? JSON.parse(fs.readFileSync(abiPath, "utf8")) : null;
+}
+
+/**
+ * Save deployment info and the current ABI for the backend
+ * @param {Object} deploymentInfo - Deployment info
+ */
+async function saveDeployment(deploymentInfo) {
+    const dir = await getDeploymentDir();
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    fs.writeFileSync(path.join(dir, DEPLOYMENT_FILE), JSON.stringify(deploymentInfo, null, 2));
+
+    const artifact = await hre.artifacts.readArtifact("CertificateRegistry");
+    fs.writeFileSync(path.join(dir, ABI_FILE), JSON.stringify(artifact.abi, null, 2));
+
+    const relative = path.relative(path.join(__dirname, ".."), dir);
+    console.log(`💾 Deployment info saved to ${relative}/${DEPLOYMENT_FILE}`);
+    console.log(`📄 Contract ABI saved to ${relative}/${ABI_FILE}`);
+}
+
+module.exports = {
+    deployImplementation,
+    deployRegistry,
+    getImplementationAddress,
+    readDeployment,
+    readDeploymentAbi,
+    saveDeployment
+};
@@ -0,0 +1,70 @@
+const hre = require("hardhat");
+const { deployImplementation, getImplementationAddress, readDeployment, saveDeployment } = require("./registry");
+
+async function main() {
+    const deployment = await readDeployment();
+    if (!deployment) {
+        throw new Error("No registry deployed on this network. Run scripts/deploy.js first.");
+    }
+
+    const previousImplementation = await getImplementationAddress(deployment.contractAddress);
+    if (!previousImplementation) {
+        throw new Error(
+            `The registry at ${deployment.contractAddress} is not behind a proxy. ` +
+            "Run scripts/migrate.js to move its records to an upgradeable registry."
+        );
+    }
+
+    const [deployer] = await hre.ethers.getSigners();
+    const registry = await hre.ethers.getContractAt("CertificateRegistry", deployment.contractAddress);
+
+    if (!(await registry.hasRole(await registry.REGISTRY_ADMIN_ROLE(), deployer.address))) {
+        throw new Error(`${deployer.address} is not a registry admin and cannot upgrade the registry`);
+    }
+
+    console.log("🚀 Upgrading CertificateRegistry at", deployment.contractAddress);
+
+    // Refuse implementations whose storage layout would clobber the registry's records
+    try {
+        await hre.upgrades.validateUpgrade(
+            deployment.contractAddress,
+            await hre.ethers.getContractFactory("CertificateRegistry"),
+            { kind: "uups" }
+        );
+    } catch (error) {
+        throw new Error(
+            `The new implementation cannot safely replace ${previousImplementation}: ${error.message}\n` +
+            "Registries whose implementation is not recorded in .openzeppelin/ were deployed before " +
+            "upgrades were checked; run scripts/migrate.js to move their records instead."
+        );
+    }
+    console.log("🔍 Storage layout is compatible with the current implementation");
+
+    // The plugin reuses an implementation it already deployed with the same code
+    const implementationAddress = await deployImplementation();
+    if (hre.ethers.getAddress(implementationAddress) === previousImplementation) {
+        console.log("✅ The registry already runs this code; nothing to upgrade");
+        return;
+    }
+
+    const tx = await registry.upgradeToAndCall(implementationAddress, "0x");
+    await tx.wait();
+
+    console.log("🧩 Implementation:", previousImplementation, "→", implementationAddress);
+
+    // The address and deployment block stay the same, so the backend and its indexer carry on
+    await saveDeployment({
+        ...deployment,
+        implementationAddress: implementationAddress,
+        upgradedAt: new Date().toISOString()
+    });
+
+    console.log("\n✨ Upgrade complete! A running backend picks up the new ABI on its next indexer poll.");
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("❌ Upgrade failed:", error);
+        process.exit(1);
+    });
@@ -1,5 +1,8 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const scripts = require("../scripts/registry");
+const { migrateRegistry } = require("../scripts/migration");
 
 describe("CertificateRegistry", function () {
     let certificateRegistry;
@@ -11,17 +14,30 @@ describe("CertificateRegistry", function () {
     const sampleDocHash = ethers.keccak256(ethers.toUtf8Bytes("Sample Certificate Content"));
     const sampleIPFSCID = "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG";
 
+    // Deploy an implementation and a proxy initialized with the given admin;
+    // registries deployed for a migration start on the importer
+    async function deployRegistry(admin, migrating = false) {
+        const CertificateRegistry = await ethers.getContractFactory(migrating ? "CertificateRegistryImporter" : "CertificateRegistry");
+        const implementation = await CertificateRegistry.deploy();
+        const initData = CertificateRegistry.interface.encodeFunctionData("initialize", [admin, migrating]);
+
+        const CertificateRegistryProxy = await ethers.getContractFactory("CertificateRegistryProxy");
+        const proxy = await CertificateRegistryProxy.deploy(await implementation.getAddress(), initData);
+        await proxy.waitForDeployment();
+
+        return CertificateRegistry.attach(await proxy.getAddress());
+    }
+
     beforeEach(async function () {
         [owner, issuer1, issuer2, unauthorized] = await ethers.getSigners();
 
-        const CertificateRegistry = await ethers.getContractFactory("CertificateRegistry");
-        certificateRegistry = await CertificateRegistry.deploy();
-        await certificateRegistry.waitForDeployment();
+        certificateRegistry = await deployRegistry(owner.address);
     });
 
     describe("Deployment", function () {
-        it("Should set the deployer as owner", async function () {
-            expect(await certificateRegistry.owner()).to.equal(owner.address);
+        it("Should make the deployer a registry admin", async function () {
+            const registryAdminRole = await certificateRegistry.REGISTRY_ADMIN_ROLE();
+            expect(await certificateRegistry.hasRole(registryAdminRole, owner.address)).to.be.true;
         });
 
         it("Should authorize deployer as issuer", async function () {
@@ -30,39 +46,39 @@ describe("CertificateRegistry", function () {
     });
 
     describe("Issuer Management", function () {
-        it("Should allow owner to add authorized issuer", async function () {
+        it("Should allow registry admin to add authorized issuer", async function () {
             await expect(certificateRegistry.addAuthorizedIssuer(issuer1.address))
                 .to.emit(certificateRegistry, "IssuerAdded")
-                .withArgs(issuer1.address, await ethers.provider.getBlock('latest').then(b => b.timestamp + 1));
+                .withArgs(issuer1.address, ethers.ZeroHash, await ethers.provider.getBlock('latest').then(b => b.timestamp + 1));
 
             expect(await certificateRegistry.isAuthorizedIssuer(issuer1.address)).to.be.true;
         });
 
-        it("Should prevent non-owner from adding issuer", async function () {
+        it("Should prevent non-admin from adding issuer", async function () {
             await expect(
                 certificateRegistry.connect(unauthorized).addAuthorizedIssuer(issuer1.address)
-            ).to.be.revertedWithCustomError(certificateRegistry, "OwnableUnauthorizedAccount");
+            ).to.be.revertedWithCustomError(certificateRegistry, "NotIssuerManager");
         });
 
         it("Should prevent adding zero address as issuer", async function () {
             await expect(
                 certificateRegistry.addAuthorizedIssuer(ethers.ZeroAddress)
-            ).to.be.revertedWith("Invalid issuer address");
+            ).to.be.revertedWithCustomError(certificateRegistry, "InvalidIssuer");
         });
 
         it("Should prevent adding duplicate issuer", async function () {
             await certificateRegistry.addAuthorizedIssuer(issuer1.address);
             await expect(
                 certificateRegistry.addAuthorizedIssuer(issuer1.address)
-            ).to.be.revertedWith("Issuer already authorized");
+            ).to.be.revertedWithCustomError(certificateRegistry, "IssuerAlreadyAuthorized");
         });
 
-        it("Should allow owner to remove authorized issuer", async function () {
+        it("Should allow registry admin to remove authorized issuer", async function () {
             await certificateRegistry.addAuthorizedIssuer(issuer1.address);
 
             await expect(certificateRegistry.removeAuthorizedIssuer(issuer1.address))
                 .to.emit(certificateRegistry, "IssuerRemoved")
-                .withArgs(issuer1.address, await ethers.provider.getBlock('latest').then(b => b.timestamp + 1));
+                .withArgs(issuer1.address, ethers.ZeroHash, await ethers.provider.getBlock('latest').then(b => b.timestamp + 1));
 
             expect(await certificateRegistry.isAuthorizedIssuer(issuer1.address)).to.be.false;
         });
@@ -70,7 +86,323 @@ describe("CertificateRegistry", function () {
         it("Should prevent removing non-authorized issuer", async function () {
             await expect(
                 certificateRegistry.removeAuthorizedIssuer(issuer1.address)
-            ).to.be.revertedWith("Issuer not authorized");
+            ).to.be.revertedWithCustomError(certificateRegistry, "IssuerNotAuthorized");
+        });
+    });
+
+    describe("Role-Based Access Control", function () {
+        const mit = ethers.encodeBytes32String("mit");
+        const harvard = ethers.encodeBytes32String("harvard");
+        let mitAdmin;
+        let harvardIssuer;
+
+        beforeEach(async function () {
+            [, , , , mitAdmin, harvardIssuer] = await ethers.getSigners();
+            await certificateRegistry.registerInstitution(mit, "Massachusetts Institute of Technology", "mit.edu", "");
+            await certificateRegistry.registerInstitution(harvard, "Harvard University", "harvard.edu", "");
+            await certificateRegistry.addInstitutionAdmin(mitAdmin.address, mit);
+            await certificateRegistry.addIssuer(harvardIssuer.address, harvard);
+        });
+
+        describe("Institution admins", function () {
+            it("Should let a registry admin add an institution admin", async function () {
+                await expect(certificateRegistry.addInstitutionAdmin(issuer1.address, harvard))
+                    .to.emit(certificateRegistry, "InstitutionAdminAdded")
+                    .withArgs(issuer1.address, harvard, await ethers.provider.getBlock('latest').then(b => b.timestamp + 1));
+
+                const role = await certificateRegistry.INSTITUTION_ADMIN_ROLE();
+                expect(await certificateRegistry.hasRole(role, issuer1.address)).to.be.true;
+                expect(await certificateRegistry.adminInstitution(issuer1.address)).to.equal(harvard);
+            });
+
+            it("Should prevent others from adding an institution admin", async function () {
+                const role = await certificateRegistry.REGISTRY_ADMIN_ROLE();
+
+                await expect(
+                    certificateRegistry.connect(mitAdmin).addInstitutionAdmin(issuer1.address, mit)
+                ).to.be.revertedWithCustomError(certificateRegistry, "AccessControlUnauthorizedAccount")
+                    .withArgs(mitAdmin.address, role);
+                await expect(
+                    certificateRegistry.connect(harvardIssuer).addInstitutionAdmin(issuer1.address, harvard)
+                ).to.be.revertedWithCustomError(certificateRegistry, "AccessControlUnauthorizedAccount");
+            });
+
+            it("Should reject an institution admin without a registered institution or address", async function () {
+                await expect(
+                    certificateRegistry.addInstitutionAdmin(issuer1.address, ethers.ZeroHash)
+                ).to.be.revertedWithCustomError(certificateRegistry, "InstitutionNotRegistered");
+                await expect(
+                    certificateRegistry.addInstitutionAdmin(issuer1.address, ethers.encodeBytes32String("yale"))
+                ).to.be.revertedWithCustomError(certificateRegistry, "InstitutionNotRegistered");
+                await expect(
+                    certificateRegistry.addInstitutionAdmin(ethers.ZeroAddress, mit)
+                ).to.be.revertedWithCustomError(certificateRegistry, "InvalidAdmin");
+                await expect(
+                    certificateRegistry.addInstitutionAdmin(mitAdmin.address, harvard)
+                ).to.be.revertedWithCustomError(certificateRegistry, "AdminAlreadyAssigned");
+            });
+
+            it("Should let a registry admin remove an institution admin", async function () {
+                await expect(certificateRegistry.removeInstitutionAdmin(mitAdmin.address))
+                    .to.emit(certificateRegistry, "InstitutionAdminRemoved")
+                    .withArgs(mitAdmin.address, mit, await ethers.provider.getBlock('latest').then(b => b.timestamp + 1));
+
+                expect(await certificateRegistry.adminInstitution(mitAdmin.address)).to.equal(ethers.ZeroHash);
+                await expect(
+                    certificateRegistry.connect(mitAdmin).addIssuer(issuer1.address, mit)
+                ).to.be.revertedWithCustomError(certificateRegistry, "NotIssuerManager");
+            });
+
+            it("Should prevent others from removing an institution admin", async function () {
+                await expect(
+                    certificateRegistry.connect(mitAdmin).removeInstitutionAdmin(mitAdmin.address)
+                ).to.be.revertedWithCustomError(certificateRegistry, "AccessControlUnauthorizedAccount");
+                await expect(
+                    certificateRegistry.removeInstitutionAdmin(issuer1.address)
+                ).to.be.revertedWithCustomError(certificateRegistry, "NotInstitutionAdmin");
+            });
+        });
+
+        describe("Issuer management", function () {
+            it("Should let an institution admin add issuers to their own institution", async function () {
+                await expect(certificateRegistry.connect(mitAdmin).addIssuer(issuer1.address, mit))
+                    .to.emit(certificateRegistry, "IssuerAdded")
+                    .withArgs(issuer1.address, mit, await ethers.provider.getBlock('latest').then(b => b.timestamp + 1));
+
+                expect(await certificateRegistry.isAuthorizedIssuer(issuer1.address)).to.be.true;
+                expect(await certificateRegistry.issuerInstitution(issuer1.address)).to.equal(mit);
+                await expect(
+                    certificateRegistry.connect(issuer1).issueCertificate(sampleDocHash, sampleIPFSCID)
+                ).to.emit(certificateRegistry, "CertificateIssued");
+            });
+
+            it("Should prevent an institution admin from adding issuers to another institution", async function () {
+                await expect(
+                    certificateRegistry.connect(mitAdmin).addIssuer(issuer1.address, harvard)
+                ).to.be.revertedWithCustomError(certificateRegistry, "NotIssuerManager");
+                await expect(
+                    certificateRegistry.connect(mitAdmin).addAuthorizedIssuer(issuer1.address)
+                ).to.be.revertedWithCustomError(certificateRegistry, "NotIssuerManager");
+            });
+
+            it("Should let an institution admin remove issuers of their own institution", async function () {
+                await certificateRegistry.connect(mitAdmin).addIssuer(issuer1.address, mit);
+
+                await expect(certificateRegistry.connect(mitAdmin).removeIssuer(issuer1.address))
+                    .to.emit(certificateRegistry, "IssuerRemoved")
+                    .withArgs(issuer1.address, mit, await ethers.provider.getBlock('latest').then(b => b.timestamp + 1));
+
+                expect(await certificateRegistry.isAuthorizedIssuer(issuer1.address)).to.be.false;
+                expect(await certificateRegistry.issuerInstitution(issuer1.address)).to.equal(ethers.ZeroHash);
+            });
+
+            it("Should prevent an institution admin from removing issuers of another institution", async function () {
+                await certificateRegistry.addAuthorizedIssuer(issuer1.address);
+
+                await expect(
+                    certificateRegistry.connect(mitAdmin).removeIssuer(harvardIssuer.address)
+                ).to.be.revertedWithCustomError(certificateRegistry, "NotIssuerManager");
+                await expect(
+                    certificateRegistry.connect(mitAdmin).removeIssuer(issuer1.address)
+                ).to.be.revertedWithCustomError(certificateRegistry, "NotIssuerManager");
+                await expect(
+                    certificateRegistry.connect(mitAdmin).removeIssuer(owner.address)
+                ).to.be.revertedWithCustomError(certificateRegistry, "NotIssuerManager");
+            });
+
+            it("Should let a registry admin manage issuers of any institution", async function () {
+                await certificateRegistry.addIssuer(issuer1.address, mit);
+                expect(await certificateRegistry.issuerInstitution(issuer1.address)).to.equal(mit);
+
+                await certificateRegistry.removeIssuer(harvardIssuer.address);
+                expect(await certificateRegistry.isAuthorizedIssuer(harvardIssuer.address)).to.be.false;
+            });
+
+            it("Should reject issuers for an unregistered institution", async function () {
+                await expect(
+                    certificateRegistry.addIssuer(issuer1.address, ethers.encodeBytes32String("yale"))
+                ).to.be.revertedWithCustomError(certificateRegistry, "InstitutionNotRegistered");
+            });
+
+            it("Should prevent issuers from managing issuers", async function () {
+                await expect(
+                    certificateRegistry.connect(harvardIssuer).addIssuer(issuer1.address, harvard)
+                ).to.be.revertedWithCustomError(certificateRegistry, "NotIssuerManager");
+                await expect(
+                    certificateRegistry.connect(harvardIssuer).removeIssuer(harvardIssuer.address)
+                ).to.be.revertedWithCustomError(certificateRegistry, "NotIssuerManager");
+            });
+
+            it("Should prevent an institution admin from issuing unless also an issuer", async function () {
+                await expect(
+                    certificateRegistry.connect(mitAdmin).issueCertificate(sampleDocHash, sampleIPFSCID)
+                ).to.be.revertedWithCustomError(certificateRegistry, "NotAuthorizedIssuer");
+            });
+
+            it("Should report who can manage the issuers of an institution", async function () {
+                expect(await certificateRegistry.canManageIssuers(owner.address, harvard)).to.be.true;
+                expect(await certificateRegistry.canManageIssuers(mitAdmin.address, mit)).to.be.true;
+                expect(await certificateRegistry.canManageIssuers(mitAdmin.address, harvard)).to.be.false;
+                expect(await certificateRegistry.canManageIssuers(mitAdmin.address, ethers.ZeroHash)).to.be.false;
+                expect(await certificateRegistry.canManageIssuers(harvardIssuer.address, harvard)).to.be.false;
+            });
+        });
+
+        describe("Role changes outside the registry functions", function () {
+            it("Should emit issuer events when a registry admin grants or revokes the role directly", async function () {
+                const role = await certificateRegistry.ISSUER_ROLE();
+
+                await expect(certificateRegistry.grantRole(role, issuer1.address))
+                    .to.emit(certificateRegistry, "IssuerAdded");
+                expect(await certificateRegistry.isAuthorizedIssuer(issuer1.address)).to.be.true;
+
+                await expect(certificateRegistry.revokeRole(role, issuer1.address))
+                    .to.emit(certificateRegistry, "IssuerRemoved");
+                expect(await certificateRegistry.isAuthorizedIssuer(issuer1.address)).to.be.false;
+            });
+
+            it("Should prevent an institution admin from granting roles directly", async function () {
+                const role = await certificateRegistry.ISSUER_ROLE();
+
+                await expect(
+                    certificateRegistry.connect(mitAdmin).grantRole(role, issuer1.address)
+                ).to.be.revertedWithCustomError(certificateRegistry, "AccessControlUnauthorizedAccount");
+            });
+
+            it("Should let an issuer renounce their role", async function () {
+                const role = await certificateRegistry.ISSUER_ROLE();
+
+                await expect(certificateRegistry.connect(harvardIssuer).renounceRole(role, harvardIssuer.address))
+                    .to.emit(certificateRegistry, "IssuerRemoved")
+                    .withArgs(harvardIssuer.address, harvard, await ethers.provider.getBlock('latest').then(b => b.timestamp + 1));
+                expect(await certificateRegistry.isAuthorizedIssuer(harvardIssuer.address)).to.be.false;
+            });
+        });
+
+        it("Should prevent an institution admin from revoking certificates", async function () {
+            await certificateRegistry.connect(mitAdmin).addIssuer(issuer1.address, mit);
+            await certificateRegistry.connect(issuer1).issueCertificate(sampleDocHash, sampleIPFSCID);
+
+            await expect(
+                certificateRegistry.connect(mitAdmin).revokeCertificate(sampleDocHash, 1)
+            ).to.be.revertedWithCustomError(certificateRegistry, "NotAuthorizedToRevoke");
+        });
+    });
+
+    describe("Institution Registry", function () {
+        const mit = ethers.encodeBytes32String("mit");
+        const harvard = ethers.encodeBytes32String("harvard");
+        const profileCID = "QmProfile1234567890abcdefghijklmnopqrstuvwxyzAB";
+        let mitAdmin;
+
+        beforeEach(async function () {
+            [, , , , mitAdmin] = await ethers.getSigners();
+            await certificateRegistry.registerInstitution(mit, "Massachusetts Institute of Technology", "mit.edu", profileCID);
+            await certificateRegistry.registerInstitution(harvard, "Harvard University", "harvard.edu", "");
+            await certificateRegistry.addInstitutionAdmin(mitAdmin.address, mit);
+        });
+
+        it("Should let a registry admin register an institution", async function () {
+            const yale = ethers.encodeBytes32String("yale");
+
+            await expect(certificateRegistry.registerInstitution(yale, "Yale University", "yale.edu", ""))
+                .to.emit(certificateRegistry, "InstitutionRegistered")
+                .withArgs(yale, "Yale University", "yale.edu", "", await ethers.provider.getBlock('latest').then(b => b.timestamp + 1));
+
+            const institution = await certificateRegistry.getInstitution(yale);
+            expect(institution.exists).to.be.true;
+            expect(institution.name).to.equal("Yale University");
+            expect(institution.domain).to.equal("yale.edu");
+            expect(institution.registeredAt).to.equal(institution.updatedAt);
+        });
+
+        it("Should prevent others from registering institutions", async function () {
+            const yale = ethers.encodeBytes32String("yale");
+
+            await expect(
+                certificateRegistry.connect(mitAdmin).registerInstitution(yale, "Yale University", "yale.edu", "")
+            ).to.be.revertedWithCustomError(certificateRegistry, "AccessControlUnauthorizedAccount");
+            await expect(
+                certificateRegistry.connect(unauthorized).registerInstitution(yale, "Yale University", "yale.edu", "")
+            ).to.be.revertedWithCustomError(certificateRegistry, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should reject invalid or duplicate institutions", async function () {
+            await expect(
+                certificateRegistry.registerInstitution(ethers.ZeroHash, "Nobody", "", "")
+            ).to.be.revertedWithCustomError(certificateRegistry, "InvalidInstitution");
+            await expect(
+                certificateRegistry.registerInstitution(ethers.encodeBytes32String("yale"), "", "yale.edu", "")
+            ).to.be.revertedWithCustomError(certificateRegistry, "InvalidInstitutionName");
+            await expect(
+                certificateRegistry.registerInstitution(mit, "MIT", "mit.edu", "")
+            ).to.be.revertedWithCustomError(certificateRegistry, "InstitutionAlreadyRegistered");
+        });
+
+        it("Should let an institution admin update their own profile", async function () {
+            await expect(certificateRegistry.connect(mitAdmin).updateInstitution(mit, "MIT", "mit.edu", ""))
+                .to.emit(certificateRegistry, "InstitutionUpdated")
+                .withArgs(mit, "MIT", "mit.edu", "", await ethers.provider.getBlock('latest').then(b => b.timestamp + 1));
+
+            const institution = await certificateRegistry.getInstitution(mit);
+            expect(institution.name).to.equal("MIT");
+            expect(institution.metadataCID).to.equal("");
+            expect(institution.updatedAt).to.be.greaterThan(institution.registeredAt);
+        });
+
+        it("Should prevent an institution admin from updating another institution", async function () {
+            await expect(
+                certificateRegistry.connect(mitAdmin).updateInstitution(harvard, "Harvard", "example.com", "")
+            ).to.be.revertedWithCustomError(certificateRegistry, "NotIssuerManager");
+        });
+
+        it("Should prevent issuers from updating their institution", async function () {
+            await certificateRegistry.connect(mitAdmin).addIssuer(issuer1.address, mit);
+
+            await expect(
+                certificateRegistry.connect(issuer1).updateInstitution(mit, "MIT", "mit.edu", "")
+            ).to.be.revertedWithCustomError(certificateRegistry, "NotIssuerManager");
+        });
+
+        it("Should let a registry admin update any institution", async function () {
+            await certificateRegistry.updateInstitution(harvard, "Harvard College", "harvard.edu", profileCID);
+
+            const institution = await certificateRegistry.getInstitution(harvard);
+            expect(institution.name).to.equal("Harvard College");
+            expect(institution.metadataCID).to.equal(profileCID);
+        });
+
+        it("Should reject updates to unregistered institutions", async function () {
+            await expect(
+                certificateRegistry.updateInstitution(ethers.encodeBytes32String("yale"), "Yale", "yale.edu", "")
+            ).to.be.revertedWithCustomError(certificateRegistry, "InstitutionNotRegistered");
+        });
+
+        it("Should record the issuer's institution on certificates it issues", async function () {
+            await certificateRegistry.connect(mitAdmin).addIssuer(issuer1.address, mit);
+            await certificateRegistry.connect(issuer1).issueCertificate(sampleDocHash, sampleIPFSCID);
+
+            expect((await certificateRegistry.verifyCertificate(sampleDocHash)).institutionId).to.equal(mit);
+
+            // Membership at issuance time still counts after the issuer leaves
+            await certificateRegistry.connect(mitAdmin).removeIssuer(issuer1.address);
+            expect((await certificateRegistry.getCertificate(sampleDocHash)).institutionId).to.equal(mit);
+        });
+
+        it("Should record no institution for issuers outside any institution", async function () {
+            await certificateRegistry.issueCertificate(sampleDocHash, sampleIPFSCID);
+
+            expect((await certificateRegistry.verifyCertificate(sampleDocHash)).institutionId).to.equal(ethers.ZeroHash);
+        });
+
+        it("Should record the issuer's institution on batches", async function () {
+            await certificateRegistry.addIssuer(issuer1.address, harvard);
+            const root = await certificateRegistry.batchLeaf(sampleDocHash);
+            await certificateRegistry.connect(issuer1).issueBatch(root, sampleIPFSCID, 1);
+
+            const result = await certificateRegistry.verifyBatchCertificate(sampleDocHash, root, []);
+            expect(result.included).to.be.true;
+            expect(result.institutionId).to.equal(harvard);
         });
     });
 
@@ -101,19 +433,19 @@ describe("CertificateRegistry", function () {
         it("Should prevent unauthorized address from issuing certificate", async function () {
             await expect(
                 certificateRegistry.connect(unauthorized).issueCertificate(sampleDocHash, sampleIPFSCID)
-            ).to.be.revertedWith("Not an authorized issuer");
+            ).to.be.revertedWithCustomError(certificateRegistry, "NotAuthorizedIssuer");
         });
 
         it("Should prevent issuing certificate with zero hash", async function () {
             await expect(
                 certificateRegistry.connect(issuer1).issueCertificate(ethers.ZeroHash, sampleIPFSCID)
-            ).to.be.revertedWith("Invalid document hash");
+            ).to.be.revertedWithCustomError(certificateRegistry, "InvalidDocHash");
         });
 
         it("Should prevent issuing certificate with empty IPFS CID", async function () {
             await expect(
                 certificateRegistry.connect(issuer1).issueCertificate(sampleDocHash, "")
-            ).to.be.revertedWith("Invalid IPFS CID");
+            ).to.be.revertedWithCustomError(certificateRegistry, "InvalidIPFSCID");
         });
 
         it("Should prevent issuing duplicate certificate", async function () {
@@ -121,7 +453,7 @@ describe("CertificateRegistry", function () {
 
             await expect(
                 certificateRegistry.connect(issuer1).issueCertificate(sampleDocHash, sampleIPFSCID)
-            ).to.be.revertedWith("Certificate already exists");
+            ).to.be.revertedWithCustomError(certificateRegistry, "CertificateAlreadyExists");
         });
     });
 
@@ -156,6 +488,1430 @@ describe("CertificateRegistry", function () {
         });
     });
 
+    describe("Certificate Revocation", function () {
+        const reasonCode = 2;
+
+        beforeEach(async function () {
+            await certificateRegistry.addAuthorizedIssuer(issuer1.address);
+            await certificateRegistry.connect(issuer1).issueCertificate(sampleDocHash, sampleIPFSCID);
+        });
+
+        it("Should allow the original issuer to revoke a certificate", async function () {
+            await expect(
+                certificateRegistry.connect(issuer1).revokeCertificate(sampleDocHash, reasonCode)
+            )
+                .to.emit(certificateRegistry, "CertificateRevoked")
+                .withArgs(
+                    sampleDocHash,
+                    issuer1.address,
+                    reasonCode,
+                    await ethers.provider.getBlock('latest').then(b => b.timestamp + 1)
+                );
+
+            const result = await certificateRegistry.verifyCertificate(sampleDocHash);
+            expect(result.exists).to.be.true;
+            expect(result.revoked).to.be.true;
+            expect(result.revocationReason).to.equal(reasonCode);
+            expect(result.revokedAt).to.be.gt(0);
+        });
+
+        it("Should allow a registry admin to revoke a certificate", async function () {
+            await certificateRegistry.revokeCertificate(sampleDocHash, reasonCode);
+
+            const cert = await certificateRegistry.getCertificate(sampleDocHash);
+            expect(cert.revoked).to.be.true;
+            expect(cert.revocationReason).to.equal(reasonCode);
+        });
+
+        it("Should prevent other issuers from revoking a certificate", async function () {
+            await certificateRegistry.addAuthorizedIssuer(issuer2.address);
+
+            await expect(
+                certificateRegistry.connect(issuer2).revokeCertificate(sampleDocHash, reasonCode)
+            ).to.be.revertedWithCustomError(certificateRegistry, "NotAuthorizedToRevoke");
+        });
+
+        it("Should prevent revoking a non-existent certificate", async function () {
+            const fakeHash = ethers.keccak256(ethers.toUtf8Bytes("Fake Certificate"));
+
+            await expect(
+                certificateRegistry.revokeCertificate(fakeHash, reasonCode)
+            ).to.be.revertedWithCustomError(certificateRegistry, "CertificateNotFound");
+        });
+
+        it("Should prevent revoking a certificate twice", async function () {
+            await certificateRegistry.connect(issuer1).revokeCertificate(sampleDocHash, reasonCode);
+
+            await expect(
+                certificateRegistry.connect(issuer1).revokeCertificate(sampleDocHash, reasonCode)
+            ).to.be.revertedWithCustomError(certificateRegistry, "CertificateAlreadyRevoked");
+        });
+    });
+
+    describe("Certificate Expiry", function () {
+        const oneYear = 365 * 24 * 60 * 60;
+
+        beforeEach(async function () {
+            await certificateRegistry.addAuthorizedIssuer(issuer1.address);
+        });
+
+        it("Should issue a certificate with an expiry date", async function () {
+            const validUntil = (await time.latest()) + oneYear;
+
+            await expect(
+                certificateRegistry.connect(issuer1).issueCertificateWithExpiry(sampleDocHash, sampleIPFSCID, validUntil)
+            ).to.emit(certificateRegistry, "CertificateIssued");
+
+            const cert = await certificateRegistry.getCertificate(sampleDocHash);
+            expect(cert.validUntil).to.equal(validUntil);
+
+            const result = await certificateRegistry.verifyCertificate(sampleDocHash);
+            expect(result.exists).to.be.true;
+            expect(result.validUntil).to.equal(validUntil);
+            expect(result.expired).to.be.false;
+        });
+
+        it("Should report a certificate as expired after its expiry date", async function () {
+            const validUntil = (await time.latest()) + oneYear;
+            await certificateRegistry.connect(issuer1).issueCertificateWithExpiry(sampleDocHash, sampleIPFSCID, validUntil);
+
+            await time.increaseTo(validUntil);
+            expect((await certificateRegistry.verifyCertificate(sampleDocHash)).expired).to.be.false;
+
+            await time.increaseTo(validUntil + 1);
+            const result = await certificateRegistry.verifyCertificate(sampleDocHash);
+            expect(result.exists).to.be.true;
+            expect(result.expired).to.be.true;
+        });
+
+        it("Should never expire a certificate issued without an expiry date", async function () {
+            await certificateRegistry.connect(issuer1).issueCertificate(sampleDocHash, sampleIPFSCID);
+
+            await time.increase(10 * oneYear);
+            const result = await certificateRegistry.verifyCertificate(sampleDocHash);
+            expect(result.validUntil).to.equal(0);
+            expect(result.expired).to.be.false;
+        });
+
+        it("Should prevent issuing a certificate that is already expired", async function () {
+            const validUntil = await time.latest();
+
+            await expect(
+                certificateRegistry.connect(issuer1).issueCertificateWithExpiry(sampleDocHash, sampleIPFSCID, validUntil)
+            ).to.be.revertedWithCustomError(certificateRegistry, "ExpiryNotFuture");
+        });
+
+        it("Should prevent unauthorized address from issuing a certificate with expiry", async function () {
+            const validUntil = (await time.latest()) + oneYear;
+
+            await expect(
+                certificateRegistry.connect(unauthorized).issueCertificateWithExpiry(sampleDocHash, sampleIPFSCID, validUntil)
+            ).to.be.revertedWithCustomError(certificateRegistry, "NotAuthorizedIssuer");
+        });
+    });
+
+    describe("Holder Binding", function () {
+        let holder;
+
+        beforeEach(async function () {
+            holder = unauthorized;
+            await certificateRegistry.addAuthorizedIssuer(issuer1.address);
+        });
+
+        it("Should record the holder of a holder-bound certificate", async function () {
+            await expect(
+                certificateRegistry.connect(issuer1).issueCertificateToHolder(sampleDocHash, sampleIPFSCID, 0, holder.address)
+            ).to.emit(certificateRegistry, "CertificateHolderBound")
+                .withArgs(sampleDocHash, holder.address);
+
+            const result = await certificateRegistry.verifyCertificate(sampleDocHash);
+            expect(result.exists).to.be.true;
+            expect(result.issuer).to.equal(issuer1.address);
+            expect(result.holder).to.equal(holder.address);
+            expect((await certificateRegistry.getCertificate(sampleDocHash)).holder).to.equal(holder.address);
+        });
+
+        it("Should issue a holder-bound certificate with an expiry date", async function () {
+            const validUntil = (await time.latest()) + 3600;
+            await certificateRegistry.connect(issuer1).issueCertificateToHolder(sampleDocHash, sampleIPFSCID, validUntil, holder.address);
+
+            const result = await certificateRegistry.verifyCertificate(sampleDocHash);
+            expect(result.validUntil).to.equal(validUntil);
+            expect(result.holder).to.equal(holder.address);
+        });
+
+        it("Should leave certificates issued without a holder unbound", async function () {
+            await expect(certificateRegistry.connect(issuer1).issueCertificate(sampleDocHash, sampleIPFSCID))
+                .to.not.emit(certificateRegistry, "CertificateHolderBound");
+
+            expect((await certificateRegistry.verifyCertificate(sampleDocHash)).holder).to.equal(ethers.ZeroAddress);
+        });
+
+        it("Should prevent binding a certificate to the zero address", async function () {
+            await expect(
+                certificateRegistry.connect(issuer1).issueCertificateToHolder(sampleDocHash, sampleIPFSCID, 0, ethers.ZeroAddress)
+            ).to.be.revertedWithCustomError(certificateRegistry, "InvalidHolder");
+        });
+
+        it("Should prevent issuing a holder-bound certificate that is already expired", async function () {
+            const validUntil = await time.latest();
+
+            await expect(
+                certificateRegistry.connect(issuer1).issueCertificateToHolder(sampleDocHash, sampleIPFSCID, validUntil, holder.address)
+            ).to.be.revertedWithCustomError(certificateRegistry, "ExpiryNotFuture");
+        });
+
+        it("Should prevent unauthorized address from issuing a holder-bound certificate", async function () {
+            await expect(
+                certificateRegistry.connect(unauthorized).issueCertificateToHolder(sampleDocHash, sampleIPFSCID, 0, holder.address)
+            ).to.be.revertedWithCustomError(certificateRegistry, "NotAuthorizedIssuer");
+        });
+    });
+
+    describe("Certificate Reissue", function () {
+        const correctedDocHash = ethers.keccak256(ethers.toUtf8Bytes("Corrected Certificate Content"));
+        const correctedIPFSCID = "QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o";
+
+        beforeEach(async function () {
+            await certificateRegistry.addAuthorizedIssuer(issuer1.address);
+            await certificateRegistry.connect(issuer1).issueCertificate(sampleDocHash, sampleIPFSCID);
+        });
+
+        it("Should supersede the old certificate and link the two", async function () {
+            await expect(
+                certificateRegistry.connect(issuer1).reissueCertificate(sampleDocHash, correctedDocHash, correctedIPFSCID)
+            ).to.emit(certificateRegistry, "CertificateReissued")
+                .and.to.emit(certificateRegistry, "CertificateIssued");
+
+            const old = await certificateRegistry.verifyCertificate(sampleDocHash);
+            expect(old.exists).to.be.true;
+            expect(old.supersededBy).to.equal(correctedDocHash);
+
+            const replacement = await certificateRegistry.getCertificate(correctedDocHash);
+            expect(replacement.exists).to.be.true;
+            expect(replacement.ipfsCID).to.equal(correctedIPFSCID);
+            expect(replacement.issuer).to.equal(issuer1.address);
+            expect(replacement.replaces).to.equal(sampleDocHash);
+            expect(replacement.supersededBy).to.equal(ethers.ZeroHash);
+        });
+
+        it("Should carry the expiry and holder over to the new certificate", async function () {
+            const boundDocHash = ethers.keccak256(ethers.toUtf8Bytes("Holder-bound Certificate"));
+            const validUntil = (await time.latest()) + 3600;
+            await certificateRegistry.connect(issuer1).issueCertificateToHolder(boundDocHash, sampleIPFSCID, validUntil, unauthorized.address);
+
+            await certificateRegistry.connect(issuer1).reissueCertificate(boundDocHash, correctedDocHash, correctedIPFSCID);
+
+            const replacement = await certificateRegistry.verifyCertificate(correctedDocHash);
+            expect(replacement.validUntil).to.equal(validUntil);
+            expect(replacement.holder).to.equal(unauthorized.address);
+        });
+
+        it("Should allow a reissued certificate to be reissued again", async function () {
+            const thirdDocHash = ethers.keccak256(ethers.toUtf8Bytes("Third Certificate Content"));
+            await certificateRegistry.connect(issuer1).reissueCertificate(sampleDocHash, correctedDocHash, correctedIPFSCID);
+            await certificateRegistry.connect(issuer1).reissueCertificate(correctedDocHash, thirdDocHash, correctedIPFSCID);
+
+            expect((await certificateRegistry.getCertificate(correctedDocHash)).supersededBy).to.equal(thirdDocHash);
+            expect((await certificateRegistry.getCertificate(thirdDocHash)).replaces).to.equal(correctedDocHash);
+        });
+
+        it("Should prevent reissuing a certificate twice", async function () {
+            const otherDocHash = ethers.keccak256(ethers.toUtf8Bytes("Other Certificate Content"));
+            await certificateRegistry.connect(issuer1).reissueCertificate(sampleDocHash, correctedDocHash, correctedIPFSCID);
+
+            await expect(
+                certificateRegistry.connect(issuer1).reissueCertificate(sampleDocHash, otherDocHash, correctedIPFSCID)
+            ).to.be.revertedWithCustomError(certificateRegistry, "CertificateAlreadySuperseded");
+        });
+
+        it("Should prevent reissuing as a document that already exists", async function () {
+            await certificateRegistry.connect(issuer1).issueCertificate(correctedDocHash, correctedIPFSCID);
+
+            await expect(
+                certificateRegistry.connect(issuer1).reissueCertificate(sampleDocHash, correctedDocHash, correctedIPFSCID)
+            ).to.be.revertedWithCustomError(certificateRegistry, "CertificateAlreadyExists");
+        });
+
+        it("Should prevent reissuing a revoked certificate", async function () {
+            await certificateRegistry.connect(issuer1).revokeCertificate(sampleDocHash, 1);
+
+            await expect(
+                certificateRegistry.connect(issuer1).reissueCertificate(sampleDocHash, correctedDocHash, correctedIPFSCID)
+            ).to.be.revertedWithCustomError(certificateRegistry, "CertificateAlreadyRevoked");
+        });
+
+        it("Should prevent reissuing a non-existent certificate", async function () {
+            const fakeHash = ethers.keccak256(ethers.toUtf8Bytes("Fake Certificate"));
+
+            await expect(
+                certificateRegistry.connect(issuer1).reissueCertificate(fakeHash, correctedDocHash, correctedIPFSCID)
+            ).to.be.revertedWithCustomError(certificateRegistry, "CertificateNotFound");
+        });
+
+        it("Should prevent other issuers from reissuing a certificate", async function () {
+            await certificateRegistry.addAuthorizedIssuer(issuer2.address);
+
+            await expect(
+                certificateRegistry.connect(issuer2).reissueCertificate(sampleDocHash, correctedDocHash, correctedIPFSCID)
+            ).to.be.revertedWithCustomError(certificateRegistry, "NotAuthorizedToReissue");
+        });
+    });
+
+    describe("Multi-Signature Issuance", function () {
+        const mit = ethers.encodeBytes32String("mit");
+        let registrar;
+        let dean;
+        let provost;
+
+        beforeEach(async function () {
+            [, , , , registrar, dean, provost] = await ethers.getSigners();
+            await certificateRegistry.registerInstitution(mit, "MIT", "mit.edu", "");
+            await certificateRegistry.addIssuer(registrar.address, mit);
+            await certificateRegistry.addIssuer(dean.address, mit);
+            await certificateRegistry.addIssuer(provost.address, mit);
+        });
+
+        it("Should record a proposal with the proposer's approval", async function () {
+            const timestamp = await ethers.provider.getBlock('latest').then(b => b.timestamp + 1);
+
+            await expect(
+                certificateRegistry.connect(registrar).proposeCertificate(sampleDocHash, sampleIPFSCID, 0, ethers.ZeroAddress, 2)
+            ).to.emit(certificateRegistry, "CertificateProposed")
+                .withArgs(sampleDocHash, registrar.address, 2, timestamp)
+                .and.to.emit(certificateRegistry, "CertificateApproved")
+                .withArgs(sampleDocHash, registrar.address, 1, timestamp);
+
+            const proposal = await certificateRegistry.getProposal(sampleDocHash);
+            expect(proposal.exists).to.be.true;
+            expect(proposal.proposer).to.equal(registrar.address);
+            expect(proposal.institutionId).to.equal(mit);
+            expect(proposal.threshold).to.equal(2);
+            expect(proposal.approvals).to.equal(1);
+            expect(await certificateRegistry.hasApproved(sampleDocHash, registrar.address)).to.be.true;
+        });
+
+        it("Should not issue a certificate before the threshold is reached", async function () {
+            await certificateRegistry.connect(registrar).proposeCertificate(sampleDocHash, sampleIPFSCID, 0, ethers.ZeroAddress, 3);
+            await certificateRegistry.connect(dean).approveCertificate(sampleDocHash);
+
+            expect((await certificateRegistry.verifyCertificate(sampleDocHash)).exists).to.be.false;
+            expect((await certificateRegistry.getProposal(sampleDocHash)).approvals).to.equal(2);
+        });
+
+        it("Should issue the certificate to the proposer on the final approval", async function () {
+            const holder = unauthorized.address;
+            const validUntil = (await time.latest()) + 365 * 24 * 60 * 60;
+            await certificateRegistry.connect(registrar).proposeCertificate(sampleDocHash, sampleIPFSCID, validUntil, holder, 2);
+
+            await expect(certificateRegistry.connect(dean).approveCertificate(sampleDocHash))
+                .to.emit(certificateRegistry, "CertificateIssued")
+                .withArgs(sampleDocHash, sampleIPFSCID, registrar.address, await ethers.provider.getBlock('latest').then(b => b.timestamp + 1))
+                .and.to.emit(certificateRegistry, "CertificateHolderBound")
+                .withArgs(sampleDocHash, holder);
+
+            const result = await certificateRegistry.verifyCertificate(sampleDocHash);
+            expect(result.exists).to.be.true;
+            expect(result.issuer).to.equal(registrar.address);
+            expect(result.validUntil).to.equal(validUntil);
+            expect(result.holder).to.equal(holder);
+            expect(result.institutionId).to.equal(mit);
+            expect((await certificateRegistry.getProposal(sampleDocHash)).exists).to.be.false;
+        });
+
+        it("Should prevent an issuer from approving twice", async function () {
+            await certificateRegistry.connect(registrar).proposeCertificate(sampleDocHash, sampleIPFSCID, 0, ethers.ZeroAddress, 2);
+
+            await expect(
+                certificateRegistry.connect(registrar).approveCertificate(sampleDocHash)
+            ).to.be.revertedWithCustomError(certificateRegistry, "AlreadyApproved");
+        });
+
+        it("Should prevent issuers of other institutions from approving", async function () {
+            await certificateRegistry.addAuthorizedIssuer(issuer1.address);
+            await certificateRegistry.connect(registrar).proposeCertificate(sampleDocHash, sampleIPFSCID, 0, ethers.ZeroAddress, 2);
+
+            await expect(
+                certificateRegistry.connect(issuer1).approveCertificate(sampleDocHash)
+            ).to.be.revertedWithCustomError(certificateRegistry, "NotProposingInstitution");
+            await expect(
+                certificateRegistry.approveCertificate(sampleDocHash)
+            ).to.be.revertedWithCustomError(certificateRegistry, "NotProposingInstitution");
+        });
+
+        it("Should prevent unauthorized addresses from proposing or approving", async function () {
+            await expect(
+                certificateRegistry.connect(unauthorized).proposeCertificate(sampleDocHash, sampleIPFSCID, 0, ethers.ZeroAddress, 2)
+            ).to.be.revertedWithCustomError(certificateRegistry, "NotAuthorizedIssuer");
+
+            await certificateRegistry.connect(registrar).proposeCertificate(sampleDocHash, sampleIPFSCID, 0, ethers.ZeroAddress, 2);
+            await expect(
+                certificateRegistry.connect(unauthorized).approveCertificate(sampleDocHash)
+            ).to.be.revertedWithCustomError(certificateRegistry, "NotAuthorizedIssuer");
+        });
+
+        it("Should reject invalid proposals", async function () {
+            await expect(
+                certificateRegistry.connect(registrar).proposeCertificate(sampleDocHash, sampleIPFSCID, 0, ethers.ZeroAddress, 1)
+            ).to.be.revertedWithCustomError(certificateRegistry, "ThresholdTooLow");
+            await expect(
+                certificateRegistry.connect(registrar).proposeCertificate(sampleDocHash, sampleIPFSCID, await time.latest(), ethers.ZeroAddress, 2)
+            ).to.be.revertedWithCustomError(certificateRegistry, "ExpiryNotFuture");
+
+            await certificateRegistry.connect(registrar).issueCertificate(sampleDocHash, sampleIPFSCID);
+            await expect(
+                certificateRegistry.connect(registrar).proposeCertificate(sampleDocHash, sampleIPFSCID, 0, ethers.ZeroAddress, 2)
+            ).to.be.revertedWithCustomError(certificateRegistry, "CertificateAlreadyExists");
+        });
+
+        it("Should prevent proposing or directly issuing a certificate that is pending approval", async function () {
+            await certificateRegistry.connect(registrar).proposeCertificate(sampleDocHash, sampleIPFSCID, 0, ethers.ZeroAddress, 2);
+
+            await expect(
+                certificateRegistry.connect(dean).proposeCertificate(sampleDocHash, sampleIPFSCID, 0, ethers.ZeroAddress, 2)
+            ).to.be.revertedWithCustomError(certificateRegistry, "CertificateAlreadyProposed");
+            await expect(
+                certificateRegistry.connect(registrar).issueCertificate(sampleDocHash, sampleIPFSCID)
+            ).to.be.revertedWithCustomError(certificateRegistry, "CertificatePendingApproval");
+        });
+
+        it("Should reject approvals without a pending proposal", async function () {
+            await expect(
+                certificateRegistry.connect(dean).approveCertificate(sampleDocHash)
+            ).to.be.revertedWithCustomError(certificateRegistry, "NoPendingProposal");
+        });
+
+        it("Should not issue once the proposer has lost the issuer role", async function () {
+            await certificateRegistry.connect(registrar).proposeCertificate(sampleDocHash, sampleIPFSCID, 0, ethers.ZeroAddress, 2);
+            await certificateRegistry.removeIssuer(registrar.address);
+            await certificateRegistry.connect(dean).approveCertificate(sampleDocHash);
+
+            // The proposer's own approval was dropped, so the threshold is only met here
+            await expect(
+                certificateRegistry.connect(provost).approveCertificate(sampleDocHash)
+            ).to.be.revertedWithCustomError(certificateRegistry, "ProposerNotAuthorized");
+        });
+
+        it("Should let the proposer or a registry admin cancel a proposal", async function () {
+            await certificateRegistry.connect(registrar).proposeCertificate(sampleDocHash, sampleIPFSCID, 0, ethers.ZeroAddress, 2);
+
+            await expect(certificateRegistry.connect(dean).cancelProposal(sampleDocHash))
+                .to.be.revertedWithCustomError(certificateRegistry, "NotAuthorizedToCancel");
+            await expect(certificateRegistry.connect(registrar).cancelProposal(sampleDocHash))
+                .to.emit(certificateRegistry, "CertificateProposalCancelled")
+                .withArgs(sampleDocHash, registrar.address, await ethers.provider.getBlock('latest').then(b => b.timestamp + 1));
+            expect((await certificateRegistry.getProposal(sampleDocHash)).exists).to.be.false;
+
+            await certificateRegistry.connect(registrar).proposeCertificate(sampleDocHash, sampleIPFSCID, 0, ethers.ZeroAddress, 2);
+            await expect(certificateRegistry.cancelProposal(sampleDocHash))
+                .to.emit(certificateRegistry, "CertificateProposalCancelled")
+                .withArgs(sampleDocHash, owner.address, await ethers.provider.getBlock('latest').then(b => b.timestamp + 1));
+        });
+
+        it("Should not count approvals from a cancelled proposal", async function () {
+            await certificateRegistry.connect(registrar).proposeCertificate(sampleDocHash, sampleIPFSCID, 0, ethers.ZeroAddress, 3);
+            await certificateRegistry.connect(dean).approveCertificate(sampleDocHash);
+            await certificateRegistry.connect(registrar).cancelProposal(sampleDocHash);
+
+            await certificateRegistry.connect(provost).proposeCertificate(sampleDocHash, sampleIPFSCID, 0, ethers.ZeroAddress, 2);
+            expect(await certificateRegistry.hasApproved(sampleDocHash, dean.address)).to.be.false;
+
+            await expect(certificateRegistry.connect(dean).approveCertificate(sampleDocHash))
+                .to.emit(certificateRegistry, "CertificateIssued");
+            expect((await certificateRegistry.verifyCertificate(sampleDocHash)).issuer).to.equal(provost.address);
+        });
+
+        it("Should reject a threshold above the number of the institution's issuers", async function () {
+            expect(await certificateRegistry.issuerCounts(mit)).to.equal(3);
+
+            await expect(
+                certificateRegistry.connect(registrar).proposeCertificate(sampleDocHash, sampleIPFSCID, 0, ethers.ZeroAddress, 4)
+            ).to.be.revertedWithCustomError(certificateRegistry, "ThresholdTooHigh");
+
+            await certificateRegistry.markIssuerCompromised(provost.address, await time.latest());
+            expect(await certificateRegistry.issuerCounts(mit)).to.equal(2);
+            await expect(
+                certificateRegistry.connect(registrar).proposeCertificate(sampleDocHash, sampleIPFSCID, 0, ethers.ZeroAddress, 3)
+            ).to.be.revertedWithCustomError(certificateRegistry, "ThresholdTooHigh");
+        });
+
+        describe("Signed approvals", function () {
+            const types = {
+                ApprovalRequest: [
+                    { name: "docHash", type: "bytes32" },
+                    { name: "ipfsCID", type: "string" },
+                    { name: "validUntil", type: "uint256" },
+                    { name: "holder", type: "address" },
+                    { name: "approver", type: "address" },
+                    { name: "nonce", type: "uint256" },
+                    { name: "deadline", type: "uint256" }
+                ]
+            };
+            let domain;
+
+            async function buildApproval(signer, overrides = {}) {
+                return {
+                    docHash: sampleDocHash,
+                    ipfsCID: sampleIPFSCID,
+                    validUntil: 0,
+                    holder: ethers.ZeroAddress,
+                    approver: signer.address,
+                    nonce: await certificateRegistry.nonces(signer.address),
+                    deadline: (await time.latest()) + 60 * 60,
+                    ...overrides
+                };
+            }
+
+            beforeEach(async function () {
+                domain = {
+                    name: "CertificateRegistry",
+                    version: "1",
+                    chainId: (await ethers.provider.getNetwork()).chainId,
+                    verifyingContract: await certificateRegistry.getAddress()
+                };
+                await certificateRegistry.connect(registrar).proposeCertificate(sampleDocHash, sampleIPFSCID, 0, ethers.ZeroAddress, 2);
+            });
+
+            it("Should count a relayed approval as the signing issuer's", async function () {
+                const request = await buildApproval(dean);
+                const signature = await dean.signTypedData(domain, types, request);
+
+                expect(await certificateRegistry.hashApprovalRequest(request))
+                    .to.equal(ethers.TypedDataEncoder.hash(domain, types, request));
+
+                await expect(certificateRegistry.connect(registrar).approveCertificateBySig(request, signature))
+                    .to.emit(certificateRegistry, "CertificateApproved")
+                    .withArgs(sampleDocHash, dean.address, 2, await ethers.provider.getBlock('latest').then(b => b.timestamp + 1))
+                    .and.to.emit(certificateRegistry, "CertificateIssued");
+
+                expect((await certificateRegistry.verifyCertificate(sampleDocHash)).issuer).to.equal(registrar.address);
+                expect(await certificateRegistry.nonces(dean.address)).to.equal(1);
+                await expect(certificateRegistry.approveCertificateBySig(request, signature))
+                    .to.be.revertedWithCustomError(certificateRegistry, "InvalidAccountNonce");
+            });
+
+            it("Should not count the proposer twice", async function () {
+                const request = await buildApproval(registrar);
+                const signature = await registrar.signTypedData(domain, types, request);
+
+                await expect(certificateRegistry.approveCertificateBySig(request, signature))
+                    .to.be.revertedWithCustomError(certificateRegistry, "AlreadyApproved");
+            });
+
+            it("Should reject approvals not signed by the approver they name", async function () {
+                const request = await buildApproval(dean);
+                const signature = await registrar.signTypedData(domain, types, request);
+
+                await expect(certificateRegistry.approveCertificateBySig(request, signature))
+                    .to.be.revertedWithCustomError(certificateRegistry, "InvalidSignature");
+            });
+
+            it("Should reject approvals of different content", async function () {
+                const request = await buildApproval(dean, { ipfsCID: "QmOther" });
+                const signature = await dean.signTypedData(domain, types, request);
+
+                await expect(certificateRegistry.approveCertificateBySig(request, signature))
+                    .to.be.revertedWithCustomError(certificateRegistry, "ProposalMismatch");
+            });
+
+            it("Should reject approvals from issuers of other institutions", async function () {
+                const request = await buildApproval(issuer1);
+                const signature = await issuer1.signTypedData(domain, types, request);
+
+                await certificateRegistry.addAuthorizedIssuer(issuer1.address);
+                await expect(certificateRegistry.approveCertificateBySig(request, signature))
+                    .to.be.revertedWithCustomError(certificateRegistry, "NotProposingInstitution");
+            });
+        });
+
+        describe("Approval thresholds", function () {
+            it("Should let issuer managers require approvals for an institution", async function () {
+                await certificateRegistry.addInstitutionAdmin(issuer2.address, mit);
+
+                await expect(certificateRegistry.connect(registrar).setApprovalThreshold(mit, 2))
+                    .to.be.revertedWithCustomError(certificateRegistry, "NotIssuerManager");
+                await expect(certificateRegistry.connect(issuer2).setApprovalThreshold(mit, 4))
+                    .to.be.revertedWithCustomError(certificateRegistry, "ThresholdTooHigh");
+
+                await expect(certificateRegistry.connect(issuer2).setApprovalThreshold(mit, 2))
+                    .to.emit(certificateRegistry, "ApprovalThresholdSet")
+                    .withArgs(mit, 2, await ethers.provider.getBlock('latest').then(b => b.timestamp + 1));
+                expect(await certificateRegistry.approvalThresholds(mit)).to.equal(2);
+            });
+
+            it("Should block direct issuance while approvals are required", async function () {
+                await certificateRegistry.setApprovalThreshold(mit, 2);
+                const root = await certificateRegistry.batchLeaf(sampleDocHash);
+
+                await expect(certificateRegistry.connect(registrar).issueCertificate(sampleDocHash, sampleIPFSCID))
+                    .to.be.revertedWithCustomError(certificateRegistry, "ApprovalRequired");
+                await expect(certificateRegistry.connect(registrar).issueCertificateWithExpiry(sampleDocHash, sampleIPFSCID, (await time.latest()) + 3600))
+                    .to.be.revertedWithCustomError(certificateRegistry, "ApprovalRequired");
+                await expect(certificateRegistry.connect(registrar).issueCertificateToHolder(sampleDocHash, sampleIPFSCID, 0, issuer2.address))
+                    .to.be.revertedWithCustomError(certificateRegistry, "ApprovalRequired");
+                await expect(certificateRegistry.connect(registrar).issueBatch(root, "QmBatchManifest", 1))
+                    .to.be.revertedWithCustomError(certificateRegistry, "ApprovalRequired");
+
+                // Issuers outside the institution are not affected
+                await expect(certificateRegistry.issueCertificate(sampleDocHash, sampleIPFSCID))
+                    .to.emit(certificateRegistry, "CertificateIssued");
+            });
+
+            it("Should block reissue and relayed issuance while approvals are required", async function () {
+                await certificateRegistry.connect(registrar).issueCertificate(sampleDocHash, sampleIPFSCID);
+                await certificateRegistry.setApprovalThreshold(mit, 2);
+
+                await expect(certificateRegistry.connect(registrar).reissueCertificate(sampleDocHash, ethers.id("corrected"), sampleIPFSCID))
+                    .to.be.revertedWithCustomError(certificateRegistry, "ApprovalRequired");
+
+                const request = {
+                    docHash: ethers.id("relayed"),
+                    ipfsCID: sampleIPFSCID,
+                    validUntil: 0,
+                    holder: ethers.ZeroAddress,
+                    issuer: registrar.address,
+                    nonce: 0,
+                    deadline: (await time.latest()) + 3600
+                };
+                const domain = {
+                    name: "CertificateRegistry",
+                    version: "1",
+                    chainId: (await ethers.provider.getNetwork()).chainId,
+                    verifyingContract: await certificateRegistry.getAddress()
+                };
+                const signature = await registrar.signTypedData(domain, {
+                    IssueRequest: [
+                        { name: "docHash", type: "bytes32" },
+                        { name: "ipfsCID", type: "string" },
+                        { name: "validUntil", type: "uint256" },
+                        { name: "holder", type: "address" },
+                        { name: "issuer", type: "address" },
+                        { name: "nonce", type: "uint256" },
+                        { name: "deadline", type: "uint256" }
+                    ]
+                }, request);
+                await expect(certificateRegistry.issueCertificateBySig(request, signature))
+                    .to.be.revertedWithCustomError(certificateRegistry, "ApprovalRequired");
+            });
+
+            it("Should not let proposals ask for fewer approvals than required", async function () {
+                await certificateRegistry.setApprovalThreshold(mit, 3);
+
+                await expect(
+                    certificateRegistry.connect(registrar).proposeCertificate(sampleDocHash, sampleIPFSCID, 0, ethers.ZeroAddress, 2)
+                ).to.be.revertedWithCustomError(certificateRegistry, "ThresholdTooLow");
+
+                await certificateRegistry.connect(registrar).proposeCertificate(sampleDocHash, sampleIPFSCID, 0, ethers.ZeroAddress, 3);
+                await certificateRegistry.connect(dean).approveCertificate(sampleDocHash);
+                await expect(certificateRegistry.connect(provost).approveCertificate(sampleDocHash))
+                    .to.emit(certificateRegistry, "CertificateIssued");
+            });
+
+            it("Should allow direct issuance again once the requirement is lifted", async function () {
+                await certificateRegistry.setApprovalThreshold(mit, 2);
+                await certificateRegistry.setApprovalThreshold(mit, 0);
+
+                await expect(certificateRegistry.connect(registrar).issueCertificate(sampleDocHash, sampleIPFSCID))
+                    .to.emit(certificateRegistry, "CertificateIssued");
+            });
+
+            it("Should lower the threshold when issuers drop below it", async function () {
+                await certificateRegistry.setApprovalThreshold(mit, 3);
+
+                await expect(certificateRegistry.removeIssuer(provost.address))
+                    .to.emit(certificateRegistry, "ApprovalThresholdSet")
+                    .withArgs(mit, 2, await ethers.provider.getBlock('latest').then(b => b.timestamp + 1));
+                expect(await certificateRegistry.approvalThresholds(mit)).to.equal(2);
+
+                // The remaining issuers can still issue through a proposal
+                await certificateRegistry.connect(registrar).proposeCertificate(sampleDocHash, sampleIPFSCID, 0, ethers.ZeroAddress, 2);
+                await expect(certificateRegistry.connect(dean).approveCertificate(sampleDocHash))
+                    .to.emit(certificateRegistry, "CertificateIssued");
+            });
+
+            it("Should lower the threshold when an issuer renounces its role", async function () {
+                await certificateRegistry.setApprovalThreshold(mit, 3);
+
+                await certificateRegistry.connect(provost).renounceRole(await certificateRegistry.ISSUER_ROLE(), provost.address);
+
+                expect(await certificateRegistry.approvalThresholds(mit)).to.equal(2);
+            });
+
+            it("Should leave a reachable threshold alone when an issuer is removed", async function () {
+                await certificateRegistry.setApprovalThreshold(mit, 2);
+
+                await expect(certificateRegistry.removeIssuer(provost.address))
+                    .to.not.emit(certificateRegistry, "ApprovalThresholdSet");
+                expect(await certificateRegistry.approvalThresholds(mit)).to.equal(2);
+            });
+        });
+
+        describe("Removed approvers", function () {
+            it("Should not count approvals of issuers removed since", async function () {
+                await certificateRegistry.connect(registrar).proposeCertificate(sampleDocHash, sampleIPFSCID, 0, ethers.ZeroAddress, 2);
+                await certificateRegistry.removeIssuer(registrar.address);
+                await certificateRegistry.addIssuer(registrar.address, ethers.ZeroHash);
+
+                expect(await certificateRegistry.hasApproved(sampleDocHash, registrar.address)).to.be.false;
+
+                // The proposer's approval is dropped, so one more approval is not enough
+                await expect(certificateRegistry.connect(dean).approveCertificate(sampleDocHash))
+                    .to.emit(certificateRegistry, "CertificateApproved")
+                    .withArgs(sampleDocHash, dean.address, 1, await ethers.provider.getBlock('latest').then(b => b.timestamp + 1))
+                    .and.to.not.emit(certificateRegistry, "CertificateIssued");
+                expect((await certificateRegistry.getProposal(sampleDocHash)).approvals).to.equal(1);
+            });
+
+            it("Should let a removed approver approve again once re-authorized", async function () {
+                await certificateRegistry.connect(registrar).proposeCertificate(sampleDocHash, sampleIPFSCID, 0, ethers.ZeroAddress, 3);
+                await certificateRegistry.connect(dean).approveCertificate(sampleDocHash);
+                await certificateRegistry.removeIssuer(dean.address);
+                await certificateRegistry.connect(provost).approveCertificate(sampleDocHash);
+
+                expect((await certificateRegistry.getProposal(sampleDocHash)).approvals).to.equal(2);
+                expect(await certificateRegistry.hasApproved(sampleDocHash, dean.address)).to.be.false;
+
+                await certificateRegistry.addIssuer(dean.address, mit);
+                await expect(certificateRegistry.connect(dean).approveCertificate(sampleDocHash))
+                    .to.emit(certificateRegistry, "CertificateIssued");
+            });
+        });
+    });
+
+    describe("Signed Issuance", function () {
+        const mit = ethers.encodeBytes32String("mit");
+        const types = {
+            IssueRequest: [
+                { name: "docHash", type: "bytes32" },
+                { name: "ipfsCID", type: "string" },
+                { name: "validUntil", type: "uint256" },
+                { name: "holder", type: "address" },
+                { name: "issuer", type: "address" },
+                { name: "nonce", type: "uint256" },
+                { name: "deadline", type: "uint256" }
+            ]
+        };
+        let domain;
+
+        async function buildRequest(signer, overrides = {}) {
+            return {
+                docHash: sampleDocHash,
+                ipfsCID: sampleIPFSCID,
+                validUntil: 0,
+                holder: ethers.ZeroAddress,
+                issuer: signer.address,
+                nonce: await certificateRegistry.nonces(signer.address),
+                deadline: (await time.latest()) + 60 * 60,
+                ...overrides
+            };
+        }
+
+        beforeEach(async function () {
+            await certificateRegistry.registerInstitution(mit, "MIT", "mit.edu", "");
+            await certificateRegistry.addIssuer(issuer1.address, mit);
+            domain = {
+                name: "CertificateRegistry",
+                version: "1",
+                chainId: (await ethers.provider.getNetwork()).chainId,
+                verifyingContract: await certificateRegistry.getAddress()
+            };
+        });
+
+        it("Should issue a relayed certificate under the signing issuer", async function () {
+            const request = await buildRequest(issuer1, { holder: issuer2.address });
+            const signature = await issuer1.signTypedData(domain, types, request);
+
+            expect(await certificateRegistry.hashIssueRequest(request))
+                .to.equal(ethers.TypedDataEncoder.hash(domain, types, request));
+
+            await expect(certificateRegistry.connect(unauthorized).issueCertificateBySig(request, signature))
+                .to.emit(certificateRegistry, "CertificateIssued")
+                .withArgs(sampleDocHash, sampleIPFSCID, issuer1.address, await ethers.provider.getBlock('latest').then(b => b.timestamp + 1))
+                .and.to.emit(certificateRegistry, "CertificateRelayed")
+                .withArgs(sampleDocHash, issuer1.address, unauthorized.address, 0);
+
+            const result = await certificateRegistry.verifyCertificate(sampleDocHash);
+            expect(result.exists).to.be.true;
+            expect(result.issuer).to.equal(issuer1.address);
+            expect(result.holder).to.equal(issuer2.address);
+            expect(result.institutionId).to.equal(mit);
+            expect(await certificateRegistry.nonces(issuer1.address)).to.equal(1);
+        });
+
+        it("Should not accept a signature after its deadline", async function () {
+            const request = await buildRequest(issuer1, { deadline: (await time.latest()) + 60 });
+            const signature = await issuer1.signTypedData(domain, types, request);
+
+            await time.increase(120);
+            await expect(certificateRegistry.issueCertificateBySig(request, signature))
+                .to.be.revertedWithCustomError(certificateRegistry, "SignatureExpired");
+        });
+
+        it("Should not accept a signature twice", async function () {
+            const request = await buildRequest(issuer1);
+            const signature = await issuer1.signTypedData(domain, types, request);
+            await certificateRegistry.issueCertificateBySig(request, signature);
+
+            await expect(certificateRegistry.issueCertificateBySig(request, signature))
+                .to.be.revertedWithCustomError(certificateRegistry, "InvalidAccountNonce")
+                .withArgs(issuer1.address, 1);
+        });
+
+        it("Should not accept a request with a future nonce", async function () {
+            const request = await buildRequest(issuer1, { nonce: 5 });
+            const signature = await issuer1.signTypedData(domain, types, request);
+
+            await expect(certificateRegistry.issueCertificateBySig(request, signature))
+                .to.be.revertedWithCustomError(certificateRegistry, "InvalidAccountNonce")
+                .withArgs(issuer1.address, 0);
+        });
+
+        it("Should reject a request signed by someone other than the issuer", async function () {
+            const request = await buildRequest(issuer1);
+            const signature = await issuer2.signTypedData(domain, types, request);
+
+            await expect(certificateRegistry.issueCertificateBySig(request, signature))
+                .to.be.revertedWithCustomError(certificateRegistry, "InvalidSignature");
+        });
+
+        it("Should reject a request altered after signing", async function () {
+            const request = await buildRequest(issuer1);
+            const signature = await issuer1.signTypedData(domain, types, request);
+
+            await expect(certificateRegistry.issueCertificateBySig({ ...request, ipfsCID: "QmOther" }, signature))
+                .to.be.revertedWithCustomError(certificateRegistry, "InvalidSignature");
+        });
+
+        it("Should reject a request signed by a non-issuer", async function () {
+            const request = await buildRequest(unauthorized);
+            const signature = await unauthorized.signTypedData(domain, types, request);
+
+            await expect(certificateRegistry.issueCertificateBySig(request, signature))
+                .to.be.revertedWithCustomError(certificateRegistry, "NotAuthorizedIssuer");
+        });
+
+        it("Should reject a request from an issuer removed after signing", async function () {
+            const request = await buildRequest(issuer1);
+            const signature = await issuer1.signTypedData(domain, types, request);
+            await certificateRegistry.removeIssuer(issuer1.address);
+
+            await expect(certificateRegistry.issueCertificateBySig(request, signature))
+                .to.be.revertedWithCustomError(certificateRegistry, "NotAuthorizedIssuer");
+        });
+
+        it("Should not relay a certificate that already exists", async function () {
+            await certificateRegistry.issueCertificate(sampleDocHash, sampleIPFSCID);
+            const request = await buildRequest(issuer1);
+            const signature = await issuer1.signTypedData(domain, types, request);
+
+            await expect(certificateRegistry.issueCertificateBySig(request, signature))
+                .to.be.revertedWithCustomError(certificateRegistry, "CertificateAlreadyExists");
+            expect(await certificateRegistry.nonces(issuer1.address)).to.equal(0);
+        });
+    });
+
+    describe("Emergency Pause", function () {
+        beforeEach(async function () {
+            await certificateRegistry.addAuthorizedIssuer(issuer1.address);
+        });
+
+        it("Should let only registry admins pause and unpause", async function () {
+            await expect(certificateRegistry.connect(issuer1).pause())
+                .to.be.revertedWithCustomError(certificateRegistry, "AccessControlUnauthorizedAccount");
+
+            await expect(certificateRegistry.pause())
+                .to.emit(certificateRegistry, "Paused")
+                .withArgs(owner.address);
+            expect(await certificateRegistry.paused()).to.be.true;
+
+            await expect(certificateRegistry.connect(issuer1).unpause())
+                .to.be.revertedWithCustomError(certificateRegistry, "AccessControlUnauthorizedAccount");
+            await expect(certificateRegistry.unpause())
+                .to.emit(certificateRegistry, "Unpaused")
+                .withArgs(owner.address);
+            expect(await certificateRegistry.paused()).to.be.false;
+        });
+
+        it("Should block every way of issuing while paused", async function () {
+            await certificateRegistry.connect(issuer1).issueCertificate(sampleDocHash, sampleIPFSCID);
+            await certificateRegistry.connect(issuer1).proposeCertificate(ethers.id("proposed"), sampleIPFSCID, 0, ethers.ZeroAddress, 2);
+            await certificateRegistry.pause();
+
+            const otherHash = ethers.id("other");
+            const validUntil = (await time.latest()) + 3600;
+
+            await expect(certificateRegistry.connect(issuer1).issueCertificate(otherHash, sampleIPFSCID))
+                .to.be.revertedWithCustomError(certificateRegistry, "EnforcedPause");
+            await expect(certificateRegistry.connect(issuer1).issueCertificateWithExpiry(otherHash, sampleIPFSCID, validUntil))
+                .to.be.revertedWithCustomError(certificateRegistry, "EnforcedPause");
+            await expect(certificateRegistry.connect(issuer1).issueCertificateToHolder(otherHash, sampleIPFSCID, 0, issuer2.address))
+                .to.be.revertedWithCustomError(certificateRegistry, "EnforcedPause");
+            await expect(certificateRegistry.connect(issuer1).reissueCertificate(sampleDocHash, otherHash, sampleIPFSCID))
+                .to.be.revertedWithCustomError(certificateRegistry, "EnforcedPause");
+            await expect(certificateRegistry.connect(issuer1).issueBatch(otherHash, sampleIPFSCID, 3))
+                .to.be.revertedWithCustomError(certificateRegistry, "EnforcedPause");
+            await expect(certificateRegistry.connect(issuer1).proposeCertificate(otherHash, sampleIPFSCID, 0, ethers.ZeroAddress, 2))
+                .to.be.revertedWithCustomError(certificateRegistry, "EnforcedPause");
+            await expect(certificateRegistry.approveCertificate(ethers.id("proposed")))
+                .to.be.revertedWithCustomError(certificateRegistry, "EnforcedPause");
+        });
+
+        it("Should keep revocation and role management working while paused", async function () {
+            await certificateRegistry.connect(issuer1).issueCertificate(sampleDocHash, sampleIPFSCID);
+            await certificateRegistry.pause();
+
+            await expect(certificateRegistry.revokeCertificate(sampleDocHash, 4))
+                .to.emit(certificateRegistry, "CertificateRevoked");
+            await expect(certificateRegistry.removeAuthorizedIssuer(issuer1.address))
+                .to.emit(certificateRegistry, "IssuerRemoved");
+            expect((await certificateRegistry.verifyCertificate(sampleDocHash)).exists).to.be.true;
+        });
+
+        it("Should allow issuance again once unpaused", async function () {
+            await certificateRegistry.pause();
+            await certificateRegistry.unpause();
+
+            await expect(certificateRegistry.connect(issuer1).issueCertificate(sampleDocHash, sampleIPFSCID))
+                .to.emit(certificateRegistry, "CertificateIssued");
+        });
+    });
+
+    describe("Issuer Compromise", function () {
+        const compromisedReason = 4;
+
+        beforeEach(async function () {
+            await certificateRegistry.addAuthorizedIssuer(issuer1.address);
+        });
+
+        it("Should report certificates issued from the compromise time as revoked", async function () {
+            const before = ethers.id("before");
+            const after = ethers.id("after");
+            await certificateRegistry.connect(issuer1).issueCertificate(before, sampleIPFSCID);
+            await time.increase(60);
+            const since = (await time.latest()) + 1;
+            await time.setNextBlockTimestamp(since);
+            await certificateRegistry.connect(issuer1).issueCertificate(after, sampleIPFSCID);
+
+            const markedAt = await ethers.provider.getBlock('latest').then(b => b.timestamp + 1);
+            await expect(certificateRegistry.markIssuerCompromised(issuer1.address, since))
+                .to.emit(certificateRegistry, "IssuerCompromised")
+                .withArgs(issuer1.address, since, markedAt);
+
+            const untouched = await certificateRegistry.verifyCertificate(before);
+            expect(untouched.revoked).to.be.false;
+
+            const untrusted = await certificateRegistry.verifyCertificate(after);
+            expect(untrusted.exists).to.be.true;
+            expect(untrusted.revoked).to.be.true;
+            expect(untrusted.revocationReason).to.equal(compromisedReason);
+            expect(untrusted.revokedAt).to.equal(markedAt);
+
+            // The stored certificate itself is unchanged
+            expect((await certificateRegistry.getCertificate(after)).revoked).to.be.false;
+            expect(await certificateRegistry.isCompromised(issuer1.address, since - 1, 0)).to.be.false;
+            expect(await certificateRegistry.isCompromised(issuer1.address, since, 0)).to.be.true;
+        });
+
+        it("Should judge certificates by block when compromised from a block", async function () {
+            const before = ethers.id("before");
+            const after = ethers.id("after");
+            const since = await time.latest();
+            await certificateRegistry.connect(issuer1).issueCertificate(before, sampleIPFSCID);
+            const sinceBlock = await certificateRegistry.connect(issuer1).issueCertificate(after, sampleIPFSCID)
+                .then(tx => tx.wait())
+                .then(receipt => receipt.blockNumber);
+
+            // Both certificates are later than since, but only the second is in or after the block
+            await expect(certificateRegistry.markIssuerCompromisedAtBlock(issuer1.address, sinceBlock, since))
+                .to.emit(certificateRegistry, "IssuerCompromised")
+                .and.to.emit(certificateRegistry, "IssuerRemoved");
+
+            expect((await certificateRegistry.verifyCertificate(before)).revoked).to.be.false;
+            const untrusted = await certificateRegistry.verifyCertificate(after);
+            expect(untrusted.revoked).to.be.true;
+            expect(untrusted.revocationReason).to.equal(compromisedReason);
+
+            expect((await certificateRegistry.getCertificate(after)).blockNumber).to.equal(sinceBlock);
+            expect((await certificateRegistry.issuerCompromises(issuer1.address)).sinceBlock).to.equal(sinceBlock);
+            expect(await certificateRegistry.isCompromised(issuer1.address, since, sinceBlock - 1)).to.be.false;
+
+            // Records without a block number are judged by the time instead
+            expect(await certificateRegistry.isCompromised(issuer1.address, since, 0)).to.be.true;
+            expect(await certificateRegistry.isCompromised(issuer1.address, since - 1, 0)).to.be.false;
+        });
+
+        it("Should judge batches by the block they were anchored in", async function () {
+            const first = ethers.id("first");
+            const second = ethers.id("second");
+            const since = await time.latest();
+            await certificateRegistry.connect(issuer1).issueBatch(await certificateRegistry.batchLeaf(first), "QmBatchManifest", 1);
+            const sinceBlock = await certificateRegistry.connect(issuer1).issueBatch(await certificateRegistry.batchLeaf(second), "QmBatchManifest", 1)
+                .then(tx => tx.wait())
+                .then(receipt => receipt.blockNumber);
+
+            await certificateRegistry.markIssuerCompromisedAtBlock(issuer1.address, sinceBlock, since);
+
+            const trusted = await certificateRegistry.verifyBatchCertificate(first, await certificateRegistry.batchLeaf(first), []);
+            const untrusted = await certificateRegistry.verifyBatchCertificate(second, await certificateRegistry.batchLeaf(second), []);
+            expect(trusted.compromised).to.be.false;
+            expect(untrusted.compromised).to.be.true;
+        });
+
+        it("Should keep the details of an earlier revocation", async function () {
+            await certificateRegistry.connect(issuer1).issueCertificate(sampleDocHash, sampleIPFSCID);
+            await certificateRegistry.connect(issuer1).revokeCertificate(sampleDocHash, 1);
+
+            await certificateRegistry.markIssuerCompromised(issuer1.address, await time.latest());
+
+            const result = await certificateRegistry.verifyCertificate(sampleDocHash);
+            expect(result.revocationReason).to.equal(1);
+        });
+
+        it("Should remove the issuer role of a compromised issuer", async function () {
+            await expect(certificateRegistry.markIssuerCompromised(issuer1.address, await time.latest()))
+                .to.emit(certificateRegistry, "IssuerRemoved");
+
+            expect(await certificateRegistry.isAuthorizedIssuer(issuer1.address)).to.be.false;
+            await expect(certificateRegistry.connect(issuer1).issueCertificate(sampleDocHash, sampleIPFSCID))
+                .to.be.revertedWithCustomError(certificateRegistry, "NotAuthorizedIssuer");
+        });
+
+        it("Should reject invalid compromise markings", async function () {
+            await expect(certificateRegistry.connect(issuer1).markIssuerCompromised(issuer2.address, 1))
+                .to.be.revertedWithCustomError(certificateRegistry, "AccessControlUnauthorizedAccount");
+            await expect(certificateRegistry.markIssuerCompromised(ethers.ZeroAddress, 1))
+                .to.be.revertedWithCustomError(certificateRegistry, "InvalidIssuer");
+            await expect(certificateRegistry.markIssuerCompromised(issuer1.address, 0))
+                .to.be.revertedWithCustomError(certificateRegistry, "CompromiseTimeNotPast");
+            await expect(certificateRegistry.markIssuerCompromised(issuer1.address, (await time.latest()) + 3600))
+                .to.be.revertedWithCustomError(certificateRegistry, "CompromiseTimeNotPast");
+
+            const latestBlock = await ethers.provider.getBlockNumber();
+            await expect(certificateRegistry.connect(issuer1).markIssuerCompromisedAtBlock(issuer2.address, latestBlock, 1))
+                .to.be.revertedWithCustomError(certificateRegistry, "AccessControlUnauthorizedAccount");
+            await expect(certificateRegistry.markIssuerCompromisedAtBlock(issuer1.address, 0, 1))
+                .to.be.revertedWithCustomError(certificateRegistry, "CompromiseBlockNotPast");
+            await expect(certificateRegistry.markIssuerCompromisedAtBlock(issuer1.address, latestBlock + 10, 1))
+                .to.be.revertedWithCustomError(certificateRegistry, "CompromiseBlockNotPast");
+            await expect(certificateRegistry.markIssuerCompromisedAtBlock(issuer1.address, latestBlock, (await time.latest()) + 3600))
+                .to.be.revertedWithCustomError(certificateRegistry, "CompromiseTimeNotPast");
+        });
+
+        it("Should let a registry admin clear a compromise marking", async function () {
+            await certificateRegistry.connect(issuer1).issueCertificate(sampleDocHash, sampleIPFSCID);
+            await certificateRegistry.markIssuerCompromised(issuer1.address, await time.latest());
+            expect((await certificateRegistry.verifyCertificate(sampleDocHash)).revoked).to.be.true;
+
+            await expect(certificateRegistry.connect(issuer1).clearIssuerCompromise(issuer1.address))
+                .to.be.revertedWithCustomError(certificateRegistry, "AccessControlUnauthorizedAccount");
+            await expect(certificateRegistry.clearIssuerCompromise(issuer1.address))
+                .to.emit(certificateRegistry, "IssuerCompromiseCleared");
+
+            expect((await certificateRegistry.verifyCertificate(sampleDocHash)).revoked).to.be.false;
+            expect(await certificateRegistry.isAuthorizedIssuer(issuer1.address)).to.be.false;
+            await expect(certificateRegistry.clearIssuerCompromise(issuer1.address))
+                .to.be.revertedWithCustomError(certificateRegistry, "IssuerNotCompromised");
+        });
+    });
+
+    describe("Batch Issuance", function () {
+        const batchCID = "QmBatchManifest";
+        const docHashes = ["Certificate A", "Certificate B", "Certificate C"]
+            .map(content => ethers.keccak256(ethers.toUtf8Bytes(content)));
+
+        // Minimal sorted-pair Merkle tree matching the contract's batchLeaf()
+        function buildTree(hashes) {
+            const leaf = h => ethers.keccak256(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["bytes32"], [h])));
+            const hashPair = (a, b) => ethers.keccak256(ethers.concat(a < b ? [a, b] : [b, a]));
+
+            let layer = hashes.map(leaf);
+            const proofs = hashes.map(() => []);
+            let positions = hashes.map((_, i) => i);
+
+            while (layer.length > 1) {
+                positions.forEach((pos, i) => {
+                    const sibling = pos % 2 === 0 ? pos + 1 : pos - 1;
+                    if (sibling < layer.length) proofs[i].push(layer[sibling]);
+                });
+
+                const next = [];
+                for (let i = 0; i < layer.length; i += 2) {
+                    next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+                }
+                layer = next;
+                positions = positions.map(pos => Math.floor(pos / 2));
+            }
+
+            return { root: layer[0], proofs };
+        }
+
+        let tree;
+
+        beforeEach(async function () {
+            await certificateRegistry.addAuthorizedIssuer(issuer1.address);
+            tree = buildTree(docHashes);
+        });
+
+        it("Should allow authorized issuer to anchor a batch", async function () {
+            await expect(
+                certificateRegistry.connect(issuer1).issueBatch(tree.root, batchCID, docHashes.length)
+            )
+                .to.emit(certificateRegistry, "BatchIssued")
+                .withArgs(
+                    tree.root,
+                    batchCID,
+                    issuer1.address,
+                    docHashes.length,
+                    await ethers.provider.getBlock('latest').then(b => b.timestamp + 1)
+                );
+
+            const batch = await certificateRegistry.getBatch(tree.root);
+            expect(batch.exists).to.be.true;
+            expect(batch.issuer).to.equal(issuer1.address);
+            expect(batch.certificateCount).to.equal(docHashes.length);
+        });
+
+        it("Should verify every document in an anchored batch", async function () {
+            await certificateRegistry.connect(issuer1).issueBatch(tree.root, batchCID, docHashes.length);
+
+            for (let i = 0; i < docHashes.length; i++) {
+                const result = await certificateRegistry.verifyBatchCertificate(docHashes[i], tree.root, tree.proofs[i]);
+                expect(result.included).to.be.true;
+                expect(result.ipfsCID).to.equal(batchCID);
+                expect(result.issuer).to.equal(issuer1.address);
+            }
+        });
+
+        it("Should flag batches anchored after the issuer was compromised", async function () {
+            await certificateRegistry.connect(issuer1).issueBatch(tree.root, batchCID, docHashes.length);
+
+            let result = await certificateRegistry.verifyBatchCertificate(docHashes[0], tree.root, tree.proofs[0]);
+            expect(result.compromised).to.be.false;
+
+            await certificateRegistry.markIssuerCompromised(issuer1.address, result.timestamp);
+            result = await certificateRegistry.verifyBatchCertificate(docHashes[0], tree.root, tree.proofs[0]);
+            expect(result.included).to.be.true;
+            expect(result.compromised).to.be.true;
+        });
+
+        it("Should reject a document that is not in the batch", async function () {
+            await certificateRegistry.connect(issuer1).issueBatch(tree.root, batchCID, docHashes.length);
+
+            const result = await certificateRegistry.verifyBatchCertificate(sampleDocHash, tree.root, tree.proofs[0]);
+            expect(result.included).to.be.false;
+        });
+
+        it("Should reject a proof against a root that was never anchored", async function () {
+            const result = await certificateRegistry.verifyBatchCertificate(docHashes[0], tree.root, tree.proofs[0]);
+            expect(result.included).to.be.false;
+        });
+
+        it("Should revoke one certificate of a batch and keep the others valid", async function () {
+            await certificateRegistry.connect(issuer1).issueBatch(tree.root, batchCID, docHashes.length);
+
+            await expect(certificateRegistry.connect(issuer1).revokeBatchCertificate(tree.root, docHashes[1], tree.proofs[1], 2))
+                .to.emit(certificateRegistry, "BatchCertificateRevoked")
+                .withArgs(tree.root, docHashes[1], issuer1.address, 2, await ethers.provider.getBlock('latest').then(b => b.timestamp + 1));
+
+            const revoked = await certificateRegistry.verifyBatchCertificate(docHashes[1], tree.root, tree.proofs[1]);
+            expect(revoked.included).to.be.true;
+            expect(revoked.revoked).to.be.true;
+            expect(revoked.revocationReason).to.equal(2);
+            expect(revoked.revokedAt).to.be.greaterThan(0);
+
+            const other = await certificateRegistry.verifyBatchCertificate(docHashes[0], tree.root, tree.proofs[0]);
+            expect(other.revoked).to.be.false;
+            expect(other.revokedAt).to.equal(0);
+
+            const revocation = await certificateRegistry.getBatchRevocation(tree.root, docHashes[1]);
+            expect(revocation.revokedBy).to.equal(issuer1.address);
+            expect(revocation.revokedAt).to.equal(revoked.revokedAt);
+        });
+
+        it("Should only let the batch issuer or a registry admin revoke a batch certificate", async function () {
+            await certificateRegistry.connect(issuer1).issueBatch(tree.root, batchCID, docHashes.length);
+            await certificateRegistry.addAuthorizedIssuer(issuer2.address);
+
+            await expect(certificateRegistry.connect(issuer2).revokeBatchCertificate(tree.root, docHashes[0], tree.proofs[0], 1))
+                .to.be.revertedWithCustomError(certificateRegistry, "NotAuthorizedToRevoke");
+
+            await expect(certificateRegistry.revokeBatchCertificate(tree.root, docHashes[0], tree.proofs[0], 1))
+                .to.emit(certificateRegistry, "BatchCertificateRevoked");
+            await expect(certificateRegistry.connect(issuer1).revokeBatchCertificate(tree.root, docHashes[0], tree.proofs[0], 1))
+                .to.be.revertedWithCustomError(certificateRegistry, "CertificateAlreadyRevoked");
+        });
+
+        it("Should only revoke documents proven to be in the batch", async function () {
+            await certificateRegistry.connect(issuer1).issueBatch(tree.root, batchCID, docHashes.length);
+
+            await expect(certificateRegistry.connect(issuer1).revokeBatchCertificate(tree.root, sampleDocHash, tree.proofs[0], 1))
+                .to.be.revertedWithCustomError(certificateRegistry, "CertificateNotFound");
+            await expect(certificateRegistry.connect(issuer1).revokeBatchCertificate(ethers.id("unknown root"), docHashes[0], tree.proofs[0], 1))
+                .to.be.revertedWithCustomError(certificateRegistry, "CertificateNotFound");
+        });
+
+        it("Should prevent unauthorized address from anchoring a batch", async function () {
+            await expect(
+                certificateRegistry.connect(unauthorized).issueBatch(tree.root, batchCID, docHashes.length)
+            ).to.be.revertedWithCustomError(certificateRegistry, "NotAuthorizedIssuer");
+        });
+
+        it("Should prevent anchoring the same batch twice", async function () {
+            await certificateRegistry.connect(issuer1).issueBatch(tree.root, batchCID, docHashes.length);
+
+            await expect(
+                certificateRegistry.connect(issuer1).issueBatch(tree.root, batchCID, docHashes.length)
+            ).to.be.revertedWithCustomError(certificateRegistry, "BatchAlreadyExists");
+        });
+    });
+
+    describe("Upgrades", function () {
+        const implementationSlot = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+        async function implementationOf(proxy) {
+            const slot = await ethers.provider.getStorage(await proxy.getAddress(), implementationSlot);
+            return ethers.getAddress(ethers.dataSlice(slot, 12));
+        }
+
+        it("Should not allow initializing the proxy again or the implementation at all", async function () {
+            await expect(certificateRegistry.initialize(unauthorized.address, false))
+                .to.be.revertedWithCustomError(certificateRegistry, "InvalidInitialization");
+
+            const implementation = await ethers.getContractAt("CertificateRegistry", await implementationOf(certificateRegistry));
+            await expect(implementation.initialize(unauthorized.address, false))
+                .to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+        });
+
+        it("Should keep certificates, roles and the address across an upgrade", async function () {
+            await certificateRegistry.addAuthorizedIssuer(issuer1.address);
+            await certificateRegistry.connect(issuer1).issueCertificate(sampleDocHash, sampleIPFSCID);
+
+            const next = await (await ethers.getContractFactory("CertificateRegistry")).deploy();
+            await expect(certificateRegistry.upgradeToAndCall(await next.getAddress(), "0x"))
+                .to.emit(certificateRegistry, "Upgraded")
+                .withArgs(await next.getAddress());
+
+            expect(await implementationOf(certificateRegistry)).to.equal(await next.getAddress());
+            expect(await certificateRegistry.isAuthorizedIssuer(issuer1.address)).to.be.true;
+
+            const cert = await certificateRegistry.verifyCertificate(sampleDocHash);
+            expect(cert.exists).to.be.true;
+            expect(cert.issuer).to.equal(issuer1.address);
+        });
+
+        it("Should pass the upgrade safety checks against a deployed registry", async function () {
+            const CertificateRegistry = await ethers.getContractFactory("CertificateRegistry");
+            await upgrades.validateImplementation(CertificateRegistry, { kind: "uups" });
+
+            // Deployed through the scripts, so the implementation's layout is recorded
+            const { registry } = await scripts.deployRegistry(owner.address);
+            await upgrades.validateUpgrade(await registry.getAddress(), CertificateRegistry, { kind: "uups" });
+        });
+
+        it("Should only let registry admins upgrade", async function () {
+            const next = await (await ethers.getContractFactory("CertificateRegistry")).deploy();
+
+            await expect(certificateRegistry.connect(unauthorized).upgradeToAndCall(await next.getAddress(), "0x"))
+                .to.be.revertedWithCustomError(certificateRegistry, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Migration", function () {
+        let target;
+
+        beforeEach(async function () {
+            target = await deployRegistry(owner.address, true);
+        });
+
+        // Hand the migrated registry over to a fresh CertificateRegistry implementation
+        async function finishMigration(importer) {
+            const implementation = await (await ethers.getContractFactory("CertificateRegistry")).deploy();
+            await importer.finishMigration(await implementation.getAddress());
+            return ethers.getContractAt("CertificateRegistry", await importer.getAddress());
+        }
+
+        it("Should keep certificates exactly as the previous deployment recorded them", async function () {
+            const replacement = ethers.id("replacement");
+            await certificateRegistry.issueCertificateToHolder(sampleDocHash, sampleIPFSCID, 0, issuer2.address);
+            await certificateRegistry.reissueCertificate(sampleDocHash, replacement, "QmReplacement");
+            await certificateRegistry.revokeCertificate(replacement, 2);
+
+            const records = [
+                await certificateRegistry.getCertificate(sampleDocHash),
+                await certificateRegistry.getCertificate(replacement)
+            ];
+            await expect(target.importCertificates(records.map(record => record.toObject())))
+                .to.emit(target, "CertificateMigrated")
+                .withArgs(sampleDocHash, owner.address, records[0].timestamp);
+            await expect(target.importCertificates([records[0].toObject()])).to.be.revertedWithCustomError(certificateRegistry, "CertificateAlreadyExists");
+
+            const migrated = await finishMigration(target);
+            expect(await migrated.getCertificate(sampleDocHash)).to.deep.equal(records[0]);
+            expect(await migrated.getCertificate(replacement)).to.deep.equal(records[1]);
+
+            const verified = await migrated.verifyCertificate(replacement);
+            expect(verified.revoked).to.be.true;
+            expect(verified.revocationReason).to.equal(2);
+        });
+
+        it("Should import institutions, batches, batch revocations and compromised periods", async function () {
+            const institutionId = ethers.encodeBytes32String("mit");
+            await certificateRegistry.registerInstitution(institutionId, "MIT", "mit.edu", "");
+            await certificateRegistry.addIssuer(issuer1.address, institutionId);
+
+            const root = await certificateRegistry.batchLeaf(sampleDocHash);
+            await certificateRegistry.connect(issuer1).issueBatch(root, "QmBatchManifest", 1);
+            await certificateRegistry.connect(issuer1).revokeBatchCertificate(root, sampleDocHash, [], 3);
+            await certificateRegistry.markIssuerCompromised(issuer1.address, (await certificateRegistry.getBatch(root)).timestamp);
+
+            const institution = await certificateRegistry.getInstitution(institutionId);
+            const revocation = await certificateRegistry.getBatchRevocation(root, sampleDocHash);
+            await expect(target.importInstitution(institutionId, institution.toObject()))
+                .to.emit(target, "InstitutionRegistered")
+                .withArgs(institutionId, "MIT", "mit.edu", "", institution.registeredAt);
+            await target.importBatches([(await certificateRegistry.getBatch(root)).toObject()]);
+            await expect(target.importBatchRevocations([revocation.toObject()]))
+                .to.emit(target, "BatchCertificateRevoked")
+                .withArgs(root, sampleDocHash, issuer1.address, 3, revocation.revokedAt);
+            await target.importIssuerCompromise(issuer1.address, (await certificateRegistry.issuerCompromises(issuer1.address)).toObject());
+
+            const migrated = await finishMigration(target);
+            expect(await migrated.getInstitution(institutionId)).to.deep.equal(institution);
+            expect(await migrated.getBatch(root)).to.deep.equal(await certificateRegistry.getBatch(root));
+            expect(await migrated.getBatchRevocation(root, sampleDocHash)).to.deep.equal(revocation);
+
+            const batch = await migrated.verifyBatchCertificate(sampleDocHash, root, []);
+            expect(batch.included).to.be.true;
+            expect(batch.issuer).to.equal(issuer1.address);
+            expect(batch.compromised).to.be.true;
+            expect(batch.revoked).to.be.true;
+            expect(batch.revocationReason).to.equal(3);
+        });
+
+        it("Should judge certificates imported without a block number by the time of a block cutoff", async function () {
+            await certificateRegistry.issueCertificate(sampleDocHash, sampleIPFSCID);
+
+            // Registries deployed before issuance blocks were recorded have none to carry over
+            const record = (await certificateRegistry.getCertificate(sampleDocHash)).toObject();
+            await target.importCertificates([{ ...record, blockNumber: 0n }]);
+            const migrated = await finishMigration(target);
+            const latestBlock = await ethers.provider.getBlockNumber();
+
+            await migrated.markIssuerCompromisedAtBlock(owner.address, latestBlock, record.timestamp + 1n);
+            expect((await migrated.verifyCertificate(sampleDocHash)).revoked).to.be.false;
+
+            await migrated.markIssuerCompromisedAtBlock(owner.address, latestBlock, record.timestamp);
+            expect((await migrated.verifyCertificate(sampleDocHash)).revoked).to.be.true;
+        });
+
+        it("Should only import revocations of imported batches", async function () {
+            const root = await certificateRegistry.batchLeaf(sampleDocHash);
+            await certificateRegistry.issueBatch(root, "QmBatchManifest", 1);
+            await certificateRegistry.revokeBatchCertificate(root, sampleDocHash, [], 1);
+
+            const revocation = (await certificateRegistry.getBatchRevocation(root, sampleDocHash)).toObject();
+            await expect(target.importBatchRevocations([revocation]))
+                .to.be.revertedWithCustomError(certificateRegistry, "InvalidBatch");
+        });
+
+        it("Should only let registry admins import, and only until the migration is finished", async function () {
+            await certificateRegistry.issueCertificate(sampleDocHash, sampleIPFSCID);
+            const record = (await certificateRegistry.getCertificate(sampleDocHash)).toObject();
+
+            const implementation = await (await ethers.getContractFactory("CertificateRegistry")).deploy();
+
+            await expect(target.connect(unauthorized).importCertificates([record]))
+                .to.be.revertedWithCustomError(target, "AccessControlUnauthorizedAccount");
+            await expect(target.connect(unauthorized).finishMigration(await implementation.getAddress()))
+                .to.be.revertedWithCustomError(target, "AccessControlUnauthorizedAccount");
+
+            await expect(target.finishMigration(await implementation.getAddress()))
+                .to.emit(target, "MigrationFinished")
+                .and.to.emit(target, "Upgraded")
+                .withArgs(await implementation.getAddress());
+
+            // The proxy now runs CertificateRegistry, which has no import functions
+            const migrated = await ethers.getContractAt("CertificateRegistry", await target.getAddress());
+            expect(await migrated.migrating()).to.be.false;
+            expect(await migrated.isAuthorizedIssuer(owner.address)).to.be.true;
+            await expect(target.importCertificates([record])).to.be.reverted;
+            await expect(target.finishMigration(await implementation.getAddress())).to.be.reverted;
+        });
+
+        describe("Migration script", function () {
+            const quiet = { log() {}, warn() {} };
+
+            it("Should migrate a registry deployed from the first, non-upgradeable version", async function () {
+                const legacy = await (await ethers.getContractFactory("LegacyCertificateRegistry")).deploy();
+                await legacy.addAuthorizedIssuer(issuer1.address);
+                await legacy.addAuthorizedIssuer(issuer2.address);
+                await legacy.removeAuthorizedIssuer(issuer2.address);
+                await legacy.connect(issuer1).issueCertificate(sampleDocHash, sampleIPFSCID);
+                const record = await legacy.getCertificate(sampleDocHash);
+
+                const migration = await migrateRegistry(legacy, { logger: quiet });
+                const migrated = migration.registry;
+
+                expect(migration.certificates).to.equal(1);
+                expect(migration.oldRegistryPaused).to.be.false;
+
+                const certificate = await migrated.getCertificate(sampleDocHash);
+                expect(certificate.ipfsCID).to.equal(sampleIPFSCID);
+                expect(certificate.issuer).to.equal(issuer1.address);
+                expect(certificate.timestamp).to.equal(record.timestamp);
+                expect(certificate.validUntil).to.equal(0);
+                expect(certificate.holder).to.equal(ethers.ZeroAddress);
+                const verified = await migrated.verifyCertificate(sampleDocHash);
+                expect(verified.exists).to.be.true;
+                expect(verified.revoked).to.be.false;
+                expect(verified.expired).to.be.false;
+
+                expect(await migrated.hasRole(await migrated.REGISTRY_ADMIN_ROLE(), owner.address)).to.be.true;
+                expect(await migrated.isAuthorizedIssuer(owner.address)).to.be.true;
+                expect(await migrated.isAuthorizedIssuer(issuer1.address)).to.be.true;
+                expect(await migrated.isAuthorizedIssuer(issuer2.address)).to.be.false;
+            });
+
+            it("Should migrate the current registry's records and roles and leave it paused", async function () {
+                const institutionId = ethers.encodeBytes32String("mit");
+                await certificateRegistry.registerInstitution(institutionId, "MIT", "mit.edu", "");
+                await certificateRegistry.addInstitutionAdmin(unauthorized.address, institutionId);
+                await certificateRegistry.addIssuer(issuer1.address, institutionId);
+                await certificateRegistry.addIssuer(issuer2.address, institutionId);
+                await certificateRegistry.setApprovalThreshold(institutionId, 2);
+                await certificateRegistry.removeIssuer(owner.address);
+                await certificateRegistry.connect(issuer1).proposeCertificate(sampleDocHash, sampleIPFSCID, 0, ethers.ZeroAddress, 2);
+                await certificateRegistry.connect(issuer2).approveCertificate(sampleDocHash);
+
+                const migration = await migrateRegistry(certificateRegistry, { logger: quiet });
+                const migrated = migration.registry;
+
+                expect(await certificateRegistry.paused()).to.be.true;
+                expect(migration.oldRegistryPaused).to.be.true;
+                expect(await migrated.paused()).to.be.false;
+                expect(await migrated.getCertificate(sampleDocHash)).to.deep.equal(await certificateRegistry.getCertificate(sampleDocHash));
+                expect(await migrated.getInstitution(institutionId)).to.deep.equal(await certificateRegistry.getInstitution(institutionId));
+
+                expect(await migrated.adminInstitution(unauthorized.address)).to.equal(institutionId);
+                expect(await migrated.issuerInstitution(issuer1.address)).to.equal(institutionId);
+                expect(await migrated.isAuthorizedIssuer(owner.address)).to.be.false;
+                expect(await migrated.issuerCounts(institutionId)).to.equal(2);
+                expect(await migrated.approvalThresholds(institutionId)).to.equal(2);
+            });
+        });
+
+        it("Should not open the import functions on a fresh deployment", async function () {
+            expect(await certificateRegistry.migrating()).to.be.false;
+
+            await certificateRegistry.issueCertificate(sampleDocHash, sampleIPFSCID);
+            const record = await certificateRegistry.getCertificate(sampleDocHash);
+
+            const importer = await ethers.getContractAt("CertificateRegistryImporter", await certificateRegistry.getAddress());
+            await expect(importer.importCertificates([{ ...record.toObject(), docHash: ethers.id("forged") }]))
+                .to.be.reverted;
+        });
+    });
+
     describe("Multiple Issuers", function () {
         it("Should allow multiple issuers to issue different certificates", async function () {
             await certificateRegistry.addAuthorizedIssuer(issuer1.address);